@@ -9,6 +9,21 @@
 
 define([
     'model/Config',
+    'model/fires/FireDataSourceFactory',
+    'model/fires/FireAttachments',
+    'model/fires/FireBufferManager',
+    'model/fires/FireDuplicateDetector',
+    'model/fires/FireExchange',
+    'model/fires/FireFilter',
+    'model/fires/FireFeed',
+    'model/fires/FireGeofence',
+    'model/fires/FireHeatmap',
+    'model/fires/FirePerimeterManager',
+    'model/fires/FireService',
+    'model/fires/FireSpreadSimulator',
+    'model/fires/FireTimeFilter',
+    'model/fires/FirmsImporter',
+    'model/fires/NearestFires',
     'model/globe/Globe',
     'model/util/Log',
     'model/util/Settings',
@@ -24,9 +39,19 @@ define([
     'viewmodels/ProjectionsViewModel',
     'viewmodels/SearchViewModel',
     'viewmodels/SettingsViewModel',
+    'viewmodels/SignInViewModel',
     'viewmodels/TacticalSymbolEditor',
     'text!views/basic-markers.html',
     'text!views/bookmark.html',
+    'text!views/fire-buffer.html',
+    'text!views/fire-exchange.html',
+    'text!views/fire-filter.html',
+    'text!views/fire-geofence.html',
+    'text!views/fire-perimeter.html',
+    'text!views/fire-spread.html',
+    'text!views/fire-sync.html',
+    'text!views/fire-time-filter.html',
+    'text!views/firms-import.html',
     'text!views/globe.html',
     'text!views/info.html',
     'text!views/layers.html',
@@ -35,9 +60,9 @@ define([
     'text!views/marker-editor.html',
     'text!views/projections.html',
     'text!views/settings.html',
+    'text!views/sign-in.html',
     'text!views/symbols.html',
     'text!views/symbol-editor.html',
-    'FireRestAPI',
     'url-search-params',
     'knockout',
     'jquery',
@@ -47,6 +72,21 @@ define([
     'worldwind'],
     function (
         config,
+        FireDataSourceFactory,
+        FireAttachments,
+        FireBufferManager,
+        FireDuplicateDetector,
+        FireExchange,
+        FireFilter,
+        FireFeed,
+        FireGeofence,
+        FireHeatmap,
+        FirePerimeterManager,
+        FireService,
+        FireSpreadSimulator,
+        FireTimeFilter,
+        FirmsImporter,
+        NearestFires,
         Globe,
         log,
         settings,
@@ -62,9 +102,19 @@ define([
         ProjectionsViewModel,
         SearchViewModel,
         SettingsViewModel,
+        SignInViewModel,
         TacticalSymbolEditor,
         basicMarkersHtml,
         bookmarkHtml,
+        fireBufferHtml,
+        fireExchangeHtml,
+        fireFilterHtml,
+        fireGeofenceHtml,
+        firePerimeterHtml,
+        fireSpreadHtml,
+        fireSyncHtml,
+        fireTimeFilterHtml,
+        firmsImportHtml,
         globeHtml,
         infoHtml,
         layersHtml,
@@ -73,9 +123,9 @@ define([
         markerEditorHtml,
         projectionsHtml,
         settingsHtml,
+        signInHtml,
         tacticalSymbolsHtml,
         tacticalSymbolEditorHtml,
-        FireRestAPI,
         URLSearchParams,
         ko,
         $) {
@@ -115,6 +165,25 @@ define([
             this.markerManager = new MarkerManager(this.globe);
             this.symbolManager = new SymbolManager(this.globe);
 
+            // Connect the fire symbols to the configured fire data source
+            this.fireService = new FireService(this.symbolManager,
+                FireDataSourceFactory.createDataSource(config.fireDataSource));
+
+            // Flag and merge the duplicate fire reports
+            this.duplicateDetector = new FireDuplicateDetector(this.symbolManager, this.fireService);
+
+            // Store and upload the photos attached to the fire reports
+            this.fireAttachments = new FireAttachments(this.symbolManager, this.fireService);
+
+            // Draw the fire perimeters and their edits in a layer
+            this.perimeterManager = new FirePerimeterManager(this.globe, this.symbolManager, this.fireService);
+
+            // Import satellite fire detections into a layer filtered by the globe's time
+            this.firmsImporter = new FirmsImporter(this.globe);
+
+            // Depict the density of the fire symbols and hotspots in a heatmap layer
+            this.fireHeatmap = new FireHeatmap(this.globe, this.symbolManager, this.firmsImporter);
+
             // Configure the objects used to animate the globe when performing "go to" operations
             this.goToAnimator = new WorldWind.GoToAnimator(this.wwd);
             this.isAnimating = false;
@@ -136,6 +205,27 @@ define([
                 }
             }, 30000);  // Update every 30 seconds
 
+            // Narrow the listed and drawn fires by verification, status, age and region
+            this.fireFilter = new FireFilter(this.globe, this.symbolManager);
+
+            // Export the fires and markers for other tools and import them back
+            this.fireExchange = new FireExchange(this.symbolManager, this.markerManager, this.fireService);
+
+            // Alert the users to the fires near the markers, bookmarks and areas they watch
+            this.fireGeofence = new FireGeofence(this.globe, this.symbolManager, this.markerManager);
+
+            // Draw the buffer rings around the selected or active fires
+            this.fireBufferManager = new FireBufferManager(this.globe, this.symbolManager);
+
+            // List the fires closest to the crosshairs or cursor
+            this.nearestFires = new NearestFires(this.globe, this.symbolManager);
+
+            // Show the fires active at the globe's date/time
+            this.fireTimeFilter = new FireTimeFilter(this.symbolManager, this.globe, this.autoUpdateTimeEnabled);
+
+            // Project the spread of a fire from an ignition point against the globe's time
+            this.fireSpreadSimulator = new FireSpreadSimulator(this.globe, this.autoUpdateTimeEnabled);
+
             // Setup to track the cursor position relative to the World Window's canvas. Listen to touch events in order
             // to recognize and ignore simulated mouse events in mobile browsers.
             window.addEventListener("mousemove", function (event) {
@@ -153,32 +243,49 @@ define([
 
             new GlobeViewModel(this, { 
                 markerManager: this.markerManager, 
-                symbolManager: this.symbolManager}, 
+                symbolManager: this.symbolManager,
+                fireAttachments: this.fireAttachments}, 
             globeHtml, "globe");
 
             new SearchViewModel(this.globe, "search");
             new BookmarkViewModel(this.globe, bookmarkHtml, "right-navbar");
             new ProjectionsViewModel(this.globe, projectionsHtml, "right-navbar");
+            new SignInViewModel(this.fireService.auth, signInHtml, "right-navbar");
 
             // Tab Panels
             new LayersViewModel(this.globe, layersHtml, "left-sidebar");
             var markersViewModel = new MarkersViewModel(markersHtml, "left-sidebar");
             new SettingsViewModel(this.globe, settingsHtml, "left-sidebar");
-            new InfoViewModel(this.globe, infoHtml, "info-panel");
+            new InfoViewModel(this.globe, infoHtml, "info-panel", this.nearestFires);
 
             // Dialogs
             new LayerSettings(this.globe, layerSettingsHtml);
             //new MarkerEditor(markerEditorHtml);
-            new TacticalSymbolEditor(tacticalSymbolEditorHtml);
+            new TacticalSymbolEditor(tacticalSymbolEditorHtml, this.fireService, this.fireAttachments);
             
             // Marker content
             //markersViewModel.addMarkers(this.markerManager, basicMarkersHtml, "markers-body");
+            markersViewModel.addMarkers(this.fireService, fireSyncHtml, "markers-body");
+            markersViewModel.addMarkers(this.fireGeofence, fireGeofenceHtml, "markers-body");
+            markersViewModel.addMarkers(this.fireBufferManager, fireBufferHtml, "markers-body");
+            markersViewModel.addMarkers(this.fireFilter, fireFilterHtml, "markers-body");
+            markersViewModel.addMarkers(this.fireTimeFilter, fireTimeFilterHtml, "markers-body");
+            markersViewModel.addMarkers(this.perimeterManager, firePerimeterHtml, "markers-body");
+            markersViewModel.addMarkers(this.fireSpreadSimulator, fireSpreadHtml, "markers-body");
             markersViewModel.addMarkers(this.symbolManager, tacticalSymbolsHtml, "markers-body");
-
-            // Load fires data from API each time Explorer is opened.
-            var requestAllFiresURL = "http://nasaspaceappschallenge2018.ddns.net:8081/api/fires/";
-            var allFireRequest = new FireRestAPI(requestAllFiresURL);
-            allFireRequest.retrieveFires(this.symbolManager);
+            markersViewModel.addMarkers(this.firmsImporter, firmsImportHtml, "markers-body");
+            markersViewModel.addMarkers(this.fireExchange, fireExchangeHtml, "markers-body");
+
+            // Load fires data from the data source each time Explorer is opened
+            // and keep them synchronized.
+            this.fireService.loadFires();
+
+            // Apply the live fire events as they arrive
+            if (config.fireFeed) {
+                this.fireFeed = new FireFeed(config.fireFeed);
+                this.fireService.listenTo(this.fireFeed);
+                this.fireFeed.connect();
+            }
 
 
         };
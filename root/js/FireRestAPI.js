@@ -25,44 +25,83 @@
 /**
  * @exports FireRestAPI
  */
-define([
-    'model/military/TacticalSymbol'
-],
-    function (
-        TacticalSymbol
-    ) {
+define([],
+    function () {
         "use strict";
 
         /**
-         * Constructs a FireRestAPI object for a specified FireRestAPI data source. Call [load]{@link FireRestAPI#load} to
-         * retrieve the FireRestAPI and create objects for it.
+         * Constructs a FireRestAPI object for a specified fires REST endpoint.
          * @alias FireRestAPI
          * @constructor
-         * @classdesc Parses a FireRestAPI and creates objects representing its contents.
-         * <p>
-         * An attribute callback may also be specified to examine each return object and configure the object created for it.
-         * This function enables the application to assign independent attributes to each
-         * object. An argument to this function provides any attributes specified in a properties member of FireRestAPI
-         * feature.
-         * @param {String|Object} dataSource The data source of the FireRestAPI. Can be a URL to an external resource,
-         * or a JSON string, or a JavaScript object representing a parsed FireRestAPI string.
-         * @throws {WorldWind.ArgumentError} If the specified data source is null or undefined.
+         * @classdesc Sends fire requests to a fires REST API, e.g., http://host:port/api/fires/.
+         * Individual fires are addressed by appending the fire id to the endpoint URL.
+         * The request methods return Promises that resolve with the server's response
+         * or reject with a FireRestAPI.RequestError.
+         * After login, the requests carry the session's access token in a bearer
+         * Authorization header. The token is refreshed shortly before it expires, and
+         * once when the server rejects it (401); a session that can't be refreshed ends.
+         * @param {String} dataSource The URL of the fires endpoint.
+         * @param {Object} options Optional. {timeout: ms, retries: count, retryDelay: ms,
+         * authUrl: the URL of the auth endpoint; default the "auth/" sibling of the fires endpoint}
+         * @throws {FireRestAPI.RequestError} If the specified data source is null or undefined.
          */
-        var FireRestAPI = function (dataSource, WorldWind) {
+        var FireRestAPI = function (dataSource, options) {
+            var args = options || {};
             if (!dataSource) {
-                throw new WorldWind.ArgumentError(
-                    WorldWind.Logger.logMessage(WorldWind.Logger.LEVEL_SEVERE, "FireRestAPI", "constructor", "missingDataSource"));
+                throw new FireRestAPI.RequestError(FireRestAPI.ERROR_ARGUMENT, "FireRestAPI: missing data source URL.");
             }
 
             // Documented in defineProperties below.
             this._dataSource = dataSource;
+
+            /**
+             * The request timeout in milliseconds.
+             * @type {Number}
+             */
+            this.timeout = args.timeout === undefined ? FireRestAPI.DEFAULT_TIMEOUT : args.timeout;
+
+            /**
+             * The number of times a failed GET, PUT or DELETE request is retried. POST
+             * requests are never retried as they could create duplicate fires.
+             * @type {Number}
+             */
+            this.retries = args.retries === undefined ? FireRestAPI.DEFAULT_RETRIES : args.retries;
+
+            /**
+             * The delay before the first retry in milliseconds; doubled for each subsequent retry.
+             * @type {Number}
+             */
+            this.retryDelay = args.retryDelay === undefined ? FireRestAPI.DEFAULT_RETRY_DELAY : args.retryDelay;
+
+            /**
+             * The URL of the auth endpoint, e.g., http://host:port/api/auth/, or null if unknown.
+             * @type {String}
+             */
+            this.authUrl = args.authUrl || FireRestAPI.authUrlOf(dataSource);
+
+            /**
+             * The signed-in session: {accessToken, refreshToken, expires: ms, user: {username, role}},
+             * or null if signed out.
+             * @type {Object}
+             */
+            this.session = null;
+
+            /**
+             * Optional callback invoked with the new session, or null, when the session changes,
+             * including when its tokens are refreshed.
+             * @type {Function}
+             */
+            this.onSessionChanged = null;
+
+            // Internal. The token refresh in progress.
+            this.refreshing = null;
         };
 
         Object.defineProperties(FireRestAPI.prototype, {
             /**
              * The FireRestAPI data source as specified to this FireRestAPI's constructor.
              * @memberof FireRestAPI.prototype
-             * @type {String|Object}
+             * @type {String}
              * @readonly
              */
             dataSource: {
@@ -73,183 +112,388 @@ define([
         });
 
         /**
-         * Retrieves the FireRestAPI, parses it and creates objects representing its contents. The result is several layers
-         * containing the created objects.
-         * @param symbolManager is an Explorer specific class to handle the creation and management of tactical symbols.
+         * Retrieves the fires from the API.
+         * @param {Date} since Optional. Only request the fires changed since this time.
+         * @returns {Promise} Resolves with the {data: [...], synced} payload: the array of fire rows
+         * and the server's time of the latest change, or null if the server doesn't report it.
          */
-
-        FireRestAPI.prototype.retrieveFires = function (symbolManager) {
-            var dataSourceType = (typeof this.dataSource);
-            var loadComplete = false;   // set to false, override if metadata successfully loaded
-            if (dataSourceType === 'string'){
-                if(symbolManager) {
-                    this.requestFiresXHR(symbolManager);
-                    loadComplete = true;
-                } else {
-                    throw new WorldWind.ArgumentError(WorldWind.Logger.logMessage(WorldWind.Logger.LEVEL_SEVERE, "FireRestAPI", "retrieveFires", 
-                        "missingSymbolManager"));
-                } 
-            } else {
-                throw new WorldWind.ArgumentError(WorldWind.Logger.logMessage(WorldWind.Logger.LEVEL_SEVERE, "FireRestAPI", "retrieveFires",
-                    "Unsupported data source type: " + dataSourceType));
+        FireRestAPI.prototype.retrieveFires = function (since) {
+            var url = this.dataSource;
+            if (since) {
+                url += (url.indexOf("?") < 0 ? "?" : "&") + "since=" + encodeURIComponent(since.toISOString());
             }
-            return loadComplete;
+            return this.request("GET", url, null).then(function (obj) {
+                if (!obj || !Array.isArray(obj.data)) {
+                    throw new FireRestAPI.RequestError(FireRestAPI.ERROR_SCHEMA,
+                        "FireRestAPI GET returned an invalid fires payload: " + url, {url: url});
+                }
+                return {data: obj.data, synced: obj.synced || null};
+            });
         };
 
-        // Calls API to update the existing placemark in the database
-        FireRestAPI.prototype.updateFire = function(symbolManager, params) {
-            var dataSourceType = (typeof this.dataSource);
-            if(dataSourceType === 'string'){
-                if(symbolManager){
-                    this.updateFireXHR(params)
-                } else {
-                    throw new WorldWind.ArgumentError(WorldWind.Logger.logMessage(WorldWind.Logger.LEVEL_SEVERE, "FireRestAPI", "updateFire", 
-                    "missingSymbolManager"));
+        /**
+         * Calls the API to create a fire in the database.
+         * @param {Object} params The {lat, lon, alt} and the optional incident attributes of the
+         * new fire, and the client id.
+         * @param {String} requestId Optional. Sent as the request_id so that the server returns
+         * the fire it already created if the request is repeated.
+         * @returns {Promise} Resolves with the new fire record.
+         */
+        FireRestAPI.prototype.createFire = function (params, requestId) {
+            var url = this.dataSource,
+                body = {lat: params.lat, lon: params.lon, alt: params.alt,
+                    size: params.size, containment: params.containment, cause: params.cause, fuel: params.fuel,
+                    structures: params.structures, description: params.description, client: params.client,
+                    request_id: requestId};
+            return this.request("POST", url, body).then(function (obj) {
+                var record = FireRestAPI.firstRecord(obj);
+                if (!record) {
+                    throw new FireRestAPI.RequestError(FireRestAPI.ERROR_SCHEMA,
+                        "FireRestAPI POST did not return the new fire: " + url, {url: url});
                 }
-            } else {
-                throw new WorldWind.ArgumentError(WorldWind.Logger.logMessage(WorldWind.Logger.LEVEL_SEVERE, "FireRestAPI", "updateFire",
-                    "Unsupported data source type: " + dataSourceType));
+                return record;
+            });
+        };
+
+        /**
+         * Calls the API to update an existing fire in the database.
+         * @param {String|Number} fid The id of the fire to update.
+         * @param {Object} params The {lat, lon, alt, verified, exttime} values and the
+         * {size, containment, cause, fuel, structures, description} incident attributes and the
+         * perimeters history and merged reports of the fire, and the client id recorded in the
+         * fire's history.
+         * @returns {Promise} Resolves with the updated fire record, or null if the server didn't return one.
+         */
+        FireRestAPI.prototype.updateFire = function (fid, params) {
+            var body = {lat: params.lat, lon: params.lon, alt: params.alt, verified: params.verified,
+                exttime: FireRestAPI.formatExtinguishedTime(params.exttime),
+                size: params.size, containment: params.containment, cause: params.cause, fuel: params.fuel,
+                structures: params.structures, description: params.description, perimeters: params.perimeters,
+                merged_reports: params.merged_reports, client: params.client};
+            if (fid === null || fid === undefined) {
+                return Promise.reject(new FireRestAPI.RequestError(FireRestAPI.ERROR_ARGUMENT, "FireRestAPI: missing fire id."));
             }
+            return this.request("PUT", this.fireUrl(fid), body).then(FireRestAPI.firstRecord);
         };
 
-        // Calls API to create a fire in the database
-        FireRestAPI.prototype.createFire = function (symbolManager, params) {
-            var dataSourceType = (typeof this.dataSource);
-            if(dataSourceType === 'string'){
-                if(symbolManager){
-                    this.createFireXHR(params)
-                } else {
-                    throw new WorldWind.ArgumentError(WorldWind.Logger.logMessage(WorldWind.Logger.LEVEL_SEVERE, "FireRestAPI", "createFire", 
-                    "missingSymbolManager"));
-                }
-            } else {
-                throw new WorldWind.ArgumentError(WorldWind.Logger.logMessage(WorldWind.Logger.LEVEL_SEVERE, "FireRestAPI", "createFire",
-                    "Unsupported data source type: " + dataSourceType));
+        /**
+         * Calls the API to delete a fire from the database.
+         * @param {String|Number} fid The id of the fire to delete.
+         * @returns {Promise} Resolves when the fire has been deleted.
+         */
+        FireRestAPI.prototype.deleteFire = function (fid) {
+            if (fid === null || fid === undefined) {
+                return Promise.reject(new FireRestAPI.RequestError(FireRestAPI.ERROR_ARGUMENT, "FireRestAPI: missing fire id."));
             }
-        }
-
-        FireRestAPI.prototype.createFireXHR = function (params, xhr = new XMLHttpRequest()) {
-            xhr.open("POST", this.dataSource, true);
-            xhr.setRequestHeader("Content-Type", "application/json");
-            xhr.onreadystatechange = (function () {
-                if (xhr.readyState === 4) {
-                    if (xhr.status === 200) {
-                        // do nothing on status good
-                        // TODO: Maybe we should clear the symbol manager on a good update and force a refresh of the data?
-                    }
-                    else {
-                        WorldWind.Logger.log(WorldWind.Logger.LEVEL_WARNING,
-                            "FireRestAPI fire update failed (" + xhr.statusText + "): " + this.dataSourceurl);
-                    }
-                }
-            }).bind(this);
+            return this.request("DELETE", this.fireUrl(fid), null).then(function () {
+                return null;
+            });
+        };
 
-            xhr.onerror = function () {
-                WorldWind.Logger.log(WorldWind.Logger.LEVEL_WARNING, "FireRestAPI fires retrieval failed: " + url);
-            };
+        /**
+         * Calls the API to attach a photo or file to a fire. The attachment's id makes
+         * the upload idempotent, so it may be retried.
+         * @param {String|Number} fid The id of the fire.
+         * @param {Object} attachment {id, name, type, dataUrl, created}
+         * @returns {Promise} Resolves when the attachment has been stored.
+         */
+        FireRestAPI.prototype.uploadAttachment = function (fid, attachment) {
+            if (fid === null || fid === undefined) {
+                return Promise.reject(new FireRestAPI.RequestError(FireRestAPI.ERROR_ARGUMENT, "FireRestAPI: missing fire id."));
+            }
+            return this.request("PUT", this.fireUrl(fid) + "/attachments/" + encodeURIComponent(attachment.id), {
+                name: attachment.name,
+                type: attachment.type,
+                data: attachment.dataUrl,
+                created: attachment.created
+            }).then(function () {
+                return null;
+            });
+        };
 
-            xhr.ontimeout = function () {
-                WorldWind.Logger.log(WorldWind.Logger.LEVEL_WARNING, "FireRestAPI fires retrieval timed out: " + url);
-            };
+        /**
+         * Signs in to the API.
+         * @param {String} username
+         * @param {String} password
+         * @returns {Promise} Resolves with the new session; rejects with a 401 RequestError
+         * if the credentials are invalid.
+         */
+        FireRestAPI.prototype.login = function (username, password) {
+            var self = this;
+            if (!this.authUrl) {
+                return Promise.reject(new FireRestAPI.RequestError(FireRestAPI.ERROR_ARGUMENT, "FireRestAPI: missing auth URL."));
+            }
+            return this.sendXHR("POST", this.authUrl + "login", {username: username, password: password}, null)
+                .then(function (obj) {
+                    self.setSession(FireRestAPI.toSession(obj, self.authUrl));
+                    return self.session;
+                });
+        };
 
-            var body = {lat: params.lat, lon: params.lon, alt: params.alt};
-            xhr.send(JSON.stringify(body));
-        }
-
-        // Get FireRestAPI metadata string using XMLHttpRequest. Internal use only.
-        FireRestAPI.prototype.requestFiresXHR = function (symbolManager, xhr = new XMLHttpRequest()) {
-            xhr.open("GET", this.dataSource, true);
-            xhr.setRequestHeader("Content-Type", "application/x-www-form-urlencoded");
-            xhr.onreadystatechange = (function () {
-                if (xhr.readyState === 4) {
-                    if (xhr.status === 200) {
-                        this.handleFires(FireRestAPI.tryParseJSONString(xhr.response), symbolManager);
-                    }
-                    else {
-                        WorldWind.Logger.log(WorldWind.Logger.LEVEL_WARNING,
-                            "FireRestAPI fires retrieval failed (" + xhr.statusText + "): " + this.dataSource);
-                    }
-                }
-            }).bind(this);
+        /**
+         * Replaces the session's tokens. Concurrent calls share the same request. The
+         * session ends if the server rejects the refresh token.
+         * @returns {Promise} Resolves with the refreshed session.
+         */
+        FireRestAPI.prototype.refreshSession = function () {
+            var self = this;
+            if (!this.session) {
+                return Promise.reject(new FireRestAPI.RequestError(FireRestAPI.ERROR_ARGUMENT, "FireRestAPI: not signed in."));
+            }
+            if (!this.refreshing) {
+                this.refreshing = this.sendXHR("POST", this.authUrl + "refresh", {refreshToken: this.session.refreshToken}, null)
+                    .then(function (obj) {
+                        self.refreshing = null;
+                        self.setSession(FireRestAPI.toSession(obj, self.authUrl));
+                        return self.session;
+                    }, function (error) {
+                        self.refreshing = null;
+                        if (error.status === 401 || error.status === 403) {
+                            self.setSession(null);
+                        }
+                        throw error;
+                    });
+            }
+            return this.refreshing;
+        };
 
-            xhr.onerror = function () {
-                WorldWind.Logger.log(WorldWind.Logger.LEVEL_WARNING, "FireRestAPI fires retrieval failed: " + url);
-            };
+        /**
+         * Signs out of the API. The session ends even if the server can't be reached.
+         * @returns {Promise} Resolves when signed out.
+         */
+        FireRestAPI.prototype.logout = function () {
+            var session = this.session;
+            this.setSession(null);
+            if (!session || !this.authUrl) {
+                return Promise.resolve();
+            }
+            return this.sendXHR("POST", this.authUrl + "logout", {refreshToken: session.refreshToken}, null)
+                .catch(function (error) {
+                    WorldWind.Logger.log(WorldWind.Logger.LEVEL_WARNING, error.message);
+                });
+        };
 
-            xhr.ontimeout = function () {
-                WorldWind.Logger.log(WorldWind.Logger.LEVEL_WARNING, "FireRestAPI fires retrieval timed out: " + url);
-            };
+        /**
+         * Sets the session, e.g., one restored from storage, and notifies onSessionChanged.
+         * @param {Object} session {accessToken, refreshToken, expires, user}, or null to sign out.
+         */
+        FireRestAPI.prototype.setSession = function (session) {
+            this.session = session || null;
+            if (this.onSessionChanged) {
+                this.onSessionChanged(this.session);
+            }
+        };
 
-            xhr.send(null);
+        // Refreshes the session if its access token is about to expire. Internal use only.
+        FireRestAPI.prototype.authorize = function () {
+            if (!this.session || this.session.expires - FireRestAPI.REFRESH_MARGIN > Date.now()) {
+                return Promise.resolve();
+            }
+            return this.refreshSession().catch(function () {
+                // Send the request anyway; the server decides whether it requires the session
+            });
+        };
+
+        /**
+         * Returns the URL for an individual fire.
+         * @param {String|Number} fid
+         * @returns {String}
+         */
+        FireRestAPI.prototype.fireUrl = function (fid) {
+            return this.dataSource.replace(/\/?$/, "/") + encodeURIComponent(fid);
+        };
+
+        /**
+         * Sends a request with the session's access token, retrying retryable failures of
+         * idempotent methods and, once, a request whose token was rejected.
+         * @param {String} method The HTTP method.
+         * @param {String} url
+         * @param {Object} body Optional. Sent as JSON.
+         * @returns {Promise} Resolves with the parsed response, or null if the response is empty.
+         */
+        FireRestAPI.prototype.request = function (method, url, body) {
+            var self = this,
+                retries = method === "POST" ? 0 : this.retries,
+                isRefreshed = false,
+                attempt = function (n) {
+                    return self.authorize().then(function () {
+                        return self.sendXHR(method, url, body, self.session ? self.session.accessToken : null);
+                    }).catch(function (error) {
+                        if (error.status === 401 && self.session && !isRefreshed) {
+                            isRefreshed = true;
+                            return self.refreshSession().then(function () {
+                                return attempt(n);
+                            }, function () {
+                                throw error;
+                            });
+                        }
+                        if (!error.retryable || n >= retries) {
+                            WorldWind.Logger.log(WorldWind.Logger.LEVEL_WARNING, error.message);
+                            throw error;
+                        }
+                        return new Promise(function (resolve) {
+                            window.setTimeout(resolve, self.retryDelay * Math.pow(2, n));
+                        }).then(function () {
+                            return attempt(n + 1);
+                        });
+                    });
+                };
+            return attempt(0);
         };
 
-        FireRestAPI.prototype.updateFireXHR = function (params, xhr = new XMLHttpRequest()) {
-            xhr.open("PUT", this.dataSource, true);
-            xhr.setRequestHeader("Content-Type", "application/json");
-            xhr.onreadystatechange = (function () {
-                if (xhr.readyState === 4) {
-                    if (xhr.status === 200) {
-                        // do nothing on status good
-                        // TODO: Maybe we should clear the symbol manager on a good update and force a refresh of the data?
+        // Sends a JSON request using XMLHttpRequest, with a bearer Authorization header if
+        // an access token is given. Internal use only.
+        FireRestAPI.prototype.sendXHR = function (method, url, body, accessToken, xhr = new XMLHttpRequest()) {
+            var timeout = this.timeout;
+            return new Promise(function (resolve, reject) {
+                var fail = function (type, message, status) {
+                    reject(new FireRestAPI.RequestError(type, "FireRestAPI " + method + " " + message + ": " + url,
+                        {url: url, method: method, status: status}));
+                };
+                xhr.open(method, url, true);
+                xhr.timeout = timeout;
+                xhr.setRequestHeader("Content-Type", body ? "application/json" : "application/x-www-form-urlencoded");
+                if (accessToken) {
+                    xhr.setRequestHeader("Authorization", "Bearer " + accessToken);
+                }
+                xhr.onload = function () {
+                    var obj;
+                    if (xhr.status < 200 || xhr.status >= 300) {
+                        fail(FireRestAPI.ERROR_HTTP, "failed (" + xhr.status + " " + xhr.statusText + ")", xhr.status);
+                        return;
                     }
-                    else {
-                        WorldWind.Logger.log(WorldWind.Logger.LEVEL_WARNING,
-                            "FireRestAPI fire update failed (" + xhr.statusText + "): " + this.dataSourceurl);
+                    if (!xhr.responseText) {
+                        resolve(null);
+                        return;
                     }
-                }
-            }).bind(this);
+                    obj = FireRestAPI.tryParseJSONString(xhr.responseText);
+                    if (obj === null) {
+                        fail(FireRestAPI.ERROR_SCHEMA, "returned invalid JSON", xhr.status);
+                        return;
+                    }
+                    resolve(obj);
+                };
+                xhr.onerror = function () {
+                    fail(FireRestAPI.ERROR_NETWORK, "failed (network error)", 0);
+                };
+                xhr.ontimeout = function () {
+                    fail(FireRestAPI.ERROR_TIMEOUT, "timed out after " + timeout + " ms", 0);
+                };
+                xhr.send(body ? JSON.stringify(body) : null);
+            });
+        };
 
-            xhr.onerror = function () {
-                WorldWind.Logger.log(WorldWind.Logger.LEVEL_WARNING, "FireRestAPI fires retrieval failed: " + url);
-            };
+        /**
+         * Constructs an error describing a failed request.
+         * @constructor
+         * @param {String} type One of the FireRestAPI.ERROR_* types.
+         * @param {String} message
+         * @param {Object} details Optional. {url, method, status}
+         */
+        FireRestAPI.RequestError = function (type, message, details) {
+            var args = details || {};
+            this.name = "FireRestAPI.RequestError";
+            this.type = type;
+            this.message = message;
+            this.url = args.url || null;
+            this.method = args.method || null;
+            this.status = args.status || 0;
+            /**
+             * True if repeating the request may succeed: network errors, timeouts,
+             * rate limiting and server errors.
+             * @type {Boolean}
+             */
+            this.retryable = type === FireRestAPI.ERROR_NETWORK || type === FireRestAPI.ERROR_TIMEOUT ||
+                (type === FireRestAPI.ERROR_HTTP && (this.status === 408 || this.status === 429 || this.status >= 500));
+            this.stack = new Error(message).stack;
+        };
+        FireRestAPI.RequestError.prototype = Object.create(Error.prototype);
+        FireRestAPI.RequestError.prototype.constructor = FireRestAPI.RequestError;
 
-            xhr.ontimeout = function () {
-                WorldWind.Logger.log(WorldWind.Logger.LEVEL_WARNING, "FireRestAPI fires retrieval timed out: " + url);
-            };
+        /** RequestError type for invalid request arguments. */
+        FireRestAPI.ERROR_ARGUMENT = "argument";
+        /** RequestError type for an unsuccessful HTTP status. */
+        FireRestAPI.ERROR_HTTP = "http";
+        /** RequestError type for a request that could not reach the server. */
+        FireRestAPI.ERROR_NETWORK = "network";
+        /** RequestError type for a response that doesn't match the expected schema. */
+        FireRestAPI.ERROR_SCHEMA = "schema";
+        /** RequestError type for a request that timed out. */
+        FireRestAPI.ERROR_TIMEOUT = "timeout";
+
+        /** The default request timeout in milliseconds. */
+        FireRestAPI.DEFAULT_TIMEOUT = 15000;
+        /** The default number of retries for idempotent requests. */
+        FireRestAPI.DEFAULT_RETRIES = 2;
+        /** The default delay before the first retry in milliseconds. */
+        FireRestAPI.DEFAULT_RETRY_DELAY = 1000;
+        /** The time in milliseconds before an access token expires when it is refreshed. */
+        FireRestAPI.REFRESH_MARGIN = 30000;
 
-            // create body string based on params
-            if (params.exttime === null) {
-                var dateString = "";
-            } else {
-                var dateString = params.exttime.replace('-', "")
-                dateString = dateString.replace('-', "");
+        /**
+         * Gets the default auth endpoint of a fires endpoint: http://host/api/fires/ becomes
+         * http://host/api/auth/.
+         * @param {String} dataSource The URL of the fires endpoint.
+         * @returns {String} The URL, or null if the endpoint doesn't end with "fires".
+         */
+        FireRestAPI.authUrlOf = function (dataSource) {
+            var match = /^(.*\/)fires\/?$/.exec(dataSource);
+            return match ? match[1] + "auth/" : null;
+        };
+
+        /**
+         * Converts a login or refresh response to a session.
+         * @param {Object} obj The parsed response: {accessToken, refreshToken, expiresIn: seconds, user: {username, role}}.
+         * @param {String} url The request URL, for the error message.
+         * @returns {Object} {accessToken, refreshToken, expires: ms, user}
+         * @throws {FireRestAPI.RequestError} If the response isn't a session.
+         */
+        FireRestAPI.toSession = function (obj, url) {
+            if (!obj || typeof obj.accessToken !== "string" || typeof obj.refreshToken !== "string" ||
+                typeof obj.expiresIn !== "number" || !obj.user || typeof obj.user.username !== "string") {
+                throw new FireRestAPI.RequestError(FireRestAPI.ERROR_SCHEMA,
+                    "FireRestAPI returned an invalid session: " + url, {url: url});
             }
-            var body = {lat: params.lat, lon: params.lon, alt: params.alt, verified: params.verified, exttime: dateString};
-            xhr.send(JSON.stringify(body));
+            return {
+                accessToken: obj.accessToken,
+                refreshToken: obj.refreshToken,
+                expires: Date.now() + obj.expiresIn * 1000,
+                user: {username: obj.user.username, role: obj.user.role}
+            };
         };
 
-        // Handles the object created from the FireRestAPI data source. Internal use only.
-        FireRestAPI.prototype.handleFires = function (obj, symbolManager) {
+        /**
+         * Extracts a fire record from a create/update response.
+         * @param {Object} obj The parsed response, e.g., {data: [record]} or record.
+         * @returns {Object} The record or null.
+         */
+        FireRestAPI.firstRecord = function (obj) {
             if (!obj) {
-                throw new WorldWind.ArgumentError(
-                    WorldWind.Logger.logMessage(WorldWind.Logger.LEVEL_SEVERE, "FireRestAPI", "handleFires", "Invalid FireRestAPI object"));
-            } else if (!symbolManager) {
-                throw new WorldWind.ArgumentError(
-                    WorldWind.Logger.logMessage(WorldWind.Logger.LEVEL_SEVERE, "FireRestAPI", "handleFires", "Invalid symbolManager object"));
+                return null;
+            }
+            if (Array.isArray(obj.data)) {
+                return obj.data[0] || null;
             }
+            return obj.fid !== undefined ? obj : null;
+        };
 
-            // Create empty variables outside of the loop so they are not created and destroyed on each iteration
-            var firePlacemark = [];
-            var firePosition = {};
-            var fid = null;
-            var timeReportedStamp = null;
-            var timeExtinguishedStamp = null;
-            var verified = false;
-
-            // Loop thru the length of obj to process each row of return data
-            for (var i = 0; i < obj.data.length; i++) {
-                // Format data for ease of use in WW datatypes.
-                firePosition = new WorldWind.Position(obj['data'][i]['fire_lat'], obj['data'][i]['fire_lon'], obj['data'][i]['fire_alt']);
-                fid = obj['data'][i]['fid'];
-                timeReportedStamp = obj['data'][i]['reportedtimemark'];
-                timeExtinguishedStamp = obj['data'][i]['fire_extinguished']
-                verified = obj['data'][i]['fire_verified'];
-                firePlacemark[i] = new TacticalSymbol(                
-                    symbolManager, firePosition, { symbolCode: "EHIPC-------", timeReported: timeReportedStamp, timeExtinguished: timeExtinguishedStamp, isMoveable: false, user: false, verified: verified, fid: fid});
-
-                symbolManager.addSymbol(firePlacemark[i]);
-                
+        /**
+         * Formats the extinguished time for the API. A date without a time keeps the API's
+         * compact form, e.g., "2018-10-20" becomes "20181020"; a time is sent as ISO 8601 UTC.
+         * @param {String|Date} exttime
+         * @returns {String} An empty string if exttime is not defined.
+         */
+        FireRestAPI.formatExtinguishedTime = function (exttime) {
+            var text, time;
+            if (!exttime) {
+                return "";
+            }
+            text = exttime instanceof Date ? "" : String(exttime).trim();
+            if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+                return text.replace(/-/g, "");
             }
+            time = exttime instanceof Date ? exttime : new Date(text);
+            return isNaN(time.getTime()) ? text : time.toISOString();
         };
 
         /**
@@ -267,4 +511,4 @@ define([
 
         return FireRestAPI;
     }
-);
\ No newline at end of file
+);
@@ -0,0 +1,38 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+"use strict";
+require.config({
+    baseUrl: 'js/'
+});
+
+// Binds the fire-broadcaster.html controls to a LocalFireBroadcaster.
+require([
+    'model/fires/LocalFireBroadcaster'],
+        function (LocalFireBroadcaster) {
+            var broadcaster = new LocalFireBroadcaster(),
+                publish = broadcaster.publish,
+                latitude = function () {
+                    return parseFloat(document.getElementById("latitude").value);
+                },
+                longitude = function () {
+                    return parseFloat(document.getElementById("longitude").value);
+                };
+
+            // Echo the posted events
+            broadcaster.publish = function (type, fire) {
+                document.getElementById("log").textContent += type + ": " + JSON.stringify(fire) + "\n";
+                publish.call(broadcaster, type, fire);
+            };
+
+            document.getElementById("create").onclick = function () {
+                broadcaster.createFire(latitude(), longitude());
+            };
+            document.getElementById("simulate").onclick = function () {
+                broadcaster.simulate(latitude(), longitude());
+            };
+            document.getElementById("stop").onclick = function () {
+                broadcaster.stop();
+            };
+        }
+);
@@ -11,7 +11,7 @@
  *
  * @author Bruce Schubert
  */
-define(['worldwind'], function () {
+define(['model/Constants', 'worldwind'], function (constants) {
     "use strict";
     /**
      * This is the top-level Config singleton.
@@ -30,6 +30,26 @@ define(['worldwind'], function () {
      *     <li><code>showPanControl</code>: Show pan (left/right/up/down) controls. Default false.
      *     <li><code>showExaggerationControl</code>: Show vertical exaggeration controls. Default false.
      *     <li><code>imageryDetailControl</code>: Requests higher resolution imagery are made when the texture pixel size is greater than this value.
+     *     <li><code>fireDataSource</code>: The fire reports backend: <code>type</code> is one of the
+     *     FIRE_DATA_SOURCE_* constants ("rest", "geojson" or "local"); <code>url</code> is the REST endpoint or
+     *     the GeoJSON file; <code>storageKey</code> optionally overrides the local store's key;
+     *     <code>supportsSince</code> indicates the REST server accepts a "since" query parameter;
+     *     <code>supportsAttachments</code> indicates the REST server accepts the photos and files attached to the fires;
+     *     <code>supportsAuth</code> indicates the REST server requires signing in to change the fires (see FireAuth);
+     *     set it only for a server with the auth endpoints, such as server/fires-server.js, not the default server;
+     *     <code>authUrl</code> optionally overrides its auth endpoint, by default the "auth/" sibling of <code>url</code>;
+     *     <code>timeout</code>, <code>retries</code> and <code>retryDelay</code> optionally tune the REST client's requests.
+     *     <li><code>fireFeed</code>: The live fire feed, or null to disable it: <code>type</code> is one of the
+     *     FIRE_FEED_* constants ("sse", "websocket" or "local"); <code>url</code> is the SSE or WebSocket endpoint;
+     *     <code>channel</code> optionally overrides the local feed's BroadcastChannel name (see fire-broadcaster.html).
+     *     Default null: the default server has no feed, and the local feed is a stand-in for testing.
+     *     <li><code>fireSyncInterval</code>: Seconds between fire synchronizations. Zero disables periodic sync. Default 60.
+     *     <li><code>clusterPlacemarks</code>: Aggregate the overlapping markers and fire symbols into count badges
+     *     when zoomed out. Default true.
+     *     <li><code>duplicateFireDistance</code>: The distance in meters within which a new fire report is flagged as
+     *     a likely duplicate of an existing fire. Default 1000.
+     *     <li><code>duplicateFireTimeWindow</code>: The difference in hours between the report times within which a new
+     *     fire report is flagged as a likely duplicate. Default 12.
      * </ul>
      */
     var Config = {
@@ -44,7 +64,18 @@ define(['worldwind'], function () {
         showPanControl: false,
         showExaggerationControl: true,
         showFieldOfViewControl: false,
-        terrainSampleRadius: 30
+        terrainSampleRadius: 30,
+        fireDataSource: {
+            type: constants.FIRE_DATA_SOURCE_REST,
+            url: "http://nasaspaceappschallenge2018.ddns.net:8081/api/fires/",
+            supportsSince: false,
+            supportsAuth: false
+        },
+        fireFeed: null,
+        fireSyncInterval: 60,
+        clusterPlacemarks: true,
+        duplicateFireDistance: 1000,
+        duplicateFireTimeWindow: 12
     };
 
     return Config;
@@ -15,6 +15,28 @@ define([],
             BUTTON_TEXT_OK: 'OK',
             BUTTON_TEXT_SAVE: 'Save',
             BUTTON_TEXT_YES: 'Yes',
+            //
+            // Fire data source types (see Config.fireDataSource)
+            //
+            FIRE_DATA_SOURCE_GEOJSON: "geojson",
+            FIRE_DATA_SOURCE_LOCAL: "local",
+            FIRE_DATA_SOURCE_REST: "rest",
+            //
+            // Live fire feed types (see Config.fireFeed)
+            //
+            FIRE_FEED_LOCAL: "local",
+            FIRE_FEED_SSE: "sse",
+            FIRE_FEED_WEBSOCKET: "websocket",
+            /**
+             * The BroadcastChannel name used by the local fire feed and LocalFireBroadcaster.
+             */
+            FIRE_FEED_CHANNEL: "wwe-fire-feed",
+            //
+            // Fire symbol synchronization states (see FireOutbox)
+            //
+            FIRE_SYNC_STATE_FAILED: "failed",
+            FIRE_SYNC_STATE_PENDING: "pending",
+            FIRE_SYNC_STATE_SYNCED: "synced",
             GEOMETRY_POINT: 'point',
             GEOMETRY_POLYGON: 'polygon',
             GEOMETRY_POLYLINE: 'polyline',
@@ -37,13 +59,21 @@ define([],
             //
             LAYER_NAME_ATMOSPHERE: "Atmosphere",
             LAYER_NAME_COMPASS: "Compass",
+            LAYER_NAME_FIRE_BUFFERS: "Fire Buffer Rings",
+            LAYER_NAME_FIRE_FILTER_AREA: "Fire Filter Area",
+            LAYER_NAME_FIRE_PERIMETERS: "Fire Perimeters",
+            LAYER_NAME_FIRE_SPREAD: "Fire Spread Simulation",
+            LAYER_NAME_FIRMS_HOTSPOTS: "Satellite Hotspots (FIRMS)",
+            LAYER_NAME_HEATMAP: "Fire Density Heatmap",
             LAYER_NAME_MARKERS: "Markers",
+            LAYER_NAME_NEAREST_FIRE: "Nearest Fire",
             LAYER_NAME_TACTICAL_SYMBOLS: "Fire Emergency Symbols",
             LAYER_NAME_RETICLE: "Crosshairs",
             LAYER_NAME_SKY: "Sky",
             LAYER_NAME_STARS: "Stars",
             LAYER_NAME_TIME_ZONES: "Time Zones",
             LAYER_NAME_VIEW_CONTROLS: "Controls",
+            LAYER_NAME_WATCHED_AREAS: "Watched Areas",
             LAYER_NAME_WIDGETS: "Widgets",
             MARKER_LABEL_LATLON: "markerLabelLatLon",
             MARKER_LABEL_NAME: "markerLabelName",
@@ -67,7 +97,31 @@ define([],
              * The local storage key for markers.
              */
             STORAGE_KEY_MARKERS: "markers",
+            /**
+             * The local storage key for the fire records of the local fire data source.
+             */
+            STORAGE_KEY_FIRES: "fires",
+            /**
+             * The local storage key for the queued fire data source operations.
+             */
+            STORAGE_KEY_FIRE_OUTBOX: "fire_outbox",
+            /**
+             * The local storage key for the photos and files attached to the fire reports.
+             */
+            STORAGE_KEY_FIRE_ATTACHMENTS: "fire_attachments",
+            /**
+             * The local storage key for the id identifying this client in the fire histories.
+             */
+            STORAGE_KEY_FIRE_CLIENT_ID: "fire_client_id",
+            /**
+             * The local storage key for the signed-in fire data source session.
+             */
+            STORAGE_KEY_FIRE_SESSION: "fire_session",
             STORAGE_KEY_TACTICAL_SYMBOLS: "tactical_symbols",
+            /**
+             * The local storage key for the areas watched for nearby fires.
+             */
+            STORAGE_KEY_WATCHED_AREAS: "watched_areas",
 
             /**
              * Base URL for Web World Wind SDK. (Do not use a relative path.)
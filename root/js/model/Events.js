@@ -7,6 +7,17 @@ define([],
     function () {
         "use strict";
         var Events = {
+            /**
+             * Publish/subscribe event names for the outcome of queued fire data source operations.
+             * @constant
+             */
+            EVENT_FIRE_OPERATION_FAILED: "fireOperationFailed",
+            EVENT_FIRE_OPERATION_SUCCEEDED: "fireOperationSucceeded",
+            /**
+             * Publish/subscribe event name for a fire event received from the live fire feed.
+             * @constant
+             */
+            EVENT_FIRE_FEED_RECEIVED: "fireFeedReceived",
             EVENT_MARKER_ADDED: "markerAdded",
             EVENT_MARKER_CHANGED: "markerChanged",
             EVENT_MARKER_REMOVED: "markerRemoved",
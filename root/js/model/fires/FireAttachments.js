@@ -0,0 +1,420 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define, WorldWind*/
+
+/**
+ * The FireAttachments module manages the photos and files attached to the fire
+ * reports. The attachments are kept in local storage, keyed by the fire's fid or,
+ * until the fire is saved, by the symbol's id, and are uploaded through the fire
+ * data source when it supports attachments. Each attachment has the form:
+ * <pre>
+ *  {
+ *      id: unique attachment id,
+ *      name: the file name,
+ *      type: the MIME type,
+ *      size: the stored size in bytes,
+ *      dataUrl: the contents; photos are downscaled (see MAX_IMAGE_SIZE),
+ *      thumbnailUrl: the photo's thumbnail, null for other files,
+ *      created: the ISO 8601 time the file was attached,
+ *      uploaded: flag indicating the data source has received the attachment
+ *  }
+ * </pre>
+ * A geotagged JPEG can also create a new fire report, located and timestamped
+ * from its EXIF metadata (see ExifReader).
+ *
+ * @param {Constants} constants
+ * @param {Events} events
+ * @param {ExifReader} exifReader
+ * @param {Log} log
+ * @param {TacticalSymbol} TacticalSymbol
+ * @param {WmtUtil} util
+ * @param {JQuery} $
+ * @returns {FireAttachments}
+ */
+define([
+    'model/Constants',
+    'model/Events',
+    'model/util/ExifReader',
+    'model/util/Log',
+    'model/military/TacticalSymbol',
+    'model/util/WmtUtil',
+    'jquery',
+    'jquery-growl',
+    'worldwind'],
+    function (
+        constants,
+        events,
+        exifReader,
+        log,
+        TacticalSymbol,
+        util,
+        $) {
+        "use strict";
+
+        /**
+         * @constructor
+         * @param {SymbolManager} symbolManager The manager of the fire symbols.
+         * @param {FireService} fireService Optional; provides the data source and its outbox.
+         * @param {String} storageKey Optional local storage key; default is constants.STORAGE_KEY_FIRE_ATTACHMENTS.
+         */
+        var FireAttachments = function (symbolManager, fireService, storageKey) {
+            var self = this;
+
+            this.symbolManager = symbolManager;
+            this.fireService = fireService || null;
+            this.dataSource = fireService ? fireService.dataSource : null;
+            this.storageKey = storageKey || constants.STORAGE_KEY_FIRE_ATTACHMENTS;
+
+            // Route the editor's attach actions thru this object
+            symbolManager.fireAttachments = this;
+
+            // Load the stored attachments of the added symbols
+            symbolManager.symbols.subscribe(function (changes) {
+                changes.forEach(function (change) {
+                    if (change.status === 'added' && change.moved === undefined) {
+                        self.load(change.value);
+                    }
+                });
+            }, null, "arrayChange");
+            symbolManager.symbols().forEach(function (symbol) {
+                self.load(symbol);
+            });
+
+            if (fireService) {
+                fireService.outbox.on(events.EVENT_FIRE_OPERATION_SUCCEEDED, this.onOperationSucceeded, this);
+            }
+        };
+
+        /**
+         * Attaches files to a fire report. Photos are downscaled and given a thumbnail.
+         * Invoked by the symbol editor's file input.
+         * @param {TacticalSymbol} symbol
+         * @param {File[]|FileList} files
+         * @returns {Promise} Resolves with the new attachments; files that couldn't be read are skipped.
+         */
+        FireAttachments.prototype.attachFiles = function (symbol, files) {
+            var self = this;
+
+            return Promise.all(Array.prototype.map.call(files, function (file) {
+                return FireAttachments.createAttachment(file).catch(function (error) {
+                    $.growl.error({
+                        title: "File Not Attached",
+                        message: $("<div></div>").text(file.name + ": " + error.message).html()});
+                    return null;
+                });
+            })).then(function (attachments) {
+                attachments = attachments.filter(function (attachment) {
+                    return attachment !== null;
+                });
+                if (attachments.length > 0) {
+                    symbol.attachments.push.apply(symbol.attachments, attachments);
+                    self.save(symbol);
+                    self.uploadPending(symbol);
+                }
+                return attachments;
+            });
+        };
+
+        /**
+         * Removes an attachment from a fire report. Invoked by the symbol editor.
+         * @param {TacticalSymbol} symbol
+         * @param {Object} attachment
+         */
+        FireAttachments.prototype.removeAttachment = function (symbol, attachment) {
+            symbol.attachments.remove(attachment);
+            this.save(symbol);
+        };
+
+        /**
+         * Creates a new fire report from a geotagged photo: the report is located at the
+         * photo's EXIF GPS position, timestamped with its EXIF capture time, and the photo
+         * is attached to it.
+         * @param {File} file A JPEG file.
+         * @param {Position} fallbackPosition Optional; the position used if the photo isn't geotagged.
+         * @returns {Promise} Resolves with the new TacticalSymbol, or with null if the photo
+         * couldn't be located.
+         */
+        FireAttachments.prototype.createReportFromPhoto = function (file, fallbackPosition) {
+            var self = this;
+
+            return FireAttachments.readFile(file, "readAsArrayBuffer").then(function (buffer) {
+                var exif = exifReader.read(buffer),
+                    isGeotagged = exif !== null && exif.latitude !== null && exif.longitude !== null,
+                    position, symbol;
+
+                if (!isGeotagged && !fallbackPosition) {
+                    $.growl.warning({
+                        title: "Photo Not Located",
+                        message: $("<div></div>").text(file.name + " does not contain a GPS position.").html()});
+                    return null;
+                }
+                position = isGeotagged ?
+                    new WorldWind.Position(exif.latitude, exif.longitude, exif.altitude || 0) : fallbackPosition;
+                symbol = new TacticalSymbol(self.symbolManager, position, {
+                    symbolCode: TacticalSymbol.templates[0].symbolCode,
+                    timeReported: exif && exif.time ? exif.time : new Date(),
+                    timeExtinguished: null,
+                    isMovable: true,
+                    user: true,
+                    verified: false,
+                    fid: null});
+                self.symbolManager.addSymbol(symbol);
+                self.symbolManager.globe.goto(position.latitude, position.longitude);
+                if (!isGeotagged) {
+                    $.growl.notice({
+                        title: "Photo Not Geotagged",
+                        message: $("<div></div>").text(file.name + " was placed where it was dropped.").html()});
+                }
+                return self.attachFiles(symbol, [file]).then(function () {
+                    return symbol;
+                });
+            }).catch(function (error) {
+                log.error("FireAttachments", "createReportFromPhoto", error.message);
+                return null;
+            });
+        };
+
+        /**
+         * Loads a symbol's stored attachments.
+         * @param {TacticalSymbol} symbol
+         */
+        FireAttachments.prototype.load = function (symbol) {
+            var stored = this.readAll()[FireAttachments.keyFor(symbol)];
+
+            symbol.attachments(stored || []);
+        };
+
+        /**
+         * Stores a symbol's attachments, replacing any stored under its symbol id once it has a fid.
+         * @param {TacticalSymbol} symbol
+         * @returns {Boolean} True if the attachments were stored.
+         */
+        FireAttachments.prototype.save = function (symbol) {
+            var all = this.readAll(),
+                key = FireAttachments.keyFor(symbol);
+
+            delete all[FireAttachments.SYMBOL_KEY_PREFIX + symbol.id()];
+            if (symbol.attachments().length > 0) {
+                all[key] = symbol.attachments();
+            } else {
+                delete all[key];
+            }
+            return this.writeAll(all);
+        };
+
+        /**
+         * Uploads the attachments the data source hasn't received. Nothing is uploaded
+         * until the fire has been saved and assigned a fid.
+         * @param {TacticalSymbol} symbol
+         * @returns {Promise} Resolves with the number of uploaded attachments.
+         */
+        FireAttachments.prototype.uploadPending = function (symbol) {
+            var self = this,
+                fid = symbol.fid;
+
+            if (!this.dataSource || !this.dataSource.supportsAttachments || fid === null || fid === undefined) {
+                return Promise.resolve(0);
+            }
+            return Promise.all(symbol.attachments().filter(function (attachment) {
+                return !attachment.uploaded;
+            }).map(function (attachment) {
+                return self.dataSource.uploadAttachment(fid, attachment).then(function () {
+                    symbol.attachments.replace(attachment, Object.assign({}, attachment, {uploaded: true}));
+                    return 1;
+                }, function (error) {
+                    // Retried after the next successful operation on the fire
+                    log.warning("FireAttachments", "uploadPending", "Attachment " + attachment.name +
+                        " not uploaded: " + error.message);
+                    return 0;
+                });
+            })).then(function (results) {
+                var count = results.reduce(function (sum, n) {
+                    return sum + n;
+                }, 0);
+                if (count > 0) {
+                    self.save(symbol);
+                }
+                return count;
+            });
+        };
+
+        /**
+         * Rekeys the attachments of a created fire and uploads the pending ones; forgets the
+         * attachments of a deleted fire.
+         * @param {Object} result {operation, record}
+         */
+        FireAttachments.prototype.onOperationSucceeded = function (result) {
+            var operation = result.operation,
+                symbol = this.fireService.findSymbolById(operation.symbolId),
+                all;
+
+            if (operation.type === "delete") {
+                all = this.readAll();
+                delete all[FireAttachments.FIRE_KEY_PREFIX + operation.fid];
+                delete all[FireAttachments.SYMBOL_KEY_PREFIX + operation.symbolId];
+                this.writeAll(all);
+                return;
+            }
+            if (symbol && symbol.attachments().length > 0) {
+                this.save(symbol);
+                this.uploadPending(symbol);
+            }
+        };
+
+        /**
+         * Reads the stored attachments of all the fires.
+         * @returns {Object} The attachment arrays keyed by fire or symbol key.
+         */
+        FireAttachments.prototype.readAll = function () {
+            var string = localStorage.getItem(this.storageKey),
+                all = null;
+            try {
+                all = string ? JSON.parse(string) : null;
+            } catch (e) {
+                log.error("FireAttachments", "readAll", "Invalid stored attachments: " + e.message);
+            }
+            return all && typeof all === "object" ? all : {};
+        };
+
+        /**
+         * Stores the attachments of all the fires, reporting a full local storage.
+         * @param {Object} all The attachment arrays keyed by fire or symbol key.
+         * @returns {Boolean} True if the attachments were stored.
+         */
+        FireAttachments.prototype.writeAll = function (all) {
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify(all));
+                return true;
+            } catch (e) {
+                log.error("FireAttachments", "writeAll", e.message);
+                $.growl.error({
+                    title: "Attachments Not Stored",
+                    message: "The browser's storage is full. Remove some attachments and try again."});
+                return false;
+            }
+        };
+
+        /**
+         * Gets the storage key of a symbol's attachments.
+         * @param {TacticalSymbol} symbol
+         * @returns {String}
+         */
+        FireAttachments.keyFor = function (symbol) {
+            return symbol.fid !== null && symbol.fid !== undefined ?
+                FireAttachments.FIRE_KEY_PREFIX + symbol.fid :
+                FireAttachments.SYMBOL_KEY_PREFIX + symbol.id();
+        };
+
+        /**
+         * Creates an attachment from a file. Images are downscaled to MAX_IMAGE_SIZE and
+         * given a thumbnail; other files must not exceed MAX_FILE_SIZE.
+         * @param {File} file
+         * @returns {Promise} Resolves with the attachment.
+         */
+        FireAttachments.createAttachment = function (file) {
+            var isImage = /^image\//.test(file.type);
+
+            if (!isImage && file.size > FireAttachments.MAX_FILE_SIZE) {
+                return Promise.reject(new Error("The file exceeds " + Math.round(FireAttachments.MAX_FILE_SIZE / 1024) + " KB."));
+            }
+            return FireAttachments.readFile(file, "readAsDataURL").then(function (dataUrl) {
+                if (!isImage) {
+                    return {dataUrl: dataUrl, thumbnailUrl: null};
+                }
+                return FireAttachments.loadImage(dataUrl).then(function (image) {
+                    return {
+                        dataUrl: FireAttachments.scaleImage(image, FireAttachments.MAX_IMAGE_SIZE),
+                        thumbnailUrl: FireAttachments.scaleImage(image, FireAttachments.THUMBNAIL_SIZE)
+                    };
+                });
+            }).then(function (contents) {
+                return {
+                    id: util.guid(),
+                    name: file.name,
+                    type: contents.thumbnailUrl ? "image/jpeg" : file.type,
+                    size: Math.round((contents.dataUrl.length - contents.dataUrl.indexOf(",") - 1) * 3 / 4),
+                    dataUrl: contents.dataUrl,
+                    thumbnailUrl: contents.thumbnailUrl,
+                    created: new Date().toISOString(),
+                    uploaded: false
+                };
+            });
+        };
+
+        /**
+         * Reads a file with a FileReader.
+         * @param {File} file
+         * @param {String} method The FileReader method, e.g., "readAsDataURL" or "readAsArrayBuffer".
+         * @returns {Promise} Resolves with the reader's result.
+         */
+        FireAttachments.readFile = function (file, method) {
+            return new Promise(function (resolve, reject) {
+                var reader = new FileReader();
+                reader.onload = function () {
+                    resolve(reader.result);
+                };
+                reader.onerror = function () {
+                    reject(new Error("The file could not be read."));
+                };
+                reader[method](file);
+            });
+        };
+
+        /**
+         * Loads an image.
+         * @param {String} url
+         * @returns {Promise} Resolves with the loaded Image.
+         */
+        FireAttachments.loadImage = function (url) {
+            return new Promise(function (resolve, reject) {
+                var image = new Image();
+                image.onload = function () {
+                    resolve(image);
+                };
+                image.onerror = function () {
+                    reject(new Error("The image could not be decoded."));
+                };
+                image.src = url;
+            });
+        };
+
+        /**
+         * Scales an image to fit within a square, preserving its aspect ratio.
+         * Smaller images are not enlarged.
+         * @param {Image} image
+         * @param {Number} maxSize The size of the square in pixels.
+         * @returns {String} A JPEG data URL.
+         */
+        FireAttachments.scaleImage = function (image, maxSize) {
+            var scale = Math.min(1, maxSize / Math.max(image.width, image.height)),
+                canvas = document.createElement("canvas");
+
+            canvas.width = Math.max(1, Math.round(image.width * scale));
+            canvas.height = Math.max(1, Math.round(image.height * scale));
+            canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+            return canvas.toDataURL("image/jpeg", FireAttachments.JPEG_QUALITY);
+        };
+
+        /** The storage key prefix of the attachments of a saved fire. */
+        FireAttachments.FIRE_KEY_PREFIX = "fire:";
+
+        /** The storage key prefix of the attachments of an unsaved fire. */
+        FireAttachments.SYMBOL_KEY_PREFIX = "symbol:";
+
+        /** The maximum width or height in pixels of a stored photo. */
+        FireAttachments.MAX_IMAGE_SIZE = 1280;
+
+        /** The maximum width or height in pixels of a thumbnail. */
+        FireAttachments.THUMBNAIL_SIZE = 160;
+
+        /** The JPEG quality of the stored photos and thumbnails. */
+        FireAttachments.JPEG_QUALITY = 0.8;
+
+        /** The maximum size in bytes of an attached file other than a photo. */
+        FireAttachments.MAX_FILE_SIZE = 512 * 1024;
+
+        return FireAttachments;
+    }
+);
@@ -0,0 +1,187 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define*/
+
+/**
+ * The FireAuth tracks the user signed in to the fire data source and the role that
+ * determines the fire edits they may make: the public may only submit new, unverified
+ * reports, while responders may verify, edit, extinguish and delete the fires.
+ * Data sources that don't support auth (see FireDataSource.supportsAuth) allow every
+ * change, so their users are treated as responders. The session is kept in local
+ * storage so that it survives page reloads.
+ *
+ * @param {Constants} constants
+ * @param {Knockout} ko
+ * @param {Log} log
+ * @returns {FireAuth}
+ */
+define([
+    'model/Constants',
+    'knockout',
+    'model/util/Log'],
+    function (
+        constants,
+        ko,
+        log) {
+        "use strict";
+
+        /**
+         * @constructor
+         * @param {FireDataSource} dataSource The fire data backend.
+         */
+        var FireAuth = function (dataSource) {
+            var self = this;
+
+            this.dataSource = dataSource;
+
+            /**
+             * Flag indicating the data source requires signing in to change the fires.
+             * @type {Boolean}
+             */
+            this.isRequired = !!dataSource.supportsAuth;
+
+            /**
+             * The signed-in user: {username, role}, or null.
+             * @type {Object} observable
+             */
+            this.user = ko.observable(null);
+
+            /**
+             * Flag indicating a sign in is in progress.
+             * @type {Boolean} observable
+             */
+            this.isSigningIn = ko.observable(false);
+
+            this.isSignedIn = ko.pureComputed(function () {
+                return self.user() !== null;
+            });
+
+            /**
+             * The user's role: ROLE_RESPONDER or ROLE_PUBLIC.
+             */
+            this.role = ko.pureComputed(function () {
+                var user = self.user();
+                if (!self.isRequired) {
+                    return FireAuth.ROLE_RESPONDER;
+                }
+                return user && user.role === FireAuth.ROLE_RESPONDER ? FireAuth.ROLE_RESPONDER : FireAuth.ROLE_PUBLIC;
+            });
+
+            /**
+             * Flag indicating the user may edit, extinguish, delete and revert the existing fires.
+             */
+            this.canEdit = ko.pureComputed(function () {
+                return self.role() === FireAuth.ROLE_RESPONDER;
+            });
+
+            /**
+             * Flag indicating the user may mark fires as verified.
+             */
+            this.canVerify = ko.pureComputed(function () {
+                return self.role() === FireAuth.ROLE_RESPONDER;
+            });
+
+            if (this.isRequired) {
+                dataSource.onSessionChanged = function (session) {
+                    self.onSessionChanged(session);
+                };
+                this.restoreSession();
+            }
+        };
+
+        /**
+         * Signs in to the data source.
+         * @param {String} username
+         * @param {String} password
+         * @returns {Promise} Resolves with the user; rejects with an error whose message
+         * is suitable for display.
+         */
+        FireAuth.prototype.signIn = function (username, password) {
+            var self = this;
+
+            this.isSigningIn(true);
+            return this.dataSource.signIn(username, password).then(function (session) {
+                self.isSigningIn(false);
+                return session.user;
+            }, function (error) {
+                self.isSigningIn(false);
+                log.error("FireAuth", "signIn", error.message);
+                throw new Error(error.status === 401 ?
+                    "Invalid username or password." : "Unable to sign in. Please try again later.");
+            });
+        };
+
+        /**
+         * Signs out of the data source.
+         * @returns {Promise} Resolves when signed out.
+         */
+        FireAuth.prototype.signOut = function () {
+            return this.dataSource.signOut();
+        };
+
+        /**
+         * Records the data source's new session, or its end.
+         * @param {Object} session {accessToken, refreshToken, expires, user}, or null.
+         */
+        FireAuth.prototype.onSessionChanged = function (session) {
+            FireAuth.saveSession(session);
+            this.user(session ? session.user : null);
+        };
+
+        /**
+         * Resumes the session saved by an earlier page load, if any.
+         */
+        FireAuth.prototype.restoreSession = function () {
+            var session = FireAuth.loadSession();
+            if (session && this.dataSource.restoreSession) {
+                this.dataSource.restoreSession(session);
+            }
+        };
+
+        /**
+         * Loads the saved session.
+         * @returns {Object} The session, or null if there isn't a valid one.
+         */
+        FireAuth.loadSession = function () {
+            var session;
+            try {
+                session = JSON.parse(localStorage.getItem(constants.STORAGE_KEY_FIRE_SESSION));
+            } catch (e) {
+                log.error("FireAuth", "loadSession", "Error parsing the saved session: " + e.toString());
+                return null;
+            }
+            if (!session || typeof session.refreshToken !== "string" || !session.user) {
+                return null;
+            }
+            return session;
+        };
+
+        /**
+         * Saves the session, or removes the saved session if null.
+         * @param {Object} session
+         */
+        FireAuth.saveSession = function (session) {
+            if (session) {
+                localStorage.setItem(constants.STORAGE_KEY_FIRE_SESSION, JSON.stringify(session));
+            } else {
+                localStorage.removeItem(constants.STORAGE_KEY_FIRE_SESSION);
+            }
+        };
+
+        /**
+         * The role of anonymous and public users: they may only submit new, unverified reports.
+         * @type {String}
+         */
+        FireAuth.ROLE_PUBLIC = "public";
+
+        /**
+         * The role of the responders: they may verify, edit, extinguish and delete the fires.
+         * @type {String}
+         */
+        FireAuth.ROLE_RESPONDER = "responder";
+
+        return FireAuth;
+    }
+);
@@ -0,0 +1,460 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define*/
+
+/**
+ * The FireBuffer module computes the buffer rings around the fires: geodesic circles
+ * at given distances from the fires, and the hazard areas formed by the union of the
+ * overlapping circles. A union is traced on a latitude/longitude grid covering the
+ * overlapping circles with the marching squares algorithm, where each grid node's value
+ * is its great circle distance to the nearest circle; the error is a small fraction
+ * of the grid cell size (see CELLS_PER_RADIUS).
+ *
+ * A hazard area is an array of polygons, and a polygon is an array of rings: the outer
+ * ring followed by its holes. A ring is an array of {latitude, longitude} vertices that
+ * is closed implicitly; outer rings are counterclockwise and holes are clockwise.
+ *
+ * @param {FirePerimeter} firePerimeter
+ * @param {GeoRegion} geoRegion
+ * @returns {FireBuffer}
+ */
+define(['model/fires/FirePerimeter', 'model/util/GeoRegion'],
+    function (firePerimeter, geoRegion) {
+        "use strict";
+
+        // The segments of each marching squares case, by cell edge: B(ottom), R(ight), T(op), L(eft).
+        // The corners are numbered 1: bottom-left, 2: bottom-right, 4: top-right and 8: top-left.
+        // The saddles, 5 and 10, are resolved by the value at the cell's center.
+        var SEGMENTS = [
+            [], [["L", "B"]], [["B", "R"]], [["L", "R"]],
+            [["R", "T"]], null, [["B", "T"]], [["L", "T"]],
+            [["T", "L"]], [["B", "T"]], null, [["R", "T"]],
+            [["L", "R"]], [["B", "R"]], [["L", "B"]], []
+        ];
+
+        var FireBuffer = {
+            /**
+             * Parses a list of ring distances, e.g., "1, 5, 10".
+             * @param {String} text The distances in kilometers separated by commas or spaces.
+             * @returns {Number[]} The valid positive distances, ascending, without duplicates.
+             */
+            parseDistances: function (text) {
+                var distances = [];
+                String(text || "").split(/[\s,;]+/).forEach(function (token) {
+                    var distance = Number(token);
+                    if (token !== "" && isFinite(distance) && distance > 0 && distances.indexOf(distance) < 0) {
+                        distances.push(distance);
+                    }
+                });
+                return distances.sort(function (a, b) {
+                    return a - b;
+                });
+            },
+
+            /**
+             * Computes the location at a distance and bearing from a location on a great circle.
+             * @param {Number} latitude Degrees
+             * @param {Number} longitude Degrees
+             * @param {Number} bearing Degrees clockwise from north
+             * @param {Number} distance Meters
+             * @returns {Object} {latitude, longitude}
+             */
+            destination: function (latitude, longitude, bearing, distance) {
+                var lat1 = FireBuffer.toRadians(latitude),
+                    lon1 = FireBuffer.toRadians(longitude),
+                    theta = FireBuffer.toRadians(bearing),
+                    delta = distance / firePerimeter.EARTH_RADIUS,
+                    lat2 = Math.asin(Math.sin(lat1) * Math.cos(delta) + Math.cos(lat1) * Math.sin(delta) * Math.cos(theta)),
+                    lon2 = lon1 + Math.atan2(Math.sin(theta) * Math.sin(delta) * Math.cos(lat1),
+                        Math.cos(delta) - Math.sin(lat1) * Math.sin(lat2));
+
+                return {
+                    latitude: lat2 * 180 / Math.PI,
+                    longitude: ((lon2 * 180 / Math.PI) + 540) % 360 - 180
+                };
+            },
+
+            /**
+             * Computes the vertices of a geodesic circle.
+             * @param {Number} latitude The center's latitude in degrees.
+             * @param {Number} longitude The center's longitude in degrees.
+             * @param {Number} radius Meters
+             * @param {Number} segments Optional. The number of vertices; default CIRCLE_SEGMENTS.
+             * @returns {Object[]} The counterclockwise ring, starting north of the center.
+             */
+            circle: function (latitude, longitude, radius, segments) {
+                var count = segments || FireBuffer.CIRCLE_SEGMENTS,
+                    ring = [],
+                    i;
+                for (i = 0; i < count; i++) {
+                    ring.push(FireBuffer.destination(latitude, longitude, -360 * i / count, radius));
+                }
+                return ring;
+            },
+
+            /**
+             * Computes the union of circles: the overlapping circles are merged into one
+             * polygon, which may have holes; a circle that doesn't overlap another is its own
+             * polygon. Circles crossing the antimeridian are not supported.
+             * @param {Object[]} circles {latitude, longitude, radius: meters}
+             * @param {Object} options Optional. {cellsPerRadius, maxCells}; see CELLS_PER_RADIUS and MAX_CELLS.
+             * @returns {Object[][][]} The polygons.
+             */
+            union: function (circles, options) {
+                var args = options || {},
+                    valid = circles.filter(function (circle) {
+                        return isFinite(circle.latitude) && isFinite(circle.longitude) && circle.radius > 0;
+                    }),
+                    polygons = [];
+
+                FireBuffer.clusters(valid).forEach(function (cluster) {
+                    if (cluster.length === 1) {
+                        polygons.push([FireBuffer.circle(cluster[0].latitude, cluster[0].longitude, cluster[0].radius)]);
+                    } else {
+                        polygons = polygons.concat(FireBuffer.traceUnion(cluster,
+                            args.cellsPerRadius || FireBuffer.CELLS_PER_RADIUS, args.maxCells || FireBuffer.MAX_CELLS));
+                    }
+                });
+                return polygons;
+            },
+
+            /**
+             * Groups the circles that overlap, directly or through other circles.
+             * @param {Object[]} circles {latitude, longitude, radius: meters}
+             * @returns {Object[][]} The groups of circles.
+             */
+            clusters: function (circles) {
+                var parents = circles.map(function (circle, i) {
+                        return i;
+                    }),
+                    groups = {},
+                    find = function (i) {
+                        while (parents[i] !== i) {
+                            parents[i] = parents[parents[i]];
+                            i = parents[i];
+                        }
+                        return i;
+                    },
+                    i, j, a, b;
+
+                for (i = 0; i < circles.length; i++) {
+                    for (j = i + 1; j < circles.length; j++) {
+                        a = circles[i];
+                        b = circles[j];
+                        if (firePerimeter.distance(a.latitude, a.longitude, b.latitude, b.longitude) < a.radius + b.radius) {
+                            parents[find(j)] = find(i);
+                        }
+                    }
+                }
+                circles.forEach(function (circle, i) {
+                    var root = find(i);
+                    (groups[root] = groups[root] || []).push(circle);
+                });
+                return Object.keys(groups).map(function (root) {
+                    return groups[root];
+                });
+            },
+
+            // Internal. Traces the union of overlapping circles with marching squares.
+            traceUnion: function (circles, cellsPerRadius, maxCells) {
+                var minRadius = Math.min.apply(null, circles.map(function (circle) {
+                        return circle.radius;
+                    })),
+                    south = Infinity, north = -Infinity, west = Infinity, east = -Infinity,
+                    metersPerDegree = firePerimeter.EARTH_RADIUS * Math.PI / 180,
+                    step, latStep, lonStep, scale, rows, cols, values, row, i, j, segments, rings;
+
+                circles.forEach(function (circle) {
+                    var dLat = circle.radius / metersPerDegree,
+                        dLon = dLat / Math.max(Math.cos(FireBuffer.toRadians(circle.latitude)), 0.01);
+                    south = Math.min(south, circle.latitude - dLat);
+                    north = Math.max(north, circle.latitude + dLat);
+                    west = Math.min(west, circle.longitude - dLon);
+                    east = Math.max(east, circle.longitude + dLon);
+                });
+
+                // Size the cells to the smallest circle, within the grid size limit
+                step = minRadius / cellsPerRadius;
+                latStep = step / metersPerDegree;
+                lonStep = latStep / Math.max(Math.cos(FireBuffer.toRadians((south + north) / 2)), 0.01);
+                if ((north - south) / latStep + 2 > maxCells || (east - west) / lonStep + 2 > maxCells) {
+                    scale = Math.max((north - south) / latStep, (east - west) / lonStep) / (maxCells - 4);
+                    latStep *= scale;
+                    lonStep *= scale;
+                }
+                // Pad the grid so that its border is outside the circles and the rings close
+                south -= latStep;
+                west -= lonStep;
+                rows = Math.ceil((north - south) / latStep) + 2;
+                cols = Math.ceil((east - west) / lonStep) + 2;
+
+                values = [];
+                for (i = 0; i < rows; i++) {
+                    row = [];
+                    for (j = 0; j < cols; j++) {
+                        row.push(FireBuffer.fieldValue(circles, south + i * latStep, west + j * lonStep));
+                    }
+                    values.push(row);
+                }
+
+                segments = FireBuffer.contourSegments(values, function (i, j) {
+                    return FireBuffer.fieldValue(circles, south + (i + 0.5) * latStep, west + (j + 0.5) * lonStep);
+                });
+                rings = FireBuffer.linkSegments(segments).map(function (ring) {
+                    return ring.map(function (point) {
+                        return {latitude: south + point.i * latStep, longitude: west + point.j * lonStep};
+                    });
+                });
+                return FireBuffer.assemblePolygons(rings);
+            },
+
+            /**
+             * Gets the signed distance from a location to the nearest of the circles.
+             * @param {Object[]} circles {latitude, longitude, radius: meters}
+             * @param {Number} latitude
+             * @param {Number} longitude
+             * @returns {Number} Meters; negative inside a circle.
+             */
+            fieldValue: function (circles, latitude, longitude) {
+                var value = Infinity,
+                    i, len;
+                for (i = 0, len = circles.length; i < len; i++) {
+                    value = Math.min(value, firePerimeter.distance(latitude, longitude,
+                        circles[i].latitude, circles[i].longitude) - circles[i].radius);
+                }
+                return value;
+            },
+
+            // Internal. Computes the contour segments between the grid cells' edges where the values cross zero.
+            // The points are in fractional grid coordinates {i: row, j: column, key: edge id}.
+            contourSegments: function (values, centerValue) {
+                var segments = [],
+                    rows = values.length,
+                    cols = values[0].length,
+                    point = function (i, j, edge) {
+                        var i0 = edge === "T" ? i + 1 : i,
+                            j0 = edge === "R" ? j + 1 : j,
+                            isHorizontal = edge === "B" || edge === "T",
+                            v0 = values[i0][j0],
+                            v1 = isHorizontal ? values[i0][j0 + 1] : values[i0 + 1][j0],
+                            t = v0 / (v0 - v1);
+                        return {
+                            i: isHorizontal ? i0 : i0 + t,
+                            j: isHorizontal ? j0 + t : j0,
+                            key: (isHorizontal ? "h" : "v") + i0 + ":" + j0
+                        };
+                    },
+                    i, j, index, pairs;
+
+                for (i = 0; i < rows - 1; i++) {
+                    for (j = 0; j < cols - 1; j++) {
+                        index = (values[i][j] < 0 ? 1 : 0) | (values[i][j + 1] < 0 ? 2 : 0) |
+                            (values[i + 1][j + 1] < 0 ? 4 : 0) | (values[i + 1][j] < 0 ? 8 : 0);
+                        pairs = SEGMENTS[index];
+                        if (index === 5) {
+                            pairs = centerValue(i, j) < 0 ? [["B", "R"], ["T", "L"]] : [["L", "B"], ["R", "T"]];
+                        } else if (index === 10) {
+                            pairs = centerValue(i, j) < 0 ? [["L", "B"], ["R", "T"]] : [["B", "R"], ["T", "L"]];
+                        }
+                        pairs.forEach(function (pair) {
+                            segments.push([point(i, j, pair[0]), point(i, j, pair[1])]);
+                        });
+                    }
+                }
+                return segments;
+            },
+
+            // Internal. Links the contour segments that share edge points into closed rings.
+            linkSegments: function (segments) {
+                var byKey = {},
+                    used = [],
+                    rings = [],
+                    s, ring, start, current, next, candidates, k;
+
+                segments.forEach(function (segment, index) {
+                    segment.forEach(function (point) {
+                        (byKey[point.key] = byKey[point.key] || []).push(index);
+                    });
+                });
+                for (s = 0; s < segments.length; s++) {
+                    if (used[s]) {
+                        continue;
+                    }
+                    used[s] = true;
+                    start = segments[s][0];
+                    ring = [start];
+                    current = segments[s][1];
+                    while (current.key !== start.key) {
+                        ring.push(current);
+                        candidates = byKey[current.key];
+                        next = null;
+                        for (k = 0; k < candidates.length; k++) {
+                            if (!used[candidates[k]]) {
+                                next = candidates[k];
+                                break;
+                            }
+                        }
+                        if (next === null) {
+                            break;  // Open contour; can't happen on a padded grid
+                        }
+                        used[next] = true;
+                        current = segments[next][0].key === current.key ? segments[next][1] : segments[next][0];
+                    }
+                    if (ring.length >= 3) {
+                        rings.push(ring);
+                    }
+                }
+                return rings;
+            },
+
+            /**
+             * Arranges rings into polygons: a ring inside an odd number of rings is a hole of
+             * the smallest ring containing it. The rings are oriented: outer rings counterclockwise,
+             * holes clockwise.
+             * @param {Object[][]} rings Non-intersecting rings of {latitude, longitude}.
+             * @returns {Object[][][]} The polygons.
+             */
+            assemblePolygons: function (rings) {
+                var entries = rings.map(function (ring) {
+                        return {ring: ring, area: Math.abs(FireBuffer.signedArea(ring)), parents: []};
+                    }),
+                    polygons = [];
+
+                entries.forEach(function (entry) {
+                    entry.parents = entries.filter(function (other) {
+                        return other !== entry && other.area > entry.area &&
+                            geoRegion.containsLocation(other.ring, entry.ring[0].latitude, entry.ring[0].longitude);
+                    });
+                    entry.isHole = entry.parents.length % 2 === 1;
+                });
+                entries.forEach(function (entry) {
+                    if (!entry.isHole) {
+                        entry.polygon = [FireBuffer.orient(entry.ring, true)];
+                        polygons.push(entry.polygon);
+                    }
+                });
+                entries.forEach(function (entry) {
+                    var outer;
+                    if (entry.isHole) {
+                        outer = entry.parents.filter(function (parent) {
+                            return !parent.isHole;
+                        }).sort(function (a, b) {
+                            return a.area - b.area;
+                        })[0];
+                        outer.polygon.push(FireBuffer.orient(entry.ring, false));
+                    }
+                });
+                return polygons;
+            },
+
+            /**
+             * Computes the signed area of a ring in square degrees.
+             * @param {Object[]} ring {latitude, longitude}
+             * @returns {Number} Positive if the ring is counterclockwise.
+             */
+            signedArea: function (ring) {
+                var sum = 0,
+                    i, len, a, b;
+                for (i = 0, len = ring.length; i < len; i++) {
+                    a = ring[i];
+                    b = ring[(i + 1) % len];
+                    sum += a.longitude * b.latitude - b.longitude * a.latitude;
+                }
+                return sum / 2;
+            },
+
+            /**
+             * Orients a ring.
+             * @param {Object[]} ring {latitude, longitude}
+             * @param {Boolean} counterclockwise
+             * @returns {Object[]} The ring, or a reversed copy of it.
+             */
+            orient: function (ring, counterclockwise) {
+                return (FireBuffer.signedArea(ring) > 0) === counterclockwise ? ring : ring.slice().reverse();
+            },
+
+            /**
+             * Converts hazard areas to a GeoJSON FeatureCollection with a MultiPolygon
+             * feature for each distance.
+             * @param {Object[]} areas {distance: kilometers, polygons}
+             * @param {Object} properties Optional. Properties added to every feature.
+             * @returns {Object} The FeatureCollection.
+             */
+            toGeoJson: function (areas, properties) {
+                var toPosition = function (location) {
+                        return [FireBuffer.round(location.longitude, 6), FireBuffer.round(location.latitude, 6)];
+                    };
+                return {
+                    type: "FeatureCollection",
+                    features: areas.map(function (area) {
+                        return {
+                            type: "Feature",
+                            geometry: {
+                                type: "MultiPolygon",
+                                coordinates: area.polygons.map(function (polygon) {
+                                    return polygon.map(function (ring) {
+                                        var positions = ring.map(toPosition);
+                                        positions.push(positions[0]);
+                                        return positions;
+                                    });
+                                })
+                            },
+                            properties: Object.assign({distance_km: area.distance}, properties)
+                        };
+                    })
+                };
+            },
+
+            /**
+             * Formats a ring distance.
+             * @param {Number} kilometers
+             * @returns {String} E.g., "5 km".
+             */
+            formatDistance: function (kilometers) {
+                return FireBuffer.round(kilometers, 2) + " km";
+            },
+
+            /**
+             * Rounds a number to a number of decimal places.
+             * @param {Number} value
+             * @param {Number} places
+             * @returns {Number}
+             */
+            round: function (value, places) {
+                var factor = Math.pow(10, places);
+                return Math.round(value * factor) / factor;
+            },
+
+            /**
+             * Converts degrees to radians.
+             * @param {Number} degrees
+             * @returns {Number}
+             */
+            toRadians: function (degrees) {
+                return degrees * Math.PI / 180;
+            },
+
+            /**
+             * The number of vertices of a ring's circle.
+             * @type {Number}
+             */
+            CIRCLE_SEGMENTS: 72,
+
+            /**
+             * The number of grid cells across the radius of the smallest circle of a union.
+             * @type {Number}
+             */
+            CELLS_PER_RADIUS: 12,
+
+            /**
+             * The maximum number of grid cells along each side of a union's grid.
+             * @type {Number}
+             */
+            MAX_CELLS: 300
+        };
+
+        return FireBuffer;
+    }
+);
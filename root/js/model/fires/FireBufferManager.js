@@ -0,0 +1,302 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define, WorldWind*/
+
+/**
+ * The FireBufferManager draws evacuation and hazard buffer rings around the fires:
+ * concentric geodesic circles at the configured distances around the selected fire or
+ * all the active fires, labeled with their distances. The rings follow the fires as
+ * they're dragged. The overlapping rings of the same distance can be merged into hazard
+ * areas, which are exported as GeoJSON (see FireBuffer).
+ *
+ * @param {Constants} constants
+ * @param {FireBuffer} fireBuffer
+ * @param {FireExchange} FireExchange
+ * @param {Knockout} ko
+ * @param {Log} log
+ * @param {Moment} moment
+ * @param {JQuery} $
+ * @returns {FireBufferManager}
+ */
+define([
+    'model/Constants',
+    'model/fires/FireBuffer',
+    'model/fires/FireExchange',
+    'knockout',
+    'model/util/Log',
+    'moment',
+    'jquery',
+    'jquery-growl',
+    'worldwind'],
+    function (
+        constants,
+        fireBuffer,
+        FireExchange,
+        ko,
+        log,
+        moment,
+        $) {
+        "use strict";
+
+        /**
+         * @constructor
+         * @param {Globe} globe The globe that displays the rings and provides the selected fire.
+         * @param {SymbolManager} symbolManager The manager of the fire symbols.
+         */
+        var FireBufferManager = function (globe, symbolManager) {
+            var self = this;
+
+            this.globe = globe;
+            this.symbolManager = symbolManager;
+
+            /**
+             * The layer containing the rings and their labels.
+             * @type {WorldWind.RenderableLayer}
+             */
+            this.layer = new WorldWind.RenderableLayer(constants.LAYER_NAME_FIRE_BUFFERS);
+            globe.layerManager.addDataLayer(this.layer, {
+                enabled: true,
+                pickEnabled: false,
+                opacity: 1.0
+            });
+
+            /**
+             * The fires that are buffered: one of the MODE_* values.
+             * @type {String} observable
+             */
+            this.mode = ko.observable(FireBufferManager.MODE_NONE);
+            this.modeOptions = [
+                {name: "None", value: FireBufferManager.MODE_NONE},
+                {name: "Selected fire", value: FireBufferManager.MODE_SELECTED},
+                {name: "All active fires", value: FireBufferManager.MODE_ACTIVE}
+            ];
+
+            /**
+             * The ring distances entered by the user, in kilometers, e.g., "1, 5, 10".
+             * @type {String} observable
+             */
+            this.distancesText = ko.observable(FireBufferManager.DEFAULT_DISTANCES);
+
+            /**
+             * The valid ring distances in kilometers, ascending.
+             */
+            this.distances = ko.pureComputed(function () {
+                return fireBuffer.parseDistances(self.distancesText());
+            });
+
+            /**
+             * The fire buffered in the MODE_SELECTED mode: the last fire selected on the globe
+             * or in the panel.
+             * @type {TacticalSymbol} observable
+             */
+            this.selectedSymbol = ko.observable(null);
+
+            /**
+             * Flag to merge the overlapping rings of the same distance into hazard areas.
+             * @type {Boolean} observable
+             */
+            this.isUnioned = ko.observable(false);
+
+            /**
+             * The fires that are buffered.
+             */
+            this.bufferedSymbols = ko.pureComputed(function () {
+                var symbols = self.symbolManager.symbols(),
+                    selected = self.selectedSymbol();
+
+                switch (self.mode()) {
+                    case FireBufferManager.MODE_SELECTED:
+                        return selected && symbols.indexOf(selected) >= 0 ? [selected] : [];
+                    case FireBufferManager.MODE_ACTIVE:
+                        return symbols.filter(function (symbol) {
+                            return !symbol.isExtinguished();
+                        });
+                    default:
+                        return [];
+                }
+            });
+
+            /**
+             * The summary of the rings for the view.
+             */
+            this.summaryText = ko.pureComputed(function () {
+                var count = self.bufferedSymbols().length;
+                return count === 0 ? "No fires buffered." :
+                    count + " fire(s) buffered at " + self.distances().map(fireBuffer.formatDistance).join(", ") + ".";
+            });
+
+            // Buffer the fires selected on the globe
+            globe.selectController.lastSelectedItem.subscribe(function (item) {
+                if (item && symbolManager.symbols().indexOf(item) >= 0) {
+                    self.selectedSymbol(item);
+                }
+            });
+
+            // Redraw the rings when the fires, their locations or the settings change,
+            // e.g., while a fire is dragged by the PickController
+            this.renderer = ko.computed(function () {
+                self.render();
+            }).extend({rateLimit: FireBufferManager.UPDATE_DELAY});
+        };
+
+        /**
+         * Gets the circles of the buffered fires at a distance.
+         * @param {TacticalSymbol[]} symbols
+         * @param {Number} distance Kilometers
+         * @returns {Object[]} {latitude, longitude, radius: meters}
+         */
+        FireBufferManager.prototype.circlesAt = function (symbols, distance) {
+            return symbols.map(function (symbol) {
+                return {
+                    latitude: parseFloat(symbol.latitude()),
+                    longitude: parseFloat(symbol.longitude()),
+                    radius: distance * 1000
+                };
+            }).filter(function (circle) {
+                return !isNaN(circle.latitude) && !isNaN(circle.longitude);
+            });
+        };
+
+        /**
+         * Computes the hazard areas of the buffered fires: the union of their rings at each distance.
+         * @returns {Object[]} {distance: kilometers, polygons} (see FireBuffer)
+         */
+        FireBufferManager.prototype.hazardAreas = function () {
+            var self = this,
+                symbols = this.bufferedSymbols();
+
+            return this.distances().map(function (distance) {
+                return {distance: distance, polygons: fireBuffer.union(self.circlesAt(symbols, distance))};
+            });
+        };
+
+        /**
+         * Replaces the rings and their labels. Invoked by the renderer.
+         */
+        FireBufferManager.prototype.render = function () {
+            var self = this,
+                symbols = this.bufferedSymbols(),
+                distances = this.distances();
+
+            this.layer.removeAllRenderables();
+            if (this.isUnioned()) {
+                this.hazardAreas().forEach(function (area, index) {
+                    area.polygons.forEach(function (polygon) {
+                        var north = polygon[0].reduce(function (a, b) {
+                            return b.latitude > a.latitude ? b : a;
+                        });
+                        self.layer.addRenderable(new WorldWind.SurfacePolygon(polygon.map(function (ring) {
+                            return ring.map(function (location) {
+                                return new WorldWind.Location(location.latitude, location.longitude);
+                            });
+                        }), FireBufferManager.ringAttributes(index)));
+                        self.layer.addRenderable(FireBufferManager.createLabel(north, area.distance));
+                    });
+                });
+            } else {
+                symbols.forEach(function (symbol) {
+                    self.circlesAt([symbol], 0).forEach(function (center) {
+                        distances.forEach(function (distance, index) {
+                            self.layer.addRenderable(new WorldWind.SurfaceCircle(
+                                new WorldWind.Location(center.latitude, center.longitude), distance * 1000,
+                                FireBufferManager.ringAttributes(index)));
+                            self.layer.addRenderable(FireBufferManager.createLabel(
+                                fireBuffer.destination(center.latitude, center.longitude, 0, distance * 1000), distance));
+                        });
+                    });
+                });
+            }
+            this.globe.redraw();
+        };
+
+        /**
+         * Downloads the hazard areas of the buffered fires as GeoJSON. Invoked by the view.
+         */
+        FireBufferManager.prototype.exportHazardAreas = function () {
+            var symbols = this.bufferedSymbols(),
+                fileName = "hazard-areas-" + moment().format("YYYYMMDD-HHmm") + ".geojson";
+
+            if (symbols.length === 0 || this.distances().length === 0) {
+                $.growl.warning({title: "Nothing to Export", message: "Select the fires to buffer and the ring distances."});
+                return;
+            }
+            try {
+                FireExchange.download(JSON.stringify(fireBuffer.toGeoJson(this.hazardAreas(), {
+                    fires: symbols.map(function (symbol) {
+                        return symbol.name();
+                    })
+                })), fileName, "application/geo+json");
+            } catch (error) {
+                log.error("FireBufferManager", "exportHazardAreas", error.message);
+                $.growl.error({title: "Export Failed", message: $("<div></div>").text(error.message).html()});
+            }
+        };
+
+        /**
+         * Creates a ring's distance label.
+         * @param {Object} location {latitude, longitude}
+         * @param {Number} distance Kilometers
+         * @returns {WorldWind.GeographicText}
+         */
+        FireBufferManager.createLabel = function (location, distance) {
+            var label = new WorldWind.GeographicText(new WorldWind.Position(location.latitude, location.longitude, 0),
+                fireBuffer.formatDistance(distance));
+            label.altitudeMode = WorldWind.CLAMP_TO_GROUND;
+            label.attributes = FireBufferManager.LABEL_ATTRIBUTES;
+            return label;
+        };
+
+        /**
+         * Gets the attributes of the nth ring from the fire; the outer rings use the last color.
+         * @param {Number} index
+         * @returns {WorldWind.ShapeAttributes}
+         */
+        FireBufferManager.ringAttributes = function (index) {
+            var colors = FireBufferManager.RING_COLORS,
+                color = colors[Math.min(index, colors.length - 1)],
+                attributes = FireBufferManager.attributesCache[index];
+
+            if (!attributes) {
+                attributes = new WorldWind.ShapeAttributes(null);
+                attributes.drawInterior = true;
+                attributes.drawOutline = true;
+                attributes.interiorColor = new WorldWind.Color(color[0], color[1], color[2], 0.1);
+                attributes.outlineColor = new WorldWind.Color(color[0], color[1], color[2], 1);
+                attributes.outlineWidth = 2;
+                FireBufferManager.attributesCache[index] = attributes;
+            }
+            return attributes;
+        };
+
+        // Internal. The ring attributes by index.
+        FireBufferManager.attributesCache = [];
+
+        /** No fires are buffered. */
+        FireBufferManager.MODE_NONE = "none";
+        /** The selected fire is buffered. */
+        FireBufferManager.MODE_SELECTED = "selected";
+        /** The fires that aren't extinguished are buffered. */
+        FireBufferManager.MODE_ACTIVE = "active";
+
+        /** The default ring distances in kilometers. */
+        FireBufferManager.DEFAULT_DISTANCES = "1, 5, 10";
+
+        /** The delay in milliseconds before the rings are redrawn after a change. */
+        FireBufferManager.UPDATE_DELAY = 100;
+
+        /** The RGB colors of the rings from the fire outward. */
+        FireBufferManager.RING_COLORS = [[1, 0, 0], [1, 0.5, 0], [1, 0.85, 0]];
+
+        /** The attributes of the ring labels. */
+        FireBufferManager.LABEL_ATTRIBUTES = (function () {
+            var attributes = new WorldWind.TextAttributes(null);
+            attributes.color = WorldWind.Color.WHITE;
+            attributes.depthTest = false;
+            return attributes;
+        }());
+
+        return FireBufferManager;
+    }
+);
@@ -0,0 +1,264 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define*/
+
+/**
+ * The FireDataSource module defines the interface shared by the interchangeable
+ * fire report backends (REST API, GeoJSON file, local store).
+ *
+ * All backends exchange fire records using the row schema of the fires REST API:
+ * <pre>
+ *  {
+ *      fid: unique fire id,
+ *      fire_lat: latitude in degrees,
+ *      fire_lon: longitude in degrees,
+ *      fire_alt: altitude in meters,
+ *      reportedtimemark: time reported,
+ *      fire_extinguished: time extinguished or null,
+ *      fire_verified: verified flag,
+ *      fire_size, fire_containment, fire_cause, fire_fuel, fire_structures,
+ *      fire_description: the optional incident attributes or null (see FireIncident),
+ *      fire_perimeters: the perimeter versions, oldest first (see FirePerimeter),
+ *      fire_merged_reports: the reports merged into the fire, [{id, time}] (see FireDuplicateDetector),
+ *      fire_history: the audit trail of the fire's changes, oldest first (see FireHistory)
+ *  }
+ * </pre>
+ * and they accept create/update parameters in the form
+ * <code>{lat: Number, lon: Number, alt: Number, verified: Boolean, exttime: String}</code>
+ * plus the incident attributes <code>{size, containment, cause, fuel, structures, description}</code>
+ * and the perimeter history <code>{perimeters: [version, ...]}</code> and the merged reports
+ * <code>{merged_reports: [{id, time}, ...]}</code>, and the id of the
+ * client making the change, <code>{client: String}</code>, recorded in the fire's history.
+ * A data source that supports incremental retrieval (see supportsSince) may also
+ * return deleted fires as records with a <code>deleted: true</code> property.
+ * Operations that fail permanently reject with an error whose <code>retryable</code>
+ * property is false so that the FireOutbox doesn't repeat them.
+ *
+ * @returns {FireDataSource}
+ */
+define(['model/fires/FireHistory', 'model/fires/FireIncident'],
+    function (fireHistory, fireIncident) {
+        "use strict";
+
+        /**
+         * Base constructor for the fire data sources. Do not instantiate directly;
+         * see FireDataSourceFactory.
+         * @constructor
+         * @param {Object} options The data source configuration (see Config.fireDataSource).
+         */
+        var FireDataSource = function (options) {
+            this.options = options || {};
+
+            /**
+             * Flag indicating listFires honors its "since" argument. When false,
+             * listFires always returns the complete set of fires.
+             * @type {Boolean}
+             */
+            this.supportsSince = false;
+
+            /**
+             * The time of the latest change returned by listFires, by the data source's clock,
+             * or null if the data source doesn't report it. It is passed back as the "since"
+             * of the next listFires so that the client's clock doesn't affect the changes listed.
+             * @type {Date}
+             */
+            this.syncToken = null;
+
+            /**
+             * Flag indicating the data source accepts the photos and files attached to
+             * the fires (see uploadAttachment and FireAttachments).
+             * @type {Boolean}
+             */
+            this.supportsAttachments = false;
+
+            /**
+             * Flag indicating the data source requires signing in to change the fires
+             * (see signIn and FireAuth). When false, everyone may make any change.
+             * @type {Boolean}
+             */
+            this.supportsAuth = false;
+
+            /**
+             * Optional callback invoked with the new session, or null, when a data source that
+             * supports auth signs in or out, refreshes its tokens or its session expires.
+             * @type {Function}
+             */
+            this.onSessionChanged = null;
+        };
+
+        /**
+         * Retrieves the fire records.
+         * @param {Date} since Optional. If supportsSince is true, only the fires changed
+         * since this time are returned.
+         * @returns {Promise} Resolves with an array of fire records.
+         */
+        FireDataSource.prototype.listFires = function (since) {
+            return FireDataSource.notImplemented("listFires");
+        };
+
+        /**
+         * Creates a new fire record.
+         * @param {Object} params The {lat, lon, alt} and the optional incident attributes of the new fire.
+         * @param {String} requestId Optional. Identifies the create so that a repeated request,
+         * e.g., a retry after a timeout, returns the fire created by the first one.
+         * @returns {Promise} Resolves with the new fire record, if the backend supplies one.
+         */
+        FireDataSource.prototype.createFire = function (params, requestId) {
+            return FireDataSource.notImplemented("createFire");
+        };
+
+        /**
+         * Updates an existing fire record.
+         * @param {String|Number} fid The id of the fire to update.
+         * @param {Object} params The {lat, lon, alt, verified, exttime} values and incident attributes to apply.
+         * @returns {Promise} Resolves with the updated fire record, if the backend supplies one.
+         */
+        FireDataSource.prototype.updateFire = function (fid, params) {
+            return FireDataSource.notImplemented("updateFire");
+        };
+
+        /**
+         * Deletes a fire record.
+         * @param {String|Number} fid The id of the fire to delete.
+         * @returns {Promise} Resolves when the fire has been deleted.
+         */
+        FireDataSource.prototype.deleteFire = function (fid) {
+            return FireDataSource.notImplemented("deleteFire");
+        };
+
+        /**
+         * Uploads a photo or file attached to a fire.
+         * @param {String|Number} fid The id of the fire.
+         * @param {Object} attachment {id, name, type, dataUrl, created} (see FireAttachments).
+         * @returns {Promise} Resolves when the data source has stored the attachment.
+         */
+        FireDataSource.prototype.uploadAttachment = function (fid, attachment) {
+            return FireDataSource.notImplemented("uploadAttachment");
+        };
+
+        /**
+         * Signs in to the data source.
+         * @param {String} username
+         * @param {String} password
+         * @returns {Promise} Resolves with the session: {accessToken, refreshToken, expires, user: {username, role}}.
+         */
+        FireDataSource.prototype.signIn = function (username, password) {
+            return FireDataSource.notImplemented("signIn");
+        };
+
+        /**
+         * Signs out of the data source.
+         * @returns {Promise} Resolves when signed out.
+         */
+        FireDataSource.prototype.signOut = function () {
+            return FireDataSource.notImplemented("signOut");
+        };
+
+        /**
+         * Returns a rejected promise for an operation a backend does not support.
+         * The error's retryable property is false; see FireOutbox.
+         * @param {String} operation
+         * @returns {Promise}
+         */
+        FireDataSource.notImplemented = function (operation) {
+            var error = new Error("FireDataSource." + operation + " is not supported by this data source.");
+            error.retryable = false;
+            return Promise.reject(error);
+        };
+
+        /**
+         * Creates the error for an operation on a fire a backend doesn't have.
+         * The error's retryable property is false; see FireOutbox.
+         * @param {String} source The data source's name.
+         * @param {String|Number} fid
+         * @returns {Error}
+         */
+        FireDataSource.fireNotFound = function (source, fid) {
+            var error = new Error(source + ": fire " + fid + " not found.");
+            error.retryable = false;
+            return error;
+        };
+
+        /**
+         * Creates a new fire record from create parameters and records its creation in its history.
+         * @param {String|Number} fid The id to assign to the record.
+         * @param {Object} params The {lat, lon, alt} and the optional incident attributes of the
+         * new fire, and the client id.
+         * @returns {Object} A fire record.
+         */
+        FireDataSource.newRecord = function (fid, params) {
+            var record = {
+                fid: fid,
+                fire_lat: params.lat,
+                fire_lon: params.lon,
+                fire_alt: params.alt || 0,
+                reportedtimemark: new Date().toISOString(),
+                fire_extinguished: null,
+                fire_verified: false
+            };
+            fireIncident.FIELDS.forEach(function (field) {
+                record[field.column] = null;
+            });
+            fireIncident.applyToRecord(record, params);
+            record.fire_perimeters = [];
+            record.fire_merged_reports = [];
+            record.fire_history = [];
+            fireHistory.record(record, fireHistory.TYPE_CREATED, params.client);
+            return record;
+        };
+
+        /**
+         * Applies update parameters to a fire record and records the changes in its history.
+         * @param {Object} record The fire record to modify.
+         * @param {Object} params The {lat, lon, alt, verified, exttime} values and incident attributes to apply.
+         * @returns {Object} The modified record.
+         */
+        FireDataSource.applyParams = function (record, params) {
+            if (params.lat !== undefined) {
+                record.fire_lat = params.lat;
+            }
+            if (params.lon !== undefined) {
+                record.fire_lon = params.lon;
+            }
+            if (params.alt !== undefined) {
+                record.fire_alt = params.alt;
+            }
+            if (params.verified !== undefined) {
+                record.fire_verified = params.verified;
+            }
+            if (params.exttime !== undefined) {
+                record.fire_extinguished = params.exttime || null;
+            }
+            if (params.perimeters !== undefined) {
+                record.fire_perimeters = params.perimeters || [];
+            }
+            if (params.merged_reports !== undefined) {
+                record.fire_merged_reports = params.merged_reports || [];
+            }
+            fireIncident.applyToRecord(record, params);
+            fireHistory.record(record, fireHistory.TYPE_UPDATED, params.client);
+            return record;
+        };
+
+        /**
+         * Finds the index of the record with the given fid.
+         * @param {Object[]} records
+         * @param {String|Number} fid
+         * @returns {Number} The index, or -1 if not found.
+         */
+        FireDataSource.indexOfFire = function (records, fid) {
+            var i, len;
+            for (i = 0, len = records.length; i < len; i++) {
+                // Loose comparison: ids may round trip as strings or numbers
+                if (records[i].fid == fid) {
+                    return i;
+                }
+            }
+            return -1;
+        };
+
+        return FireDataSource;
+    }
+);
@@ -0,0 +1,55 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define*/
+
+/**
+ * The FireDataSourceFactory creates the FireDataSource selected by the configuration.
+ *
+ * @param {Constants} constants
+ * @param {GeoJsonFireDataSource} GeoJsonFireDataSource
+ * @param {LocalFireDataSource} LocalFireDataSource
+ * @param {Log} log
+ * @param {RestFireDataSource} RestFireDataSource
+ * @returns {FireDataSourceFactory}
+ */
+define([
+    'model/Constants',
+    'model/fires/GeoJsonFireDataSource',
+    'model/fires/LocalFireDataSource',
+    'model/util/Log',
+    'model/fires/RestFireDataSource'],
+    function (
+        constants,
+        GeoJsonFireDataSource,
+        LocalFireDataSource,
+        log,
+        RestFireDataSource) {
+        "use strict";
+        var FireDataSourceFactory = {
+            /**
+             * Creates a fire data source.
+             * @param {Object} options The data source configuration, e.g., config.fireDataSource:
+             * {type: "rest"|"geojson"|"local", url: String, storageKey: String}
+             * @returns {FireDataSource}
+             */
+            createDataSource: function (options) {
+                var args = options || {};
+                switch (args.type) {
+                    case constants.FIRE_DATA_SOURCE_REST:
+                        return new RestFireDataSource(args);
+                    case constants.FIRE_DATA_SOURCE_GEOJSON:
+                        return new GeoJsonFireDataSource(args);
+                    case constants.FIRE_DATA_SOURCE_LOCAL:
+                        return new LocalFireDataSource(args);
+                    default:
+                        log.warning("FireDataSourceFactory", "createDataSource",
+                            "Unknown fire data source type '" + args.type + "'. Using the local store.");
+                        return new LocalFireDataSource(args);
+                }
+            }
+        };
+        return FireDataSourceFactory;
+    }
+);
@@ -0,0 +1,348 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define*/
+
+/**
+ * The FireDuplicateDetector flags the fire reports that likely describe the same
+ * fire: active fires located within a distance of each other and reported within
+ * a time window (see Config.duplicateFireDistance and duplicateFireTimeWindow).
+ * Each symbol added to the SymbolManager, whether dropped by the user or loaded
+ * from the fire data source, is compared to the existing fires, and compared again
+ * when it's moved. Merging keeps one canonical fire, records the ids and report
+ * times of the merged reports on it, saves it to the data source and deletes the
+ * merged fires.
+ *
+ * @param {Config} config
+ * @param {FireTimeFilter} FireTimeFilter
+ * @param {Knockout} ko
+ * @param {Moment} moment
+ * @param {WmtUtil} util
+ * @param {JQuery} $
+ * @returns {FireDuplicateDetector}
+ */
+define([
+    'model/Config',
+    'model/fires/FireTimeFilter',
+    'knockout',
+    'moment',
+    'model/util/WmtUtil',
+    'jquery',
+    'jquery-growl'],
+    function (
+        config,
+        FireTimeFilter,
+        ko,
+        moment,
+        util,
+        $) {
+        "use strict";
+
+        /**
+         * @constructor
+         * @param {SymbolManager} symbolManager The manager of the fire symbols.
+         * @param {FireService} fireService Optional; saves the canonical fires and deletes the
+         * merged fires from the data source.
+         */
+        var FireDuplicateDetector = function (symbolManager, fireService) {
+            var self = this;
+
+            this.symbolManager = symbolManager;
+            this.fireService = fireService || null;
+
+            /**
+             * The distance in meters within which fires are likely duplicates.
+             * @type {Number}
+             */
+            this.maxDistance = config.duplicateFireDistance || FireDuplicateDetector.DEFAULT_DISTANCE;
+
+            /**
+             * The difference in milliseconds between report times within which fires are likely duplicates.
+             * @type {Number}
+             */
+            this.maxTimeDifference = (config.duplicateFireTimeWindow || FireDuplicateDetector.DEFAULT_TIME_WINDOW) * 3600000;
+
+            // Internal. The subscriptions to the symbols' locations, keyed by symbol id.
+            this.locationSubscriptions = {};
+
+            // Route the symbols' merge actions thru this detector
+            symbolManager.duplicateDetector = this;
+
+            // Compare the added symbols to the existing fires and watch them move; forget the removed symbols.
+            symbolManager.symbols.subscribe(function (changes) {
+                changes.forEach(function (change) {
+                    if (change.moved !== undefined) {
+                        return;
+                    }
+                    if (change.status === 'added') {
+                        self.check(change.value);
+                        self.watch(change.value);
+                    } else if (change.status === 'deleted') {
+                        self.unwatch(change.value);
+                        self.forget(change.value);
+                    }
+                });
+            }, null, "arrayChange");
+        };
+
+        /**
+         * Flags the fires that are likely duplicates of the given symbol, and vice versa.
+         * @param {TacticalSymbol} symbol
+         * @returns {TacticalSymbol[]} The likely duplicates.
+         */
+        FireDuplicateDetector.prototype.check = function (symbol) {
+            var duplicates = this.findDuplicates(symbol);
+
+            duplicates.forEach(function (other) {
+                if (symbol.possibleDuplicates.indexOf(other) < 0) {
+                    symbol.possibleDuplicates.push(other);
+                }
+                if (other.possibleDuplicates.indexOf(symbol) < 0) {
+                    other.possibleDuplicates.push(symbol);
+                }
+            });
+            return duplicates;
+        };
+
+        /**
+         * Compares a symbol to the existing fires again when it's moved.
+         * @param {TacticalSymbol} symbol An added symbol.
+         */
+        FireDuplicateDetector.prototype.watch = function (symbol) {
+            var self = this,
+                location = ko.pureComputed(function () {
+                    return symbol.latitude() + "," + symbol.longitude();
+                }).extend({rateLimit: FireDuplicateDetector.MOVE_DELAY});
+
+            this.unwatch(symbol);
+            this.locationSubscriptions[symbol.id()] = location.subscribe(function () {
+                self.forget(symbol);
+                self.check(symbol);
+            });
+        };
+
+        /**
+         * Stops comparing a symbol to the other fires when it's moved.
+         * @param {TacticalSymbol} symbol A removed symbol.
+         */
+        FireDuplicateDetector.prototype.unwatch = function (symbol) {
+            var subscription = this.locationSubscriptions[symbol.id()];
+            if (subscription) {
+                subscription.dispose();
+                delete this.locationSubscriptions[symbol.id()];
+            }
+        };
+
+        /**
+         * Finds the active fires that are likely duplicates of the given symbol.
+         * @param {TacticalSymbol} symbol
+         * @returns {TacticalSymbol[]}
+         */
+        FireDuplicateDetector.prototype.findDuplicates = function (symbol) {
+            var self = this;
+
+            if (symbol.isExtinguished()) {
+                return [];
+            }
+            return this.symbolManager.symbols().filter(function (other) {
+                return other !== symbol && !other.isExtinguished() &&
+                    FireDuplicateDetector.isDuplicate(symbol, other, self.maxDistance, self.maxTimeDifference);
+            });
+        };
+
+        /**
+         * Removes a symbol from the likely duplicates of the other fires.
+         * @param {TacticalSymbol} symbol A removed symbol.
+         */
+        FireDuplicateDetector.prototype.forget = function (symbol) {
+            symbol.possibleDuplicates().forEach(function (other) {
+                other.possibleDuplicates.remove(symbol);
+            });
+            symbol.possibleDuplicates.removeAll();
+        };
+
+        /**
+         * Merges a fire and its likely duplicates into the canonical fire of the group.
+         * Invoked by the symbols list.
+         * @param {TacticalSymbol} symbol
+         * @returns {TacticalSymbol} The canonical fire.
+         */
+        FireDuplicateDetector.prototype.mergeAll = function (symbol) {
+            var self = this,
+                group = [symbol].concat(symbol.possibleDuplicates()),
+                canonical = FireDuplicateDetector.selectCanonical(group);
+
+            group.forEach(function (duplicate) {
+                if (duplicate !== canonical) {
+                    self.merge(canonical, duplicate);
+                }
+            });
+            return canonical;
+        };
+
+        /**
+         * Merges two likely duplicates into the canonical one of the pair.
+         * @param {TacticalSymbol} symbol
+         * @param {TacticalSymbol} other
+         * @returns {TacticalSymbol} The canonical fire.
+         */
+        FireDuplicateDetector.prototype.mergePair = function (symbol, other) {
+            var canonical = FireDuplicateDetector.selectCanonical([symbol, other]);
+
+            this.merge(canonical, canonical === symbol ? other : symbol);
+            return canonical;
+        };
+
+        /**
+         * Merges a duplicate report into the canonical fire: the duplicate's id and report
+         * time, and those of the reports previously merged into it, are recorded in the
+         * canonical fire's merged reports and saved to the data source, then the duplicate
+         * fire is deleted.
+         * @param {TacticalSymbol} canonical The fire that is kept.
+         * @param {TacticalSymbol} duplicate The fire that is merged and deleted.
+         */
+        FireDuplicateDetector.prototype.merge = function (canonical, duplicate) {
+            var reports = [FireDuplicateDetector.describeReport(duplicate)].concat(duplicate.mergedReports());
+
+            if (this.fireService && !(this.fireService.checkCanEdit(duplicate) && this.fireService.checkCanEdit(canonical))) {
+                return;
+            }
+            reports.forEach(function (report) {
+                canonical.mergedReports.push(report);
+            });
+            if (this.fireService) {
+                this.fireService.saveFire(canonical).catch(function (error) {
+                    // The outbox retries the update
+                    $.growl.error({
+                        title: "Merged Reports Not Saved",
+                        message: error.message});
+                });
+                this.fireService.deleteFire(duplicate);
+            } else {
+                this.symbolManager.removeSymbol(duplicate);
+            }
+            $.growl.notice({
+                title: "Fires Merged",
+                message: $("<div></div>").text(duplicate.name() + " was merged into " + canonical.name() + ".").html()});
+        };
+
+        /**
+         * Determines if two fires are likely duplicates. Fires without a report time are
+         * compared by distance only.
+         * @param {TacticalSymbol} symbol
+         * @param {TacticalSymbol} other
+         * @param {Number} maxDistance The distance in meters.
+         * @param {Number} maxTimeDifference The difference between report times in milliseconds.
+         * @returns {Boolean}
+         */
+        FireDuplicateDetector.isDuplicate = function (symbol, other, maxDistance, maxTimeDifference) {
+            var distance = util.distanceBetweenLatLons(
+                    parseFloat(symbol.latitude()), parseFloat(symbol.longitude()),
+                    parseFloat(other.latitude()), parseFloat(other.longitude())),
+                time = FireTimeFilter.toTime(symbol.koTimeReported()),
+                otherTime = FireTimeFilter.toTime(other.koTimeReported());
+
+            if (isNaN(distance) || distance > maxDistance) {
+                return false;
+            }
+            return time === null || otherTime === null || Math.abs(time - otherTime) <= maxTimeDifference;
+        };
+
+        /**
+         * Selects the fire kept by a merge: a fire saved to the data source is preferred
+         * over an unsaved report, then the earliest report.
+         * @param {TacticalSymbol[]} symbols
+         * @returns {TacticalSymbol}
+         */
+        FireDuplicateDetector.selectCanonical = function (symbols) {
+            var rank = function (symbol) {
+                var time = FireTimeFilter.toTime(symbol.koTimeReported());
+                return {
+                    saved: symbol.fid !== null && symbol.fid !== undefined,
+                    time: time === null ? Number.MAX_VALUE : time
+                };
+            };
+            return symbols.reduce(function (best, symbol) {
+                var a = rank(best),
+                    b = rank(symbol);
+                if (a.saved !== b.saved) {
+                    return a.saved ? best : symbol;
+                }
+                return b.time < a.time ? symbol : best;
+            });
+        };
+
+        /**
+         * Describes a merged report.
+         * @param {TacticalSymbol} symbol
+         * @returns {Object} See toReport.
+         */
+        FireDuplicateDetector.describeReport = function (symbol) {
+            return FireDuplicateDetector.toReport(symbol.fid !== null && symbol.fid !== undefined ? symbol.fid : symbol.id(),
+                symbol.koTimeReported());
+        };
+
+        /**
+         * Creates a merged report.
+         * @param {String|Number} id The merged fire's fid or symbol id.
+         * @param {String|Number} time The report time, or null if unknown.
+         * @returns {Object} {id, time: ISO 8601 or null, timeText}
+         */
+        FireDuplicateDetector.toReport = function (id, time) {
+            time = FireTimeFilter.toTime(time);
+            return {
+                id: id,
+                time: time === null ? null : new Date(time).toISOString(),
+                timeText: time === null ? "Unknown" : moment(time).format("YYYY-MM-DD HH:mm")
+            };
+        };
+
+        /**
+         * Gets the merged reports of a fire record (see FireSchema.validateMergedReports).
+         * @param {Object} record A fire record.
+         * @returns {Object[]} See toReport.
+         */
+        FireDuplicateDetector.fromRecord = function (record) {
+            return (record.fire_merged_reports || []).map(function (report) {
+                return FireDuplicateDetector.toReport(report.id, report.time);
+            });
+        };
+
+        /**
+         * Gets the data source parameter value of merged reports.
+         * @param {Object[]} reports See toReport.
+         * @returns {Object[]} [{id, time}]
+         */
+        FireDuplicateDetector.toParams = function (reports) {
+            return reports.map(function (report) {
+                return {id: report.id, time: report.time};
+            });
+        };
+
+        /**
+         * Determines if two lists of merged reports have the same ids and times.
+         * @param {Object[]} a
+         * @param {Object[]} b
+         * @returns {Boolean}
+         */
+        FireDuplicateDetector.isEqual = function (a, b) {
+            a = a || [];
+            b = b || [];
+            return a.length === b.length && a.every(function (report, i) {
+                return String(report.id) === String(b[i].id) && report.time === b[i].time;
+            });
+        };
+
+        /** The default distance in meters within which fires are likely duplicates. */
+        FireDuplicateDetector.DEFAULT_DISTANCE = 1000;
+
+        /** The default difference in hours between report times within which fires are likely duplicates. */
+        FireDuplicateDetector.DEFAULT_TIME_WINDOW = 12;
+
+        /** The delay in milliseconds before a moved fire is compared to the other fires. */
+        FireDuplicateDetector.MOVE_DELAY = 250;
+
+        return FireDuplicateDetector;
+    }
+);
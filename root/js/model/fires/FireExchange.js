@@ -0,0 +1,333 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define, WorldWind*/
+
+/**
+ * The FireExchange exports the fire symbols and markers to GeoJSON, KML, CSV and GPX
+ * files for use in other tools, and imports them back (see FeatureFormats). The
+ * export includes the fires matching the FireFilter, or all the fires. Imported fires
+ * already loaded from the data source (same fid) are skipped; the others are added as
+ * new user reports, which are reported to the data source on request.
+ *
+ * @param {BasicMarker} BasicMarker
+ * @param {FireIncident} fireIncident
+ * @param {TacticalSymbol} TacticalSymbol
+ * @param {FeatureFormats} featureFormats
+ * @param {Log} log
+ * @param {Knockout} ko
+ * @param {Moment} moment
+ * @param {JQuery} $
+ * @returns {FireExchange}
+ */
+define([
+    'model/markers/BasicMarker',
+    'model/fires/FireIncident',
+    'model/military/TacticalSymbol',
+    'model/util/FeatureFormats',
+    'model/util/Log',
+    'knockout',
+    'moment',
+    'jquery',
+    'jquery-growl',
+    'worldwind'],
+    function (
+        BasicMarker,
+        fireIncident,
+        TacticalSymbol,
+        featureFormats,
+        log,
+        ko,
+        moment,
+        $) {
+        "use strict";
+
+        /**
+         * @constructor
+         * @param {SymbolManager} symbolManager The manager of the fire symbols.
+         * @param {MarkerManager} markerManager The manager of the markers.
+         * @param {FireService} fireService Optional service that reports the imported fires.
+         */
+        var FireExchange = function (symbolManager, markerManager, fireService) {
+            var self = this;
+
+            this.symbolManager = symbolManager;
+            this.markerManager = markerManager;
+            this.fireService = fireService || null;
+
+            /**
+             * The export format: one of the FeatureFormats.FORMATS keys.
+             * @type {String} observable
+             */
+            this.format = ko.observable("geojson");
+            this.formatOptions = Object.keys(featureFormats.FORMATS).map(function (format) {
+                return {name: featureFormats.FORMATS[format].name, value: format};
+            });
+
+            /**
+             * Flag to export only the fires matching the fire filter.
+             * @type {Boolean} observable
+             */
+            this.filteredOnly = ko.observable(true);
+
+            /**
+             * Flag to export the markers with the fires.
+             * @type {Boolean} observable
+             */
+            this.includeMarkers = ko.observable(true);
+
+            /**
+             * Flag to report the imported fires to the data source.
+             * @type {Boolean} observable
+             */
+            this.reportImported = ko.observable(false);
+
+            /**
+             * Flag indicating an import is in progress.
+             * @type {Boolean} observable
+             */
+            this.isImporting = ko.observable(false);
+
+            /**
+             * The number of fires and markers the export will write.
+             */
+            this.exportCount = ko.pureComputed(function () {
+                return self.exportedSymbols().length + (self.includeMarkers() ? self.markerManager.markers().length : 0);
+            });
+        };
+
+        /**
+         * Gets the fire symbols to export.
+         * @returns {TacticalSymbol[]}
+         */
+        FireExchange.prototype.exportedSymbols = function () {
+            var symbols = this.filteredOnly() ? this.symbolManager.filteredSymbols() : this.symbolManager.symbols();
+            return symbols.filter(function (symbol) {
+                return !symbol.invalid;
+            });
+        };
+
+        /**
+         * Gets the features to export.
+         * @returns {Object[]} The features of the fires followed by the markers (see FeatureFormats).
+         */
+        FireExchange.prototype.features = function () {
+            var fires = this.exportedSymbols().map(FireExchange.symbolFeature),
+                markers = this.includeMarkers() ? this.markerManager.markers().map(FireExchange.markerFeature) : [];
+            return fires.concat(markers);
+        };
+
+        /**
+         * Downloads the exported fires and markers in the selected format.
+         */
+        FireExchange.prototype.exportFeatures = function () {
+            var format = featureFormats.FORMATS[this.format()],
+                features = this.features(),
+                fileName = "fires-" + moment().format("YYYYMMDD-HHmm") + "." + format.extension;
+
+            if (features.length === 0) {
+                $.growl.warning({title: "Nothing to Export", message: "There are no fires or markers to export."});
+                return;
+            }
+            try {
+                FireExchange.download(featureFormats.write(this.format(), features), fileName, format.mimeType);
+            } catch (error) {
+                log.error("FireExchange", "exportFeatures", error.message);
+                $.growl.error({title: "Export Failed", message: $("<div></div>").text(error.message).html()});
+            }
+        };
+
+        /**
+         * Handles the file input's change event.
+         * @param {FireExchange} data The binding context data.
+         * @param {Event} event
+         */
+        FireExchange.prototype.onFilesSelected = function (data, event) {
+            var input = event.target;
+            this.importFiles(Array.prototype.slice.call(input.files)).then(function () {
+                input.value = ""; // Allow the same file to be imported again
+            });
+        };
+
+        /**
+         * Imports the fires and markers of GeoJSON, KML, CSV and GPX files.
+         * @param {File[]} files The selected files.
+         * @returns {Promise} Resolves with the number of fires and markers added.
+         */
+        FireExchange.prototype.importFiles = function (files) {
+            var self = this,
+                supported = files.filter(function (file) {
+                    return featureFormats.formatOfFile(file.name) !== null;
+                });
+
+            if (supported.length < files.length) {
+                $.growl.warning({
+                    title: "Unsupported File",
+                    message: "Select GeoJSON, KML, CSV or GPX files."});
+            }
+            if (supported.length === 0) {
+                return Promise.resolve(0);
+            }
+
+            this.isImporting(true);
+            return Promise.all(supported.map(function (file) {
+                return FireExchange.readFile(file).then(function (text) {
+                    return featureFormats.read(featureFormats.formatOfFile(file.name), text);
+                }).catch(function (error) {
+                    log.error("FireExchange", "importFiles", file.name + ": " + error.message);
+                    $.growl.error({
+                        title: "Import Failed",
+                        message: $("<div></div>").text(file.name + ": " + error.message).html()});
+                    return [];
+                });
+            })).then(function (results) {
+                var counts = {fires: 0, markers: 0, skipped: 0};
+
+                results.forEach(function (features) {
+                    features.forEach(function (feature) {
+                        if (feature.type === "marker") {
+                            self.addMarker(feature);
+                            counts.markers++;
+                        } else if (self.addFire(feature)) {
+                            counts.fires++;
+                        } else {
+                            counts.skipped++;
+                        }
+                    });
+                });
+                self.isImporting(false);
+                $.growl.notice({
+                    title: "Fires Imported",
+                    message: counts.fires + " fire(s) and " + counts.markers + " marker(s) imported" +
+                        (counts.skipped > 0 ? "; " + counts.skipped + " fire(s) already loaded were skipped." : ".")});
+                return counts.fires + counts.markers;
+            });
+        };
+
+        /**
+         * Adds an imported fire as a new user report, unless it is already loaded.
+         * @param {Object} feature A fire feature (see FeatureFormats).
+         * @returns {TacticalSymbol} The new symbol, or null if the fire is already loaded.
+         */
+        FireExchange.prototype.addFire = function (feature) {
+            var position = new WorldWind.Position(feature.latitude, feature.longitude, feature.altitude),
+                symbol;
+
+            if (feature.fid !== null && this.symbolManager.symbols().some(function (other) {
+                return other.fid !== null && other.fid !== undefined && String(other.fid) === String(feature.fid);
+            })) {
+                return null;
+            }
+            symbol = new TacticalSymbol(this.symbolManager, position, {
+                name: feature.name,
+                symbolCode: feature.symbolCode || TacticalSymbol.templates[0].symbolCode,
+                isMovable: true,
+                user: true,
+                incident: fireIncident.normalize(feature),
+                fid: null});
+            symbol.koTimeReported(feature.reported ? new Date(feature.reported) : new Date());
+            symbol.koTimeExtinguished(feature.extinguished);
+            symbol.koIsVerified(!!feature.verified);
+            this.symbolManager.addSymbol(symbol);
+            if (this.fireService && this.reportImported()) {
+                this.fireService.saveFire(symbol);
+            }
+            return symbol;
+        };
+
+        /**
+         * Adds an imported marker.
+         * @param {Object} feature A marker feature (see FeatureFormats).
+         * @returns {BasicMarker} The new marker.
+         */
+        FireExchange.prototype.addMarker = function (feature) {
+            var position = new WorldWind.Position(feature.latitude, feature.longitude, feature.altitude),
+                marker = new BasicMarker(this.markerManager, position, {
+                    name: feature.name,
+                    imageSource: feature.image || BasicMarker.templates[0].imageSource,
+                    isMovable: true});
+
+            this.markerManager.addMarker(marker);
+            return marker;
+        };
+
+        /**
+         * Gets the feature of a fire symbol.
+         * @param {TacticalSymbol} symbol
+         * @returns {Object} A fire feature (see FeatureFormats).
+         */
+        FireExchange.symbolFeature = function (symbol) {
+            return Object.assign({
+                type: "fire",
+                name: symbol.name(),
+                latitude: parseFloat(symbol.latitude()),
+                longitude: parseFloat(symbol.longitude()),
+                altitude: parseFloat(symbol.altitude()) || 0,
+                reported: featureFormats.toTime(symbol.koTimeReported() || null),
+                extinguished: featureFormats.toTime(symbol.koTimeExtinguished() || null),
+                verified: symbol.koIsVerified() === null ? null : !!symbol.koIsVerified(),
+                fid: symbol.fid === undefined ? null : symbol.fid,
+                symbolCode: symbol.symbolCode(),
+                image: null
+            }, symbol.incidentValues());
+        };
+
+        /**
+         * Gets the feature of a marker.
+         * @param {BasicMarker} marker
+         * @returns {Object} A marker feature (see FeatureFormats).
+         */
+        FireExchange.markerFeature = function (marker) {
+            var feature = {};
+            featureFormats.FIELDS.forEach(function (field) {
+                feature[field] = null;
+            });
+            return Object.assign(feature, {
+                type: "marker",
+                name: marker.name(),
+                latitude: parseFloat(marker.latitude()),
+                longitude: parseFloat(marker.longitude()),
+                altitude: parseFloat(marker.altitude()) || 0,
+                image: marker.source || null
+            });
+        };
+
+        /**
+         * Saves text to a file in the browser's downloads.
+         * @param {String} text
+         * @param {String} fileName
+         * @param {String} mimeType
+         */
+        FireExchange.download = function (text, fileName, mimeType) {
+            var url = URL.createObjectURL(new Blob([text], {type: mimeType})),
+                $link = $("<a></a>").attr({href: url, download: fileName}).appendTo("body");
+
+            $link.get(0).click();
+            $link.remove();
+            window.setTimeout(function () {
+                URL.revokeObjectURL(url);
+            }, 0);
+        };
+
+        /**
+         * Reads a text file.
+         * @param {File} file
+         * @returns {Promise} Resolves with the text.
+         */
+        FireExchange.readFile = function (file) {
+            return new Promise(function (resolve, reject) {
+                var reader = new FileReader();
+                reader.onload = function () {
+                    resolve(reader.result);
+                };
+                reader.onerror = function () {
+                    reject(new Error("Unable to read " + file.name));
+                };
+                reader.readAsText(file);
+            });
+        };
+
+        return FireExchange;
+    }
+);
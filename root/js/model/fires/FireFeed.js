@@ -0,0 +1,216 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define*/
+
+/**
+ * The FireFeed module subscribes to a live stream of fire events from a
+ * Server-Sent Events endpoint, a WebSocket, or a local BroadcastChannel (see
+ * LocalFireBroadcaster). Each message is a JSON object of the form
+ * <code>{type: "created"|"updated"|"deleted", fire: record}</code> where the record
+ * follows the FireDataSource schema. SSE endpoints may instead send "created",
+ * "updated" and "deleted" named events whose data is the record.
+ *
+ * Received events are published as EVENT_FIRE_FEED_RECEIVED with a {type, fire} payload.
+ *
+ * @param {Constants} constants
+ * @param {Events} events
+ * @param {Knockout} ko
+ * @param {Log} log
+ * @param {Publisher} publisher
+ * @returns {FireFeed}
+ */
+define([
+    'model/Constants',
+    'model/Events',
+    'knockout',
+    'model/util/Log',
+    'model/util/Publisher'],
+    function (
+        constants,
+        events,
+        ko,
+        log,
+        publisher) {
+        "use strict";
+
+        /**
+         * @constructor
+         * @param {Object} options The feed configuration (see Config.fireFeed): {type, url, channel}.
+         */
+        var FireFeed = function (options) {
+            this.options = options || {};
+
+            /**
+             * Flag indicating the feed is connected.
+             * @type {Boolean} observable
+             */
+            this.isConnected = ko.observable(false);
+
+            // Internal. The EventSource, WebSocket or BroadcastChannel.
+            this.connection = null;
+            // Internal. The reconnect timeout id and delay for WebSockets.
+            this.reconnectTimeout = null;
+            this.reconnectDelay = FireFeed.MIN_RECONNECT_DELAY;
+            // Internal. Set by disconnect() to suppress reconnecting.
+            this.isClosing = false;
+
+            // Make event publisher: adds "on" and "fire" methods
+            publisher.makePublisher(this);
+        };
+
+        /**
+         * Opens the connection to the configured feed.
+         */
+        FireFeed.prototype.connect = function () {
+            this.isClosing = false;
+            try {
+                switch (this.options.type) {
+                    case constants.FIRE_FEED_SSE:
+                        this.connectEventSource();
+                        break;
+                    case constants.FIRE_FEED_WEBSOCKET:
+                        this.connectWebSocket();
+                        break;
+                    case constants.FIRE_FEED_LOCAL:
+                        this.connectChannel();
+                        break;
+                    default:
+                        log.warning("FireFeed", "connect", "Unknown fire feed type: " + this.options.type);
+                }
+            } catch (e) {
+                log.error("FireFeed", "connect", e.message);
+            }
+        };
+
+        /**
+         * Closes the connection to the feed.
+         */
+        FireFeed.prototype.disconnect = function () {
+            this.isClosing = true;
+            window.clearTimeout(this.reconnectTimeout);
+            if (this.connection) {
+                this.connection.close();
+                this.connection = null;
+            }
+            this.isConnected(false);
+        };
+
+        // Internal. Connects to a Server-Sent Events endpoint. EventSource reconnects by itself.
+        FireFeed.prototype.connectEventSource = function () {
+            var self = this,
+                source = new EventSource(this.options.url);
+
+            source.onopen = function () {
+                self.isConnected(true);
+            };
+            source.onerror = function () {
+                self.isConnected(false);
+                log.warning("FireFeed", "connectEventSource", "Fire feed connection lost: " + self.options.url);
+            };
+            source.onmessage = function (event) {
+                self.receive(event.data);
+            };
+            ["created", "updated", "deleted"].forEach(function (type) {
+                source.addEventListener(type, function (event) {
+                    self.receive(event.data, type);
+                });
+            });
+            this.connection = source;
+        };
+
+        // Internal. Connects to a WebSocket endpoint, reconnecting with a backoff when it closes.
+        FireFeed.prototype.connectWebSocket = function () {
+            var self = this,
+                socket = new WebSocket(this.options.url);
+
+            socket.onopen = function () {
+                self.reconnectDelay = FireFeed.MIN_RECONNECT_DELAY;
+                self.isConnected(true);
+            };
+            socket.onmessage = function (event) {
+                self.receive(event.data);
+            };
+            socket.onclose = function () {
+                self.isConnected(false);
+                if (self.isClosing) {
+                    return;
+                }
+                log.warning("FireFeed", "connectWebSocket", "Fire feed closed; reconnecting in " +
+                    self.reconnectDelay / 1000 + "s: " + self.options.url);
+                self.reconnectTimeout = window.setTimeout(function () {
+                    self.connectWebSocket();
+                }, self.reconnectDelay);
+                self.reconnectDelay = Math.min(self.reconnectDelay * 2, FireFeed.MAX_RECONNECT_DELAY);
+            };
+            this.connection = socket;
+        };
+
+        // Internal. Listens to the local stand-in broadcaster.
+        FireFeed.prototype.connectChannel = function () {
+            var self = this,
+                channel = new BroadcastChannel(this.options.channel || constants.FIRE_FEED_CHANNEL);
+
+            channel.onmessage = function (event) {
+                self.receive(event.data);
+            };
+            this.connection = channel;
+            this.isConnected(true);
+        };
+
+        /**
+         * Parses a feed message and publishes it.
+         * @param {String} data The message text.
+         * @param {String} type Optional. The event type of an SSE named event, in which case
+         * the data is the fire record.
+         */
+        FireFeed.prototype.receive = function (data, type) {
+            var message = FireFeed.parseMessage(data, type);
+            if (!message) {
+                log.warning("FireFeed", "receive", "Ignoring invalid fire feed message: " + data);
+                return;
+            }
+            this.fire(events.EVENT_FIRE_FEED_RECEIVED, message);
+        };
+
+        /**
+         * Parses a feed message.
+         * @param {String} data The message text.
+         * @param {String} type Optional. The event type if the data is the bare fire record.
+         * @returns {Object} {type, fire}, or null if the message is invalid.
+         */
+        FireFeed.parseMessage = function (data, type) {
+            var obj;
+            try {
+                obj = typeof data === "string" ? JSON.parse(data) : data;
+            } catch (e) {
+                return null;
+            }
+            if (!obj || typeof obj !== "object") {
+                return null;
+            }
+            if (type) {
+                obj = {type: type, fire: obj};
+            }
+            if (FireFeed.EVENT_TYPES.indexOf(obj.type) < 0 || !obj.fire || typeof obj.fire !== "object") {
+                return null;
+            }
+            return {type: obj.type, fire: obj.fire};
+        };
+
+        /**
+         * The fire feed event types.
+         * @type {String[]}
+         */
+        FireFeed.EVENT_TYPES = ["created", "updated", "deleted"];
+
+        /** The initial WebSocket reconnect delay in milliseconds. */
+        FireFeed.MIN_RECONNECT_DELAY = 1000;
+
+        /** The maximum WebSocket reconnect delay in milliseconds. */
+        FireFeed.MAX_RECONNECT_DELAY = 60000;
+
+        return FireFeed;
+    }
+);
@@ -0,0 +1,393 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define, WorldWind*/
+
+/**
+ * The FireFilter narrows the fire symbols by verification, status, the age of the
+ * report and region: the current view or an area drawn on the globe. It assigns each
+ * symbol's isFilterMatch flag, which is honored by the symbols list
+ * (SymbolManager.filteredSymbols), the globe (see FireTimeFilter) and the exports.
+ * The report age is measured at the globe's time so that it follows the time controls.
+ *
+ * @param {Constants} constants
+ * @param {FireTimeFilter} FireTimeFilter
+ * @param {GeoRegion} geoRegion
+ * @param {Knockout} ko
+ * @param {Moment} moment
+ * @param {JQuery} $
+ * @returns {FireFilter}
+ */
+define([
+    'model/Constants',
+    'model/fires/FireTimeFilter',
+    'model/util/GeoRegion',
+    'knockout',
+    'moment',
+    'jquery',
+    'jquery-growl',
+    'worldwind'],
+    function (
+        constants,
+        FireTimeFilter,
+        geoRegion,
+        ko,
+        moment,
+        $) {
+        "use strict";
+
+        /**
+         * @constructor
+         * @param {Globe} globe The globe whose view, time and clicks drive the filter.
+         * @param {SymbolManager} symbolManager The manager of the fire symbols.
+         */
+        var FireFilter = function (globe, symbolManager) {
+            var self = this,
+                downX = null,
+                downY = null;
+
+            this.globe = globe;
+            this.symbolManager = symbolManager;
+
+            /**
+             * The verification filter: FILTER_ALL, VERIFIED or UNVERIFIED.
+             * @type {String} observable
+             */
+            this.verification = ko.observable(FireFilter.FILTER_ALL);
+            this.verificationOptions = [
+                {name: "All", value: FireFilter.FILTER_ALL},
+                {name: "Verified", value: FireFilter.VERIFIED},
+                {name: "Unverified", value: FireFilter.UNVERIFIED}
+            ];
+
+            /**
+             * The status filter: FILTER_ALL, ACTIVE or EXTINGUISHED.
+             * @type {String} observable
+             */
+            this.status = ko.observable(FireFilter.FILTER_ALL);
+            this.statusOptions = [
+                {name: "All", value: FireFilter.FILTER_ALL},
+                {name: "Active", value: FireFilter.ACTIVE},
+                {name: "Extinguished", value: FireFilter.EXTINGUISHED}
+            ];
+
+            /**
+             * The report age filter: FILTER_ALL, one of the AGE_OPTIONS values or CUSTOM.
+             * @type {String} observable
+             */
+            this.reportedWithin = ko.observable(FireFilter.FILTER_ALL);
+            this.reportedWithinOptions = [{name: "Any time", value: FireFilter.FILTER_ALL}].concat(
+                FireFilter.AGE_OPTIONS.map(function (option) {
+                    return {name: option.name, value: option.value};
+                }), [{name: "Custom range", value: FireFilter.CUSTOM}]);
+
+            /**
+             * The custom report date range, "YYYY-MM-DD"; either may be empty.
+             * @type {String} observable
+             */
+            this.customFrom = ko.observable("");
+            this.customTo = ko.observable("");
+
+            /**
+             * The region filter: FILTER_ALL, VIEW or AREA.
+             * @type {String} observable
+             */
+            this.region = ko.observable(FireFilter.FILTER_ALL);
+            this.regionOptions = [
+                {name: "Anywhere", value: FireFilter.FILTER_ALL},
+                {name: "Inside the current view", value: FireFilter.VIEW},
+                {name: "Inside a drawn area", value: FireFilter.AREA}
+            ];
+
+            /**
+             * The vertices of the drawn area: {latitude, longitude}.
+             * @type {Object[]} observableArray
+             */
+            this.area = ko.observableArray();
+
+            /**
+             * Flag indicating clicks on the globe add vertices to the area.
+             * @type {Boolean} observable
+             */
+            this.isDrawing = ko.observable(false);
+
+            /**
+             * Flag indicating any filter is set.
+             */
+            this.isActive = ko.pureComputed(function () {
+                return self.verification() !== FireFilter.FILTER_ALL || self.status() !== FireFilter.FILTER_ALL ||
+                    self.reportedWithin() !== FireFilter.FILTER_ALL || self.region() !== FireFilter.FILTER_ALL;
+            });
+
+            /**
+             * The number of symbols matching the filter.
+             * @type {Number} observable
+             */
+            this.matchCount = ko.observable(0);
+
+            /**
+             * The layer containing the drawn area.
+             * @type {WorldWind.RenderableLayer}
+             */
+            this.layer = new WorldWind.RenderableLayer(constants.LAYER_NAME_FIRE_FILTER_AREA);
+            globe.layerManager.addDataLayer(this.layer, {
+                enabled: true,
+                pickEnabled: false,
+                opacity: 1.0
+            });
+            this.areaPolygon = new WorldWind.SurfacePolygon([], FireFilter.AREA_ATTRIBUTES);
+            this.areaPolygon.enabled = false;
+            this.layer.addRenderable(this.areaPolygon);
+            this.areaUpdater = ko.computed(function () {
+                var area = self.area();
+                self.areaPolygon.boundaries = area.map(function (location) {
+                    return new WorldWind.Location(location.latitude, location.longitude);
+                });
+                self.areaPolygon.enabled = area.length >= 2 && (self.isDrawing() || self.region() === FireFilter.AREA);
+                self.globe.redraw();
+            });
+
+            // Route the symbols list thru this filter
+            symbolManager.fireFilter = this;
+
+            // Reapply the filter whenever the criteria, the symbols or their states change.
+            // Knockout tracks the observables read by apply() as dependencies.
+            this.filter = ko.computed(function () {
+                self.apply();
+            }).extend({rateLimit: FireFilter.UPDATE_DELAY});
+
+            // Add a vertex to the area where the terrain is clicked while drawing. A click that
+            // ends a drag of the globe is ignored.
+            globe.wwd.addEventListener("mousedown", function (event) {
+                downX = event.clientX;
+                downY = event.clientY;
+            });
+            globe.wwd.addEventListener("click", function (event) {
+                if (!self.isDrawing() || (downX !== null &&
+                    (Math.abs(event.clientX - downX) > FireFilter.CLICK_TOLERANCE ||
+                    Math.abs(event.clientY - downY) > FireFilter.CLICK_TOLERANCE))) {
+                    return;
+                }
+                self.handleClick(event.clientX, event.clientY);
+            });
+        };
+
+        /**
+         * Assigns each symbol's isFilterMatch flag.
+         */
+        FireFilter.prototype.apply = function () {
+            var self = this,
+                criteria = this.criteria(),
+                matchCount = 0;
+
+            this.symbolManager.symbols().forEach(function (symbol) {
+                var matches = self.matches(symbol, criteria);
+                if (matches) {
+                    matchCount += 1;
+                }
+                symbol.isFilterMatch(matches);
+            });
+            this.matchCount(matchCount);
+        };
+
+        /**
+         * Gets the current filter criteria.
+         * @returns {Object} {verification, status, since, until, region, area}, where since and
+         * until are the report time range in milliseconds or null.
+         */
+        FireFilter.prototype.criteria = function () {
+            var reportedWithin = this.reportedWithin(),
+                time = this.globe.dateTime().getTime(),
+                option = FireFilter.AGE_OPTIONS.find(function (option) {
+                    return option.value === reportedWithin;
+                }),
+                region = this.region(),
+                since = null,
+                until = null,
+                from, to;
+
+            if (option) {
+                since = time - option.hours * 3600000;
+                until = time;
+            } else if (reportedWithin === FireFilter.CUSTOM) {
+                from = moment(this.customFrom(), "YYYY-MM-DD", true);
+                to = moment(this.customTo(), "YYYY-MM-DD", true);
+                since = from.isValid() ? from.valueOf() : null;
+                until = to.isValid() ? to.endOf("day").valueOf() : null;
+            }
+            if (region === FireFilter.VIEW) {
+                // Reevaluate as the view changes
+                this.globe.viewpoint();
+            }
+            return {
+                verification: this.verification(),
+                status: this.status(),
+                since: since,
+                until: until,
+                region: region,
+                area: this.area()
+            };
+        };
+
+        /**
+         * Determines if a symbol matches the filter criteria.
+         * @param {TacticalSymbol} symbol
+         * @param {Object} criteria See criteria().
+         * @returns {Boolean}
+         */
+        FireFilter.prototype.matches = function (symbol, criteria) {
+            var isVerified = !!symbol.koIsVerified(),
+                isExtinguished = !!symbol.koTimeExtinguished(),
+                reported = FireTimeFilter.toTime(symbol.koTimeReported()),
+                latitude = parseFloat(symbol.latitude()),
+                longitude = parseFloat(symbol.longitude());
+
+            if ((criteria.verification === FireFilter.VERIFIED && !isVerified) ||
+                (criteria.verification === FireFilter.UNVERIFIED && isVerified)) {
+                return false;
+            }
+            if ((criteria.status === FireFilter.ACTIVE && isExtinguished) ||
+                (criteria.status === FireFilter.EXTINGUISHED && !isExtinguished)) {
+                return false;
+            }
+            if ((criteria.since !== null || criteria.until !== null) && (reported === null ||
+                (criteria.since !== null && reported < criteria.since) ||
+                (criteria.until !== null && reported > criteria.until))) {
+                return false;
+            }
+            if (criteria.region === FireFilter.VIEW) {
+                return this.isInView(latitude, longitude);
+            }
+            if (criteria.region === FireFilter.AREA && criteria.area.length >= 3) {
+                return geoRegion.containsLocation(criteria.area, latitude, longitude);
+            }
+            return true;
+        };
+
+        /**
+         * Determines if a location is visible in the globe's viewport: it projects inside
+         * the viewport and isn't on the far side of the globe.
+         * @param {Number} latitude
+         * @param {Number} longitude
+         * @returns {Boolean}
+         */
+        FireFilter.prototype.isInView = function (latitude, longitude) {
+            var wwd = this.globe.wwd,
+                navigatorState = wwd.navigator.currentState(),
+                viewport = navigatorState.viewport,
+                point = new WorldWind.Vec3(0, 0, 0),
+                screenPoint = new WorldWind.Vec3(0, 0, 0),
+                normal = new WorldWind.Vec3(0, 0, 0);
+
+            if (isNaN(latitude) || isNaN(longitude)) {
+                return false;
+            }
+            wwd.globe.computePointFromPosition(latitude, longitude, 0, point);
+            if (!navigatorState.project(point, screenPoint) ||
+                screenPoint[0] < viewport.x || screenPoint[0] > viewport.x + viewport.width ||
+                screenPoint[1] < viewport.y || screenPoint[1] > viewport.y + viewport.height) {
+                return false;
+            }
+            wwd.globe.surfaceNormalAtPoint(point[0], point[1], point[2], normal);
+            return normal.dot(point.subtract(navigatorState.eyePoint)) < 0;
+        };
+
+        /**
+         * Starts drawing a new area; clicks on the globe add its vertices. Invoked by the view.
+         */
+        FireFilter.prototype.drawArea = function () {
+            this.area.removeAll();
+            this.region(FireFilter.AREA);
+            this.isDrawing(true);
+            $.growl({
+                title: "Draw Filter Area",
+                message: "Click on the globe to add the area's points, then click Finish."});
+        };
+
+        /**
+         * Finishes drawing the area. Invoked by the view.
+         */
+        FireFilter.prototype.finishArea = function () {
+            if (this.area().length < 3) {
+                $.growl.warning({
+                    title: "Area Incomplete",
+                    message: "An area requires at least three points."});
+                return;
+            }
+            this.isDrawing(false);
+        };
+
+        /**
+         * Adds a vertex to the area at the clicked terrain position while drawing.
+         * @param {Number} x The window x coordinate.
+         * @param {Number} y The window y coordinate.
+         */
+        FireFilter.prototype.handleClick = function (x, y) {
+            var terrainObject = this.globe.wwd.pickTerrain(this.globe.wwd.canvasCoordinates(x, y)).terrainObject();
+
+            if (terrainObject) {
+                this.area.push({
+                    latitude: terrainObject.position.latitude,
+                    longitude: terrainObject.position.longitude
+                });
+            }
+        };
+
+        /**
+         * Clears all the filters. Invoked by the view.
+         */
+        FireFilter.prototype.reset = function () {
+            this.isDrawing(false);
+            this.area.removeAll();
+            this.verification(FireFilter.FILTER_ALL);
+            this.status(FireFilter.FILTER_ALL);
+            this.reportedWithin(FireFilter.FILTER_ALL);
+            this.customFrom("");
+            this.customTo("");
+            this.region(FireFilter.FILTER_ALL);
+        };
+
+        /** The filter value that matches every fire. */
+        FireFilter.FILTER_ALL = "all";
+        /** Verification filter values. */
+        FireFilter.VERIFIED = "verified";
+        FireFilter.UNVERIFIED = "unverified";
+        /** Status filter values. */
+        FireFilter.ACTIVE = "active";
+        FireFilter.EXTINGUISHED = "extinguished";
+        /** The report age filter value for a custom date range. */
+        FireFilter.CUSTOM = "custom";
+        /** Region filter values. */
+        FireFilter.VIEW = "view";
+        FireFilter.AREA = "area";
+
+        /** The report age filter choices. */
+        FireFilter.AGE_OPTIONS = [
+            {name: "Last hour", value: "hour", hours: 1},
+            {name: "Last day", value: "day", hours: 24},
+            {name: "Last week", value: "week", hours: 24 * 7}
+        ];
+
+        /** The delay in milliseconds used to coalesce the changes before refiltering. */
+        FireFilter.UPDATE_DELAY = 100;
+
+        /** The distance in pixels a click may move from its mouse down and still add a vertex. */
+        FireFilter.CLICK_TOLERANCE = 4;
+
+        /** The appearance of the drawn area. */
+        FireFilter.AREA_ATTRIBUTES = (function () {
+            var attributes = new WorldWind.ShapeAttributes(null);
+            attributes.drawInterior = true;
+            attributes.drawOutline = true;
+            attributes.interiorColor = new WorldWind.Color(0.2, 0.4, 1, 0.1);
+            attributes.outlineColor = new WorldWind.Color(0.2, 0.4, 1, 1);
+            attributes.outlineWidth = 2;
+            attributes.outlineStipplePattern = 0xFF00;
+            attributes.outlineStippleFactor = 1;
+            return attributes;
+        }());
+
+        return FireFilter;
+    }
+);
@@ -0,0 +1,671 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define, WorldWind, Notification*/
+
+/**
+ * The FireGeofence raises proximity alerts for the fires near watched areas. A
+ * watched area is a marker, a bookmarked location (see Globe.getCameraParams) or a
+ * polygon drawn on the globe, with an alert radius. When the SymbolManager gains a
+ * fire reported since the area was watched, or an existing fire changes, and the fire
+ * is within the radius, an alert is raised: a growl, an optional browser Notification
+ * and an entry in the alerts list. The watched areas are kept in local storage along
+ * with the fires already alerted so that reloading doesn't repeat the alerts.
+ *
+ * @param {Constants} constants
+ * @param {FireTimeFilter} FireTimeFilter
+ * @param {GeoRegion} geoRegion
+ * @param {Log} log
+ * @param {WmtUtil} util
+ * @param {Knockout} ko
+ * @param {Moment} moment
+ * @param {JQuery} $
+ * @returns {FireGeofence}
+ */
+define([
+    'model/Constants',
+    'model/fires/FireTimeFilter',
+    'model/util/GeoRegion',
+    'model/util/Log',
+    'model/util/WmtUtil',
+    'knockout',
+    'moment',
+    'jquery',
+    'jquery-growl',
+    'worldwind'],
+    function (
+        constants,
+        FireTimeFilter,
+        geoRegion,
+        log,
+        util,
+        ko,
+        moment,
+        $) {
+        "use strict";
+
+        /**
+         * @constructor
+         * @param {Globe} globe The globe that displays the watched areas.
+         * @param {SymbolManager} symbolManager The manager of the fire symbols.
+         * @param {MarkerManager} markerManager The manager of the markers that may be watched.
+         */
+        var FireGeofence = function (globe, symbolManager, markerManager) {
+            var self = this,
+                downX = null,
+                downY = null;
+
+            this.globe = globe;
+            this.symbolManager = symbolManager;
+            this.markerManager = markerManager;
+
+            /**
+             * The watched areas: {id, name, kind, radius, since, markerId, location, polygon, alerted},
+             * where radius is an observable in kilometers and alerted holds the keys of the fires
+             * already alerted (see createArea).
+             * @type {Object[]} observableArray
+             */
+            this.areas = ko.observableArray();
+
+            /**
+             * The alerts, newest first: {id, time, timeText, title, message, latitude, longitude}.
+             * @type {Object[]} observableArray
+             */
+            this.alerts = ko.observableArray();
+
+            /**
+             * The alert radius in kilometers given to new watched areas.
+             * @type {Number} observable
+             */
+            this.radius = ko.observable(FireGeofence.DEFAULT_RADIUS);
+
+            /**
+             * The marker to watch, selected in the view.
+             * @type {BasicMarker} observable
+             */
+            this.selectedMarker = ko.observable(null);
+
+            /**
+             * The bookmark link to watch, pasted in the view.
+             * @type {String} observable
+             */
+            this.bookmarkUrl = ko.observable("");
+
+            /**
+             * The vertices of the polygon being drawn: {latitude, longitude}.
+             * @type {Object[]} observableArray
+             */
+            this.vertices = ko.observableArray();
+
+            /**
+             * Flag indicating clicks on the globe add vertices to the polygon.
+             * @type {Boolean} observable
+             */
+            this.isDrawing = ko.observable(false);
+
+            /**
+             * Flag to also raise browser notifications.
+             * @type {Boolean} observable
+             */
+            this.notifyBrowser = ko.observable(false);
+            this.notifyBrowser.subscribe(function (enabled) {
+                if (enabled) {
+                    self.requestPermission();
+                }
+            });
+
+            /**
+             * The layer containing the watched areas.
+             * @type {WorldWind.RenderableLayer}
+             */
+            this.layer = new WorldWind.RenderableLayer(constants.LAYER_NAME_WATCHED_AREAS);
+            globe.layerManager.addDataLayer(this.layer, {
+                enabled: true,
+                pickEnabled: false,
+                opacity: 1.0
+            });
+            this.drawingPolygon = new WorldWind.SurfacePolygon([], FireGeofence.AREA_ATTRIBUTES);
+            this.drawingPolygon.enabled = false;
+            this.layer.addRenderable(this.drawingPolygon);
+            this.drawingUpdater = ko.computed(function () {
+                var vertices = self.vertices();
+                self.drawingPolygon.boundaries = vertices.map(function (location) {
+                    return new WorldWind.Location(location.latitude, location.longitude);
+                });
+                self.drawingPolygon.enabled = self.isDrawing() && vertices.length >= 2;
+                self.globe.redraw();
+            });
+
+            // The state subscriptions of the tracked fires, keyed by symbol
+            this.tracked = new Map();
+
+            this.restoreAreas();
+            this.saver = ko.computed(function () {
+                self.saveAreas();
+            }).extend({rateLimit: FireGeofence.UPDATE_DELAY});
+
+            // Check the added fires and follow their changes; stop following the removed fires.
+            symbolManager.symbols().forEach(function (symbol) {
+                self.track(symbol);
+            });
+            symbolManager.symbols.subscribe(function (changes) {
+                changes.forEach(function (change) {
+                    if (change.moved !== undefined) {
+                        return;
+                    }
+                    if (change.status === 'added') {
+                        self.track(change.value);
+                        self.check(change.value, false);
+                    } else if (change.status === 'deleted') {
+                        self.untrack(change.value);
+                    }
+                });
+            }, null, "arrayChange");
+
+            // Stop watching the removed markers
+            markerManager.markers.subscribe(function (changes) {
+                changes.forEach(function (change) {
+                    if (change.status === 'deleted' && change.moved === undefined) {
+                        self.areas.remove(function (area) {
+                            return area.markerId === change.value.id();
+                        }).forEach(function (area) {
+                            self.disposeArea(area);
+                        });
+                    }
+                });
+            }, null, "arrayChange");
+
+            // Add a vertex to the polygon where the terrain is clicked while drawing. A click
+            // that ends a drag of the globe is ignored.
+            globe.wwd.addEventListener("mousedown", function (event) {
+                downX = event.clientX;
+                downY = event.clientY;
+            });
+            globe.wwd.addEventListener("click", function (event) {
+                if (!self.isDrawing() || (downX !== null &&
+                    (Math.abs(event.clientX - downX) > FireGeofence.CLICK_TOLERANCE ||
+                    Math.abs(event.clientY - downY) > FireGeofence.CLICK_TOLERANCE))) {
+                    return;
+                }
+                self.handleClick(event.clientX, event.clientY);
+            });
+        };
+
+        /**
+         * Follows the changes to a fire: its location, verification, extinguished time and
+         * incident attributes.
+         * @param {TacticalSymbol} symbol
+         */
+        FireGeofence.prototype.track = function (symbol) {
+            var self = this,
+                state = ko.computed(function () {
+                    return JSON.stringify([
+                        symbol.latitude(),
+                        symbol.longitude(),
+                        !!symbol.koIsVerified(),
+                        symbol.koTimeExtinguished() || null,
+                        symbol.incidentValues()]);
+                }).extend({rateLimit: FireGeofence.UPDATE_DELAY});
+
+            this.untrack(symbol);
+            state.subscribe(function () {
+                self.check(symbol, true);
+            });
+            this.tracked.set(symbol, state);
+        };
+
+        /**
+         * Stops following the changes to a fire.
+         * @param {TacticalSymbol} symbol
+         */
+        FireGeofence.prototype.untrack = function (symbol) {
+            var state = this.tracked.get(symbol);
+            if (state) {
+                state.dispose();
+                this.tracked.delete(symbol);
+            }
+        };
+
+        /**
+         * Raises an alert for each watched area within whose radius a fire is. A new fire
+         * is alerted once per area, and only if it is active and was reported since the
+         * area was watched.
+         * @param {TacticalSymbol} symbol
+         * @param {Boolean} isUpdate True if the fire changed, false if it was added.
+         * @returns {Number} The number of alerts raised.
+         */
+        FireGeofence.prototype.check = function (symbol, isUpdate) {
+            var self = this,
+                latitude = parseFloat(symbol.latitude()),
+                longitude = parseFloat(symbol.longitude()),
+                reported = FireTimeFilter.toTime(symbol.koTimeReported()),
+                key = FireGeofence.keyOf(symbol),
+                count = 0;
+
+            if (isNaN(latitude) || isNaN(longitude) || (!isUpdate && symbol.isExtinguished())) {
+                return 0;
+            }
+            this.areas().forEach(function (area) {
+                var distance = self.distanceTo(area, latitude, longitude);
+
+                if (distance > area.radius() * 1000) {
+                    return;
+                }
+                if (!isUpdate) {
+                    if (area.alerted.indexOf(key) >= 0 || (reported !== null && reported < area.since)) {
+                        return;
+                    }
+                    area.alerted = area.alerted.concat([key]).slice(-FireGeofence.MAX_ALERTED);
+                    self.saveAreas();
+                }
+                self.raiseAlert(area, symbol, distance, isUpdate);
+                count += 1;
+            });
+            return count;
+        };
+
+        /**
+         * Computes the distance from a watched area to a location.
+         * @param {Object} area
+         * @param {Number} latitude
+         * @param {Number} longitude
+         * @returns {Number} The distance in meters; zero inside a polygon, Infinity if the
+         * area's marker no longer exists.
+         */
+        FireGeofence.prototype.distanceTo = function (area, latitude, longitude) {
+            var location = this.locationOf(area);
+            if (area.polygon) {
+                return geoRegion.distanceToPolygon(area.polygon, latitude, longitude);
+            }
+            return location ? geoRegion.distanceToPolygon([location], latitude, longitude) : Infinity;
+        };
+
+        /**
+         * Gets the location of a marker or bookmark area; a marker area follows its marker.
+         * @param {Object} area
+         * @returns {Object} {latitude, longitude}, or null for a polygon or a missing marker.
+         */
+        FireGeofence.prototype.locationOf = function (area) {
+            var marker;
+            if (area.kind === FireGeofence.KIND_MARKER) {
+                marker = this.markerManager.markers().find(function (marker) {
+                    return marker.id() === area.markerId;
+                });
+                return marker ? {
+                    latitude: parseFloat(marker.latitude()),
+                    longitude: parseFloat(marker.longitude())
+                } : null;
+            }
+            return area.location;
+        };
+
+        /**
+         * Adds an alert and announces it.
+         * @param {Object} area The watched area.
+         * @param {TacticalSymbol} symbol The fire.
+         * @param {Number} distance The fire's distance from the area in meters.
+         * @param {Boolean} isUpdate True if the fire changed, false if it is new.
+         * @returns {Object} The alert.
+         */
+        FireGeofence.prototype.raiseAlert = function (area, symbol, distance, isUpdate) {
+            var self = this,
+                time = new Date(),
+                alert = {
+                    id: util.guid(),
+                    time: time,
+                    timeText: moment(time).format("YYYY-MM-DD HH:mm"),
+                    title: (isUpdate ? "Fire Updated Near " : "New Fire Near ") + area.name,
+                    message: symbol.name() + " is " + FireGeofence.formatDistance(distance) + " " +
+                        area.name + " (alert radius " + area.radius() + " km).",
+                    latitude: parseFloat(symbol.latitude()),
+                    longitude: parseFloat(symbol.longitude())
+                },
+                notification;
+
+            this.alerts.unshift(alert);
+            this.alerts.splice(FireGeofence.MAX_ALERTS);
+            $.growl.warning({
+                title: $("<div></div>").text(alert.title).html(),
+                message: $("<div></div>").text(alert.message).html()});
+            if (this.notifyBrowser() && window.Notification && Notification.permission === "granted") {
+                notification = new Notification(alert.title, {body: alert.message, tag: alert.id});
+                notification.onclick = function () {
+                    window.focus();
+                    self.gotoAlert(alert);
+                };
+            }
+            return alert;
+        };
+
+        /**
+         * Centers the globe on an alert's fire. Invoked by the view.
+         * @param {Object} alert
+         */
+        FireGeofence.prototype.gotoAlert = function (alert) {
+            this.globe.goto(alert.latitude, alert.longitude);
+        };
+
+        /**
+         * Removes all the alerts. Invoked by the view.
+         */
+        FireGeofence.prototype.clearAlerts = function () {
+            this.alerts.removeAll();
+        };
+
+        /**
+         * Asks for the permission to show browser notifications; the option is cleared
+         * if notifications aren't available or are denied.
+         */
+        FireGeofence.prototype.requestPermission = function () {
+            var self = this,
+                denied = function () {
+                    self.notifyBrowser(false);
+                    $.growl.warning({
+                        title: "Notifications Unavailable",
+                        message: "The browser doesn't allow notifications from this site."});
+                };
+
+            if (!window.Notification) {
+                denied();
+                return;
+            }
+            if (Notification.permission === "granted") {
+                return;
+            }
+            Promise.resolve(Notification.requestPermission()).then(function (permission) {
+                if (permission !== "granted") {
+                    denied();
+                }
+            });
+        };
+
+        /**
+         * Watches the selected marker. Invoked by the view.
+         * @returns {Object} The watched area, or null if no marker is selected.
+         */
+        FireGeofence.prototype.watchMarker = function () {
+            var marker = this.selectedMarker();
+            if (!marker) {
+                return null;
+            }
+            return this.addArea({
+                name: marker.name(),
+                kind: FireGeofence.KIND_MARKER,
+                markerId: marker.id()
+            });
+        };
+
+        /**
+         * Watches the location of the bookmark link. Invoked by the view.
+         * @returns {Object} The watched area, or null if the link isn't a bookmark.
+         */
+        FireGeofence.prototype.watchBookmark = function () {
+            var location = FireGeofence.parseBookmark(this.bookmarkUrl());
+            if (!location) {
+                $.growl.warning({
+                    title: "Invalid Bookmark",
+                    message: "Paste a bookmark link created with the Share button."});
+                return null;
+            }
+            this.bookmarkUrl("");
+            return this.addArea({
+                name: "Bookmark " + location.latitude.toFixed(4) + ", " + location.longitude.toFixed(4),
+                kind: FireGeofence.KIND_BOOKMARK,
+                location: location
+            });
+        };
+
+        /**
+         * Starts drawing a polygon to watch; clicks on the globe add its vertices. Invoked by the view.
+         */
+        FireGeofence.prototype.drawArea = function () {
+            this.vertices.removeAll();
+            this.isDrawing(true);
+            $.growl({
+                title: "Draw Watched Area",
+                message: "Click on the globe to add the area's points, then click Finish."});
+        };
+
+        /**
+         * Finishes drawing the polygon and watches it. Invoked by the view.
+         * @returns {Object} The watched area, or null if the polygon is incomplete.
+         */
+        FireGeofence.prototype.finishArea = function () {
+            var polygon = this.vertices();
+            if (polygon.length < 3) {
+                $.growl.warning({
+                    title: "Area Incomplete",
+                    message: "An area requires at least three points."});
+                return null;
+            }
+            this.isDrawing(false);
+            this.vertices([]);
+            return this.addArea({
+                name: "Area " + (this.areas().filter(function (area) {
+                    return area.kind === FireGeofence.KIND_POLYGON;
+                }).length + 1),
+                kind: FireGeofence.KIND_POLYGON,
+                polygon: polygon
+            });
+        };
+
+        /**
+         * Cancels drawing the polygon. Invoked by the view.
+         */
+        FireGeofence.prototype.cancelArea = function () {
+            this.isDrawing(false);
+            this.vertices.removeAll();
+        };
+
+        /**
+         * Adds a vertex to the polygon at the clicked terrain position while drawing.
+         * @param {Number} x The window x coordinate.
+         * @param {Number} y The window y coordinate.
+         */
+        FireGeofence.prototype.handleClick = function (x, y) {
+            var terrainObject = this.globe.wwd.pickTerrain(this.globe.wwd.canvasCoordinates(x, y)).terrainObject();
+
+            if (terrainObject) {
+                this.vertices.push({
+                    latitude: terrainObject.position.latitude,
+                    longitude: terrainObject.position.longitude
+                });
+            }
+        };
+
+        /**
+         * Watches a new area with the current radius.
+         * @param {Object} params {name, kind, markerId, location, polygon}
+         * @returns {Object} The watched area.
+         */
+        FireGeofence.prototype.addArea = function (params) {
+            var area = this.createArea(Object.assign({
+                id: util.guid(),
+                radius: Number(this.radius()) || FireGeofence.DEFAULT_RADIUS,
+                since: Date.now(),
+                alerted: []
+            }, params));
+
+            this.areas.push(area);
+            return area;
+        };
+
+        /**
+         * Stops watching an area. Invoked by the view.
+         * @param {Object} area
+         */
+        FireGeofence.prototype.removeArea = function (area) {
+            this.areas.remove(area);
+            this.disposeArea(area);
+        };
+
+        /**
+         * Creates a watched area and its depiction on the globe: a circle of the alert
+         * radius around a location, or the polygon.
+         * @param {Object} params {id, name, kind, radius, since, alerted, markerId, location, polygon}
+         * @returns {Object} The watched area.
+         */
+        FireGeofence.prototype.createArea = function (params) {
+            var self = this,
+                area = {
+                    id: params.id,
+                    name: params.name,
+                    kind: params.kind,
+                    radius: ko.observable(params.radius),
+                    since: params.since,
+                    alerted: params.alerted || [],
+                    markerId: params.markerId || null,
+                    location: params.location || null,
+                    polygon: params.polygon || null
+                };
+
+            if (area.polygon) {
+                area.shape = new WorldWind.SurfacePolygon(area.polygon.map(function (location) {
+                    return new WorldWind.Location(location.latitude, location.longitude);
+                }), FireGeofence.AREA_ATTRIBUTES);
+            } else {
+                area.shape = new WorldWind.SurfaceCircle(new WorldWind.Location(0, 0), 0, FireGeofence.AREA_ATTRIBUTES);
+            }
+            this.layer.addRenderable(area.shape);
+            area.updater = ko.computed(function () {
+                var location = self.locationOf(area),
+                    radius = Number(area.radius());
+
+                if (!area.polygon) {
+                    area.shape.enabled = location !== null;
+                    if (location) {
+                        area.shape.center = new WorldWind.Location(location.latitude, location.longitude);
+                    }
+                    area.shape.radius = radius > 0 ? radius * 1000 : 0;
+                }
+                self.globe.redraw();
+            });
+            return area;
+        };
+
+        // Internal. Removes an area's depiction.
+        FireGeofence.prototype.disposeArea = function (area) {
+            area.updater.dispose();
+            this.layer.removeRenderable(area.shape);
+            this.globe.redraw();
+        };
+
+        /**
+         * Saves the watched areas to local storage.
+         */
+        FireGeofence.prototype.saveAreas = function () {
+            var areas = this.areas().map(function (area) {
+                return {
+                    id: area.id,
+                    name: area.name,
+                    kind: area.kind,
+                    radius: Number(area.radius()) || FireGeofence.DEFAULT_RADIUS,
+                    since: area.since,
+                    alerted: area.alerted,
+                    markerId: area.markerId,
+                    location: area.location,
+                    polygon: area.polygon
+                };
+            });
+            try {
+                localStorage.setItem(constants.STORAGE_KEY_WATCHED_AREAS, JSON.stringify(areas));
+            } catch (e) {
+                log.error("FireGeofence", "saveAreas", e.message);
+            }
+        };
+
+        /**
+         * Restores the watched areas from local storage.
+         */
+        FireGeofence.prototype.restoreAreas = function () {
+            var self = this,
+                areas;
+            try {
+                areas = JSON.parse(localStorage.getItem(constants.STORAGE_KEY_WATCHED_AREAS)) || [];
+            } catch (e) {
+                log.error("FireGeofence", "restoreAreas", e.message);
+                areas = [];
+            }
+            areas.forEach(function (params) {
+                self.areas.push(self.createArea(params));
+            });
+        };
+
+        /**
+         * Gets the location of a bookmark link (see Globe.getCameraParams).
+         * @param {String} url
+         * @returns {Object} {latitude, longitude}, or null if the link has no valid location.
+         */
+        FireGeofence.parseBookmark = function (url) {
+            var query = String(url || "").split("?")[1],
+                parameters, latitude, longitude;
+
+            if (!query) {
+                return null;
+            }
+            parameters = new URLSearchParams(query.split("#")[0]);
+            latitude = parseFloat(parameters.get("lat"));
+            longitude = parseFloat(parameters.get("lon"));
+            if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+                return null;
+            }
+            return {latitude: latitude, longitude: longitude};
+        };
+
+        /**
+         * Gets the key identifying a fire in an area's alerted fires.
+         * @param {TacticalSymbol} symbol
+         * @returns {String}
+         */
+        FireGeofence.keyOf = function (symbol) {
+            return symbol.fid !== null && symbol.fid !== undefined ? "fid:" + symbol.fid : "id:" + symbol.id();
+        };
+
+        /**
+         * Formats the distance of a fire from an area.
+         * @param {Number} meters
+         * @returns {String} E.g., "2.4 km from" or "inside".
+         */
+        FireGeofence.formatDistance = function (meters) {
+            return meters === 0 ? "inside" : (meters / 1000).toFixed(1) + " km from";
+        };
+
+        /** A watched marker. */
+        FireGeofence.KIND_MARKER = "marker";
+        /** A watched bookmark location. */
+        FireGeofence.KIND_BOOKMARK = "bookmark";
+        /** A watched polygon. */
+        FireGeofence.KIND_POLYGON = "polygon";
+
+        /** The default alert radius in kilometers. */
+        FireGeofence.DEFAULT_RADIUS = 10;
+
+        /** The maximum number of alerts listed; the oldest are dropped. */
+        FireGeofence.MAX_ALERTS = 100;
+
+        /** The maximum number of alerted fires remembered per area. */
+        FireGeofence.MAX_ALERTED = 500;
+
+        /** The delay in milliseconds used to coalesce a fire's changes before checking it. */
+        FireGeofence.UPDATE_DELAY = 500;
+
+        /** The distance in pixels a click may move from its mouse down and still add a vertex. */
+        FireGeofence.CLICK_TOLERANCE = 4;
+
+        /** The appearance of the watched areas. */
+        FireGeofence.AREA_ATTRIBUTES = (function () {
+            var attributes = new WorldWind.ShapeAttributes(null);
+            attributes.drawInterior = true;
+            attributes.drawOutline = true;
+            attributes.interiorColor = new WorldWind.Color(1, 0.8, 0, 0.08);
+            attributes.outlineColor = new WorldWind.Color(1, 0.8, 0, 1);
+            attributes.outlineWidth = 2;
+            attributes.outlineStipplePattern = 0xF0F0;
+            attributes.outlineStippleFactor = 1;
+            return attributes;
+        }());
+
+        return FireGeofence;
+    }
+);
@@ -0,0 +1,93 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define*/
+
+/**
+ * The FireHeatmap feeds a HeatmapLayer with the locations of the fire symbols and
+ * of the imported satellite hotspots shown at the globe's time; the fire symbols
+ * excluded by the FireFilter are left out. The heatmap is
+ * recomputed when symbols are added, moved or removed and when the hotspots change.
+ *
+ * @param {HeatmapLayer} HeatmapLayer
+ * @param {Knockout} ko
+ * @returns {FireHeatmap}
+ */
+define([
+    'model/globe/layers/HeatmapLayer',
+    'knockout'],
+    function (
+        HeatmapLayer,
+        ko) {
+        "use strict";
+
+        /**
+         * @constructor
+         * @param {Globe} globe The globe that displays the heatmap layer.
+         * @param {SymbolManager} symbolManager The manager of the fire symbols.
+         * @param {FirmsImporter} firmsImporter Optional importer of the satellite hotspots.
+         */
+        var FireHeatmap = function (globe, symbolManager, firmsImporter) {
+            var self = this;
+
+            this.globe = globe;
+            this.symbolManager = symbolManager;
+            this.firmsImporter = firmsImporter || null;
+
+            /**
+             * The heatmap layer; its radius and ramp are adjusted in the layer settings dialog.
+             * @type {HeatmapLayer}
+             */
+            this.layer = new HeatmapLayer();
+            globe.layerManager.addDataLayer(this.layer, {
+                enabled: false,
+                pickEnabled: false,
+                opacity: 0.8
+            });
+
+            // Recompute the points whenever the symbols, their positions or the hotspots change.
+            // Knockout tracks the observables read by update() as dependencies.
+            this.updater = ko.computed(function () {
+                self.update();
+            }).extend({rateLimit: FireHeatmap.UPDATE_DELAY});
+        };
+
+        /**
+         * Collects the points and passes them to the heatmap layer.
+         */
+        FireHeatmap.prototype.update = function () {
+            var points = [];
+
+            this.symbolManager.symbols().forEach(function (symbol) {
+                var latitude = parseFloat(symbol.latitude()),
+                    longitude = parseFloat(symbol.longitude());
+                // Follow the fire filter and the time filter
+                if (symbol.isShown() && !isNaN(latitude) && !isNaN(longitude)) {
+                    points.push({latitude: latitude, longitude: longitude});
+                }
+            });
+            if (this.firmsImporter) {
+                // The counts change on import and clear; the globe's time moves the hotspot time window.
+                this.firmsImporter.detectionCount();
+                this.firmsImporter.visibleCount();
+                this.globe.dateTime();
+                this.firmsImporter.layer.renderables.forEach(function (placemark) {
+                    if (placemark.enabled) {
+                        points.push({
+                            latitude: placemark.position.latitude,
+                            longitude: placemark.position.longitude
+                        });
+                    }
+                });
+            }
+            this.layer.setPoints(points);
+            this.globe.redraw();
+        };
+
+        /** The delay in milliseconds used to coalesce the changes before recomputing. */
+        FireHeatmap.UPDATE_DELAY = 500;
+
+        return FireHeatmap;
+    }
+);
@@ -0,0 +1,222 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define*/
+
+/**
+ * The FireHistory module defines the audit trail of a fire: the data sources append
+ * an entry to a fire's history each time the fire is created or changed. An entry
+ * records the fire's state after the change so that the fire can be reverted to it:
+ * <pre>
+ *  {
+ *      time: the ISO 8601 time of the change,
+ *      client: the id of the client that made the change, or null if unknown,
+ *      type: "created" or "updated",
+ *      changes: [{field, from, to}, ...], the changed state fields,
+ *      state: {lat, lon, alt, verified, exttime, perimeter} and the incident attributes
+ *  }
+ * </pre>
+ * where perimeter is the id of the current perimeter version (see FirePerimeter).
+ * The entries, oldest first, are exchanged with the fire data sources in the
+ * fire_history column (see FireDataSource).
+ *
+ * @param {FireIncident} fireIncident
+ * @returns {FireHistory}
+ */
+define(['model/fires/FireIncident'],
+    function (fireIncident) {
+        "use strict";
+
+        var FireHistory = {
+            /**
+             * Gets the audited state of a fire record.
+             * @param {Object} record A fire record (see FireDataSource).
+             * @returns {Object} {lat, lon, alt, verified, exttime, perimeter} and the incident attributes.
+             */
+            stateOfRecord: function (record) {
+                var perimeters = record.fire_perimeters || [],
+                    state = {
+                        lat: record.fire_lat,
+                        lon: record.fire_lon,
+                        alt: record.fire_alt,
+                        verified: !!record.fire_verified,
+                        exttime: record.fire_extinguished || null,
+                        perimeter: perimeters.length > 0 ? perimeters[perimeters.length - 1].id : null
+                    };
+                return Object.assign(state, fireIncident.normalize(fireIncident.fromRecord(record)));
+            },
+
+            /**
+             * Appends an entry for the current state of a fire record to its history. An
+             * update that doesn't change the state isn't recorded.
+             * @param {Object} record The fire record to modify (see FireDataSource).
+             * @param {String} type TYPE_CREATED or TYPE_UPDATED.
+             * @param {String} client The id of the client making the change; may be null.
+             * @param {Date} time Optional time of the change. Default now.
+             * @returns {Object} The new entry, or null if nothing changed.
+             */
+            record: function (record, type, client, time) {
+                var history = record.fire_history || [],
+                    previous = history.length > 0 ? history[history.length - 1].state : null,
+                    state = FireHistory.stateOfRecord(record),
+                    changes = FireHistory.diff(previous, state),
+                    entry;
+
+                if (type === FireHistory.TYPE_UPDATED && changes.length === 0) {
+                    return null;
+                }
+                entry = {
+                    time: (time || new Date()).toISOString(),
+                    client: client || null,
+                    type: type,
+                    changes: changes,
+                    state: state
+                };
+                record.fire_history = history.concat([entry]).slice(-FireHistory.MAX_ENTRIES);
+                return entry;
+            },
+
+            /**
+             * Compares two fire states.
+             * @param {Object} previous The state before the change; null for a new fire.
+             * @param {Object} state The state after the change.
+             * @returns {Object[]} The changed fields: {field, from, to}.
+             */
+            diff: function (previous, state) {
+                return FireHistory.FIELDS.filter(function (field) {
+                    var from = previous ? FireHistory.valueOf(previous[field]) : null,
+                        to = FireHistory.valueOf(state[field]);
+                    return previous ? from !== to : to !== null && to !== false;
+                }).map(function (field) {
+                    return {
+                        field: field,
+                        from: previous ? FireHistory.valueOf(previous[field]) : null,
+                        to: FireHistory.valueOf(state[field])
+                    };
+                });
+            },
+
+            /**
+             * Describes the changes of a history entry.
+             * @param {Object} entry
+             * @returns {String[]} One line per change, e.g., "Moved to 34.2000, -119.1000".
+             */
+            describe: function (entry) {
+                var changes = entry.changes || [],
+                    lines = [],
+                    isMoved = changes.some(function (change) {
+                        return change.field === "lat" || change.field === "lon";
+                    });
+
+                if (entry.type === FireHistory.TYPE_CREATED) {
+                    lines.push("Reported at " + FireHistory.formatLocation(entry.state));
+                } else if (isMoved) {
+                    lines.push("Moved to " + FireHistory.formatLocation(entry.state));
+                }
+                changes.forEach(function (change) {
+                    switch (change.field) {
+                        case "lat":
+                        case "lon":
+                        case "alt":
+                            break;
+                        case "verified":
+                            lines.push(change.to ? "Verified" : "Marked unverified");
+                            break;
+                        case "exttime":
+                            lines.push(change.to ? "Extinguished " + change.to : "Extinguished time cleared");
+                            break;
+                        case "perimeter":
+                            lines.push("Perimeter updated");
+                            break;
+                        default:
+                            lines.push(FireHistory.LABELS[change.field] + ": " +
+                                (change.from === null ? "none" : change.from) + " → " +
+                                (change.to === null ? "none" : change.to));
+                    }
+                });
+                return lines;
+            },
+
+            /**
+             * Validates the history of a fire record.
+             * @param {Object[]|String} value The entries, or their JSON text.
+             * @returns {Object} {entries: the entries sorted by time, reason: why the value is
+             * invalid or null}. Empty values are an empty history.
+             */
+            validateEntries: function (value) {
+                var entries = value,
+                    invalid;
+
+                if (value === undefined || value === null || value === "") {
+                    return {entries: [], reason: null};
+                }
+                if (typeof value === "string") {
+                    try {
+                        entries = JSON.parse(value);
+                    } catch (e) {
+                        return {entries: [], reason: "is not valid JSON"};
+                    }
+                }
+                if (!Array.isArray(entries)) {
+                    return {entries: [], reason: "is not an array"};
+                }
+                invalid = entries.findIndex(function (entry) {
+                    return !entry || isNaN(new Date(entry.time).getTime()) ||
+                        (entry.type !== FireHistory.TYPE_CREATED && entry.type !== FireHistory.TYPE_UPDATED) ||
+                        !Array.isArray(entry.changes) || !entry.state || typeof entry.state !== "object" ||
+                        typeof entry.state.lat !== "number" || typeof entry.state.lon !== "number";
+                });
+                if (invalid >= 0) {
+                    return {entries: [], reason: "has an invalid entry at index " + invalid};
+                }
+                return {
+                    entries: entries.slice().sort(function (a, b) {
+                        return new Date(a.time) - new Date(b.time);
+                    }),
+                    reason: null
+                };
+            },
+
+            /**
+             * Formats the location of a fire state.
+             * @param {Object} state
+             * @returns {String} E.g., "34.2000, -119.1000".
+             */
+            formatLocation: function (state) {
+                return Number(state.lat).toFixed(4) + ", " + Number(state.lon).toFixed(4);
+            },
+
+            // Internal. Normalizes the empty values of a state field for comparison.
+            valueOf: function (value) {
+                return value === undefined || value === "" ? null : value;
+            },
+
+            /** A history entry for the creation of a fire. */
+            TYPE_CREATED: "created",
+            /** A history entry for a change to a fire. */
+            TYPE_UPDATED: "updated",
+
+            /** The audited state fields. */
+            FIELDS: ["lat", "lon", "alt", "verified", "exttime", "perimeter"].concat(
+                fireIncident.FIELDS.map(function (field) {
+                    return field.param;
+                })),
+
+            /** The display names of the incident attributes. */
+            LABELS: {
+                size: "Size (ha)",
+                containment: "Containment (%)",
+                cause: "Cause",
+                fuel: "Fuel type",
+                structures: "Structures threatened",
+                description: "Description"
+            },
+
+            /** The maximum number of entries kept in a fire's history; the oldest are dropped. */
+            MAX_ENTRIES: 200
+        };
+
+        return FireHistory;
+    }
+);
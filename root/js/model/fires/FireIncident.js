@@ -0,0 +1,181 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define*/
+
+/**
+ * The FireIncident module defines the optional incident attributes of a fire:
+ * estimated size, containment, cause, fuel type, structures threatened and a
+ * description. Each attribute has a create/update parameter name (see
+ * FireDataSource) and a fire record column. The size is stored in hectares;
+ * the editor also presents it in acres.
+ *
+ * @returns {FireIncident}
+ */
+define([],
+    function () {
+        "use strict";
+
+        var FireIncident = {
+            /**
+             * The incident attributes: {param, column, type: "number" or "text", min, max}.
+             * @type {Object[]}
+             */
+            FIELDS: [
+                {param: "size", column: "fire_size", type: "number", min: 0},
+                {param: "containment", column: "fire_containment", type: "number", min: 0, max: 100},
+                {param: "cause", column: "fire_cause", type: "text"},
+                {param: "fuel", column: "fire_fuel", type: "text"},
+                {param: "structures", column: "fire_structures", type: "number", min: 0},
+                {param: "description", column: "fire_description", type: "text"}
+            ],
+
+            /**
+             * Gets the incident attributes of a fire record.
+             * @param {Object} record A fire record.
+             * @returns {Object} The attributes keyed by parameter name; missing values are null.
+             */
+            fromRecord: function (record) {
+                var incident = {};
+                FireIncident.FIELDS.forEach(function (field) {
+                    var value = record[field.column];
+                    incident[field.param] = value === undefined || value === "" ? null : value;
+                });
+                return incident;
+            },
+
+            /**
+             * Copies incident attributes to the columns of a fire record. Undefined
+             * attributes are left unchanged.
+             * @param {Object} record The fire record to modify.
+             * @param {Object} params The attributes keyed by parameter name.
+             * @returns {Object} The modified record.
+             */
+            applyToRecord: function (record, params) {
+                FireIncident.FIELDS.forEach(function (field) {
+                    if (params[field.param] !== undefined) {
+                        record[field.column] = params[field.param];
+                    }
+                });
+                return record;
+            },
+
+            /**
+             * Normalizes the attributes entered in the editor: numbers are parsed and
+             * empty or invalid values become null.
+             * @param {Object} values The attribute values keyed by parameter name.
+             * @returns {Object} The attributes keyed by parameter name.
+             */
+            normalize: function (values) {
+                var incident = {};
+                FireIncident.FIELDS.forEach(function (field) {
+                    var value = values[field.param],
+                        number;
+                    if (value === undefined || value === null || String(value).trim() === "") {
+                        incident[field.param] = null;
+                    } else if (field.type === "number") {
+                        number = Number(value);
+                        incident[field.param] = isFinite(number) ? number : null;
+                    } else {
+                        incident[field.param] = String(value).trim();
+                    }
+                });
+                return incident;
+            },
+
+            /**
+             * Determines if two sets of attributes are equal.
+             * @param {Object} a The attributes keyed by parameter name; may be null.
+             * @param {Object} b The attributes keyed by parameter name; may be null.
+             * @returns {Boolean}
+             */
+            isEqual: function (a, b) {
+                if (!a || !b) {
+                    return a === b;
+                }
+                return FireIncident.FIELDS.every(function (field) {
+                    return a[field.param] === b[field.param];
+                });
+            },
+
+            /**
+             * Determines if any attribute has a value.
+             * @param {Object} incident The attributes keyed by parameter name.
+             * @returns {Boolean}
+             */
+            hasValues: function (incident) {
+                return FireIncident.FIELDS.some(function (field) {
+                    return incident[field.param] !== null && incident[field.param] !== undefined;
+                });
+            },
+
+            /**
+             * Creates the milsymbol text modifiers depicting the attributes: the size and
+             * containment are the additional information (field H) and the cause, fuel type
+             * and structures threatened are the staff comments (field G).
+             * @param {Object} incident The attributes keyed by parameter name.
+             * @returns {Object} {additionalInformation, staffComments}; empty strings when there
+             * is nothing to depict.
+             */
+            toModifiers: function (incident) {
+                var information = [],
+                    comments = [];
+
+                if (incident.size !== null && incident.size !== undefined) {
+                    information.push(FireIncident.formatSize(incident.size));
+                }
+                if (incident.containment !== null && incident.containment !== undefined) {
+                    information.push(incident.containment + "% contained");
+                }
+                if (incident.cause) {
+                    comments.push("Cause: " + incident.cause);
+                }
+                if (incident.fuel) {
+                    comments.push("Fuel: " + incident.fuel);
+                }
+                if (incident.structures) {
+                    comments.push(incident.structures + " structures threatened");
+                }
+                return {
+                    additionalInformation: information.join(", "),
+                    staffComments: comments.join(", ")
+                };
+            },
+
+            /**
+             * Formats a size in hectares with its equivalent in acres.
+             * @param {Number} hectares
+             * @returns {String} E.g., "120 ha (297 ac)".
+             */
+            formatSize: function (hectares) {
+                return FireIncident.round(hectares, 1) + " ha (" +
+                    FireIncident.round(hectares * FireIncident.ACRES_PER_HECTARE, 0) + " ac)";
+            },
+
+            /**
+             * Rounds a number to the given number of decimals.
+             * @param {Number} value
+             * @param {Number} decimals
+             * @returns {Number}
+             */
+            round: function (value, decimals) {
+                var factor = Math.pow(10, decimals);
+                return Math.round(value * factor) / factor;
+            },
+
+            /** The number of acres in a hectare. */
+            ACRES_PER_HECTARE: 2.4710538,
+
+            /** The fire cause choices presented in the editor. */
+            CAUSES: ["Undetermined", "Lightning", "Campfire", "Debris burning", "Equipment use", "Power line",
+                "Arson", "Vehicle", "Smoking", "Fireworks", "Other human"],
+
+            /** The fuel type choices presented in the editor. */
+            FUEL_TYPES: ["Grass", "Shrub", "Timber litter", "Timber understory", "Slash", "Chaparral",
+                "Agricultural", "Urban interface", "Mixed"]
+        };
+
+        return FireIncident;
+    }
+);
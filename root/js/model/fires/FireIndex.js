@@ -0,0 +1,216 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define*/
+
+/**
+ * The FireIndex is a spatial index of fire locations that finds the fires nearest a
+ * location without scanning them all. It's a k-d tree of the locations' unit vectors on
+ * the sphere: the straight-line (chord) distance between two unit vectors increases with
+ * their great circle distance, so the tree's nearest neighbors are the nearest fires,
+ * with no special cases at the antimeridian or the poles.
+ *
+ * @param {FirePerimeter} firePerimeter
+ * @returns {FireIndex}
+ */
+define(['model/fires/FirePerimeter'],
+    function (firePerimeter) {
+        "use strict";
+
+        /**
+         * @constructor
+         * @param {Object[]} entries {latitude, longitude, item}; the entries with invalid
+         * locations are ignored.
+         */
+        var FireIndex = function (entries) {
+            var points = entries.filter(function (entry) {
+                return FireIndex.isValidLocation(entry.latitude, entry.longitude);
+            }).map(function (entry) {
+                var point = FireIndex.toVector(entry.latitude, entry.longitude);
+                point.latitude = entry.latitude;
+                point.longitude = entry.longitude;
+                point.item = entry.item;
+                return point;
+            });
+
+            /**
+             * The number of indexed locations.
+             * @type {Number}
+             */
+            this.size = points.length;
+
+            // Internal. The root node of the k-d tree.
+            this.root = FireIndex.build(points, 0);
+        };
+
+        /**
+         * Finds the entries nearest a location.
+         * @param {Number} latitude Degrees
+         * @param {Number} longitude Degrees
+         * @param {Number} count The maximum number of entries.
+         * @param {Number} maxDistance Optional. The maximum distance in meters.
+         * @returns {Object[]} {item, latitude, longitude, distance: meters, bearing: degrees
+         * clockwise from north to the entry}, nearest first.
+         */
+        FireIndex.prototype.nearest = function (latitude, longitude, count, maxDistance) {
+            var target = FireIndex.toVector(latitude, longitude),
+                maxChordSquared = maxDistance === undefined ? Infinity :
+                    Math.pow(FireIndex.toChord(maxDistance), 2),
+                found = [],
+                limit = function () {
+                    return found.length < count ? maxChordSquared :
+                        Math.min(maxChordSquared, found[found.length - 1].chordSquared);
+                },
+                search = function (node) {
+                    var chordSquared, difference, i;
+                    if (!node) {
+                        return;
+                    }
+                    chordSquared = FireIndex.chordSquared(node.point, target);
+                    if (chordSquared <= limit()) {
+                        // Insert in order, dropping the farthest beyond the count
+                        i = found.length;
+                        while (i > 0 && found[i - 1].chordSquared > chordSquared) {
+                            i -= 1;
+                        }
+                        found.splice(i, 0, {point: node.point, chordSquared: chordSquared});
+                        if (found.length > count) {
+                            found.pop();
+                        }
+                    }
+                    difference = target[node.axis] - node.point[node.axis];
+                    search(difference < 0 ? node.left : node.right);
+                    // Search the far side only if it may hold a nearer point
+                    if (difference * difference <= limit()) {
+                        search(difference < 0 ? node.right : node.left);
+                    }
+                };
+
+            if (count < 1 || !FireIndex.isValidLocation(latitude, longitude)) {
+                return [];
+            }
+            search(this.root);
+            return found.map(function (result) {
+                var point = result.point;
+                return {
+                    item: point.item,
+                    latitude: point.latitude,
+                    longitude: point.longitude,
+                    distance: firePerimeter.distance(latitude, longitude, point.latitude, point.longitude),
+                    bearing: FireIndex.bearing(latitude, longitude, point.latitude, point.longitude)
+                };
+            });
+        };
+
+        /**
+         * Builds a balanced k-d tree, splitting on x, y and z in turn.
+         * @param {Object[]} points {x, y, z, ...}; reordered.
+         * @param {Number} depth
+         * @returns {Object} The root node: {point, axis, left, right}, or null if there are no points.
+         */
+        FireIndex.build = function (points, depth) {
+            var axis = FireIndex.AXES[depth % 3],
+                median;
+
+            if (points.length === 0) {
+                return null;
+            }
+            points.sort(function (a, b) {
+                return a[axis] - b[axis];
+            });
+            median = Math.floor(points.length / 2);
+            return {
+                point: points[median],
+                axis: axis,
+                left: FireIndex.build(points.slice(0, median), depth + 1),
+                right: FireIndex.build(points.slice(median + 1), depth + 1)
+            };
+        };
+
+        /**
+         * Computes the initial bearing of the great circle from one location to another.
+         * @param {Number} lat1 Degrees
+         * @param {Number} lon1 Degrees
+         * @param {Number} lat2 Degrees
+         * @param {Number} lon2 Degrees
+         * @returns {Number} Degrees clockwise from north, in [0, 360).
+         */
+        FireIndex.bearing = function (lat1, lon1, lat2, lon2) {
+            var phi1 = firePerimeter.toRadians(lat1),
+                phi2 = firePerimeter.toRadians(lat2),
+                dLambda = firePerimeter.toRadians(lon2 - lon1),
+                y = Math.sin(dLambda) * Math.cos(phi2),
+                x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLambda);
+            return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+        };
+
+        /**
+         * Gets the 16-point compass direction of a bearing.
+         * @param {Number} bearing Degrees clockwise from north
+         * @returns {String} E.g., "NNE".
+         */
+        FireIndex.compassPoint = function (bearing) {
+            var points = FireIndex.COMPASS_POINTS;
+            return points[Math.round(((bearing % 360) + 360) % 360 / (360 / points.length)) % points.length];
+        };
+
+        /**
+         * Converts a location to a unit vector.
+         * @param {Number} latitude Degrees
+         * @param {Number} longitude Degrees
+         * @returns {Object} {x, y, z}
+         */
+        FireIndex.toVector = function (latitude, longitude) {
+            var phi = firePerimeter.toRadians(latitude),
+                lambda = firePerimeter.toRadians(longitude);
+            return {
+                x: Math.cos(phi) * Math.cos(lambda),
+                y: Math.cos(phi) * Math.sin(lambda),
+                z: Math.sin(phi)
+            };
+        };
+
+        /**
+         * Converts a great circle distance to the chord length between unit vectors.
+         * @param {Number} distance Meters
+         * @returns {Number}
+         */
+        FireIndex.toChord = function (distance) {
+            return 2 * Math.sin(Math.min(distance / firePerimeter.EARTH_RADIUS, Math.PI) / 2);
+        };
+
+        /**
+         * Computes the squared chord length between unit vectors.
+         * @param {Object} a {x, y, z}
+         * @param {Object} b {x, y, z}
+         * @returns {Number}
+         */
+        FireIndex.chordSquared = function (a, b) {
+            var dx = a.x - b.x,
+                dy = a.y - b.y,
+                dz = a.z - b.z;
+            return dx * dx + dy * dy + dz * dz;
+        };
+
+        /**
+         * Determines if a latitude and longitude are valid degrees.
+         * @param {Number} latitude
+         * @param {Number} longitude
+         * @returns {Boolean}
+         */
+        FireIndex.isValidLocation = function (latitude, longitude) {
+            return typeof latitude === "number" && typeof longitude === "number" &&
+                Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+        };
+
+        /** The splitting axes of the k-d tree. */
+        FireIndex.AXES = ["x", "y", "z"];
+
+        /** The 16 compass points clockwise from north. */
+        FireIndex.COMPASS_POINTS = ["N", "NNE", "NE", "ENE", "E", "ESE", "SE", "SSE",
+            "S", "SSW", "SW", "WSW", "W", "WNW", "NW", "NNW"];
+
+        return FireIndex;
+    }
+);
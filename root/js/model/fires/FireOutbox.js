@@ -0,0 +1,354 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define*/
+
+/**
+ * The FireOutbox module queues the create, update and delete operations sent to a
+ * FireDataSource. The queue is persisted in local storage so that fire reports made
+ * without connectivity are not lost. Failed operations are retried with an
+ * exponential backoff until they succeed; only the operations the data source
+ * refuses are discarded. The queue is processed when it's restored from local
+ * storage and replayed when the browser comes back online.
+ *
+ * Operations are executed one at a time in the order they were queued. Each
+ * operation has the form:
+ * <pre>
+ *  {
+ *      id: unique operation id,
+ *      type: "create", "update" or "delete",
+ *      symbolId: the id of the TacticalSymbol that originated the operation,
+ *      fid: the fire id, null for a create or until the originating create completes,
+ *      params: the data source parameters (see FireDataSource),
+ *      attempts: the number of failed attempts,
+ *      nextAttempt: the earliest time (ms) of the next attempt,
+ *      lastError: the message from the last failed attempt
+ *  }
+ * </pre>
+ *
+ * @param {Constants} constants
+ * @param {Events} events
+ * @param {Knockout} ko
+ * @param {Log} log
+ * @param {Publisher} publisher
+ * @param {WmtUtil} util
+ * @returns {FireOutbox}
+ */
+define([
+    'model/Constants',
+    'model/Events',
+    'knockout',
+    'model/util/Log',
+    'model/util/Publisher',
+    'model/util/WmtUtil'],
+    function (
+        constants,
+        events,
+        ko,
+        log,
+        publisher,
+        util) {
+        "use strict";
+
+        /**
+         * @constructor
+         * @param {FireDataSource} dataSource The data source that executes the operations.
+         * @param {String} storageKey Optional local storage key; default is constants.STORAGE_KEY_FIRE_OUTBOX.
+         */
+        var FireOutbox = function (dataSource, storageKey) {
+            var self = this;
+
+            this.dataSource = dataSource;
+            this.storageKey = storageKey || constants.STORAGE_KEY_FIRE_OUTBOX;
+
+            /**
+             * The queued operations, in execution order.
+             * @type {Object[]}
+             */
+            this.operations = this.readOperations();
+
+            /**
+             * The number of queued operations.
+             * @type {Number} observable
+             */
+            this.pendingCount = ko.observable(this.operations.length);
+
+            // Internal. The operation being executed, if any.
+            this.activeOperation = null;
+            // Internal. The id of the scheduled retry timeout.
+            this.retryTimeout = null;
+            // Internal. The settled() promise callbacks keyed by operation id.
+            this.waiters = {};
+
+            // Make event publisher: adds "on" and "fire" methods
+            publisher.makePublisher(this);
+
+            // Replay the queue as soon as connectivity is restored
+            window.addEventListener("online", function () {
+                self.replay();
+            });
+
+            // Send the operations queued before the page was reloaded
+            this.process();
+        };
+
+        /**
+         * Adds an operation to the queue and starts processing the queue.
+         * @param {String} type "create", "update" or "delete".
+         * @param {String} symbolId The id of the symbol that originated the operation.
+         * @param {String|Number} fid The fire id; may be null.
+         * @param {Object} params The data source parameters.
+         * @returns {Object} The queued operation.
+         */
+        FireOutbox.prototype.enqueue = function (type, symbolId, fid, params) {
+            var operation = this.findQueued("update", symbolId);
+
+            // Coalesce consecutive updates that haven't been sent yet
+            if (type === "update" && operation && operation === this.operations[this.operations.length - 1]) {
+                operation.params = params;
+                operation.fid = fid === null || fid === undefined ? operation.fid : fid;
+            } else {
+                operation = {
+                    id: util.guid(),
+                    type: type,
+                    symbolId: symbolId,
+                    fid: fid === undefined ? null : fid,
+                    params: params || {},
+                    attempts: 0,
+                    nextAttempt: 0,
+                    lastError: null
+                };
+                this.operations.push(operation);
+            }
+            this.writeOperations();
+            this.process();
+            return operation;
+        };
+
+        /**
+         * Determines if there are queued operations for the given symbol.
+         * @param {String} symbolId
+         * @returns {Boolean}
+         */
+        FireOutbox.prototype.hasOperations = function (symbolId) {
+            return this.operations.some(function (operation) {
+                return operation.symbolId === symbolId;
+            });
+        };
+
+        /**
+         * Finds a queued operation that is not being executed.
+         * @param {String} type The operation type.
+         * @param {String} symbolId
+         * @returns {Object} The operation or undefined.
+         */
+        FireOutbox.prototype.findQueued = function (type, symbolId) {
+            var self = this;
+            return this.operations.find(function (operation) {
+                return operation.type === type &&
+                    operation.symbolId === symbolId &&
+                    operation !== self.activeOperation;
+            });
+        };
+
+        /**
+         * Removes the given symbol's operations that are not being executed.
+         * @param {String} symbolId
+         */
+        FireOutbox.prototype.discard = function (symbolId) {
+            var self = this;
+            this.operations = this.operations.filter(function (operation) {
+                return operation.symbolId !== symbolId || operation === self.activeOperation;
+            });
+            this.writeOperations();
+        };
+
+        /**
+         * Gets a promise for the outcome of the next attempt to execute an operation.
+         * The operation remains queued for retry after a failed attempt unless the
+         * data source refused it.
+         * @param {Object} operation An operation returned by enqueue.
+         * @returns {Promise} Resolves with the data source's record; rejects with the
+         * attempt's error, or immediately if the browser is offline.
+         */
+        FireOutbox.prototype.settled = function (operation) {
+            var waiters = this.waiters;
+            if (!navigator.onLine) {
+                return Promise.reject(new Error("You are offline. The change will be sent when the connection is restored."));
+            }
+            return new Promise(function (resolve, reject) {
+                waiters[operation.id] = (waiters[operation.id] || []).concat({resolve: resolve, reject: reject});
+            });
+        };
+
+        /**
+         * Retries the queued operations immediately, resetting their backoff delays.
+         */
+        FireOutbox.prototype.replay = function () {
+            this.operations.forEach(function (operation) {
+                operation.nextAttempt = 0;
+            });
+            this.process();
+        };
+
+        /**
+         * Executes the operation at the head of the queue. Continues with the next
+         * operation on success; reschedules the operation on failure.
+         */
+        FireOutbox.prototype.process = function () {
+            var self = this,
+                operation = this.operations[0],
+                delay;
+
+            if (this.activeOperation || !operation) {
+                return;
+            }
+            if (!navigator.onLine) {
+                return; // Wait for the "online" event
+            }
+            delay = operation.nextAttempt - Date.now();
+            if (delay > 0) {
+                this.scheduleRetry(delay);
+                return;
+            }
+            window.clearTimeout(this.retryTimeout);
+            this.retryTimeout = null;
+
+            this.activeOperation = operation;
+            this.execute(operation).then(function (record) {
+                self.activeOperation = null;
+                self.removeOperation(operation);
+                if (operation.type === "create" && record && record.fid !== undefined) {
+                    self.resolveFid(operation.symbolId, record.fid);
+                }
+                self.fire(events.EVENT_FIRE_OPERATION_SUCCEEDED, {operation: operation, record: record});
+                self.settle(operation, null, record);
+                self.process();
+            }, function (error) {
+                var discarded = error.retryable === false;
+                self.activeOperation = null;
+                operation.attempts += 1;
+                operation.lastError = error.message;
+                if (discarded) {
+                    // The data source refused the operation; retrying won't help
+                    self.removeOperation(operation);
+                    log.error("FireOutbox", "process", operation.type + " discarded after " +
+                        operation.attempts + " attempt(s): " + error.message);
+                } else {
+                    operation.nextAttempt = Date.now() + FireOutbox.retryDelay(operation.attempts);
+                    self.writeOperations();
+                    log.warning("FireOutbox", "process", operation.type + " failed (attempt " + operation.attempts + "): " + error.message);
+                }
+                self.fire(events.EVENT_FIRE_OPERATION_FAILED, {operation: operation, error: error, discarded: discarded});
+                self.settle(operation, error);
+                self.process();
+            });
+        };
+
+        // Internal. Sends an operation to the data source.
+        FireOutbox.prototype.execute = function (operation) {
+            switch (operation.type) {
+                case "create":
+                    // The operation id lets the data source recognize a retry of a create it applied
+                    return this.dataSource.createFire(operation.params, operation.id);
+                case "update":
+                case "delete":
+                    if (operation.fid === null) {
+                        // The originating create never completed; there is nothing to modify
+                        log.warning("FireOutbox", "execute", "Discarding " + operation.type + " of an unsaved fire.");
+                        return Promise.resolve(null);
+                    }
+                    return operation.type === "update" ?
+                        this.dataSource.updateFire(operation.fid, operation.params) :
+                        this.dataSource.deleteFire(operation.fid);
+                default:
+                    log.error("FireOutbox", "execute", "Unknown operation type: " + operation.type);
+                    return Promise.resolve(null);
+            }
+        };
+
+        // Internal. Settles the promises returned by settled() for an operation.
+        FireOutbox.prototype.settle = function (operation, error, record) {
+            var waiters = this.waiters[operation.id] || [];
+            delete this.waiters[operation.id];
+            waiters.forEach(function (waiter) {
+                if (error) {
+                    waiter.reject(error);
+                } else {
+                    waiter.resolve(record);
+                }
+            });
+        };
+
+        // Internal. Assigns the fid from a completed create to the symbol's later operations.
+        FireOutbox.prototype.resolveFid = function (symbolId, fid) {
+            this.operations.forEach(function (operation) {
+                if (operation.symbolId === symbolId && operation.fid === null) {
+                    operation.fid = fid;
+                }
+            });
+            this.writeOperations();
+        };
+
+        // Internal. Schedules the queue processing after the given delay.
+        FireOutbox.prototype.scheduleRetry = function (delay) {
+            var self = this;
+            window.clearTimeout(this.retryTimeout);
+            this.retryTimeout = window.setTimeout(function () {
+                self.retryTimeout = null;
+                self.process();
+            }, delay);
+        };
+
+        // Internal. Removes an operation from the queue.
+        FireOutbox.prototype.removeOperation = function (operation) {
+            var index = this.operations.indexOf(operation);
+            if (index >= 0) {
+                this.operations.splice(index, 1);
+            }
+            this.writeOperations();
+        };
+
+        // Internal. Reads the operations from local storage.
+        FireOutbox.prototype.readOperations = function () {
+            var string = localStorage.getItem(this.storageKey),
+                operations;
+            try {
+                operations = JSON.parse(string);
+            } catch (e) {
+                log.error("FireOutbox", "readOperations", "Invalid JSON in local storage: " + e.message);
+            }
+            return Array.isArray(operations) ? operations : [];
+        };
+
+        // Internal. Writes the operations to local storage.
+        FireOutbox.prototype.writeOperations = function () {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.operations));
+            this.pendingCount(this.operations.length);
+        };
+
+        /**
+         * Computes the exponential backoff delay for a failed operation.
+         * @param {Number} attempts The number of failed attempts.
+         * @returns {Number} The delay in milliseconds.
+         */
+        FireOutbox.retryDelay = function (attempts) {
+            return Math.min(FireOutbox.BASE_RETRY_DELAY * Math.pow(2, attempts - 1), FireOutbox.MAX_RETRY_DELAY);
+        };
+
+        /**
+         * The delay before the first retry in milliseconds.
+         * @type {Number}
+         */
+        FireOutbox.BASE_RETRY_DELAY = 2000;
+
+        /**
+         * The maximum delay between retries in milliseconds.
+         * @type {Number}
+         */
+        FireOutbox.MAX_RETRY_DELAY = 300000;
+
+        return FireOutbox;
+    }
+);
@@ -0,0 +1,263 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define*/
+
+/**
+ * The FirePerimeter module defines the perimeter polygons of a fire. A fire keeps
+ * the history of its perimeter as versions, oldest first; the last version is the
+ * current perimeter. Each version has the form:
+ * <pre>
+ *  {
+ *      id: unique version id,
+ *      time: the ISO 8601 time the perimeter was mapped,
+ *      geometry: a GeoJSON Polygon, e.g., {type: "Polygon", coordinates: [[[lon, lat], ...]]}
+ *  }
+ * </pre>
+ * The versions are exchanged with the fire data sources in the fire_perimeters
+ * column and the perimeters parameter (see FireDataSource). Areas and lengths are
+ * computed on a spherical earth.
+ *
+ * @param {FireIncident} fireIncident
+ * @returns {FirePerimeter}
+ */
+define(['model/fires/FireIncident'],
+    function (fireIncident) {
+        "use strict";
+
+        var FirePerimeter = {
+            /**
+             * Creates a perimeter version.
+             * @param {Object[]} locations The polygon's vertices: {latitude, longitude}; the ring is closed automatically.
+             * @param {Date} time The time the perimeter was mapped.
+             * @param {String} id The version id.
+             * @returns {Object} {id, time, geometry}
+             */
+            createVersion: function (locations, time, id) {
+                return {
+                    id: id,
+                    time: time.toISOString(),
+                    geometry: FirePerimeter.toGeometry(locations)
+                };
+            },
+
+            /**
+             * Converts vertices to a GeoJSON Polygon whose exterior ring is closed and
+             * counterclockwise, as specified by RFC 7946.
+             * @param {Object[]} locations The polygon's vertices: {latitude, longitude}.
+             * @returns {Object} {type: "Polygon", coordinates: [ring]}
+             */
+            toGeometry: function (locations) {
+                var ring = locations.map(function (location) {
+                    return [location.longitude, location.latitude];
+                });
+                if (ring.length > 0 && !FirePerimeter.isSamePosition(ring[0], ring[ring.length - 1])) {
+                    ring.push(ring[0].slice());
+                }
+                if (FirePerimeter.ringArea(ring) < 0) {
+                    ring.reverse();
+                }
+                return {type: "Polygon", coordinates: [ring]};
+            },
+
+            /**
+             * Gets the vertices of a polygon's exterior ring, without the closing position.
+             * @param {Object} geometry A GeoJSON Polygon.
+             * @returns {Object[]} The vertices: {latitude, longitude}.
+             */
+            toLocations: function (geometry) {
+                var ring = geometry.coordinates[0];
+                return ring.slice(0, ring.length - 1).map(function (position) {
+                    return {latitude: position[1], longitude: position[0]};
+                });
+            },
+
+            /**
+             * Determines if a value is a valid GeoJSON Polygon: each ring has at least four
+             * positions, the first and last being equal, within the coordinate ranges.
+             * @param {Object} geometry
+             * @returns {Boolean}
+             */
+            isValidGeometry: function (geometry) {
+                if (!geometry || geometry.type !== "Polygon" || !Array.isArray(geometry.coordinates) ||
+                    geometry.coordinates.length === 0) {
+                    return false;
+                }
+                return geometry.coordinates.every(function (ring) {
+                    return Array.isArray(ring) && ring.length >= 4 &&
+                        FirePerimeter.isSamePosition(ring[0], ring[ring.length - 1]) &&
+                        ring.every(function (position) {
+                            return Array.isArray(position) && position.length >= 2 &&
+                                typeof position[0] === "number" && position[0] >= -180 && position[0] <= 180 &&
+                                typeof position[1] === "number" && position[1] >= -90 && position[1] <= 90;
+                        });
+                });
+            },
+
+            /**
+             * Validates the perimeter versions of a fire record.
+             * @param {Object[]|String} value The versions, or their JSON text.
+             * @returns {Object} {versions: the versions sorted by time, reason: why the value is
+             * invalid or null}. Empty values are an empty history.
+             */
+            validateVersions: function (value) {
+                var versions = value,
+                    invalid;
+
+                if (value === undefined || value === null || value === "") {
+                    return {versions: [], reason: null};
+                }
+                if (typeof value === "string") {
+                    try {
+                        versions = JSON.parse(value);
+                    } catch (e) {
+                        return {versions: [], reason: "is not valid JSON"};
+                    }
+                }
+                if (!Array.isArray(versions)) {
+                    return {versions: [], reason: "is not an array"};
+                }
+                invalid = versions.findIndex(function (version) {
+                    return !version || (typeof version.id !== "string" && typeof version.id !== "number") ||
+                        isNaN(new Date(version.time).getTime()) || !FirePerimeter.isValidGeometry(version.geometry);
+                });
+                if (invalid >= 0) {
+                    return {versions: [], reason: "has an invalid version at index " + invalid};
+                }
+                return {
+                    versions: versions.slice().sort(function (a, b) {
+                        return new Date(a.time) - new Date(b.time);
+                    }),
+                    reason: null
+                };
+            },
+
+            /**
+             * Determines if two perimeter histories contain the same versions.
+             * @param {Object[]} a The versions; null is an empty history.
+             * @param {Object[]} b The versions; null is an empty history.
+             * @returns {Boolean}
+             */
+            isEqual: function (a, b) {
+                var versionsA = a || [],
+                    versionsB = b || [];
+                return versionsA.length === versionsB.length && versionsA.every(function (version, i) {
+                    return version.id === versionsB[i].id;
+                });
+            },
+
+            /**
+             * Computes the area of a polygon: the exterior ring's less the holes'.
+             * @param {Object} geometry A GeoJSON Polygon.
+             * @returns {Number} The area in square meters.
+             */
+            area: function (geometry) {
+                return geometry.coordinates.reduce(function (area, ring, i) {
+                    var ringArea = Math.abs(FirePerimeter.ringArea(ring));
+                    return i === 0 ? ringArea : area - ringArea;
+                }, 0);
+            },
+
+            /**
+             * Computes the signed area of a closed ring on the sphere.
+             * @param {Number[][]} ring The [longitude, latitude] positions; the last equals the first.
+             * @returns {Number} The area in square meters; positive if the ring is counterclockwise.
+             */
+            ringArea: function (ring) {
+                var sum = 0,
+                    i, len, p1, p2;
+
+                for (i = 0, len = ring.length - 1; i < len; i++) {
+                    p1 = ring[i];
+                    p2 = ring[i + 1];
+                    sum += FirePerimeter.toRadians(p2[0] - p1[0]) *
+                        (2 + Math.sin(FirePerimeter.toRadians(p1[1])) + Math.sin(FirePerimeter.toRadians(p2[1])));
+                }
+                return -sum * FirePerimeter.EARTH_RADIUS * FirePerimeter.EARTH_RADIUS / 2;
+            },
+
+            /**
+             * Computes the length of a polygon's exterior ring.
+             * @param {Object} geometry A GeoJSON Polygon.
+             * @returns {Number} The perimeter length in meters.
+             */
+            length: function (geometry) {
+                var ring = geometry.coordinates[0],
+                    length = 0,
+                    i, len;
+
+                for (i = 0, len = ring.length - 1; i < len; i++) {
+                    length += FirePerimeter.distance(ring[i][1], ring[i][0], ring[i + 1][1], ring[i + 1][0]);
+                }
+                return length;
+            },
+
+            /**
+             * Computes the great circle distance between two locations with the haversine formula.
+             * @param {Number} lat1 Degrees
+             * @param {Number} lon1 Degrees
+             * @param {Number} lat2 Degrees
+             * @param {Number} lon2 Degrees
+             * @returns {Number} The distance in meters.
+             */
+            distance: function (lat1, lon1, lat2, lon2) {
+                var dLat = FirePerimeter.toRadians(lat2 - lat1),
+                    dLon = FirePerimeter.toRadians(lon2 - lon1),
+                    a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+                        Math.cos(FirePerimeter.toRadians(lat1)) * Math.cos(FirePerimeter.toRadians(lat2)) *
+                        Math.sin(dLon / 2) * Math.sin(dLon / 2);
+                return 2 * FirePerimeter.EARTH_RADIUS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+            },
+
+            /**
+             * Formats an area in hectares with its equivalent in acres.
+             * @param {Number} squareMeters
+             * @returns {String} E.g., "120 ha (297 ac)".
+             */
+            formatArea: function (squareMeters) {
+                return fireIncident.formatSize(squareMeters / FirePerimeter.SQUARE_METERS_PER_HECTARE);
+            },
+
+            /**
+             * Formats a length in kilometers with its equivalent in miles.
+             * @param {Number} meters
+             * @returns {String} E.g., "3.2 km (2 mi)".
+             */
+            formatLength: function (meters) {
+                return fireIncident.round(meters / 1000, 2) + " km (" +
+                    fireIncident.round(meters / FirePerimeter.METERS_PER_MILE, 2) + " mi)";
+            },
+
+            /**
+             * Determines if two GeoJSON positions are equal.
+             * @param {Number[]} a
+             * @param {Number[]} b
+             * @returns {Boolean}
+             */
+            isSamePosition: function (a, b) {
+                return Array.isArray(a) && Array.isArray(b) && a[0] === b[0] && a[1] === b[1];
+            },
+
+            /**
+             * Converts degrees to radians.
+             * @param {Number} degrees
+             * @returns {Number}
+             */
+            toRadians: function (degrees) {
+                return degrees * Math.PI / 180;
+            },
+
+            /** The mean radius of the earth in meters. */
+            EARTH_RADIUS: 6371008.8,
+
+            /** The number of square meters in a hectare. */
+            SQUARE_METERS_PER_HECTARE: 10000,
+
+            /** The number of meters in a statute mile. */
+            METERS_PER_MILE: 1609.344
+        };
+
+        return FirePerimeter;
+    }
+);
@@ -0,0 +1,453 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define, WorldWind*/
+
+/**
+ * The FirePerimeterManager draws the current perimeter of each fire symbol as a
+ * terrain-draped SurfacePolygon filled according to the fire's status, and lets
+ * the user draw and edit a fire's perimeter on the globe: clicks on the terrain
+ * add vertices and the vertex handles can be dragged. Finishing an edit appends a
+ * new version to the fire's perimeter history, which is saved through the
+ * FireService.
+ *
+ * @param {Constants} constants
+ * @param {FirePerimeter} firePerimeter
+ * @param {Knockout} ko
+ * @param {Movable} movable
+ * @param {WmtUtil} util
+ * @param {JQuery} $
+ * @returns {FirePerimeterManager}
+ */
+define([
+    'model/Constants',
+    'model/fires/FirePerimeter',
+    'knockout',
+    'model/util/Movable',
+    'model/util/WmtUtil',
+    'jquery',
+    'jquery-growl',
+    'worldwind'],
+    function (
+        constants,
+        firePerimeter,
+        ko,
+        movable,
+        util,
+        $) {
+        "use strict";
+
+        /**
+         * @constructor
+         * @param {Globe} globe The globe that displays the perimeters.
+         * @param {SymbolManager} symbolManager The manager of the fire symbols.
+         * @param {FireService} fireService Optional; saves the edited perimeters.
+         */
+        var FirePerimeterManager = function (globe, symbolManager, fireService) {
+            var self = this,
+                downX = null,
+                downY = null;
+
+            this.globe = globe;
+            this.symbolManager = symbolManager;
+            this.fireService = fireService || null;
+
+            /**
+             * The layer containing the perimeter polygons and the editing handles.
+             * @type {WorldWind.RenderableLayer}
+             */
+            this.layer = new WorldWind.RenderableLayer(constants.LAYER_NAME_FIRE_PERIMETERS);
+            globe.layerManager.addDataLayer(this.layer, {
+                enabled: true,
+                pickEnabled: true,
+                opacity: 1.0
+            });
+
+            // Internal. The perimeter polygon and its updater of each symbol, keyed by symbol id.
+            this.entries = {};
+
+            /**
+             * The symbol whose perimeter is being drawn or edited, or null.
+             * @type {TacticalSymbol} observable
+             */
+            this.editingSymbol = ko.observable(null);
+
+            /**
+             * The vertices of the perimeter being edited: movable objects with latitude
+             * and longitude observables and a placemark handle.
+             * @type {Object[]} observableArray
+             */
+            this.vertices = ko.observableArray();
+
+            /**
+             * Flag indicating a perimeter is being drawn or edited.
+             * @type {Boolean} computed
+             */
+            this.isEditing = ko.pureComputed(function () {
+                return self.editingSymbol() !== null;
+            });
+
+            /**
+             * The name of the fire whose perimeter is being edited, for the view.
+             */
+            this.editingName = ko.pureComputed(function () {
+                var symbol = self.editingSymbol();
+                return symbol ? symbol.name() : "";
+            });
+
+            /**
+             * The area and length text of the perimeter being edited, for the view.
+             */
+            this.editingStatsText = ko.pureComputed(function () {
+                var locations = self.editedLocations(),
+                    geometry;
+                if (locations.length < 3) {
+                    return "";
+                }
+                geometry = firePerimeter.toGeometry(locations);
+                return firePerimeter.formatArea(firePerimeter.area(geometry)) + ", " +
+                    firePerimeter.formatLength(firePerimeter.length(geometry));
+            });
+
+            // The polygon previewing the perimeter being edited
+            this.previewPolygon = new WorldWind.SurfacePolygon([], FirePerimeterManager.createAttributes(
+                FirePerimeterManager.STATUS_EDITING));
+            this.previewPolygon.enabled = false;
+            this.layer.addRenderable(this.previewPolygon);
+            this.previewUpdater = ko.computed(function () {
+                var locations = self.editedLocations();
+                self.previewPolygon.boundaries = locations.map(function (location) {
+                    return new WorldWind.Location(location.latitude, location.longitude);
+                });
+                self.previewPolygon.enabled = locations.length >= 2;
+                self.globe.redraw();
+            });
+
+            // Route the symbols' perimeter actions thru this manager
+            symbolManager.perimeterManager = this;
+
+            // Draw the perimeters of the added symbols; remove those of the removed symbols.
+            symbolManager.symbols.subscribe(function (changes) {
+                changes.forEach(function (change) {
+                    if (change.moved !== undefined) {
+                        return;
+                    }
+                    if (change.status === 'added') {
+                        self.addSymbol(change.value);
+                    } else if (change.status === 'deleted') {
+                        self.removeSymbol(change.value);
+                    }
+                });
+            }, null, "arrayChange");
+            symbolManager.symbols().forEach(function (symbol) {
+                self.addSymbol(symbol);
+            });
+
+            // Add a vertex where the terrain is clicked while editing. A click that ends a
+            // drag of the globe or of a vertex handle doesn't add a vertex.
+            globe.wwd.addEventListener("mousedown", function (event) {
+                downX = event.clientX;
+                downY = event.clientY;
+            });
+            globe.wwd.addEventListener("click", function (event) {
+                if (downX !== null && (Math.abs(event.clientX - downX) > FirePerimeterManager.CLICK_TOLERANCE ||
+                    Math.abs(event.clientY - downY) > FirePerimeterManager.CLICK_TOLERANCE)) {
+                    return;
+                }
+                self.handleClick(event.clientX, event.clientY);
+            });
+        };
+
+        /**
+         * Gets the vertices of the perimeter being edited.
+         * @returns {Object[]} The vertices: {latitude, longitude}.
+         */
+        FirePerimeterManager.prototype.editedLocations = function () {
+            return this.vertices().map(function (vertex) {
+                return {latitude: vertex.latitude(), longitude: vertex.longitude()};
+            });
+        };
+
+        /**
+         * Creates the perimeter polygon of a symbol, updated when its perimeter, status or visibility changes.
+         * @param {TacticalSymbol} symbol
+         */
+        FirePerimeterManager.prototype.addSymbol = function (symbol) {
+            var self = this,
+                polygon = new WorldWind.SurfacePolygon([], null);
+
+            if (this.entries[symbol.id()]) {
+                return;
+            }
+            this.layer.addRenderable(polygon);
+            this.entries[symbol.id()] = {
+                polygon: polygon,
+                updater: ko.computed(function () {
+                    var perimeter = symbol.perimeter();
+
+                    polygon.boundaries = perimeter ?
+                        firePerimeter.toLocations(perimeter.geometry).map(function (location) {
+                            return new WorldWind.Location(location.latitude, location.longitude);
+                        }) : [];
+                    polygon.attributes = FirePerimeterManager.createAttributes(FirePerimeterManager.statusOf(symbol));
+                    polygon.enabled = perimeter !== null && symbol.isShown() && self.editingSymbol() !== symbol;
+                    self.globe.redraw();
+                })
+            };
+        };
+
+        /**
+         * Removes the perimeter polygon of a symbol.
+         * @param {TacticalSymbol} symbol
+         */
+        FirePerimeterManager.prototype.removeSymbol = function (symbol) {
+            var entry = this.entries[symbol.id()];
+
+            if (!entry) {
+                return;
+            }
+            entry.updater.dispose();
+            this.removeRenderable(entry.polygon);
+            delete this.entries[symbol.id()];
+            if (this.editingSymbol() === symbol) {
+                this.cancelEditing();
+            }
+            this.globe.redraw();
+        };
+
+        /**
+         * Starts editing a symbol's perimeter: the vertices of its current perimeter, if any,
+         * become handles and clicks on the terrain add vertices.
+         * @param {TacticalSymbol} symbol
+         */
+        FirePerimeterManager.prototype.startEditing = function (symbol) {
+            var self = this,
+                perimeter = symbol.perimeter();
+
+            if (this.fireService && !this.fireService.checkCanEdit()) {
+                return;
+            }
+            this.cancelEditing();
+            this.editingSymbol(symbol);
+            if (perimeter) {
+                firePerimeter.toLocations(perimeter.geometry).forEach(function (location) {
+                    self.addVertex(location.latitude, location.longitude);
+                });
+            }
+            $.growl({
+                title: "Draw Fire Perimeter",
+                message: "Click on the globe to add the perimeter's points and drag the points to move them. " +
+                    "Click Finish in the Fire Perimeter panel when done."});
+        };
+
+        /**
+         * Adds a vertex handle to the perimeter being edited.
+         * @param {Number} latitude
+         * @param {Number} longitude
+         * @returns {Object} The vertex.
+         */
+        FirePerimeterManager.prototype.addVertex = function (latitude, longitude) {
+            var self = this,
+                vertex = {
+                    latitude: ko.observable(latitude),
+                    longitude: ko.observable(longitude),
+                    isPerimeterVertex: true
+                },
+                placemark = new WorldWind.Placemark(new WorldWind.Position(latitude, longitude, 0), false,
+                    FirePerimeterManager.VERTEX_ATTRIBUTES);
+
+            // Make the handle draggable by the PickController
+            movable.makeMovable(vertex);
+            placemark.altitudeMode = WorldWind.CLAMP_TO_GROUND;
+            placemark.pickDelegate = vertex;
+            vertex.placemark = placemark;
+            vertex.latitude.subscribe(function (newLat) {
+                placemark.position.latitude = newLat;
+            });
+            vertex.longitude.subscribe(function (newLon) {
+                placemark.position.longitude = newLon;
+            });
+            this.layer.addRenderable(placemark);
+            this.vertices.push(vertex);
+            self.globe.redraw();
+            return vertex;
+        };
+
+        /**
+         * Removes the last vertex of the perimeter being edited. Invoked by the view.
+         */
+        FirePerimeterManager.prototype.removeLastVertex = function () {
+            var vertex = this.vertices.pop();
+            if (vertex) {
+                this.removeRenderable(vertex.placemark);
+                this.globe.redraw();
+            }
+        };
+
+        /**
+         * Appends the edited perimeter to the symbol's perimeter history and saves the fire
+         * if it has been reported. Invoked by the view.
+         * @returns {Boolean} True if the perimeter was accepted.
+         */
+        FirePerimeterManager.prototype.finishEditing = function () {
+            var symbol = this.editingSymbol(),
+                locations = this.editedLocations();
+
+            if (!symbol) {
+                return false;
+            }
+            if (locations.length < 3) {
+                $.growl.warning({
+                    title: "Perimeter Incomplete",
+                    message: "A perimeter requires at least three points."});
+                return false;
+            }
+            this.clearVertices();
+            this.editingSymbol(null);
+            this.addVersion(symbol, locations);
+            return true;
+        };
+
+        /**
+         * Discards the perimeter being edited. Invoked by the view.
+         */
+        FirePerimeterManager.prototype.cancelEditing = function () {
+            this.clearVertices();
+            this.editingSymbol(null);
+        };
+
+        /**
+         * Makes a previous perimeter version the current perimeter by appending a copy of it to the history.
+         * @param {TacticalSymbol} symbol
+         * @param {Object} version
+         */
+        FirePerimeterManager.prototype.restoreVersion = function (symbol, version) {
+            if (this.fireService && !this.fireService.checkCanEdit()) {
+                return;
+            }
+            this.addVersion(symbol, firePerimeter.toLocations(version.geometry));
+        };
+
+        /**
+         * Appends a perimeter version to a symbol's history and saves the fire if it has been reported.
+         * A new report's perimeter is saved with the report.
+         * @param {TacticalSymbol} symbol
+         * @param {Object[]} locations The vertices: {latitude, longitude}.
+         */
+        FirePerimeterManager.prototype.addVersion = function (symbol, locations) {
+            symbol.perimeters.push(firePerimeter.createVersion(locations, new Date(), util.guid()));
+            if (this.fireService && symbol.fid !== null && symbol.fid !== undefined) {
+                this.fireService.saveFire(symbol).catch(function (error) {
+                    $.growl.error({
+                        title: "Perimeter Not Saved",
+                        message: error.message});
+                });
+            }
+        };
+
+        /**
+         * Adds a vertex at the clicked terrain position while editing.
+         * @param {Number} x The window x coordinate.
+         * @param {Number} y The window y coordinate.
+         */
+        FirePerimeterManager.prototype.handleClick = function (x, y) {
+            var pickList, topObject, terrain;
+
+            if (!this.isEditing()) {
+                return;
+            }
+            pickList = this.globe.wwd.pick(this.globe.wwd.canvasCoordinates(x, y));
+            topObject = pickList.topPickedObject();
+            if (topObject && topObject.userObject && topObject.userObject.isPerimeterVertex) {
+                return;
+            }
+            terrain = pickList.terrainObject();
+            if (terrain) {
+                this.addVertex(terrain.position.latitude, terrain.position.longitude);
+            }
+        };
+
+        // Internal. Removes the vertex handles.
+        FirePerimeterManager.prototype.clearVertices = function () {
+            var self = this;
+            this.vertices().forEach(function (vertex) {
+                self.removeRenderable(vertex.placemark);
+            });
+            this.vertices.removeAll();
+            this.globe.redraw();
+        };
+
+        // Internal. Removes a renderable from the layer.
+        FirePerimeterManager.prototype.removeRenderable = function (renderable) {
+            var index = this.layer.renderables.indexOf(renderable);
+            if (index >= 0) {
+                this.layer.renderables.splice(index, 1);
+            }
+        };
+
+        /**
+         * Determines the fill status of a fire's perimeter.
+         * @param {TacticalSymbol} symbol
+         * @returns {String} One of the STATUS_* values.
+         */
+        FirePerimeterManager.statusOf = function (symbol) {
+            if (symbol.isExtinguished()) {
+                return FirePerimeterManager.STATUS_EXTINGUISHED;
+            }
+            return symbol.koIsVerified() ? FirePerimeterManager.STATUS_VERIFIED : FirePerimeterManager.STATUS_UNVERIFIED;
+        };
+
+        /**
+         * Creates the shape attributes of a perimeter status.
+         * @param {String} status One of the STATUS_* values.
+         * @returns {WorldWind.ShapeAttributes}
+         */
+        FirePerimeterManager.createAttributes = function (status) {
+            var color = FirePerimeterManager.STATUS_COLORS[status],
+                attributes = new WorldWind.ShapeAttributes(null);
+
+            attributes.drawInterior = true;
+            attributes.drawOutline = true;
+            attributes.interiorColor = new WorldWind.Color(color[0], color[1], color[2], FirePerimeterManager.FILL_OPACITY);
+            attributes.outlineColor = new WorldWind.Color(color[0], color[1], color[2], 1);
+            attributes.outlineWidth = 2;
+            return attributes;
+        };
+
+        /** The perimeter status of an active, verified fire. */
+        FirePerimeterManager.STATUS_VERIFIED = "verified";
+        /** The perimeter status of an active, unverified fire. */
+        FirePerimeterManager.STATUS_UNVERIFIED = "unverified";
+        /** The perimeter status of an extinguished fire. */
+        FirePerimeterManager.STATUS_EXTINGUISHED = "extinguished";
+        /** The status of the perimeter being edited. */
+        FirePerimeterManager.STATUS_EDITING = "editing";
+
+        /** The red, green and blue components of each perimeter status. */
+        FirePerimeterManager.STATUS_COLORS = {
+            verified: [1, 0, 0],
+            unverified: [1, 0.55, 0],
+            extinguished: [0.5, 0.5, 0.5],
+            editing: [0, 0.6, 1]
+        };
+
+        /** The opacity of the perimeter fill. */
+        FirePerimeterManager.FILL_OPACITY = 0.3;
+
+        /** The distance in pixels a click may move from its mouse down and still add a vertex. */
+        FirePerimeterManager.CLICK_TOLERANCE = 4;
+
+        /** The appearance of the vertex handles. */
+        FirePerimeterManager.VERTEX_ATTRIBUTES = (function () {
+            var attributes = new WorldWind.PlacemarkAttributes(null);
+            attributes.imageSource = null;
+            attributes.imageScale = 8;
+            attributes.imageColor = new WorldWind.Color(0, 0.6, 1, 1);
+            attributes.drawLeaderLine = false;
+            return attributes;
+        }());
+
+        return FirePerimeterManager;
+    }
+);
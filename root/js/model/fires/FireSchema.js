@@ -0,0 +1,253 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define*/
+
+/**
+ * The FireSchema module validates the fire records received from a FireDataSource
+ * (see FireDataSource for the record schema). Numeric strings are coerced to
+ * numbers and verified flags to booleans. Records with a missing fid, invalid
+ * coordinates, invalid incident attributes (see FireIncident), invalid perimeters
+ * (see FirePerimeter), invalid merged reports (see FireDuplicateDetector) or an
+ * invalid history (see FireHistory) are rejected with
+ * the reasons, so that a malformed row doesn't prevent the valid rows from loading.
+ *
+ * @param {FireHistory} fireHistory
+ * @param {FireIncident} fireIncident
+ * @param {FirePerimeter} firePerimeter
+ * @returns {FireSchema}
+ */
+define(['model/fires/FireHistory',
+        'model/fires/FireIncident',
+        'model/fires/FirePerimeter'],
+    function (fireHistory,
+              fireIncident,
+              firePerimeter) {
+        "use strict";
+
+        var FireSchema = {
+            /**
+             * Validates an array of fire records.
+             * @param {Object[]} rows The rows of a fires payload.
+             * @returns {Object} {records: the valid, coerced records,
+             * rejected: [{index: row index, fid: row fid if any, reasons: [String]}]}
+             */
+            validateRecords: function (rows) {
+                var records = [],
+                    rejected = [],
+                    i, len, result;
+
+                if (!Array.isArray(rows)) {
+                    return {records: records, rejected: [{index: -1, fid: null, reasons: ["payload is not an array"]}]};
+                }
+                for (i = 0, len = rows.length; i < len; i++) {
+                    result = FireSchema.validateRecord(rows[i]);
+                    if (result.reasons.length === 0) {
+                        records.push(result.record);
+                    } else {
+                        rejected.push({
+                            index: i,
+                            fid: rows[i] && rows[i].fid !== undefined ? rows[i].fid : null,
+                            reasons: result.reasons});
+                    }
+                }
+                return {records: records, rejected: rejected};
+            },
+
+            /**
+             * Validates a fire record.
+             * @param {Object} row A row of a fires payload.
+             * @returns {Object} {record: the coerced record, reasons: [String] why the row is invalid}
+             */
+            validateRecord: function (row) {
+                var reasons = [],
+                    record;
+
+                if (row === null || typeof row !== "object" || Array.isArray(row)) {
+                    return {record: null, reasons: ["row is not an object"]};
+                }
+                record = Object.assign({}, row);
+
+                if (record.fid === undefined || record.fid === null || record.fid === "") {
+                    reasons.push("missing fid");
+                } else if (typeof record.fid !== "string" && typeof record.fid !== "number") {
+                    reasons.push("fid is not a string or number");
+                }
+                if (record.deleted) {
+                    // A deleted fire's tombstone only requires the fid
+                    record.deleted = true;
+                    return {record: record, reasons: reasons};
+                }
+
+                record.fire_lat = FireSchema.toNumber(row.fire_lat);
+                if (record.fire_lat === null) {
+                    reasons.push("fire_lat is not a number: " + row.fire_lat);
+                } else if (record.fire_lat < -90 || record.fire_lat > 90) {
+                    reasons.push("fire_lat is out of range [-90, 90]: " + row.fire_lat);
+                }
+                record.fire_lon = FireSchema.toNumber(row.fire_lon);
+                if (record.fire_lon === null) {
+                    reasons.push("fire_lon is not a number: " + row.fire_lon);
+                } else if (record.fire_lon < -180 || record.fire_lon > 180) {
+                    reasons.push("fire_lon is out of range [-180, 180]: " + row.fire_lon);
+                }
+                if (row.fire_alt === undefined || row.fire_alt === null || row.fire_alt === "") {
+                    record.fire_alt = 0;
+                } else {
+                    record.fire_alt = FireSchema.toNumber(row.fire_alt);
+                    if (record.fire_alt === null) {
+                        reasons.push("fire_alt is not a number: " + row.fire_alt);
+                    }
+                }
+
+                record.reportedtimemark = FireSchema.toTime(row.reportedtimemark);
+                record.fire_extinguished = FireSchema.toTime(row.fire_extinguished);
+                record.fire_verified = FireSchema.toBoolean(row.fire_verified);
+
+                FireSchema.validateIncident(row, record, reasons);
+                FireSchema.validatePerimeters(row, record, reasons);
+                FireSchema.validateMergedReports(row, record, reasons);
+                FireSchema.validateHistory(row, record, reasons);
+
+                return {record: record, reasons: reasons};
+            },
+
+            /**
+             * Validates the optional incident attributes of a row (see FireIncident).
+             * Empty values become null; numbers are coerced and range checked.
+             * @param {Object} row A row of a fires payload.
+             * @param {Object} record The coerced record to modify.
+             * @param {String[]} reasons The reasons the row is invalid; appended to.
+             */
+            validateIncident: function (row, record, reasons) {
+                fireIncident.FIELDS.forEach(function (field) {
+                    var value = row[field.column];
+                    if (value === undefined || value === null || value === "") {
+                        record[field.column] = null;
+                    } else if (field.type === "number") {
+                        record[field.column] = FireSchema.toNumber(value);
+                        if (record[field.column] === null) {
+                            reasons.push(field.column + " is not a number: " + value);
+                        } else if ((field.min !== undefined && record[field.column] < field.min) ||
+                            (field.max !== undefined && record[field.column] > field.max)) {
+                            reasons.push(field.column + " is out of range: " + value);
+                        }
+                    } else {
+                        record[field.column] = String(value);
+                    }
+                });
+            },
+
+            /**
+             * Validates the perimeter history of a row (see FirePerimeter). An empty
+             * value is an empty history; JSON text is parsed.
+             * @param {Object} row A row of a fires payload.
+             * @param {Object} record The coerced record to modify.
+             * @param {String[]} reasons The reasons the row is invalid; appended to.
+             */
+            validatePerimeters: function (row, record, reasons) {
+                var result = firePerimeter.validateVersions(row.fire_perimeters);
+                if (result.reason) {
+                    reasons.push("fire_perimeters " + result.reason);
+                }
+                record.fire_perimeters = result.versions;
+            },
+
+            /**
+             * Validates the reports merged into the fire of a row: [{id, time}], where the
+             * time is null if unknown. An empty value is an empty list; JSON text is parsed.
+             * @param {Object} row A row of a fires payload.
+             * @param {Object} record The coerced record to modify.
+             * @param {String[]} reasons The reasons the row is invalid; appended to.
+             */
+            validateMergedReports: function (row, record, reasons) {
+                var reports = row.fire_merged_reports,
+                    invalid;
+
+                record.fire_merged_reports = [];
+                if (reports === undefined || reports === null || reports === "") {
+                    return;
+                }
+                if (typeof reports === "string") {
+                    try {
+                        reports = JSON.parse(reports);
+                    } catch (e) {
+                        reasons.push("fire_merged_reports is not valid JSON");
+                        return;
+                    }
+                }
+                if (!Array.isArray(reports)) {
+                    reasons.push("fire_merged_reports is not an array");
+                    return;
+                }
+                invalid = reports.findIndex(function (report) {
+                    return !report || (typeof report.id !== "string" && typeof report.id !== "number") ||
+                        (report.time !== null && isNaN(new Date(report.time).getTime()));
+                });
+                if (invalid >= 0) {
+                    reasons.push("fire_merged_reports has an invalid report at index " + invalid);
+                    return;
+                }
+                record.fire_merged_reports = reports.map(function (report) {
+                    return {id: report.id, time: report.time};
+                });
+            },
+
+            /**
+             * Validates the history of a row (see FireHistory). An empty value is an
+             * empty history; JSON text is parsed.
+             * @param {Object} row A row of a fires payload.
+             * @param {Object} record The coerced record to modify.
+             * @param {String[]} reasons The reasons the row is invalid; appended to.
+             */
+            validateHistory: function (row, record, reasons) {
+                var result = fireHistory.validateEntries(row.fire_history);
+                if (result.reason) {
+                    reasons.push("fire_history " + result.reason);
+                }
+                record.fire_history = result.entries;
+            },
+
+            /**
+             * Coerces a number or numeric string to a finite number.
+             * @param {Number|String} value
+             * @returns {Number} The number, or null if the value isn't numeric.
+             */
+            toNumber: function (value) {
+                var number;
+                if (typeof value === "number") {
+                    return isFinite(value) ? value : null;
+                }
+                if (typeof value === "string" && value.trim() !== "") {
+                    number = Number(value);
+                    return isFinite(number) ? number : null;
+                }
+                return null;
+            },
+
+            /**
+             * Coerces a boolean, number or string flag to a boolean.
+             * @param {Boolean|Number|String} value
+             * @returns {Boolean} True for true, non-zero numbers, "true", "t", "yes", "y" or "1".
+             */
+            toBoolean: function (value) {
+                if (typeof value === "string") {
+                    return ["true", "t", "yes", "y", "1"].indexOf(value.trim().toLowerCase()) >= 0;
+                }
+                return !!value;
+            },
+
+            /**
+             * Normalizes an optional time value: empty values become null.
+             * @param {String|Number} value
+             * @returns {String|Number} The value or null.
+             */
+            toTime: function (value) {
+                return value === undefined || value === null || value === "" ? null : value;
+            }
+        };
+
+        return FireSchema;
+    }
+);
@@ -0,0 +1,849 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define, WorldWind*/
+
+/**
+ * The FireService connects the SymbolManager's fire symbols to a FireDataSource.
+ * It synchronizes the fire records with TacticalSymbols, periodically if a sync
+ * interval is set, and queues symbol edits in a FireOutbox for delivery to the
+ * data source. Its FireAuth determines the edits the user may make.
+ *
+ * @param {Config} config
+ * @param {Constants} constants
+ * @param {Events} events
+ * @param {FireAuth} FireAuth
+ * @param {FireDuplicateDetector} FireDuplicateDetector
+ * @param {FireHistory} fireHistory
+ * @param {FireIncident} fireIncident
+ * @param {FireOutbox} FireOutbox
+ * @param {FirePerimeter} firePerimeter
+ * @param {FireSchema} fireSchema
+ * @param {Knockout} ko
+ * @param {Log} log
+ * @param {Moment} moment
+ * @param {TacticalSymbol} TacticalSymbol
+ * @param {WmtUtil} util
+ * @param {JQuery} $
+ * @returns {FireService}
+ */
+define([
+    'model/Config',
+    'model/Constants',
+    'model/Events',
+    'model/fires/FireAuth',
+    'model/fires/FireDuplicateDetector',
+    'model/fires/FireHistory',
+    'model/fires/FireIncident',
+    'model/fires/FireOutbox',
+    'model/fires/FirePerimeter',
+    'model/fires/FireSchema',
+    'knockout',
+    'model/util/Log',
+    'moment',
+    'model/military/TacticalSymbol',
+    'model/util/WmtUtil',
+    'jquery',
+    'jqueryui',
+    'jquery-growl',
+    'worldwind'],
+    function (
+        config,
+        constants,
+        events,
+        FireAuth,
+        FireDuplicateDetector,
+        fireHistory,
+        fireIncident,
+        FireOutbox,
+        firePerimeter,
+        fireSchema,
+        ko,
+        log,
+        moment,
+        TacticalSymbol,
+        util,
+        $) {
+        "use strict";
+
+        /**
+         * @constructor
+         * @param {SymbolManager} symbolManager The manager of the fire symbols.
+         * @param {FireDataSource} dataSource The fire data backend.
+         */
+        var FireService = function (symbolManager, dataSource) {
+            var self = this;
+
+            this.symbolManager = symbolManager;
+            this.dataSource = dataSource;
+
+            /**
+             * The id identifying this client in the fire histories (see FireHistory).
+             * @type {String}
+             */
+            this.clientId = FireService.loadClientId();
+
+            /**
+             * The signed-in user and the role that determines the edits they may make.
+             * @type {FireAuth}
+             */
+            this.auth = new FireAuth(dataSource);
+
+            /**
+             * The queue of create/update/delete operations sent to the data source.
+             * @type {FireOutbox}
+             */
+            this.outbox = new FireOutbox(dataSource);
+            this.outbox.on(events.EVENT_FIRE_OPERATION_SUCCEEDED, this.onOperationSucceeded, this);
+            this.outbox.on(events.EVENT_FIRE_OPERATION_FAILED, this.onOperationFailed, this);
+
+            // Internal. The deleted symbols that can still be restored, keyed by symbol id.
+            this.pendingDeletes = {};
+
+            // Route the symbols' remove and extinguish actions thru this service
+            symbolManager.fireService = this;
+
+            // Handle the "Undo" links in the delete notifications
+            $(document).on("click", ".fire-undo-delete", function (event) {
+                event.preventDefault();
+                self.undoDelete($(this).attr("data-symbol-id"));
+            });
+
+            /**
+             * The number of seconds between synchronizations; zero disables periodic sync.
+             * @type {Number} observable
+             */
+            this.syncInterval = ko.observable(config.fireSyncInterval || 0);
+
+            /**
+             * The sync interval choices presented in the view.
+             */
+            this.syncIntervalOptions = [
+                {name: "Off", value: 0},
+                {name: "30 seconds", value: 30},
+                {name: "1 minute", value: 60},
+                {name: "5 minutes", value: 300},
+                {name: "15 minutes", value: 900}
+            ];
+
+            /**
+             * The time of the last successful synchronization.
+             * @type {Date} observable
+             */
+            this.lastSynced = ko.observable(null);
+            // Internal. The "since" of the next incremental synchronization.
+            this.syncedSince = null;
+
+            /**
+             * Flag indicating a synchronization is in progress.
+             * @type {Boolean} observable
+             */
+            this.isSyncing = ko.observable(false);
+
+            /**
+             * The number of fire records rejected by the schema validation and not loaded: those
+             * of the last full load, updated by the incremental synchronizations since.
+             * @type {Number} observable
+             */
+            this.rejectedCount = ko.observable(0);
+
+            // Internal. The reasons for the rejected rows keyed by fid, or by "#index" for rows without one.
+            this.rejections = {};
+            // Internal. Identifies the rejected rows, so they're reported once.
+            this.rejectedKey = "";
+
+            /**
+             * The last synchronization time text for the view.
+             */
+            this.lastSyncedText = ko.pureComputed(function () {
+                var time = self.lastSynced();
+                return time ? moment(time).format("YYYY-MM-DD HH:mm:ss") : "Never";
+            });
+
+            // Internal. The id of the scheduled sync timeout.
+            this.syncTimeout = null;
+
+            // Restart the periodic sync when the interval is changed
+            this.syncInterval.subscribe(function () {
+                self.scheduleSync();
+            });
+        };
+
+        /**
+         * Loads the fires from the data source and starts the periodic synchronization.
+         * @returns {Promise} Resolves with the fire records.
+         */
+        FireService.prototype.loadFires = function () {
+            var self = this;
+            return this.syncFires().then(function (records) {
+                self.scheduleSync();
+                return records;
+            });
+        };
+
+        /**
+         * Synchronizes the fire symbols with the data source. Symbols are matched to
+         * the fire records by fid: matching symbols are updated in place, new records
+         * are added and symbols whose records were deleted are removed.
+         * @returns {Promise} Resolves with the fire records.
+         */
+        FireService.prototype.syncFires = function () {
+            var self = this,
+                since = this.dataSource.supportsSince ? this.syncedSince : null,
+                startTime = new Date();
+
+            if (this.isSyncing()) {
+                return Promise.resolve([]);
+            }
+            this.isSyncing(true);
+            return this.dataSource.listFires(since).then(function (rows) {
+                var records = self.validateRecords(rows, !!since);
+                self.applyRecords(records, !since);
+                self.lastSynced(startTime);
+                // Prefer the data source's time; the client's clock may be ahead of the server's
+                self.syncedSince = self.dataSource.syncToken || startTime;
+                self.isSyncing(false);
+                return records;
+            }).catch(function (error) {
+                log.error("FireService", "syncFires", error.message);
+                self.isSyncing(false);
+                return [];
+            });
+        };
+
+        /**
+         * Applies the fire events received from a live fire feed.
+         * @param {FireFeed} feed
+         */
+        FireService.prototype.listenTo = function (feed) {
+            feed.on(events.EVENT_FIRE_FEED_RECEIVED, this.onFeedReceived, this);
+        };
+
+        /**
+         * Applies a live fire feed event to the symbols and highlights the affected symbol.
+         * @param {Object} message {type: "created"|"updated"|"deleted", fire: record}
+         */
+        FireService.prototype.onFeedReceived = function (message) {
+            var row = message.type === "deleted" ? {fid: message.fire.fid, deleted: true} : message.fire,
+                result = fireSchema.validateRecord(row),
+                record = result.record,
+                symbol;
+
+            if (result.reasons.length > 0) {
+                log.warning("FireService", "onFeedReceived", "Rejected fire feed record: " + result.reasons.join("; "));
+                return;
+            }
+            if (this.isDeletePending(record.fid)) {
+                return;
+            }
+            if (record.deleted) {
+                symbol = this.symbolManager.findSymbolByFid(record.fid);
+                if (symbol && !this.outbox.hasOperations(symbol.id())) {
+                    this.symbolManager.removeSymbol(symbol);
+                    $.growl.notice({title: "Fire Removed", message: $("<div></div>").text(symbol.name()).html()});
+                }
+                return;
+            }
+            this.applyRecords([record], false);
+            symbol = this.symbolManager.findSymbolByFid(record.fid);
+            if (symbol) {
+                symbol.placemark.pulse();
+                symbol.globe.redraw();
+                $.growl({
+                    title: message.type === "created" ? "New Fire Reported" : "Fire Updated",
+                    message: $("<div></div>").text(symbol.name()).html() + "<br/>" + symbol.location()});
+            }
+        };
+
+        /**
+         * Validates the fire records from the data source, reporting the rejected rows when
+         * they change; the sync panel shows their count. A full load replaces the rejected
+         * rows, while an incremental synchronization only replaces those of the fires it lists.
+         * @param {Object[]} rows
+         * @param {Boolean} isIncremental True if the rows are the changes since the last synchronization.
+         * @returns {Object[]} The valid records.
+         */
+        FireService.prototype.validateRecords = function (rows, isIncremental) {
+            var result = fireSchema.validateRecords(rows),
+                rejections = isIncremental ? Object.assign({}, this.rejections) : {},
+                key;
+
+            if (isIncremental) {
+                // A valid or deleted record supersedes the fire's rejected row
+                result.records.forEach(function (record) {
+                    delete rejections[record.fid];
+                });
+            }
+            result.rejected.forEach(function (rejection) {
+                rejections[rejection.fid === null ? "#" + rejection.index : rejection.fid] = rejection.reasons;
+            });
+            key = JSON.stringify(rejections);
+            this.rejections = rejections;
+            this.rejectedCount(Object.keys(rejections).length);
+            if (key === this.rejectedKey) {
+                return result.records;
+            }
+            this.rejectedKey = key;
+            if (result.rejected.length > 0) {
+                result.rejected.forEach(function (rejection) {
+                    log.warning("FireService", "validateRecords", "Rejected fire record at index " + rejection.index +
+                        (rejection.fid === null ? "" : " (fid " + rejection.fid + ")") + ": " + rejection.reasons.join("; "));
+                });
+                $.growl.warning({
+                    title: "Invalid Fire Reports",
+                    message: result.rejected.length + " of " + (Array.isArray(rows) ? rows.length : 0) +
+                        " fire reports were rejected. See the log for details."});
+            }
+            return result.records;
+        };
+
+        /**
+         * Applies fire records to the symbols.
+         * @param {Object[]} records The fire records.
+         * @param {Boolean} isComplete True if the records are the complete set of fires,
+         * in which case symbols without a matching record are removed.
+         */
+        FireService.prototype.applyRecords = function (records, isComplete) {
+            var manager = this.symbolManager,
+                syncedFids = {},
+                symbols, symbol, record, i, len;
+
+            for (i = 0, len = records.length; i < len; i++) {
+                record = records[i];
+                if (this.isDeletePending(record.fid)) {
+                    continue;
+                }
+                symbol = manager.findSymbolByFid(record.fid) || this.findUnsyncedSymbol(record);
+                if (record.deleted) {
+                    if (symbol) {
+                        manager.removeSymbol(symbol);
+                    }
+                    continue;
+                }
+                syncedFids[String(record.fid)] = true;
+                if (symbol) {
+                    this.updateSymbol(symbol, record);
+                } else {
+                    manager.addSymbol(this.createSymbol(record));
+                }
+            }
+            if (isComplete) {
+                // Remove the symbols whose fires no longer exist. Symbols that
+                // have not been saved to the data source (no fid) are kept.
+                symbols = manager.symbols().slice();
+                for (i = 0, len = symbols.length; i < len; i++) {
+                    symbol = symbols[i];
+                    if (symbol.fid !== null && symbol.fid !== undefined && !syncedFids[String(symbol.fid)] &&
+                        !this.outbox.hasOperations(symbol.id())) {
+                        manager.removeSymbol(symbol);
+                    }
+                }
+            }
+        };
+
+        /**
+         * Finds a user created symbol that has not yet received its fid from the
+         * data source and whose queued create matches the given record's position.
+         * @param {Object} record
+         * @returns {TacticalSymbol} The symbol or null.
+         */
+        FireService.prototype.findUnsyncedSymbol = function (record) {
+            var operations = this.outbox.operations,
+                lat = parseFloat(record.fire_lat),
+                lon = parseFloat(record.fire_lon),
+                i, len, operation, symbol;
+            for (i = 0, len = operations.length; i < len; i++) {
+                operation = operations[i];
+                if (operation.type === "create" && operation.params.lat === lat && operation.params.lon === lon) {
+                    symbol = this.findSymbolById(operation.symbolId);
+                    if (symbol && (symbol.fid === null || symbol.fid === undefined)) {
+                        symbol.fid = record.fid;
+                        return symbol;
+                    }
+                }
+            }
+            return null;
+        };
+
+        /**
+         * Finds the symbol with the given symbol id.
+         * @param {String} id The symbol's id.
+         * @returns {TacticalSymbol} The symbol or null.
+         */
+        FireService.prototype.findSymbolById = function (id) {
+            return this.symbolManager.symbols().find(function (symbol) {
+                return symbol.id() === id;
+            }) || null;
+        };
+
+        /**
+         * (Re)starts the periodic synchronization timer using the current sync interval.
+         */
+        FireService.prototype.scheduleSync = function () {
+            var self = this,
+                seconds = this.syncInterval();
+
+            window.clearTimeout(this.syncTimeout);
+            this.syncTimeout = null;
+            if (seconds > 0) {
+                this.syncTimeout = window.setTimeout(function () {
+                    self.syncFires().then(function () {
+                        self.scheduleSync();
+                    });
+                }, seconds * 1000);
+            }
+        };
+
+        /**
+         * Performs an immediate synchronization. Invoked by the view's Sync button.
+         */
+        FireService.prototype.onSyncNow = function () {
+            var self = this;
+            this.syncFires().then(function () {
+                self.scheduleSync();
+            });
+        };
+
+        /**
+         * Creates a TacticalSymbol for a fire record.
+         * @param {Object} record A fire record (see FireDataSource).
+         * @returns {TacticalSymbol}
+         */
+        FireService.prototype.createSymbol = function (record) {
+            var position = new WorldWind.Position(record.fire_lat, record.fire_lon, record.fire_alt);
+            return new TacticalSymbol(this.symbolManager, position, {
+                symbolCode: FireService.FIRE_SYMBOL_CODE,
+                timeReported: record.reportedtimemark,
+                timeExtinguished: record.fire_extinguished,
+                isMoveable: false,
+                user: false,
+                verified: record.fire_verified,
+                incident: fireIncident.fromRecord(record),
+                perimeters: record.fire_perimeters || [],
+                mergedReports: FireDuplicateDetector.fromRecord(record),
+                history: record.fire_history || [],
+                fid: record.fid});
+        };
+
+        /**
+         * Updates a symbol's state from a fire record. Symbols with unsaved local
+         * edits are left unchanged, except for their history.
+         * @param {TacticalSymbol} symbol
+         * @param {Object} record A fire record (see FireDataSource).
+         */
+        FireService.prototype.updateSymbol = function (symbol, record) {
+            symbol.history(record.fire_history || []);
+            if (this.outbox.hasOperations(symbol.id()) || (symbol.dbLat !== null && FireService.isModified(symbol))) {
+                return;
+            }
+            symbol.dbLat = parseFloat(record.fire_lat);
+            symbol.dbLon = parseFloat(record.fire_lon);
+            symbol.dbAlt = parseFloat(record.fire_alt);
+            symbol.dbTimeReported = record.reportedtimemark;
+            symbol.dbTimeExtinguished = record.fire_extinguished;
+            symbol.dbIsVerified = record.fire_verified;
+            symbol.dbIncident = fireIncident.normalize(fireIncident.fromRecord(record));
+            symbol.dbPerimeters = record.fire_perimeters || [];
+            symbol.dbMergedReports = FireDuplicateDetector.fromRecord(record);
+
+            symbol.latitude(symbol.dbLat);
+            symbol.longitude(symbol.dbLon);
+            symbol.altitude(symbol.dbAlt);
+            symbol.koTimeReported(symbol.dbTimeReported);
+            symbol.koTimeExtinguished(symbol.dbTimeExtinguished);
+            symbol.koIsVerified(symbol.dbIsVerified);
+            fireIncident.FIELDS.forEach(function (field) {
+                symbol.incident[field.param](symbol.dbIncident[field.param]);
+            });
+            if (!firePerimeter.isEqual(symbol.perimeters(), symbol.dbPerimeters)) {
+                symbol.perimeters(symbol.dbPerimeters.slice());
+            }
+            if (!FireDuplicateDetector.isEqual(symbol.mergedReports(), symbol.dbMergedReports)) {
+                symbol.mergedReports(symbol.dbMergedReports.slice());
+            }
+        };
+
+        /**
+         * Queues a symbol's edits for delivery to the data source: a user created
+         * symbol that hasn't been saved yet is created, otherwise any changes are updated.
+         * The symbol's db params and fid are assigned when the data source confirms the operation.
+         * Users who can't edit the fires (see FireAuth) may only submit new, unverified reports.
+         * @param {TacticalSymbol} symbol
+         * @returns {Promise} Resolves with the data source's record when the save is confirmed,
+         * or with null if there was nothing to save. Rejects if the first attempt fails; the
+         * outbox continues to retry the save unless the data source refused it. Rejects without
+         * saving if the user may not edit the fire.
+         */
+        FireService.prototype.saveFire = function (symbol) {
+            var params = FireService.symbolParams(symbol),
+                symbolId = symbol.id(),
+                operation = null;
+
+            params.client = this.clientId;
+
+            if (!this.canEdit(symbol)) {
+                return Promise.reject(new Error(FireService.MESSAGE_RESPONDER_REQUIRED));
+            }
+            if (this.isNewReport(symbol)) {
+                if (!this.auth.canEdit()) {
+                    // Public reports are unverified and active
+                    symbol.koIsVerified(false);
+                    symbol.koTimeExtinguished(null);
+                    params.verified = false;
+                    params.exttime = null;
+                    params.perimeters = [];
+                    params.merged_reports = [];
+                }
+                operation = this.outbox.enqueue("create", symbolId, null, params);
+                if (params.verified || params.exttime || params.perimeters.length > 0 || params.merged_reports.length > 0) {
+                    // The create sends the location and the incident attributes; follow it with the remaining values
+                    operation = this.outbox.enqueue("update", symbolId, null, params);
+                }
+            } else if (FireService.isModified(symbol)) {
+                // The fid of a create that is still queued is resolved by the outbox
+                operation = this.outbox.enqueue("update", symbolId, symbol.fid, params);
+            }
+            if (!operation) {
+                return Promise.resolve(null);
+            }
+            symbol.syncState(constants.FIRE_SYNC_STATE_PENDING);
+            return this.outbox.settled(operation);
+        };
+
+        /**
+         * Determines if a symbol is a user's report that hasn't been sent to the data source.
+         * @param {TacticalSymbol} symbol
+         * @returns {Boolean}
+         */
+        FireService.prototype.isNewReport = function (symbol) {
+            return !!symbol.userCreated && (symbol.fid === null || symbol.fid === undefined) &&
+                !this.outbox.hasOperations(symbol.id());
+        };
+
+        /**
+         * Determines if the user may edit a fire: responders may edit any fire, the public
+         * only their new reports.
+         * @param {TacticalSymbol} symbol Optional. If omitted, determines if the user may
+         * edit the existing fires.
+         * @returns {Boolean}
+         */
+        FireService.prototype.canEdit = function (symbol) {
+            return this.auth.canEdit() || (!!symbol && this.isNewReport(symbol));
+        };
+
+        /**
+         * Warns the user if they may not edit a fire.
+         * @param {TacticalSymbol} symbol Optional. See canEdit.
+         * @returns {Boolean} True if the user may edit the fire.
+         */
+        FireService.prototype.checkCanEdit = function (symbol) {
+            if (this.canEdit(symbol)) {
+                return true;
+            }
+            $.growl.warning({title: "Sign In Required", message: FireService.MESSAGE_RESPONDER_REQUIRED});
+            return false;
+        };
+
+        /**
+         * Asks the user to confirm the deletion of a fire, then deletes it with an undo window.
+         * Invoked by the symbol's "remove" action.
+         * @param {TacticalSymbol} symbol
+         */
+        FireService.prototype.confirmDelete = function (symbol) {
+            var self = this,
+                $dialog = $("<div></div>").text("Delete the fire report \"" + symbol.name() + "\"?");
+
+            if (!this.checkCanEdit(symbol)) {
+                return;
+            }
+
+            $dialog.dialog({
+                title: "Delete Fire",
+                modal: true,
+                buttons: [{
+                        text: constants.BUTTON_TEXT_DELETE,
+                        click: function () {
+                            $(this).dialog("close");
+                            self.deleteWithUndo(symbol);
+                        }
+                    }, {
+                        text: constants.BUTTON_TEXT_CANCEL,
+                        click: function () {
+                            $(this).dialog("close");
+                        }
+                    }],
+                close: function () {
+                    $(this).dialog("destroy").remove();
+                }
+            });
+        };
+
+        /**
+         * Removes a fire symbol from the globe and deletes its fire from the data source
+         * after the undo delay, unless the deletion is undone.
+         * @param {TacticalSymbol} symbol
+         */
+        FireService.prototype.deleteWithUndo = function (symbol) {
+            var self = this,
+                symbolId = String(symbol.id()),
+                name = $("<div></div>").text(symbol.name()).html();
+
+            this.symbolManager.removeSymbol(symbol);
+            this.pendingDeletes[symbolId] = {
+                symbol: symbol,
+                timeout: window.setTimeout(function () {
+                    delete self.pendingDeletes[symbolId];
+                    self.queueDelete(symbol);
+                }, FireService.UNDO_DELAY)
+            };
+            $.growl.notice({
+                title: "Fire Deleted",
+                message: name + " was deleted. <a href='#' class='fire-undo-delete' data-symbol-id='" +
+                    symbolId + "'>Undo</a>",
+                duration: FireService.UNDO_DELAY});
+        };
+
+        /**
+         * Restores a symbol deleted by deleteWithUndo if its undo window hasn't expired.
+         * @param {String} symbolId
+         * @returns {Boolean} True if the symbol was restored.
+         */
+        FireService.prototype.undoDelete = function (symbolId) {
+            var pending = this.pendingDeletes[String(symbolId)];
+            if (!pending) {
+                return false;
+            }
+            window.clearTimeout(pending.timeout);
+            delete this.pendingDeletes[String(symbolId)];
+            this.symbolManager.addSymbol(pending.symbol);
+            return true;
+        };
+
+        /**
+         * Removes a fire symbol and queues the deletion of its fire from the data source.
+         * @param {TacticalSymbol} symbol
+         * @returns {Object} The queued outbox operation, or null if the fire was never sent.
+         */
+        FireService.prototype.deleteFire = function (symbol) {
+            this.symbolManager.removeSymbol(symbol);
+            return this.queueDelete(symbol);
+        };
+
+        // Internal. Queues the deletion of a symbol's fire from the data source.
+        FireService.prototype.queueDelete = function (symbol) {
+            var symbolId = symbol.id();
+
+            if (this.outbox.findQueued("create", symbolId)) {
+                // The fire was never sent to the data source: drop its queued operations
+                this.outbox.discard(symbolId);
+                return null;
+            }
+            if ((symbol.fid !== null && symbol.fid !== undefined) || this.outbox.hasOperations(symbolId)) {
+                return this.outbox.enqueue("delete", symbolId, symbol.fid, null);
+            }
+            return null;
+        };
+
+        /**
+         * Determines if the deletion of a fire is pending, either in its undo window or in the outbox.
+         * @param {String|Number} fid
+         * @returns {Boolean}
+         */
+        FireService.prototype.isDeletePending = function (fid) {
+            var symbolId;
+            for (symbolId in this.pendingDeletes) {
+                // Loose comparison: ids may round trip as strings or numbers
+                if (this.pendingDeletes.hasOwnProperty(symbolId) && this.pendingDeletes[symbolId].symbol.fid == fid) {
+                    return true;
+                }
+            }
+            return this.outbox.operations.some(function (operation) {
+                return operation.type === "delete" && operation.fid == fid;
+            });
+        };
+
+        /**
+         * Marks a fire as extinguished now and sends the update to the data source.
+         * The symbol remains on the globe with the extinguished appearance.
+         * @param {TacticalSymbol} symbol
+         * @returns {Promise} Resolves with true when the update is confirmed, or with false if
+         * it failed (the failure is reported via growl and the outbox retries the update).
+         */
+        FireService.prototype.extinguishFire = function (symbol) {
+            if (!this.checkCanEdit()) {
+                return Promise.resolve(false);
+            }
+            if (symbol.koTimeExtinguished()) {
+                return Promise.resolve(true);
+            }
+            symbol.koTimeExtinguished(moment().toISOString());
+            return this.saveFire(symbol).then(function () {
+                return true;
+            }).catch(function (error) {
+                $.growl.error({
+                    title: "Fire Not Extinguished",
+                    message: error.message});
+                return false;
+            });
+        };
+
+        /**
+         * Reverts a fire to the state recorded in one of its history entries and sends the
+         * update to the data source, which records the revert as a new history entry.
+         * The perimeters are not reverted; see FirePerimeterManager.restoreVersion.
+         * @param {TacticalSymbol} symbol
+         * @param {Object} entry A history entry (see FireHistory).
+         * @returns {Promise} Resolves with true when the update is confirmed, or with false if
+         * it failed (the failure is reported via growl and the outbox retries the update).
+         */
+        FireService.prototype.revertFire = function (symbol, entry) {
+            var state = entry.state;
+
+            if (!this.checkCanEdit(symbol)) {
+                return Promise.resolve(false);
+            }
+
+            symbol.latitude(state.lat);
+            symbol.longitude(state.lon);
+            symbol.altitude(state.alt);
+            symbol.koIsVerified(state.verified);
+            symbol.koTimeExtinguished(state.exttime);
+            fireIncident.FIELDS.forEach(function (field) {
+                symbol.incident[field.param](state[field.param] === undefined ? null : state[field.param]);
+            });
+            return this.saveFire(symbol).then(function () {
+                return true;
+            }).catch(function (error) {
+                $.growl.error({
+                    title: "Fire Not Reverted",
+                    message: error.message});
+                return false;
+            });
+        };
+
+        /**
+         * Records the confirmed state of the symbol of a completed outbox operation.
+         * @param {Object} result {operation, record}
+         */
+        FireService.prototype.onOperationSucceeded = function (result) {
+            var operation = result.operation,
+                record = result.record,
+                params = operation.params,
+                symbol = this.findSymbolById(operation.symbolId);
+
+            if (!symbol || operation.type === "delete") {
+                return;
+            }
+            if (operation.type === "create" && record && record.fid !== undefined) {
+                symbol.fid = record.fid;
+            }
+            if (record && record.fire_history) {
+                symbol.history(fireHistory.validateEntries(record.fire_history).entries);
+            }
+            if (operation.type === "create") {
+                // A create sends the location and the incident attributes; the new fire has no perimeters or merged reports
+                symbol.dbIncident = fireIncident.normalize(params);
+                symbol.dbPerimeters = [];
+                symbol.dbMergedReports = [];
+            }
+            symbol.dbLat = params.lat;
+            symbol.dbLon = params.lon;
+            symbol.dbAlt = params.alt;
+            if (operation.type === "update") {
+                symbol.dbIsVerified = params.verified;
+                symbol.dbTimeExtinguished = params.exttime;
+                symbol.dbIncident = fireIncident.normalize(params);
+                symbol.dbPerimeters = params.perimeters;
+                symbol.dbMergedReports = params.merged_reports;
+            }
+            symbol.syncError(null);
+            symbol.syncState(this.outbox.hasOperations(operation.symbolId) ?
+                constants.FIRE_SYNC_STATE_PENDING : constants.FIRE_SYNC_STATE_SYNCED);
+        };
+
+        /**
+         * Flags the symbol of a failed outbox operation. The outbox retries the operation.
+         * @param {Object} result {operation, error}
+         */
+        FireService.prototype.onOperationFailed = function (result) {
+            var symbol = this.findSymbolById(result.operation.symbolId);
+            if (symbol) {
+                symbol.syncError(result.error.message);
+                symbol.syncState(constants.FIRE_SYNC_STATE_FAILED);
+            } else if (result.operation.type === "delete" && result.discarded) {
+                // The fire is restored by the next synchronization
+                $.growl.error({
+                    title: "Fire Not Deleted",
+                    message: result.error.message});
+            }
+        };
+
+        /**
+         * Determines if a symbol differs from its last known database state.
+         * @param {TacticalSymbol} symbol
+         * @returns {Boolean}
+         */
+        FireService.isModified = function (symbol) {
+            return symbol.dbLat !== parseFloat(symbol.latitude()) ||
+                symbol.dbLon !== parseFloat(symbol.longitude()) ||
+                symbol.dbAlt !== parseFloat(symbol.altitude()) ||
+                symbol.dbTimeExtinguished !== symbol.koTimeExtinguished() ||
+                symbol.dbIsVerified !== symbol.koIsVerified() ||
+                !fireIncident.isEqual(symbol.dbIncident, symbol.incidentValues()) ||
+                !firePerimeter.isEqual(symbol.dbPerimeters, symbol.perimeters()) ||
+                !FireDuplicateDetector.isEqual(symbol.dbMergedReports, symbol.mergedReports());
+        };
+
+        /**
+         * Gets the data source create/update parameters for a symbol.
+         * @param {TacticalSymbol} symbol
+         * @returns {Object} {lat, lon, alt, verified, exttime, perimeters, merged_reports} and the incident
+         * attributes (see FireIncident)
+         */
+        FireService.symbolParams = function (symbol) {
+            return Object.assign({
+                lat: parseFloat(symbol.latitude()),
+                lon: parseFloat(symbol.longitude()),
+                alt: parseFloat(symbol.altitude()),
+                verified: symbol.koIsVerified(),
+                exttime: symbol.koTimeExtinguished(),
+                perimeters: symbol.perimeters().slice(),
+                merged_reports: FireDuplicateDetector.toParams(symbol.mergedReports())
+            }, symbol.incidentValues());
+        };
+
+        /**
+         * Gets the id identifying this client in the fire histories, creating it on first use.
+         * @returns {String}
+         */
+        FireService.loadClientId = function () {
+            var id = localStorage.getItem(constants.STORAGE_KEY_FIRE_CLIENT_ID);
+            if (!id) {
+                id = util.guid();
+                localStorage.setItem(constants.STORAGE_KEY_FIRE_CLIENT_ID, id);
+            }
+            return id;
+        };
+
+        /**
+         * The time in milliseconds a deleted fire can be restored before it is deleted from the data source.
+         * @type {Number}
+         */
+        FireService.UNDO_DELAY = 10000;
+
+        /**
+         * The message shown when a user who isn't a responder attempts to change a fire.
+         * @type {String}
+         */
+        FireService.MESSAGE_RESPONDER_REQUIRED = "Sign in as a responder to verify, edit, extinguish or delete the fires.";
+
+        /**
+         * The MIL-STD-2525C symbol code for a fire incident.
+         * @type {String}
+         */
+        FireService.FIRE_SYMBOL_CODE = "EHIPC-------";
+
+        return FireService;
+    }
+);
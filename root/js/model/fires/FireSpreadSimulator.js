@@ -0,0 +1,377 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define, WorldWind*/
+
+/**
+ * The FireSpreadSimulator projects the growth of a surface fire from an ignition point
+ * picked on the globe. The fire behavior is computed by the SurfaceFire model from the
+ * chosen fuel model, fuel moisture and wind, and the slope and aspect of the terrain at
+ * the ignition point. The projected perimeter is drawn for the globe's time: the fire is
+ * ignited at the globe's time when the point is picked and grows for the chosen duration,
+ * so scrubbing or animating the globe's clock plays back its spread.
+ *
+ * The simulator publishes EVENT_SURFACEFUEL_CHANGED when the fuel inputs change and
+ * EVENT_SURFACEFIRE_CHANGED when the fire behavior changes.
+ *
+ * @param {Constants} constants
+ * @param {Events} events
+ * @param {Publisher} publisher
+ * @param {SurfaceFire} surfaceFire
+ * @param {Knockout} ko
+ * @param {Moment} moment
+ * @param {JQuery} $
+ * @returns {FireSpreadSimulator}
+ */
+define([
+    'model/Constants',
+    'model/Events',
+    'model/util/Publisher',
+    'model/fires/SurfaceFire',
+    'knockout',
+    'moment',
+    'jquery',
+    'jquery-growl',
+    'worldwind'],
+    function (
+        constants,
+        events,
+        publisher,
+        surfaceFire,
+        ko,
+        moment,
+        $) {
+        "use strict";
+
+        /**
+         * @constructor
+         * @param {Globe} globe The globe whose terrain and dateTime drive the simulation.
+         * @param {Boolean} isLive Optional observable flag indicating the globe's time follows the
+         * clock (see Explorer.autoUpdateTimeEnabled); cleared while animating.
+         */
+        var FireSpreadSimulator = function (globe, isLive) {
+            var self = this,
+                downX = null,
+                downY = null;
+
+            this.globe = globe;
+            this.isLive = isLive || ko.observable(false);
+            publisher.makePublisher(this);
+
+            /**
+             * The fuel models for the view: {value, name}.
+             */
+            this.fuelModels = Object.keys(surfaceFire.FUEL_MODELS).map(function (key) {
+                return {value: Number(key), name: key + " - " + surfaceFire.FUEL_MODELS[key].name};
+            });
+
+            // The inputs, bound to the view
+            this.fuelModel = ko.observable(FireSpreadSimulator.DEFAULT_FUEL_MODEL);
+            this.dead1h = ko.observable(6);
+            this.dead10h = ko.observable(7);
+            this.dead100h = ko.observable(8);
+            this.live = ko.observable(90);
+            this.windSpeed = ko.observable(10);
+            this.windDirection = ko.observable(270);
+            this.durationHours = ko.observable(4);
+
+            /**
+             * The ignition point and its terrain, or null: {latitude, longitude, slope, aspect, time}.
+             * @type {Object} observable
+             */
+            this.ignition = ko.observable(null);
+
+            /**
+             * Flag indicating the next click on the globe sets the ignition point.
+             * @type {Boolean} observable
+             */
+            this.isPicking = ko.observable(false);
+
+            /**
+             * Flag indicating the globe's clock is being animated thru the simulation.
+             * @type {Boolean} observable
+             */
+            this.isAnimating = ko.observable(false);
+
+            /**
+             * The fuel inputs, or null if they are invalid.
+             */
+            this.fuel = ko.pureComputed(function () {
+                var moisture = {
+                    dead1h: Number(self.dead1h()),
+                    dead10h: Number(self.dead10h()),
+                    dead100h: Number(self.dead100h()),
+                    live: Number(self.live())
+                };
+                if (!surfaceFire.FUEL_MODELS[self.fuelModel()] || !FireSpreadSimulator.isValid(moisture)) {
+                    return null;
+                }
+                return {fuelModel: self.fuelModel(), moisture: moisture};
+            });
+
+            /**
+             * The fire behavior at the ignition point (see SurfaceFire.calculate), or null.
+             */
+            this.behavior = ko.pureComputed(function () {
+                var fuel = self.fuel(),
+                    ignition = self.ignition(),
+                    windSpeed = Number(self.windSpeed()),
+                    windDirection = Number(self.windDirection());
+
+                if (!fuel || !ignition || !FireSpreadSimulator.isValid({speed: windSpeed, direction: windDirection})) {
+                    return null;
+                }
+                return surfaceFire.calculate({
+                    fuelModel: fuel.fuelModel,
+                    moisture: fuel.moisture,
+                    windSpeed: windSpeed,
+                    windDirection: windDirection,
+                    slope: ignition.slope,
+                    aspect: ignition.aspect
+                });
+            });
+
+            /**
+             * The minutes the fire has burned at the globe's time, limited to the duration.
+             */
+            this.elapsedMinutes = ko.pureComputed(function () {
+                var ignition = self.ignition(),
+                    duration = Number(self.durationHours()) * 60,
+                    minutes;
+
+                if (!ignition || !(duration > 0)) {
+                    return 0;
+                }
+                minutes = (self.globe.dateTime().getTime() - ignition.time.getTime()) / 60000;
+                return Math.max(0, Math.min(duration, minutes));
+            });
+
+            // The texts for the view
+            this.ignitionText = ko.pureComputed(function () {
+                var ignition = self.ignition();
+                return ignition ? ignition.latitude.toFixed(4) + ", " + ignition.longitude.toFixed(4) +
+                    " at " + moment(ignition.time).format("YYYY-MM-DD HH:mm") +
+                    "; slope " + Math.round(ignition.slope) + "°, aspect " +
+                    Math.round(surfaceFire.normalizeAzimuth(ignition.aspect)) + "°" : "";
+            });
+            this.behaviorText = ko.pureComputed(function () {
+                var behavior = self.behavior();
+                if (!behavior) {
+                    return "";
+                }
+                return "Spread " + behavior.rateOfSpread.toFixed(1) + " m/min toward " +
+                    Math.round(behavior.direction) + "°, flame length " + behavior.flameLength.toFixed(1) +
+                    " m, intensity " + Math.round(behavior.firelineIntensity) + " kW/m";
+            });
+            this.elapsedText = ko.pureComputed(function () {
+                var minutes = self.elapsedMinutes();
+                return Math.floor(minutes / 60) + " h " + Math.round(minutes % 60) + " min";
+            });
+
+            /**
+             * The layer containing the ignition point and the projected perimeter.
+             * @type {WorldWind.RenderableLayer}
+             */
+            this.layer = new WorldWind.RenderableLayer(constants.LAYER_NAME_FIRE_SPREAD);
+            globe.layerManager.addDataLayer(this.layer, {
+                enabled: true,
+                pickEnabled: false,
+                opacity: 1.0
+            });
+            this.ignitionPlacemark = new WorldWind.Placemark(new WorldWind.Position(0, 0, 0), false,
+                FireSpreadSimulator.IGNITION_ATTRIBUTES);
+            this.ignitionPlacemark.altitudeMode = WorldWind.CLAMP_TO_GROUND;
+            this.ignitionPlacemark.enabled = false;
+            this.perimeterPolygon = new WorldWind.SurfacePolygon([], FireSpreadSimulator.PERIMETER_ATTRIBUTES);
+            this.perimeterPolygon.enabled = false;
+            this.layer.addRenderable(this.perimeterPolygon);
+            this.layer.addRenderable(this.ignitionPlacemark);
+
+            // Redraw the projected perimeter when the inputs or the globe's time change
+            this.updater = ko.computed(function () {
+                self.update();
+            });
+
+            this.fuel.subscribe(function (fuel) {
+                self.fire(events.EVENT_SURFACEFUEL_CHANGED, fuel);
+            });
+            this.behavior.subscribe(function (behavior) {
+                self.fire(events.EVENT_SURFACEFIRE_CHANGED, behavior);
+            });
+
+            // Set the ignition point where the terrain is clicked while picking. A click that
+            // ends a drag of the globe is ignored.
+            globe.wwd.addEventListener("mousedown", function (event) {
+                downX = event.clientX;
+                downY = event.clientY;
+            });
+            globe.wwd.addEventListener("click", function (event) {
+                if (!self.isPicking() || (downX !== null &&
+                    (Math.abs(event.clientX - downX) > FireSpreadSimulator.CLICK_TOLERANCE ||
+                    Math.abs(event.clientY - downY) > FireSpreadSimulator.CLICK_TOLERANCE))) {
+                    return;
+                }
+                self.handleClick(event.clientX, event.clientY);
+            });
+        };
+
+        /**
+         * Arms the simulator to set the ignition point with the next click on the globe. Invoked by the view.
+         */
+        FireSpreadSimulator.prototype.pickIgnition = function () {
+            this.stopAnimation();
+            this.isPicking(true);
+            $.growl({
+                title: "Fire Spread Simulation",
+                message: "Click on the globe to set the ignition point."});
+        };
+
+        /**
+         * Sets the ignition point at the clicked terrain position.
+         * @param {Number} x The window x coordinate.
+         * @param {Number} y The window y coordinate.
+         */
+        FireSpreadSimulator.prototype.handleClick = function (x, y) {
+            var terrainObject = this.globe.wwd.pickTerrain(this.globe.wwd.canvasCoordinates(x, y)).terrainObject();
+
+            if (terrainObject) {
+                this.isPicking(false);
+                this.ignite(terrainObject.position.latitude, terrainObject.position.longitude, this.globe.dateTime());
+            }
+        };
+
+        /**
+         * Ignites the simulated fire at a location and time; the slope and aspect are sampled from the terrain.
+         * @param {Number} latitude
+         * @param {Number} longitude
+         * @param {Date} time
+         */
+        FireSpreadSimulator.prototype.ignite = function (latitude, longitude, time) {
+            var terrain = this.globe.getTerrainAtLatLon(latitude, longitude);
+
+            this.ignition({
+                latitude: latitude,
+                longitude: longitude,
+                slope: isNaN(terrain.slope) ? 0 : terrain.slope,
+                aspect: isNaN(terrain.aspect) ? 0 : terrain.aspect,
+                time: time
+            });
+        };
+
+        /**
+         * Plays the simulation by advancing the globe's clock from the ignition time to the end
+         * of the duration. Invoked by the view.
+         */
+        FireSpreadSimulator.prototype.animate = function () {
+            var self = this,
+                ignition = this.ignition(),
+                duration = Number(this.durationHours()) * 60,
+                step = duration / FireSpreadSimulator.ANIMATION_STEPS,
+                end;
+
+            if (!ignition || !(duration > 0)) {
+                return;
+            }
+            this.stopAnimation();
+            end = ignition.time.getTime() + duration * 60000;
+            this.isLive(false);
+            this.globe.updateDateTime(new Date(ignition.time.getTime()));
+            this.isAnimating(true);
+            this.animationInterval = window.setInterval(function () {
+                if (self.globe.dateTime().getTime() + step * 60000 >= end) {
+                    self.globe.updateDateTime(new Date(end));
+                    self.stopAnimation();
+                } else {
+                    self.globe.incrementDateTime(step);
+                }
+            }, FireSpreadSimulator.ANIMATION_INTERVAL);
+        };
+
+        /**
+         * Stops the animation, leaving the globe's clock at the animated time. Invoked by the view.
+         */
+        FireSpreadSimulator.prototype.stopAnimation = function () {
+            if (this.animationInterval) {
+                window.clearInterval(this.animationInterval);
+                this.animationInterval = null;
+            }
+            this.isAnimating(false);
+        };
+
+        /**
+         * Removes the simulated fire. Invoked by the view.
+         */
+        FireSpreadSimulator.prototype.clear = function () {
+            this.stopAnimation();
+            this.isPicking(false);
+            this.ignition(null);
+        };
+
+        /**
+         * Draws the ignition point and the perimeter projected for the globe's time.
+         */
+        FireSpreadSimulator.prototype.update = function () {
+            var ignition = this.ignition(),
+                behavior = this.behavior(),
+                minutes = this.elapsedMinutes(),
+                locations = ignition && behavior ?
+                    surfaceFire.ellipse(behavior, ignition.latitude, ignition.longitude, minutes) : [];
+
+            if (ignition) {
+                this.ignitionPlacemark.position = new WorldWind.Position(ignition.latitude, ignition.longitude, 0);
+            }
+            this.ignitionPlacemark.enabled = ignition !== null;
+            this.perimeterPolygon.boundaries = locations.map(function (location) {
+                return new WorldWind.Location(location.latitude, location.longitude);
+            });
+            this.perimeterPolygon.enabled = locations.length > 0;
+            this.globe.redraw();
+        };
+
+        /**
+         * Determines if the values of an object are all finite, non-negative numbers.
+         * @param {Object} values
+         * @returns {Boolean}
+         */
+        FireSpreadSimulator.isValid = function (values) {
+            return Object.keys(values).every(function (key) {
+                return isFinite(values[key]) && values[key] >= 0;
+            });
+        };
+
+        /** The initially selected fuel model: short grass. */
+        FireSpreadSimulator.DEFAULT_FUEL_MODEL = 1;
+        /** The number of globe clock steps in an animation. */
+        FireSpreadSimulator.ANIMATION_STEPS = 60;
+        /** The milliseconds between the animation steps. */
+        FireSpreadSimulator.ANIMATION_INTERVAL = 100;
+        /** The distance in pixels a click may move from its mouse down and still set the ignition point. */
+        FireSpreadSimulator.CLICK_TOLERANCE = 4;
+
+        /** The appearance of the ignition point. */
+        FireSpreadSimulator.IGNITION_ATTRIBUTES = (function () {
+            var attributes = new WorldWind.PlacemarkAttributes(null);
+            attributes.imageSource = null;
+            attributes.imageScale = 10;
+            attributes.imageColor = new WorldWind.Color(1, 0.8, 0, 1);
+            attributes.drawLeaderLine = false;
+            return attributes;
+        }());
+
+        /** The appearance of the projected perimeter. */
+        FireSpreadSimulator.PERIMETER_ATTRIBUTES = (function () {
+            var attributes = new WorldWind.ShapeAttributes(null);
+            attributes.drawInterior = true;
+            attributes.drawOutline = true;
+            attributes.interiorColor = new WorldWind.Color(1, 0.4, 0, 0.35);
+            attributes.outlineColor = new WorldWind.Color(1, 0.4, 0, 1);
+            attributes.outlineWidth = 2;
+            attributes.outlineStipplePattern = 0xF0F0;
+            attributes.outlineStippleFactor = 2;
+            return attributes;
+        }());
+
+        return FireSpreadSimulator;
+    }
+);
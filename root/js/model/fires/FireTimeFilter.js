@@ -0,0 +1,174 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define*/
+
+/**
+ * The FireTimeFilter shows the fire symbols according to the globe's date/time.
+ * A fire is active at time t when reported <= t < extinguished. When the filter
+ * is enabled the active fires are drawn, and in the "show history" mode, the default,
+ * the fires extinguished before t are drawn faded as well, so extinguishing a fire
+ * changes its appearance rather than removing it. Clearing "show history" draws only
+ * the active fires. Scrubbing the globe's time
+ * controls thus plays back the fire history. The fires not matching the FireFilter
+ * are never drawn.
+ *
+ * @param {Knockout} ko
+ * @param {Moment} moment
+ * @returns {FireTimeFilter}
+ */
+define([
+    'knockout',
+    'moment'],
+    function (
+        ko,
+        moment) {
+        "use strict";
+
+        /**
+         * @constructor
+         * @param {SymbolManager} symbolManager The manager of the fire symbols.
+         * @param {Globe} globe The globe whose dateTime drives the filter.
+         * @param {Boolean} isLive Optional observable flag indicating the globe's time follows the
+         * clock (see Explorer.autoUpdateTimeEnabled). The globe's time is updated periodically,
+         * so when live, the fires reported since the last update are treated as active and the
+         * filter is reapplied as the clock advances.
+         */
+        var FireTimeFilter = function (symbolManager, globe, isLive) {
+            var self = this;
+
+            this.symbolManager = symbolManager;
+            this.globe = globe;
+            this.isLive = isLive || ko.observable(false);
+
+            /**
+             * Flag to draw only the fires active at the globe's time.
+             * @type {Boolean} observable
+             */
+            this.isEnabled = ko.observable(true);
+
+            /**
+             * Flag to also draw the fires extinguished before the globe's time, faded.
+             * @type {Boolean} observable
+             */
+            this.showHistory = ko.observable(true);
+
+            /**
+             * The number of fires active at the globe's time.
+             * @type {Number} observable
+             */
+            this.activeCount = ko.observable(0);
+
+            /**
+             * The current time in milliseconds, advanced periodically while live so that the
+             * filter is reapplied as the fires reach or leave their time windows.
+             * @type {Number} observable
+             */
+            this.clock = ko.observable(Date.now());
+            this.clockInterval = window.setInterval(function () {
+                if (self.isLive()) {
+                    self.clock(Date.now());
+                }
+            }, FireTimeFilter.CLOCK_INTERVAL);
+
+            /**
+             * The globe's time text for the view.
+             */
+            this.timeText = ko.pureComputed(function () {
+                return moment(self.globe.dateTime()).format("YYYY-MM-DD HH:mm");
+            });
+
+            // Reapply the filter whenever the time, the options, the symbols or their times change.
+            // Knockout tracks the observables read by apply() as dependencies.
+            this.filter = ko.computed(function () {
+                self.apply();
+            });
+        };
+
+        /**
+         * Stops the clock and the filter.
+         */
+        FireTimeFilter.prototype.dispose = function () {
+            window.clearInterval(this.clockInterval);
+            this.filter.dispose();
+        };
+
+        /**
+         * Shows or hides each symbol's placemark according to its state at the globe's time.
+         */
+        FireTimeFilter.prototype.apply = function () {
+            // Reading the clock makes the filter depend on it; Date.now() is more recent between its ticks
+            var time = this.isLive() ?
+                    Math.max(this.globe.dateTime().getTime(), this.clock(), Date.now()) :
+                    this.globe.dateTime().getTime(),
+                isEnabled = this.isEnabled(),
+                showHistory = this.showHistory(),
+                activeCount = 0;
+
+            this.symbolManager.symbols().forEach(function (symbol) {
+                var state = FireTimeFilter.stateAt(symbol.koTimeReported(), symbol.koTimeExtinguished(), time),
+                    placemark = symbol.placemark;
+
+                if (state === FireTimeFilter.STATE_ACTIVE) {
+                    activeCount += 1;
+                }
+                placemark.enabled = symbol.isFilterMatch() && (!isEnabled ||
+                    state === FireTimeFilter.STATE_ACTIVE ||
+                    (showHistory && state === FireTimeFilter.STATE_EXTINGUISHED));
+                placemark.setFaded(isEnabled && showHistory && state === FireTimeFilter.STATE_EXTINGUISHED);
+                symbol.isShown(placemark.enabled);
+            });
+            this.activeCount(activeCount);
+            this.globe.redraw();
+        };
+
+        /**
+         * Determines the state of a fire at the given time.
+         * @param {Date|String} reported The time the fire was reported; null if unknown.
+         * @param {Date|String} extinguished The time the fire was extinguished; null if burning.
+         * @param {Number} time The time in milliseconds.
+         * @returns {String} STATE_UNREPORTED if the fire was reported after the time,
+         * STATE_EXTINGUISHED if it was extinguished at or before the time, else STATE_ACTIVE.
+         */
+        FireTimeFilter.stateAt = function (reported, extinguished, time) {
+            var reportedTime = FireTimeFilter.toTime(reported),
+                extinguishedTime = FireTimeFilter.toTime(extinguished);
+
+            if (reportedTime !== null && time < reportedTime) {
+                return FireTimeFilter.STATE_UNREPORTED;
+            }
+            if (extinguishedTime !== null && time >= extinguishedTime) {
+                return FireTimeFilter.STATE_EXTINGUISHED;
+            }
+            return FireTimeFilter.STATE_ACTIVE;
+        };
+
+        /**
+         * Converts a symbol's time value to milliseconds. Dates without a time, like the
+         * "YYYY-MM-DD" values from the symbol editor, are local midnight.
+         * @param {Date|String|Number} value
+         * @returns {Number} The time in milliseconds, or null if the value is empty or invalid.
+         */
+        FireTimeFilter.toTime = function (value) {
+            var time;
+            if (value === undefined || value === null || value === "") {
+                return null;
+            }
+            time = moment(value);
+            return time.isValid() ? time.valueOf() : null;
+        };
+
+        /** The time in milliseconds between the clock's ticks while live. */
+        FireTimeFilter.CLOCK_INTERVAL = 60000;
+
+        /** The fire was reported after the time. */
+        FireTimeFilter.STATE_UNREPORTED = "unreported";
+        /** The fire was burning at the time. */
+        FireTimeFilter.STATE_ACTIVE = "active";
+        /** The fire was extinguished at or before the time. */
+        FireTimeFilter.STATE_EXTINGUISHED = "extinguished";
+
+        return FireTimeFilter;
+    }
+);
@@ -0,0 +1,235 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define*/
+
+/**
+ * The FirmsImporter imports NASA FIRMS active-fire files into a FirmsHotspotLayer.
+ * CSV (.csv, .txt) and KML (.kml) files are imported individually; a shapefile is
+ * imported from its .shp and .dbf files selected together.
+ *
+ * @param {FirmsHotspotLayer} FirmsHotspotLayer
+ * @param {FirmsParser} firmsParser
+ * @param {Knockout} ko
+ * @param {Log} log
+ * @param {JQuery} $
+ * @returns {FirmsImporter}
+ */
+define([
+    'model/globe/layers/FirmsHotspotLayer',
+    'model/fires/FirmsParser',
+    'knockout',
+    'model/util/Log',
+    'jquery',
+    'jquery-growl'],
+    function (
+        FirmsHotspotLayer,
+        firmsParser,
+        ko,
+        log,
+        $) {
+        "use strict";
+
+        /**
+         * @constructor
+         * @param {Globe} globe The globe that displays the hotspot layer.
+         */
+        var FirmsImporter = function (globe) {
+            var self = this;
+
+            this.globe = globe;
+
+            /**
+             * The hotspot layer that displays the imported detections.
+             * @type {FirmsHotspotLayer}
+             */
+            this.layer = new FirmsHotspotLayer(globe);
+            globe.layerManager.addDataLayer(this.layer, {
+                enabled: true,
+                pickEnabled: true
+            });
+
+            /**
+             * The number of imported detections.
+             * @type {Number} observable
+             */
+            this.detectionCount = ko.observable(0);
+
+            /**
+             * The number of detections shown at the globe's current time.
+             * @type {Number} observable
+             */
+            this.visibleCount = ko.observable(0);
+
+            /**
+             * Flag indicating an import is in progress.
+             * @type {Boolean} observable
+             */
+            this.isImporting = ko.observable(false);
+
+            /**
+             * The acquisition time window in hours; zero shows all the detections.
+             * @type {Number} observable
+             */
+            this.timeWindow = ko.observable(this.layer.timeWindow / 3600000);
+
+            /**
+             * The time window choices presented in the view.
+             */
+            this.timeWindowOptions = [
+                {name: "Last 6 hours", value: 6},
+                {name: "Last 12 hours", value: 12},
+                {name: "Last 24 hours", value: 24},
+                {name: "Last 48 hours", value: 48},
+                {name: "Last 7 days", value: 168},
+                {name: "All", value: 0}
+            ];
+
+            this.timeWindow.subscribe(function (hours) {
+                self.layer.setTimeWindow(hours * 3600000);
+                self.updateVisibleCount();
+            });
+            globe.dateTime.subscribe(function () {
+                self.updateVisibleCount();
+            });
+        };
+
+        /**
+         * Handles the file input's change event.
+         * @param {FirmsImporter} data The binding context data.
+         * @param {Event} event
+         */
+        FirmsImporter.prototype.onFilesSelected = function (data, event) {
+            var input = event.target;
+            this.importFiles(Array.prototype.slice.call(input.files)).then(function () {
+                input.value = ""; // Allow the same file to be imported again
+            });
+        };
+
+        /**
+         * Imports FIRMS files into the hotspot layer.
+         * @param {File[]} files The selected files.
+         * @returns {Promise} Resolves with the number of detections imported.
+         */
+        FirmsImporter.prototype.importFiles = function (files) {
+            var self = this,
+                byExtension = {},
+                reads = [],
+                shp, dbf;
+
+            files.forEach(function (file) {
+                var extension = file.name.split(".").pop().toLowerCase();
+                byExtension[extension] = (byExtension[extension] || []).concat(file);
+            });
+            (byExtension.csv || []).concat(byExtension.txt || []).forEach(function (file) {
+                reads.push(FirmsImporter.readFile(file, "text").then(function (text) {
+                    return {name: file.name, result: firmsParser.parseCsv(text)};
+                }));
+            });
+            (byExtension.kml || []).forEach(function (file) {
+                reads.push(FirmsImporter.readFile(file, "text").then(function (text) {
+                    return {name: file.name, result: firmsParser.parseKml(text)};
+                }));
+            });
+            shp = (byExtension.shp || [])[0];
+            dbf = (byExtension.dbf || [])[0];
+            if (shp && dbf) {
+                reads.push(Promise.all([
+                    FirmsImporter.readFile(shp, "buffer"),
+                    FirmsImporter.readFile(dbf, "buffer")]).then(function (buffers) {
+                    return {name: shp.name, result: firmsParser.parseShapefile(buffers[0], buffers[1])};
+                }));
+            } else if (shp || dbf) {
+                $.growl.warning({
+                    title: "Incomplete Shapefile",
+                    message: "Select both the .shp and .dbf files of a FIRMS shapefile."});
+            }
+            if (reads.length === 0) {
+                if (!shp && !dbf) {
+                    $.growl.warning({
+                        title: "Unsupported File",
+                        message: "Select a FIRMS CSV, KML or shapefile (.shp and .dbf)."});
+                }
+                return Promise.resolve(0);
+            }
+
+            this.isImporting(true);
+            return Promise.all(reads).then(function (imports) {
+                var count = 0;
+                imports.forEach(function (item) {
+                    self.reportRejected(item.name, item.result.rejected);
+                    self.layer.addDetections(item.result.detections);
+                    count += item.result.detections.length;
+                });
+                self.isImporting(false);
+                self.detectionCount(self.layer.renderables.length);
+                self.updateVisibleCount();
+                $.growl.notice({
+                    title: "Hotspots Imported",
+                    message: count + " detection(s) imported; " + self.visibleCount() + " shown at the globe's time."});
+                return count;
+            }).catch(function (error) {
+                self.isImporting(false);
+                log.error("FirmsImporter", "importFiles", error.message);
+                $.growl.error({title: "Import Failed", message: $("<div></div>").text(error.message).html()});
+                return 0;
+            });
+        };
+
+        /**
+         * Removes the imported detections.
+         */
+        FirmsImporter.prototype.clear = function () {
+            this.layer.removeAllRenderables();
+            this.detectionCount(0);
+            this.updateVisibleCount();
+            this.globe.redraw();
+        };
+
+        // Internal. Updates the count of the detections within the time window.
+        FirmsImporter.prototype.updateVisibleCount = function () {
+            this.visibleCount(this.layer.visibleCount());
+        };
+
+        // Internal. Logs the rows that could not be imported.
+        FirmsImporter.prototype.reportRejected = function (name, rejected) {
+            if (rejected.length === 0) {
+                return;
+            }
+            rejected.forEach(function (rejection) {
+                log.warning("FirmsImporter", "reportRejected", name + ": rejected row " + rejection.index +
+                    ": " + rejection.reasons.join("; "));
+            });
+            $.growl.warning({
+                title: "Invalid Detections",
+                message: rejected.length + " row(s) of " + $("<div></div>").text(name).html() +
+                    " were not imported. See the log for details."});
+        };
+
+        /**
+         * Reads a file.
+         * @param {File} file
+         * @param {String} type "text" or "buffer".
+         * @returns {Promise} Resolves with the text or ArrayBuffer.
+         */
+        FirmsImporter.readFile = function (file, type) {
+            return new Promise(function (resolve, reject) {
+                var reader = new FileReader();
+                reader.onload = function () {
+                    resolve(reader.result);
+                };
+                reader.onerror = function () {
+                    reject(new Error("Unable to read " + file.name));
+                };
+                if (type === "buffer") {
+                    reader.readAsArrayBuffer(file);
+                } else {
+                    reader.readAsText(file);
+                }
+            });
+        };
+
+        return FirmsImporter;
+    }
+);
@@ -0,0 +1,416 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define*/
+
+/**
+ * The FirmsParser module reads the NASA FIRMS (Fire Information for Resource
+ * Management System) active-fire files: MODIS and VIIRS CSV files, point
+ * shapefiles (.shp with its .dbf) and KML files. Each hotspot is converted to a
+ * detection object:
+ * <pre>
+ *  {
+ *      latitude: Number,
+ *      longitude: Number,
+ *      brightness: brightness temperature in kelvin (MODIS "brightness", VIIRS "bright_ti4"), or null,
+ *      frp: fire radiative power in megawatts, or null,
+ *      confidence: "low", "nominal" or "high",
+ *      confidenceText: the confidence as given in the file, e.g. "85" or "n",
+ *      time: the acquisition time (Date, UTC), or null,
+ *      satellite: e.g. "Terra", "Aqua" or "N", or null,
+ *      instrument: e.g. "MODIS" or "VIIRS", or null
+ *  }
+ * </pre>
+ * Rows without a valid latitude and longitude are rejected with the reasons.
+ *
+ * @returns {FirmsParser}
+ */
+define([],
+    function () {
+        "use strict";
+
+        var FirmsParser = {
+            /**
+             * Parses a FIRMS CSV file.
+             * @param {String} text The CSV file contents.
+             * @returns {Object} {detections: [detection], rejected: [{index: data row index, reasons: [String]}]}
+             */
+            parseCsv: function (text) {
+                var lines = String(text || "").split(/\r?\n/).filter(function (line) {
+                        return line.trim() !== "";
+                    }),
+                    header, rows;
+
+                if (lines.length === 0) {
+                    return {detections: [], rejected: [{index: -1, reasons: ["file is empty"]}]};
+                }
+                header = FirmsParser.splitCsvLine(lines[0]);
+                rows = lines.slice(1).map(function (line) {
+                    var values = FirmsParser.splitCsvLine(line),
+                        properties = {};
+                    header.forEach(function (name, i) {
+                        properties[name] = values[i];
+                    });
+                    return properties;
+                });
+                return FirmsParser.toDetections(rows);
+            },
+
+            /**
+             * Parses a FIRMS point shapefile.
+             * @param {ArrayBuffer} shpBuffer The .shp file contents.
+             * @param {ArrayBuffer} dbfBuffer The .dbf file contents with the hotspot attributes.
+             * @returns {Object} {detections: [detection], rejected: [{index: record index, reasons: [String]}]}
+             */
+            parseShapefile: function (shpBuffer, dbfBuffer) {
+                var points = FirmsParser.readShpPoints(shpBuffer),
+                    records = FirmsParser.readDbfRecords(dbfBuffer),
+                    rows = records.map(function (record, i) {
+                        // The attribute table may omit the coordinates; use the record's geometry.
+                        // The shapes of the deleted records are dropped with them.
+                        var properties;
+                        if (record === null) {
+                            return null;
+                        }
+                        properties = Object.assign({}, record);
+                        if (points[i]) {
+                            properties.longitude = points[i].x;
+                            properties.latitude = points[i].y;
+                        }
+                        return properties;
+                    });
+                return FirmsParser.toDetections(rows);
+            },
+
+            /**
+             * Parses a FIRMS KML file. The attributes are read from each placemark's
+             * ExtendedData, or else from the "Name: value" lines of its description.
+             * @param {String} text The KML file contents.
+             * @returns {Object} {detections: [detection], rejected: [{index: placemark index, reasons: [String]}]}
+             */
+            parseKml: function (text) {
+                var doc = new DOMParser().parseFromString(text, "application/xml"),
+                    placemarks = doc.getElementsByTagName("Placemark"),
+                    rows = [],
+                    i, len;
+
+                if (doc.getElementsByTagName("parsererror").length > 0) {
+                    return {detections: [], rejected: [{index: -1, reasons: ["file is not valid KML"]}]};
+                }
+                for (i = 0, len = placemarks.length; i < len; i++) {
+                    rows.push(FirmsParser.readKmlPlacemark(placemarks[i]));
+                }
+                return FirmsParser.toDetections(rows);
+            },
+
+            /**
+             * Converts rows of FIRMS attributes to detections.
+             * @param {Object[]} rows Attribute objects keyed by FIRMS field name (any case);
+             * null rows (deleted records) are skipped.
+             * @returns {Object} {detections: [detection], rejected: [{index, reasons}]}
+             */
+            toDetections: function (rows) {
+                var detections = [],
+                    rejected = [];
+
+                rows.forEach(function (row, i) {
+                    var result;
+                    if (row === null) {
+                        return; // A deleted record
+                    }
+                    result = FirmsParser.toDetection(row);
+                    if (result.reasons.length === 0) {
+                        detections.push(result.detection);
+                    } else {
+                        rejected.push({index: i, reasons: result.reasons});
+                    }
+                });
+                return {detections: detections, rejected: rejected};
+            },
+
+            /**
+             * Converts a row of FIRMS attributes to a detection.
+             * @param {Object} row Attribute objects keyed by FIRMS field name (any case).
+             * @returns {Object} {detection, reasons: [String] why the row is invalid}
+             */
+            toDetection: function (row) {
+                var properties = {},
+                    reasons = [],
+                    detection;
+
+                Object.keys(row || {}).forEach(function (key) {
+                    properties[key.trim().toLowerCase()] = row[key];
+                });
+                detection = {
+                    latitude: FirmsParser.toNumber(properties.latitude),
+                    longitude: FirmsParser.toNumber(properties.longitude),
+                    brightness: FirmsParser.toNumber(properties.brightness !== undefined ?
+                        properties.brightness : properties.bright_ti4),
+                    frp: FirmsParser.toNumber(properties.frp),
+                    confidence: FirmsParser.toConfidence(properties.confidence),
+                    confidenceText: FirmsParser.toText(properties.confidence),
+                    time: FirmsParser.toAcquisitionTime(properties.acq_date, properties.acq_time),
+                    satellite: FirmsParser.toText(properties.satellite),
+                    instrument: FirmsParser.toText(properties.instrument)
+                };
+                if (detection.latitude === null) {
+                    reasons.push("latitude is not a number: " + properties.latitude);
+                } else if (detection.latitude < -90 || detection.latitude > 90) {
+                    reasons.push("latitude is out of range [-90, 90]: " + properties.latitude);
+                }
+                if (detection.longitude === null) {
+                    reasons.push("longitude is not a number: " + properties.longitude);
+                } else if (detection.longitude < -180 || detection.longitude > 180) {
+                    reasons.push("longitude is out of range [-180, 180]: " + properties.longitude);
+                }
+                return {detection: detection, reasons: reasons};
+            },
+
+            /**
+             * Normalizes a FIRMS confidence value. MODIS files use a percentage; VIIRS
+             * files use "l", "n" or "h" (or the full words).
+             * @param {Number|String} value
+             * @returns {String} "low", "nominal" or "high"; "nominal" if the value is missing or unknown.
+             */
+            toConfidence: function (value) {
+                var text = FirmsParser.toText(value),
+                    percent;
+
+                if (text === null) {
+                    return "nominal";
+                }
+                percent = FirmsParser.toNumber(text.replace(/%$/, ""));
+                if (percent !== null) {
+                    return percent < 30 ? "low" : percent < 80 ? "nominal" : "high";
+                }
+                switch (text.charAt(0).toLowerCase()) {
+                    case "l":
+                        return "low";
+                    case "h":
+                        return "high";
+                    default:
+                        return "nominal";
+                }
+            },
+
+            /**
+             * Combines a FIRMS acquisition date and time (UTC).
+             * @param {String|Date} date "YYYY-MM-DD" (or a Date from a shapefile).
+             * @param {String|Number} time "HHMM", e.g. "0135" or 135; optional.
+             * @returns {Date} The acquisition time, or null if the date is invalid.
+             */
+            toAcquisitionTime: function (date, time) {
+                var match = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(date instanceof Date ?
+                        date.toISOString() : FirmsParser.toText(date) || ""),
+                    hhmm = ("0000" + (FirmsParser.toText(time) || "0").replace(":", "")).slice(-4),
+                    result;
+
+                if (!match || !/^\d{4}$/.test(hhmm)) {
+                    return null;
+                }
+                result = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]),
+                    Number(hhmm.slice(0, 2)), Number(hhmm.slice(2, 4))));
+                return isNaN(result.getTime()) ? null : result;
+            },
+
+            /**
+             * Coerces a number or numeric string to a finite number.
+             * @param {Number|String} value
+             * @returns {Number} The number, or null if the value isn't numeric.
+             */
+            toNumber: function (value) {
+                var number;
+                if (typeof value === "number") {
+                    return isFinite(value) ? value : null;
+                }
+                if (typeof value === "string" && value.trim() !== "") {
+                    number = Number(value);
+                    return isFinite(number) ? number : null;
+                }
+                return null;
+            },
+
+            /**
+             * Trims a text value.
+             * @param {*} value
+             * @returns {String} The trimmed text, or null if empty.
+             */
+            toText: function (value) {
+                var text = value === undefined || value === null ? "" : String(value).trim();
+                return text === "" ? null : text;
+            },
+
+            /**
+             * Splits a CSV line into its values, honoring double-quoted values.
+             * @param {String} line
+             * @returns {String[]}
+             */
+            splitCsvLine: function (line) {
+                var values = [],
+                    value = "",
+                    quoted = false,
+                    i, c;
+
+                for (i = 0; i < line.length; i++) {
+                    c = line.charAt(i);
+                    if (quoted) {
+                        if (c === '"' && line.charAt(i + 1) === '"') {
+                            value += c;
+                            i++;
+                        } else if (c === '"') {
+                            quoted = false;
+                        } else {
+                            value += c;
+                        }
+                    } else if (c === '"') {
+                        quoted = true;
+                    } else if (c === ",") {
+                        values.push(value.trim());
+                        value = "";
+                    } else {
+                        value += c;
+                    }
+                }
+                values.push(value.trim());
+                return values;
+            },
+
+            /**
+             * Reads the points of a shapefile. Records that aren't points are returned as null.
+             * @param {ArrayBuffer} buffer The .shp file contents.
+             * @returns {Object[]} [{x: longitude, y: latitude}] in record order.
+             */
+            readShpPoints: function (buffer) {
+                var view = new DataView(buffer),
+                    points = [],
+                    offset = 100, // skip the file header
+                    contentLength, shapeType;
+
+                while (offset + 12 <= view.byteLength) {
+                    // The record header is big-endian; the content length is in 16-bit words
+                    contentLength = view.getInt32(offset + 4, false) * 2;
+                    if (contentLength < 0) {
+                        break;  // A corrupt record; the offset of the next one is unknown
+                    }
+                    shapeType = view.getInt32(offset + 8, true);
+                    if (shapeType === FirmsParser.SHAPE_POINT && offset + 28 <= view.byteLength) {
+                        points.push({x: view.getFloat64(offset + 12, true), y: view.getFloat64(offset + 20, true)});
+                    } else {
+                        points.push(null);
+                    }
+                    offset += 8 + contentLength;
+                }
+                return points;
+            },
+
+            /**
+             * Reads the records of a dBASE (.dbf) attribute file.
+             * @param {ArrayBuffer} buffer The .dbf file contents.
+             * @returns {Object[]} The records as {field name: text value}, in record order so that
+             * they pair with the shapes; deleted records are null.
+             */
+            readDbfRecords: function (buffer) {
+                var view = new DataView(buffer),
+                    bytes = new Uint8Array(buffer),
+                    numRecords = view.getUint32(4, true),
+                    headerLength = view.getUint16(8, true),
+                    recordLength = view.getUint16(10, true),
+                    fields = [],
+                    records = [],
+                    text = function (start, length) {
+                        return String.fromCharCode.apply(null, bytes.subarray(start, start + length))
+                            .replace(/\0/g, "").trim();
+                    },
+                    offset, i, record, position;
+
+                // Field descriptors are 32 bytes each, terminated by 0x0D
+                for (offset = 32; offset < headerLength && bytes[offset] !== 0x0D; offset += 32) {
+                    fields.push({name: text(offset, 11), length: bytes[offset + 16]});
+                }
+                for (i = 0; i < numRecords; i++) {
+                    offset = headerLength + i * recordLength;
+                    if (offset + recordLength > bytes.length) {
+                        break;
+                    }
+                    if (bytes[offset] === 0x2A) {
+                        records.push(null); // "*" marks a deleted record
+                        continue;
+                    }
+                    record = {};
+                    position = offset + 1;
+                    fields.forEach(function (field) {
+                        record[field.name] = text(position, field.length);
+                        position += field.length;
+                    });
+                    records.push(record);
+                }
+                return records;
+            },
+
+            /**
+             * Reads the coordinates and attributes of a KML placemark.
+             * @param {Element} placemark
+             * @returns {Object} The attributes keyed by field name.
+             */
+            readKmlPlacemark: function (placemark) {
+                var properties = {},
+                    first = function (parent, tagName) {
+                        var elements = parent.getElementsByTagName(tagName);
+                        return elements.length > 0 ? elements[0] : null;
+                    },
+                    description = first(placemark, "description"),
+                    coordinates = first(placemark, "coordinates"),
+                    when = first(placemark, "when"),
+                    values;
+
+                // Description lines like "<b>FRP:</b> 12.3 MW<br/>"
+                if (description) {
+                    description.textContent.replace(/<br\s*\/?>/gi, "\n").replace(/<[^>]*>/g, "")
+                        .split("\n").forEach(function (line) {
+                            var match = /^\s*([^:]+):\s*(.*)$/.exec(line);
+                            if (match) {
+                                properties[match[1].trim().toLowerCase().replace(/\s+/g, "_")] =
+                                    FirmsParser.leadingValue(match[2]);
+                            }
+                        });
+                }
+                Array.prototype.forEach.call(placemark.getElementsByTagName("Data"), function (data) {
+                    var value = first(data, "value");
+                    properties[data.getAttribute("name")] = value ? value.textContent : "";
+                });
+                Array.prototype.forEach.call(placemark.getElementsByTagName("SimpleData"), function (data) {
+                    properties[data.getAttribute("name")] = data.textContent;
+                });
+                if (coordinates) {
+                    values = coordinates.textContent.trim().split(/[\s,]+/);
+                    properties.longitude = values[0];
+                    properties.latitude = values[1];
+                }
+                if (when && properties.acq_date === undefined) {
+                    properties.acq_date = when.textContent.slice(0, 10);
+                    properties.acq_time = when.textContent.slice(11, 16);
+                }
+                return properties;
+            },
+
+            /**
+             * Strips the units from a description value: "330.5 K" becomes "330.5".
+             * @param {String} text
+             * @returns {String}
+             */
+            leadingValue: function (text) {
+                var match = /^\s*(-?\d+(\.\d+)?)\s*(%|[a-zA-Z]{1,2})?\s*$/.exec(text);
+                return match ? match[1] : text.trim();
+            },
+
+            /**
+             * The shapefile shape type of a point.
+             * @type {Number}
+             */
+            SHAPE_POINT: 1
+        };
+
+        return FirmsParser;
+    }
+);
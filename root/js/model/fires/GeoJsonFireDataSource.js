@@ -0,0 +1,151 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define*/
+
+/**
+ * The GeoJsonFireDataSource is a FireDataSource that reads the fire records from
+ * a GeoJSON FeatureCollection of Point features, e.g., a file served alongside
+ * index.html. The feature properties carry the fire record fields (fid,
+ * reportedtimemark, fire_extinguished, fire_verified and the incident attributes
+ * such as fire_size and fire_containment, and the fire_perimeters and fire_history) and the geometry supplies
+ * the coordinates. Edits are kept in memory for the rest of the session;
+ * the file itself is never written.
+ *
+ * @param {FireDataSource} FireDataSource Base class
+ * @param {FireIncident} fireIncident
+ * @param {WmtUtil} util
+ * @returns {GeoJsonFireDataSource}
+ */
+define([
+    'model/fires/FireDataSource',
+    'model/fires/FireIncident',
+    'model/util/WmtUtil'],
+    function (
+        FireDataSource,
+        fireIncident,
+        util) {
+        "use strict";
+
+        /**
+         * @constructor
+         * @param {Object} options Requires a url property, e.g., {type: "geojson", url: "data/fires.geojson"}.
+         */
+        var GeoJsonFireDataSource = function (options) {
+            FireDataSource.call(this, options);
+
+            // Internal. A promise for the records loaded from the file.
+            this.loading = null;
+        };
+        GeoJsonFireDataSource.prototype = Object.create(FireDataSource.prototype);
+
+        GeoJsonFireDataSource.prototype.listFires = function () {
+            return this.loadRecords().then(function (records) {
+                return records.slice();
+            });
+        };
+
+        GeoJsonFireDataSource.prototype.createFire = function (params) {
+            return this.loadRecords().then(function (records) {
+                var record = FireDataSource.newRecord(util.guid(), params);
+                records.push(record);
+                return record;
+            });
+        };
+
+        GeoJsonFireDataSource.prototype.updateFire = function (fid, params) {
+            return this.loadRecords().then(function (records) {
+                var index = FireDataSource.indexOfFire(records, fid);
+                if (index < 0) {
+                    throw FireDataSource.fireNotFound("GeoJsonFireDataSource", fid);
+                }
+                return FireDataSource.applyParams(records[index], params);
+            });
+        };
+
+        GeoJsonFireDataSource.prototype.deleteFire = function (fid) {
+            return this.loadRecords().then(function (records) {
+                var index = FireDataSource.indexOfFire(records, fid);
+                if (index >= 0) {
+                    records.splice(index, 1);
+                }
+            });
+        };
+
+        // Internal. Loads the GeoJSON file once and caches the resulting records.
+        GeoJsonFireDataSource.prototype.loadRecords = function () {
+            var url = this.options.url;
+            if (!this.loading) {
+                this.loading = new Promise(function (resolve, reject) {
+                    var xhr = new XMLHttpRequest();
+                    xhr.open("GET", url, true);
+                    xhr.onreadystatechange = function () {
+                        if (xhr.readyState === 4) {
+                            if (xhr.status === 200 || (xhr.status === 0 && xhr.response)) {   // status 0 for file://
+                                try {
+                                    resolve(GeoJsonFireDataSource.featuresToRecords(JSON.parse(xhr.response)));
+                                } catch (e) {
+                                    reject(new Error("GeoJsonFireDataSource: invalid GeoJSON in " + url + ": " + e.message));
+                                }
+                            } else {
+                                reject(new Error("GeoJsonFireDataSource: failed to load " + url + " (" + xhr.statusText + ")"));
+                            }
+                        }
+                    };
+                    xhr.send(null);
+                });
+            }
+            return this.loading;
+        };
+
+        /**
+         * Converts a GeoJSON FeatureCollection of points into fire records. The records of
+         * points without valid coordinates have no fire_lat and fire_lon, so the schema
+         * validation rejects them (see FireService.validateRecords).
+         * @param {Object} geoJson
+         * @returns {Object[]} Fire records.
+         */
+        GeoJsonFireDataSource.featuresToRecords = function (geoJson) {
+            var features = geoJson.features || [],
+                records = [],
+                i, len, feature, props, coords;
+
+            for (i = 0, len = features.length; i < len; i++) {
+                feature = features[i];
+                if (!feature.geometry || feature.geometry.type !== "Point") {
+                    continue;
+                }
+                props = feature.properties || {};
+                coords = GeoJsonFireDataSource.isPosition(feature.geometry.coordinates) ?
+                    feature.geometry.coordinates : [];
+                records.push(fireIncident.applyToRecord({
+                    fid: props.fid !== undefined ? props.fid : (feature.id !== undefined ? feature.id : util.guid()),
+                    fire_lat: coords[1],
+                    fire_lon: coords[0],
+                    fire_alt: coords.length > 2 ? coords[2] : 0,
+                    reportedtimemark: props.reportedtimemark || null,
+                    fire_extinguished: props.fire_extinguished || null,
+                    fire_verified: !!props.fire_verified,
+                    fire_perimeters: props.fire_perimeters || [],
+                    fire_merged_reports: props.fire_merged_reports || [],
+                    fire_history: props.fire_history || []
+                }, fireIncident.fromRecord(props)));
+            }
+            return records;
+        };
+
+        /**
+         * Determines if GeoJSON coordinates are a position: an array of at least two finite numbers.
+         * @param {*} coords
+         * @returns {Boolean}
+         */
+        GeoJsonFireDataSource.isPosition = function (coords) {
+            return Array.isArray(coords) && coords.length >= 2 &&
+                typeof coords[0] === "number" && isFinite(coords[0]) &&
+                typeof coords[1] === "number" && isFinite(coords[1]);
+        };
+
+        return GeoJsonFireDataSource;
+    }
+);
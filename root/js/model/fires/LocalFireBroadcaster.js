@@ -0,0 +1,115 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define*/
+
+/**
+ * The LocalFireBroadcaster is a stand-in for a live fire feed server. It posts
+ * fire events to a BroadcastChannel that a FireFeed of type "local" listens to,
+ * in this or any other browser tab of the same origin. It can also simulate a
+ * stream of fire activity around a location. See fire-broadcaster.html.
+ *
+ * @param {Constants} constants
+ * @returns {LocalFireBroadcaster}
+ */
+define([
+    'model/Constants'],
+    function (
+        constants) {
+        "use strict";
+
+        /**
+         * @constructor
+         * @param {String} channelName Optional; default is constants.FIRE_FEED_CHANNEL.
+         */
+        var LocalFireBroadcaster = function (channelName) {
+            this.channel = new BroadcastChannel(channelName || constants.FIRE_FEED_CHANNEL);
+
+            /**
+             * The fires created by this broadcaster, keyed by fid.
+             * @type {Object}
+             */
+            this.fires = {};
+
+            // Internal. The simulation interval id.
+            this.simulationInterval = null;
+            // Internal. The sequence number for generated fids.
+            this.sequence = 0;
+        };
+
+        /**
+         * Posts a fire event.
+         * @param {String} type "created", "updated" or "deleted".
+         * @param {Object} fire A fire record (see FireDataSource).
+         */
+        LocalFireBroadcaster.prototype.publish = function (type, fire) {
+            this.channel.postMessage(JSON.stringify({type: type, fire: fire}));
+        };
+
+        /**
+         * Creates a fire and posts a "created" event.
+         * @param {Number} lat
+         * @param {Number} lon
+         * @returns {Object} The fire record.
+         */
+        LocalFireBroadcaster.prototype.createFire = function (lat, lon) {
+            var fire = {
+                fid: "local-" + Date.now() + "-" + (this.sequence += 1),
+                fire_lat: lat,
+                fire_lon: lon,
+                fire_alt: 0,
+                reportedtimemark: new Date().toISOString(),
+                fire_extinguished: null,
+                fire_verified: false
+            };
+            this.fires[fire.fid] = fire;
+            this.publish("created", fire);
+            return fire;
+        };
+
+        /**
+         * Starts posting random created/updated/deleted events for fires around a location.
+         * @param {Number} lat Center latitude.
+         * @param {Number} lon Center longitude.
+         * @param {Number} interval Milliseconds between events; default 5000.
+         */
+        LocalFireBroadcaster.prototype.simulate = function (lat, lon, interval) {
+            var self = this;
+            this.stop();
+            this.simulationInterval = window.setInterval(function () {
+                self.simulateEvent(lat, lon);
+            }, interval || 5000);
+        };
+
+        /**
+         * Stops the simulation.
+         */
+        LocalFireBroadcaster.prototype.stop = function () {
+            window.clearInterval(this.simulationInterval);
+            this.simulationInterval = null;
+        };
+
+        // Internal. Posts one random event: mostly new fires, some verifications and removals.
+        LocalFireBroadcaster.prototype.simulateEvent = function (lat, lon) {
+            var fids = Object.keys(this.fires),
+                roll = Math.random(),
+                fire;
+
+            if (fids.length === 0 || roll < 0.5) {
+                this.createFire(lat + (Math.random() - 0.5) * 0.5, lon + (Math.random() - 0.5) * 0.5);
+                return;
+            }
+            fire = this.fires[fids[Math.floor(Math.random() * fids.length)]];
+            if (roll < 0.85) {
+                fire.fire_verified = true;
+                this.publish("updated", fire);
+            } else {
+                delete this.fires[fire.fid];
+                this.publish("deleted", {fid: fire.fid});
+            }
+        };
+
+        return LocalFireBroadcaster;
+    }
+);
@@ -0,0 +1,97 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define*/
+
+/**
+ * The LocalFireDataSource is a FireDataSource that persists the fire records in
+ * the browser's local storage, allowing the Explorer to run fully offline.
+ *
+ * @param {Constants} constants
+ * @param {FireDataSource} FireDataSource Base class
+ * @param {Log} log
+ * @param {WmtUtil} util
+ * @returns {LocalFireDataSource}
+ */
+define([
+    'model/Constants',
+    'model/fires/FireDataSource',
+    'model/util/Log',
+    'model/util/WmtUtil'],
+    function (
+        constants,
+        FireDataSource,
+        log,
+        util) {
+        "use strict";
+
+        /**
+         * @constructor
+         * @param {Object} options Optional storageKey property; default is constants.STORAGE_KEY_FIRES.
+         */
+        var LocalFireDataSource = function (options) {
+            FireDataSource.call(this, options);
+
+            /**
+             * The local storage key for the fire records.
+             * @type {String}
+             */
+            this.storageKey = this.options.storageKey || constants.STORAGE_KEY_FIRES;
+        };
+        LocalFireDataSource.prototype = Object.create(FireDataSource.prototype);
+
+        LocalFireDataSource.prototype.listFires = function () {
+            return Promise.resolve(this.readRecords());
+        };
+
+        LocalFireDataSource.prototype.createFire = function (params) {
+            var records = this.readRecords(),
+                record = FireDataSource.newRecord(util.guid(), params);
+
+            records.push(record);
+            this.writeRecords(records);
+            return Promise.resolve(record);
+        };
+
+        LocalFireDataSource.prototype.updateFire = function (fid, params) {
+            var records = this.readRecords(),
+                index = FireDataSource.indexOfFire(records, fid);
+
+            if (index < 0) {
+                return Promise.reject(FireDataSource.fireNotFound("LocalFireDataSource", fid));
+            }
+            FireDataSource.applyParams(records[index], params);
+            this.writeRecords(records);
+            return Promise.resolve(records[index]);
+        };
+
+        LocalFireDataSource.prototype.deleteFire = function (fid) {
+            var records = this.readRecords(),
+                index = FireDataSource.indexOfFire(records, fid);
+
+            if (index >= 0) {
+                records.splice(index, 1);
+                this.writeRecords(records);
+            }
+            return Promise.resolve();
+        };
+
+        // Internal. Reads the records array from local storage.
+        LocalFireDataSource.prototype.readRecords = function () {
+            try {
+                return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+            } catch (e) {
+                log.error("LocalFireDataSource", "readRecords", "Invalid fire records in local storage: " + e.toString());
+                return [];
+            }
+        };
+
+        // Internal. Writes the records array to local storage.
+        LocalFireDataSource.prototype.writeRecords = function (records) {
+            localStorage.setItem(this.storageKey, JSON.stringify(records));
+        };
+
+        return LocalFireDataSource;
+    }
+);
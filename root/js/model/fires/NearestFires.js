@@ -0,0 +1,168 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define, WorldWind*/
+
+/**
+ * The NearestFires lists the active fires closest to the crosshairs or the mouse cursor
+ * with their great circle distances and bearings, and optionally draws a line from the
+ * crosshairs to the closest fire. The fires are kept in a spatial index (see FireIndex)
+ * so the list follows the viewpoint and the cursor with thousands of fires.
+ *
+ * @param {Constants} constants
+ * @param {FireIndex} FireIndex
+ * @param {FirePerimeter} firePerimeter
+ * @param {Formatter} formatter
+ * @param {Knockout} ko
+ * @returns {NearestFires}
+ */
+define([
+    'model/Constants',
+    'model/fires/FireIndex',
+    'model/fires/FirePerimeter',
+    'model/util/Formatter',
+    'knockout',
+    'worldwind'],
+    function (
+        constants,
+        FireIndex,
+        firePerimeter,
+        formatter,
+        ko) {
+        "use strict";
+
+        /**
+         * @constructor
+         * @param {Globe} globe The globe providing the crosshairs and cursor locations.
+         * @param {SymbolManager} symbolManager The manager of the fire symbols.
+         */
+        var NearestFires = function (globe, symbolManager) {
+            var self = this;
+
+            this.globe = globe;
+            this.symbolManager = symbolManager;
+
+            /**
+             * The layer containing the line to the closest fire.
+             * @type {WorldWind.RenderableLayer}
+             */
+            this.layer = new WorldWind.RenderableLayer(constants.LAYER_NAME_NEAREST_FIRE);
+            globe.layerManager.addDataLayer(this.layer, {
+                enabled: true,
+                pickEnabled: false,
+                opacity: 1.0
+            });
+
+            /**
+             * The location the distances are measured from: one of the ORIGIN_* values.
+             * @type {String} observable
+             */
+            this.origin = ko.observable(NearestFires.ORIGIN_CROSSHAIRS);
+            this.originOptions = [
+                {name: "Crosshairs", value: NearestFires.ORIGIN_CROSSHAIRS},
+                {name: "Cursor", value: NearestFires.ORIGIN_CURSOR}
+            ];
+
+            /**
+             * The number of fires listed.
+             * @type {Number} observable
+             */
+            this.count = ko.observable(NearestFires.DEFAULT_COUNT);
+
+            /**
+             * Flag to draw a line from the crosshairs to the closest fire.
+             * @type {Boolean} observable
+             */
+            this.showLine = ko.observable(false);
+
+            /**
+             * The spatial index of the active fires, rebuilt when the fires or their locations change.
+             */
+            this.index = ko.pureComputed(function () {
+                return new FireIndex(self.symbolManager.symbols().filter(function (symbol) {
+                    return !symbol.isExtinguished();
+                }).map(function (symbol) {
+                    return {
+                        latitude: parseFloat(symbol.latitude()),
+                        longitude: parseFloat(symbol.longitude()),
+                        item: symbol
+                    };
+                }));
+            }).extend({rateLimit: NearestFires.UPDATE_DELAY});
+
+            /**
+             * The closest fires to the origin, nearest first: {symbol, name, distanceText, bearingText}.
+             */
+            this.fires = ko.pureComputed(function () {
+                var location = self.origin() === NearestFires.ORIGIN_CURSOR ?
+                        self.globe.terrainAtMouse() : self.globe.viewpoint().target,
+                    count = Math.min(Math.max(parseInt(self.count(), 10) || 0, 0), NearestFires.MAX_COUNT);
+
+                return self.index().nearest(location.latitude, location.longitude, count).map(function (result) {
+                    return {
+                        symbol: result.item,
+                        name: result.item.name(),
+                        distanceText: firePerimeter.formatLength(result.distance),
+                        bearingText: formatter.formatAngle360(result.bearing, 0) + " " + FireIndex.compassPoint(result.bearing)
+                    };
+                });
+            }).extend({rateLimit: NearestFires.UPDATE_DELAY});
+
+            // Redraw the line when the crosshairs or the fires move
+            this.lineUpdater = ko.computed(function () {
+                var target, closest;
+
+                if (!self.showLine() && self.layer.renderables.length === 0) {
+                    return;
+                }
+                target = self.globe.viewpoint().target;
+                closest = self.showLine() ? self.index().nearest(target.latitude, target.longitude, 1)[0] : null;
+                self.layer.removeAllRenderables();
+                if (closest) {
+                    self.layer.addRenderable(new WorldWind.SurfacePolyline([
+                        new WorldWind.Location(target.latitude, target.longitude),
+                        new WorldWind.Location(closest.latitude, closest.longitude)
+                    ], NearestFires.LINE_ATTRIBUTES));
+                }
+                self.globe.redraw();
+            });
+        };
+
+        /**
+         * Centers the globe on a listed fire. Invoked by the view.
+         * @param {Object} fire An element of the fires.
+         */
+        NearestFires.prototype.gotoFire = function (fire) {
+            this.globe.goto(parseFloat(fire.symbol.latitude()), parseFloat(fire.symbol.longitude()));
+        };
+
+        /** The distances are measured from the crosshairs at the center of the globe. */
+        NearestFires.ORIGIN_CROSSHAIRS = "crosshairs";
+        /** The distances are measured from the terrain under the mouse cursor. */
+        NearestFires.ORIGIN_CURSOR = "cursor";
+
+        /** The default number of fires listed. */
+        NearestFires.DEFAULT_COUNT = 5;
+
+        /** The maximum number of fires listed. */
+        NearestFires.MAX_COUNT = 50;
+
+        /** The delay in milliseconds before the list is updated after a change. */
+        NearestFires.UPDATE_DELAY = 100;
+
+        /** The attributes of the line to the closest fire. */
+        NearestFires.LINE_ATTRIBUTES = (function () {
+            var attributes = new WorldWind.ShapeAttributes(null);
+            attributes.drawInterior = false;
+            attributes.drawOutline = true;
+            attributes.outlineColor = new WorldWind.Color(1, 0.3, 0, 1);
+            attributes.outlineWidth = 2;
+            attributes.outlineStipplePattern = 0xF0F0;
+            attributes.outlineStippleFactor = 1;
+            return attributes;
+        }());
+
+        return NearestFires;
+    }
+);
@@ -0,0 +1,127 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define*/
+
+/**
+ * The RestFireDataSource is a FireDataSource backed by the fires REST API.
+ *
+ * @param {FireDataSource} FireDataSource Base class
+ * @param {FireRestAPI} FireRestAPI REST client
+ * @returns {RestFireDataSource}
+ */
+define([
+    'model/fires/FireDataSource',
+    'FireRestAPI'],
+    function (
+        FireDataSource,
+        FireRestAPI) {
+        "use strict";
+
+        /**
+         * @constructor
+         * @param {Object} options Requires a url property, e.g., {type: "rest", url: "http://host/api/fires/"}.
+         * Set the supportsSince property if the server accepts a "since" query parameter, and the
+         * supportsAttachments property if it accepts the fires' attachments, and the supportsAuth
+         * property if it requires signing in to change the fires. The optional timeout, retries,
+         * retryDelay and authUrl properties are passed to the FireRestAPI.
+         */
+        var RestFireDataSource = function (options) {
+            var self = this;
+            FireDataSource.call(this, options);
+
+            this.supportsSince = !!this.options.supportsSince;
+            this.supportsAttachments = !!this.options.supportsAttachments;
+            this.supportsAuth = !!this.options.supportsAuth;
+
+            /**
+             * The REST client used by this data source.
+             * @type {FireRestAPI}
+             */
+            this.api = new FireRestAPI(this.options.url, this.options);
+            this.api.onSessionChanged = function (session) {
+                if (self.onSessionChanged) {
+                    self.onSessionChanged(session);
+                }
+            };
+        };
+        RestFireDataSource.prototype = Object.create(FireDataSource.prototype);
+
+        /**
+         * @param {Date} since Optional. Ignored unless supportsSince is true.
+         * @returns {Promise} Resolves with the rows of the fires payload; records the payload's
+         * synced time as the syncToken.
+         */
+        RestFireDataSource.prototype.listFires = function (since) {
+            var self = this;
+            return this.api.retrieveFires(this.supportsSince ? since : null).then(function (result) {
+                var synced = result.synced ? new Date(result.synced) : null;
+                self.syncToken = synced && !isNaN(synced.getTime()) ? synced : null;
+                return result.data;
+            });
+        };
+
+        /**
+         * @param {Object} params
+         * @param {String} requestId Optional.
+         * @returns {Promise} Resolves with the server's record.
+         */
+        RestFireDataSource.prototype.createFire = function (params, requestId) {
+            return this.api.createFire(params, requestId);
+        };
+
+        /**
+         * @param {String|Number} fid
+         * @param {Object} params
+         * @returns {Promise} Resolves with the server's record, or null if it didn't return one.
+         */
+        RestFireDataSource.prototype.updateFire = function (fid, params) {
+            return this.api.updateFire(fid, params);
+        };
+
+        /**
+         * @param {String|Number} fid
+         * @returns {Promise} Resolves when the server has deleted the fire.
+         */
+        RestFireDataSource.prototype.deleteFire = function (fid) {
+            return this.api.deleteFire(fid);
+        };
+
+        /**
+         * @param {String|Number} fid
+         * @param {Object} attachment
+         * @returns {Promise} Resolves when the server has stored the attachment.
+         */
+        RestFireDataSource.prototype.uploadAttachment = function (fid, attachment) {
+            return this.api.uploadAttachment(fid, attachment);
+        };
+
+        /**
+         * @param {String} username
+         * @param {String} password
+         * @returns {Promise} Resolves with the new session.
+         */
+        RestFireDataSource.prototype.signIn = function (username, password) {
+            return this.api.login(username, password);
+        };
+
+        /**
+         * @returns {Promise} Resolves when signed out.
+         */
+        RestFireDataSource.prototype.signOut = function () {
+            return this.api.logout();
+        };
+
+        /**
+         * Resumes a session saved by an earlier page load. Its tokens are refreshed when
+         * they expire.
+         * @param {Object} session {accessToken, refreshToken, expires, user}
+         */
+        RestFireDataSource.prototype.restoreSession = function (session) {
+            this.api.setSession(session);
+        };
+
+        return RestFireDataSource;
+    }
+);
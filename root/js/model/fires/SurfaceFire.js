@@ -0,0 +1,355 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define*/
+
+/**
+ * The SurfaceFire module computes the behavior of a surface fire with the Rothermel
+ * (1972) spread model, as extended by Albini (1976) for fuel beds with several particle
+ * size classes, using the 13 standard fuel models of Anderson (1982). Wind and slope are
+ * combined as vectors to obtain the direction of maximum spread, and the fire grows as
+ * an ellipse (Anderson 1983) from its ignition point.
+ *
+ * The model is computed in the English units of the original equations; the inputs and
+ * results are metric:
+ * <pre>
+ *  {
+ *      fuelModel: the fuel model number, 1 to 13 (see FUEL_MODELS),
+ *      moisture: the fuel moisture percents: {dead1h, dead10h, dead100h, live},
+ *      windSpeed: the midflame wind speed in km/h,
+ *      windDirection: the direction the wind blows from, degrees clockwise from north,
+ *      slope: the terrain slope in degrees,
+ *      aspect: the direction the terrain faces (downslope), degrees clockwise from north
+ *  }
+ * </pre>
+ *
+ * @returns {SurfaceFire}
+ */
+define([],
+    function () {
+        "use strict";
+
+        var SurfaceFire = {
+            /**
+             * Computes the behavior of a surface fire.
+             * @param {Object} conditions The fuel, weather and terrain (see the module description).
+             * @returns {Object} {
+             *  rateOfSpread: the head fire rate of spread in m/min,
+             *  backingRate: the backing fire rate of spread in m/min,
+             *  direction: the direction of maximum spread, degrees clockwise from north,
+             *  effectiveWindSpeed: the wind speed in km/h that alone would produce the spread,
+             *  lengthToWidth: the length to width ratio of the fire ellipse,
+             *  reactionIntensity: the reaction intensity in kW/m²,
+             *  firelineIntensity: the head fire's fireline intensity in kW/m,
+             *  flameLength: the head fire's flame length in meters
+             * }
+             */
+            calculate: function (conditions) {
+                var fuel = SurfaceFire.FUEL_MODELS[conditions.fuelModel],
+                    bed = SurfaceFire.fuelBed(fuel, conditions.moisture),
+                    // English units: ft/min, Btu/ft²/min
+                    windSpeed = Math.min(conditions.windSpeed * SurfaceFire.FEET_PER_MINUTE_PER_KPH,
+                        0.9 * bed.reactionIntensity),
+                    phiW = windSpeed > 0 ? bed.windC * Math.pow(windSpeed, bed.windB) *
+                        Math.pow(bed.packingRatio, -bed.windE) : 0,
+                    tanSlope = Math.tan(SurfaceFire.toRadians(conditions.slope || 0)),
+                    phiS = 5.275 * Math.pow(bed.beta, -0.3) * tanSlope * tanSlope,
+                    // Combine the wind and slope effects as vectors (east, north)
+                    windAzimuth = SurfaceFire.toRadians((conditions.windDirection || 0) + 180),
+                    upslopeAzimuth = SurfaceFire.toRadians((conditions.aspect || 0) + 180),
+                    x = phiW * Math.sin(windAzimuth) + phiS * Math.sin(upslopeAzimuth),
+                    y = phiW * Math.cos(windAzimuth) + phiS * Math.cos(upslopeAzimuth),
+                    phiE = Math.sqrt(x * x + y * y),
+                    rateOfSpread = bed.rateOfSpread * (1 + phiE),
+                    effectiveWindSpeed = phiE > 0 ?
+                        Math.pow(phiE * Math.pow(bed.packingRatio, bed.windE) / bed.windC, 1 / bed.windB) : 0,
+                    effectiveWindMph = effectiveWindSpeed / SurfaceFire.FEET_PER_MINUTE_PER_MPH,
+                    lengthToWidth = SurfaceFire.lengthToWidth(effectiveWindMph),
+                    eccentricity = Math.sqrt(lengthToWidth * lengthToWidth - 1) / lengthToWidth,
+                    // Byram's fireline intensity (Btu/ft/s) and flame length (ft)
+                    firelineIntensity = rateOfSpread * bed.reactionIntensity * bed.residenceTime / 60,
+                    flameLength = firelineIntensity > 0 ? 0.45 * Math.pow(firelineIntensity, 0.46) : 0;
+
+                return {
+                    rateOfSpread: rateOfSpread * SurfaceFire.METERS_PER_FOOT,
+                    backingRate: rateOfSpread * (1 - eccentricity) / (1 + eccentricity) * SurfaceFire.METERS_PER_FOOT,
+                    direction: phiE > 0 ? SurfaceFire.normalizeAzimuth(SurfaceFire.toDegrees(Math.atan2(x, y))) : 0,
+                    effectiveWindSpeed: effectiveWindMph * SurfaceFire.KPH_PER_MPH,
+                    lengthToWidth: lengthToWidth,
+                    reactionIntensity: bed.reactionIntensity * SurfaceFire.KW_PER_M2_PER_BTU_PER_FT2_MIN,
+                    firelineIntensity: firelineIntensity * SurfaceFire.KW_PER_M_PER_BTU_PER_FT_S,
+                    flameLength: flameLength * SurfaceFire.METERS_PER_FOOT
+                };
+            },
+
+            /**
+             * Computes the no-wind, no-slope properties of a fuel bed with the Rothermel equations.
+             * @param {Object} fuel A fuel model (see FUEL_MODELS).
+             * @param {Object} moisture The fuel moisture percents: {dead1h, dead10h, dead100h, live}.
+             * @returns {Object} {rateOfSpread (ft/min), reactionIntensity (Btu/ft²/min), residenceTime (min),
+             * beta, packingRatio (beta / optimum beta), windB, windC, windE}
+             */
+            fuelBed: function (fuel, moisture) {
+                var particles = SurfaceFire.particles(fuel, moisture),
+                    dead = particles.filter(function (p) {
+                        return !p.live;
+                    }),
+                    live = particles.filter(function (p) {
+                        return p.live;
+                    }),
+                    categories = [dead, live].filter(function (category) {
+                        return category.length > 0;
+                    }),
+                    totalArea = 0,
+                    totalLoad = 0,
+                    sigma = 0,
+                    bulkDensity, beta, betaOp, packingRatio, gammaMax, a, gamma,
+                    deadExtinction = fuel.deadExtinction / 100,
+                    liveExtinction = SurfaceFire.liveExtinction(dead, live, deadExtinction),
+                    reactionIntensity = 0,
+                    heatSink = 0,
+                    xi, rateOfSpread;
+
+                // Weight the particle properties by their surface areas
+                categories.forEach(function (category) {
+                    category.area = category.reduce(function (sum, p) {
+                        return sum + p.area;
+                    }, 0);
+                    totalArea += category.area;
+                });
+                categories.forEach(function (category) {
+                    category.weight = category.area / totalArea;
+                    category.sigma = 0;
+                    category.netLoad = 0;
+                    category.moisture = 0;
+                    category.forEach(function (p) {
+                        p.weight = p.area / category.area;
+                        category.sigma += p.weight * p.sav;
+                        category.netLoad += p.weight * p.load * (1 - SurfaceFire.TOTAL_MINERAL_CONTENT);
+                        category.moisture += p.weight * p.moisture;
+                        totalLoad += p.load;
+                    });
+                    sigma += category.weight * category.sigma;
+                });
+
+                bulkDensity = totalLoad / fuel.depth;
+                beta = bulkDensity / SurfaceFire.PARTICLE_DENSITY;
+                betaOp = 3.348 * Math.pow(sigma, -0.8189);
+                packingRatio = beta / betaOp;
+                gammaMax = Math.pow(sigma, 1.5) / (495 + 0.0594 * Math.pow(sigma, 1.5));
+                a = 133 * Math.pow(sigma, -0.7913);
+                gamma = gammaMax * Math.pow(packingRatio, a) * Math.exp(a * (1 - packingRatio));
+
+                categories.forEach(function (category) {
+                    var extinction = category === live ? liveExtinction : deadExtinction,
+                        ratio = Math.min(1, category.moisture / extinction),
+                        // The fuel doesn't burn at or above its moisture of extinction
+                        etaM = ratio >= 1 ? 0 : 1 - 2.59 * ratio + 5.11 * ratio * ratio - 3.52 * ratio * ratio * ratio,
+                        etaS = Math.min(1, 0.174 * Math.pow(SurfaceFire.EFFECTIVE_MINERAL_CONTENT, -0.19));
+
+                    reactionIntensity += gamma * category.netLoad * SurfaceFire.HEAT_CONTENT * etaM * etaS;
+                    category.forEach(function (p) {
+                        heatSink += category.weight * p.weight * Math.exp(-138 / p.sav) * (250 + 1116 * p.moisture);
+                    });
+                });
+                heatSink *= bulkDensity;
+
+                xi = Math.exp((0.792 + 0.681 * Math.sqrt(sigma)) * (beta + 0.1)) / (192 + 0.2595 * sigma);
+                rateOfSpread = heatSink > 0 ? reactionIntensity * xi / heatSink : 0;
+
+                return {
+                    rateOfSpread: rateOfSpread,
+                    reactionIntensity: reactionIntensity,
+                    residenceTime: 384 / sigma,
+                    beta: beta,
+                    packingRatio: packingRatio,
+                    windB: 0.02526 * Math.pow(sigma, 0.54),
+                    windC: 7.47 * Math.exp(-0.133 * Math.pow(sigma, 0.55)),
+                    windE: 0.715 * Math.exp(-3.59e-4 * sigma)
+                };
+            },
+
+            /**
+             * Gets the fuel particle size classes of a fuel model that have a fuel load.
+             * @param {Object} fuel A fuel model (see FUEL_MODELS).
+             * @param {Object} moisture The fuel moisture percents: {dead1h, dead10h, dead100h, live}.
+             * @returns {Object[]} {load (lb/ft²), sav (1/ft), area, moisture (fraction), live}
+             */
+            particles: function (fuel, moisture) {
+                return [
+                    {load: fuel.load1h, sav: fuel.sav1h, moisture: moisture.dead1h, live: false},
+                    {load: fuel.load10h, sav: SurfaceFire.SAV_10H, moisture: moisture.dead10h, live: false},
+                    {load: fuel.load100h, sav: SurfaceFire.SAV_100H, moisture: moisture.dead100h, live: false},
+                    {load: fuel.loadLive, sav: SurfaceFire.SAV_LIVE, moisture: moisture.live, live: true}
+                ].filter(function (p) {
+                    return p.load > 0;
+                }).map(function (p) {
+                    p.load *= SurfaceFire.LB_PER_FT2_PER_TON_PER_ACRE;
+                    p.area = p.sav * p.load / SurfaceFire.PARTICLE_DENSITY;
+                    p.moisture /= 100;
+                    return p;
+                });
+            },
+
+            /**
+             * Computes the moisture of extinction of the live fuels (Albini 1976).
+             * @param {Object[]} dead The dead fuel particles.
+             * @param {Object[]} live The live fuel particles.
+             * @param {Number} deadExtinction The dead fuel moisture of extinction, a fraction.
+             * @returns {Number} The live fuel moisture of extinction, a fraction.
+             */
+            liveExtinction: function (dead, live, deadExtinction) {
+                var deadFine = 0,
+                    deadFineMoisture = 0,
+                    liveFine = 0,
+                    moisture;
+
+                if (live.length === 0) {
+                    return deadExtinction;
+                }
+                dead.forEach(function (p) {
+                    var fine = p.load * Math.exp(-138 / p.sav);
+                    deadFine += fine;
+                    deadFineMoisture += fine * p.moisture;
+                });
+                live.forEach(function (p) {
+                    liveFine += p.load * Math.exp(-500 / p.sav);
+                });
+                moisture = deadFine > 0 ? deadFineMoisture / deadFine : 0;
+                return Math.max(deadExtinction,
+                    2.9 * (deadFine / liveFine) * (1 - moisture / deadExtinction) - 0.226);
+            },
+
+            /**
+             * Computes the length to width ratio of a fire ellipse (Anderson 1983).
+             * @param {Number} effectiveWindMph The effective midflame wind speed in mph.
+             * @returns {Number} The ratio, at least 1.
+             */
+            lengthToWidth: function (effectiveWindMph) {
+                var wind = Math.min(effectiveWindMph, SurfaceFire.MAX_ELLIPSE_WIND_MPH);
+                return Math.max(1, 0.936 * Math.exp(0.2566 * wind) + 0.461 * Math.exp(-0.1548 * wind) - 0.397);
+            },
+
+            /**
+             * Computes the perimeter of a fire grown as an ellipse from its ignition point.
+             * The head of the ellipse advances at the rate of spread in the direction of maximum
+             * spread; the rear backs at the backing rate.
+             * @param {Object} behavior The fire behavior (see calculate).
+             * @param {Number} latitude The ignition point's latitude in degrees.
+             * @param {Number} longitude The ignition point's longitude in degrees.
+             * @param {Number} minutes The time elapsed since the ignition.
+             * @param {Number} numPoints Optional number of vertices. Default 36.
+             * @returns {Object[]} The perimeter vertices: {latitude, longitude}; empty if the fire hasn't grown.
+             */
+            ellipse: function (behavior, latitude, longitude, minutes, numPoints) {
+                var count = numPoints || 36,
+                    length = (behavior.rateOfSpread + behavior.backingRate) * minutes,
+                    semiMajor = length / 2,
+                    semiMinor = semiMajor / behavior.lengthToWidth,
+                    offset = behavior.rateOfSpread * minutes - semiMajor,
+                    azimuth = SurfaceFire.toRadians(behavior.direction),
+                    sinAz = Math.sin(azimuth),
+                    cosAz = Math.cos(azimuth),
+                    metersPerDegreeLat = SurfaceFire.EARTH_RADIUS * Math.PI / 180,
+                    metersPerDegreeLon = metersPerDegreeLat * Math.cos(SurfaceFire.toRadians(latitude)),
+                    locations = [],
+                    i, theta, along, across;
+
+                if (!(semiMajor > 0)) {
+                    return locations;
+                }
+                for (i = 0; i < count; i++) {
+                    theta = 2 * Math.PI * i / count;
+                    // Distances along and across the direction of spread, from the ignition point
+                    along = offset + semiMajor * Math.cos(theta);
+                    across = semiMinor * Math.sin(theta);
+                    locations.push({
+                        latitude: latitude + (along * cosAz - across * sinAz) / metersPerDegreeLat,
+                        longitude: longitude + (along * sinAz + across * cosAz) / metersPerDegreeLon
+                    });
+                }
+                return locations;
+            },
+
+            /**
+             * Normalizes an azimuth to the range [0, 360).
+             * @param {Number} degrees
+             * @returns {Number}
+             */
+            normalizeAzimuth: function (degrees) {
+                var azimuth = degrees % 360;
+                return azimuth < 0 ? azimuth + 360 : azimuth;
+            },
+
+            /**
+             * Converts degrees to radians.
+             * @param {Number} degrees
+             * @returns {Number}
+             */
+            toRadians: function (degrees) {
+                return degrees * Math.PI / 180;
+            },
+
+            /**
+             * Converts radians to degrees.
+             * @param {Number} radians
+             * @returns {Number}
+             */
+            toDegrees: function (radians) {
+                return radians * 180 / Math.PI;
+            },
+
+            /**
+             * The 13 standard fuel models (Anderson 1982), keyed by number. Loads are in tons/acre,
+             * the 1-hour surface area to volume ratio in 1/ft, the depth in feet and the dead fuel
+             * moisture of extinction in percent.
+             */
+            FUEL_MODELS: {
+                1: {name: "Short grass", load1h: 0.74, load10h: 0, load100h: 0, loadLive: 0, sav1h: 3500, depth: 1.0, deadExtinction: 12},
+                2: {name: "Timber (grass and understory)", load1h: 2.0, load10h: 1.0, load100h: 0.5, loadLive: 0.5, sav1h: 3000, depth: 1.0, deadExtinction: 15},
+                3: {name: "Tall grass", load1h: 3.01, load10h: 0, load100h: 0, loadLive: 0, sav1h: 1500, depth: 2.5, deadExtinction: 25},
+                4: {name: "Chaparral", load1h: 5.01, load10h: 4.01, load100h: 2.0, loadLive: 5.01, sav1h: 2000, depth: 6.0, deadExtinction: 20},
+                5: {name: "Brush", load1h: 1.0, load10h: 0.5, load100h: 0, loadLive: 2.0, sav1h: 2000, depth: 2.0, deadExtinction: 20},
+                6: {name: "Dormant brush", load1h: 1.5, load10h: 2.5, load100h: 2.0, loadLive: 0, sav1h: 1750, depth: 2.5, deadExtinction: 25},
+                7: {name: "Southern rough", load1h: 1.13, load10h: 1.87, load100h: 1.5, loadLive: 0.37, sav1h: 1750, depth: 2.5, deadExtinction: 40},
+                8: {name: "Closed timber litter", load1h: 1.5, load10h: 1.0, load100h: 2.5, loadLive: 0, sav1h: 2000, depth: 0.2, deadExtinction: 30},
+                9: {name: "Hardwood litter", load1h: 2.92, load10h: 0.41, load100h: 0.15, loadLive: 0, sav1h: 2500, depth: 0.2, deadExtinction: 25},
+                10: {name: "Timber (litter and understory)", load1h: 3.01, load10h: 2.0, load100h: 5.01, loadLive: 2.0, sav1h: 2000, depth: 1.0, deadExtinction: 25},
+                11: {name: "Light logging slash", load1h: 1.5, load10h: 4.51, load100h: 5.51, loadLive: 0, sav1h: 1500, depth: 1.0, deadExtinction: 15},
+                12: {name: "Medium logging slash", load1h: 4.01, load10h: 14.03, load100h: 16.53, loadLive: 0, sav1h: 1500, depth: 2.3, deadExtinction: 20},
+                13: {name: "Heavy logging slash", load1h: 7.01, load10h: 23.04, load100h: 28.05, loadLive: 0, sav1h: 1500, depth: 3.0, deadExtinction: 25}
+            },
+
+            /** The surface area to volume ratio of the 10-hour fuels, 1/ft. */
+            SAV_10H: 109,
+            /** The surface area to volume ratio of the 100-hour fuels, 1/ft. */
+            SAV_100H: 30,
+            /** The surface area to volume ratio of the live fuels, 1/ft. */
+            SAV_LIVE: 1500,
+            /** The oven-dry particle density, lb/ft³. */
+            PARTICLE_DENSITY: 32,
+            /** The heat content of the fuels, Btu/lb. */
+            HEAT_CONTENT: 8000,
+            /** The total mineral content of the fuels, a fraction. */
+            TOTAL_MINERAL_CONTENT: 0.0555,
+            /** The effective (silica-free) mineral content of the fuels, a fraction. */
+            EFFECTIVE_MINERAL_CONTENT: 0.010,
+            /** The effective wind speed above which the fire ellipse no longer elongates, mph. */
+            MAX_ELLIPSE_WIND_MPH: 20,
+
+            /** The mean radius of the earth in meters. */
+            EARTH_RADIUS: 6371008.8,
+            /** Unit conversions. */
+            LB_PER_FT2_PER_TON_PER_ACRE: 2000 / 43560,
+            FEET_PER_MINUTE_PER_MPH: 88,
+            FEET_PER_MINUTE_PER_KPH: 88 / 1.609344,
+            KPH_PER_MPH: 1.609344,
+            METERS_PER_FOOT: 0.3048,
+            KW_PER_M2_PER_BTU_PER_FT2_MIN: 0.18927,
+            KW_PER_M_PER_BTU_PER_FT_S: 3.4614
+        };
+
+        return SurfaceFire;
+    }
+);
@@ -14,6 +14,7 @@
  * @param {Config}
  * @param {Events}
  * @param {Constants}
+ * @param {ClusteringLayer} ClusteringLayer Clusters the markers and symbols.
  * @param {EnhancedTextSupport} EnhancedTextSupport Provides outline text.
  * @param {EnhancedViewControlsLayer} EnhancedViewControlsLayer Provides a vertical layout.
  * @param {KeyboardControls} KeyboardControls Provides keyboard navigation for the globe.
@@ -40,6 +41,7 @@ define([
     'model/Config',
     'model/Constants',
     'model/Events',
+    'model/globe/layers/ClusteringLayer',
     'model/globe/layers/EnhancedAtmosphereLayer',
     'model/globe/layers/EnhancedStarFieldLayer',
     'model/globe/EnhancedTextSupport',
@@ -64,6 +66,7 @@ define([
         config,
         constants,
         events,
+        ClusteringLayer,
         EnhancedAtmosphereLayer,
         EnhancedStarFieldLayer,
         EnhancedTextSupport,
@@ -168,12 +171,12 @@ define([
             detailControl: config.imagerydetailControl
         });
 
-        // Add Marker support
-        this.layerManager.addDataLayer(new WorldWind.RenderableLayer(constants.LAYER_NAME_MARKERS), {
+        // Add Marker support; overlapping markers and symbols are clustered at low zoom
+        this.layerManager.addDataLayer(new ClusteringLayer(this, constants.LAYER_NAME_MARKERS), {
             enabled: true,
             pickEnabled: true
         });
-        this.layerManager.addDataLayer(new WorldWind.RenderableLayer(constants.LAYER_NAME_TACTICAL_SYMBOLS), {
+        this.layerManager.addDataLayer(new ClusteringLayer(this, constants.LAYER_NAME_TACTICAL_SYMBOLS), {
             enabled: true,
             pickEnabled: true
         });
@@ -0,0 +1,205 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define, WorldWind*/
+
+/**
+ * A PlacemarkCluster aggregates the placemarks that are near each other on the
+ * screen (see ClusteringLayer). It is drawn as a count badge at the members'
+ * centroid. Selecting the cluster lists its members in the info panel, and
+ * opening it (double-click) zooms the globe to the members' extent.
+ *
+ * @param {Openable} openable
+ * @param {Selectable} selectable
+ * @param {WmtUtil} util
+ * @param {Knockout} ko
+ * @returns {PlacemarkCluster}
+ */
+define([
+    'model/util/Openable',
+    'model/util/Selectable',
+    'model/util/WmtUtil',
+    'knockout',
+    'worldwind'],
+    function (
+        openable,
+        selectable,
+        util,
+        ko) {
+        "use strict";
+
+        /**
+         * @constructor
+         * @param {Globe} globe The globe that is zoomed to the cluster's extent.
+         */
+        var PlacemarkCluster = function (globe) {
+            var self = this;
+
+            this.globe = globe;
+
+            /**
+             * The clustered placemarks.
+             * @type {WorldWind.Placemark[]}
+             */
+            this.placemarks = [];
+
+            /**
+             * The badge drawn in place of the members.
+             * @type {WorldWind.Placemark}
+             */
+            this.placemark = new WorldWind.Placemark(new WorldWind.Position(0, 0, 0), false, null);
+            this.placemark.altitudeMode = WorldWind.CLAMP_TO_GROUND;
+            this.placemark.pickDelegate = this;
+
+            /** The name displayed in the info panel. */
+            this.name = ko.observable("");
+
+            /**
+             * The members listed in the info panel: {name, latitude, longitude}.
+             * Captured when the cluster is selected.
+             */
+            this.members = ko.observableArray();
+
+            /** DOM element id to display view when this cluster is selected. */
+            this.viewTemplateName = 'placemark-cluster-view-template';
+
+            // Make selectable via picking (see PickController): adds the "select" method
+            selectable.makeSelectable(this, function (params) {
+                if (params.selected) {
+                    self.members(self.placemarks.map(PlacemarkCluster.describeMember));
+                }
+                return true;    // return true to fire a EVENT_OBJECT_SELECTED event
+            });
+
+            // Make openable via double-click: adds the isOpenable member and the "open" method
+            openable.makeOpenable(this, function () {
+                self.zoomToExtent();
+                return true;
+            });
+        };
+
+        /**
+         * Replaces the members of this cluster and positions the badge at their centroid.
+         * @param {WorldWind.Placemark[]} placemarks
+         */
+        PlacemarkCluster.prototype.setPlacemarks = function (placemarks) {
+            var latitude = 0,
+                longitude = 0,
+                count = placemarks.length,
+                attributes;
+
+            placemarks.forEach(function (placemark) {
+                latitude += Number(placemark.position.latitude);
+                longitude += Number(placemark.position.longitude);
+            });
+            this.placemarks = placemarks;
+            this.placemark.position.latitude = latitude / count;
+            this.placemark.position.longitude = longitude / count;
+
+            if (this.count !== count) {
+                this.count = count;
+                attributes = new WorldWind.PlacemarkAttributes(null);
+                attributes.imageSource = PlacemarkCluster.getBadgeImage(count);
+                attributes.imageOffset = new WorldWind.Offset(
+                    WorldWind.OFFSET_FRACTION, 0.5,
+                    WorldWind.OFFSET_FRACTION, 0.5);
+                attributes.imageScale = 1;
+                attributes.depthTest = false;
+                this.placemark.attributes = attributes;
+                this.placemark.highlightAttributes = new WorldWind.PlacemarkAttributes(attributes);
+                this.placemark.highlightAttributes.imageScale = 1.2;
+                this.name(count + " items");
+            }
+        };
+
+        /**
+         * Animates the globe to show all the members of this cluster.
+         */
+        PlacemarkCluster.prototype.zoomToExtent = function () {
+            var minLat = 90, maxLat = -90, minLon = 180, maxLon = -180,
+                diagonal;
+
+            this.placemarks.forEach(function (placemark) {
+                var latitude = Number(placemark.position.latitude),
+                    longitude = Number(placemark.position.longitude);
+                minLat = Math.min(minLat, latitude);
+                maxLat = Math.max(maxLat, latitude);
+                minLon = Math.min(minLon, longitude);
+                maxLon = Math.max(maxLon, longitude);
+            });
+            diagonal = util.distanceBetweenLatLons(minLat, minLon, maxLat, maxLon);
+            this.globe.goto((minLat + maxLat) / 2, (minLon + maxLon) / 2,
+                Math.max(diagonal * PlacemarkCluster.EXTENT_RANGE_FACTOR, PlacemarkCluster.MIN_EXTENT_RANGE));
+        };
+
+        /**
+         * Animates the globe to a member listed in the info panel.
+         * @param {Object} member
+         */
+        PlacemarkCluster.prototype.gotoMember = function (member) {
+            this.globe.goto(member.latitude, member.longitude);
+        };
+
+        /**
+         * Describes a clustered placemark for the info panel.
+         * @param {WorldWind.Placemark} placemark
+         * @returns {Object} {name, latitude, longitude}
+         */
+        PlacemarkCluster.describeMember = function (placemark) {
+            var delegate = placemark.pickDelegate,
+                name = delegate && delegate.name ? ko.unwrap(delegate.name) : placemark.label || placemark.displayName;
+            return {
+                name: name,
+                latitude: Number(placemark.position.latitude),
+                longitude: Number(placemark.position.longitude)
+            };
+        };
+
+        /**
+         * Gets the cached count badge image.
+         * @param {Number} count
+         * @returns {WorldWind.ImageSource}
+         */
+        PlacemarkCluster.getBadgeImage = function (count) {
+            var text = count > 99 ? "99+" : String(count),
+                size, canvas, context;
+
+            if (!PlacemarkCluster.badgeImages[text]) {
+                size = text.length > 2 ? 40 : 32;
+                canvas = document.createElement("canvas");
+                canvas.width = size;
+                canvas.height = size;
+                context = canvas.getContext("2d");
+                context.beginPath();
+                context.arc(size / 2, size / 2, size / 2 - 2, 0, 2 * Math.PI);
+                context.fillStyle = PlacemarkCluster.BADGE_COLOR;
+                context.fill();
+                context.lineWidth = 2;
+                context.strokeStyle = "#ffffff";
+                context.stroke();
+                context.fillStyle = "#ffffff";
+                context.font = "bold 14px sans-serif";
+                context.textAlign = "center";
+                context.textBaseline = "middle";
+                context.fillText(text, size / 2, size / 2);
+                PlacemarkCluster.badgeImages[text] = new WorldWind.ImageSource(canvas);
+            }
+            return PlacemarkCluster.badgeImages[text];
+        };
+
+        // Internal. The badge images keyed by count text.
+        PlacemarkCluster.badgeImages = {};
+
+        /** The badge fill color. */
+        PlacemarkCluster.BADGE_COLOR = "#c62828";
+
+        /** The eye range, relative to the extent's diagonal, used to zoom to a cluster. */
+        PlacemarkCluster.EXTENT_RANGE_FACTOR = 2;
+
+        /** The minimum eye range in meters used to zoom to a cluster. */
+        PlacemarkCluster.MIN_EXTENT_RANGE = 5000;
+
+        return PlacemarkCluster;
+    }
+);
@@ -0,0 +1,182 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/* global define, WorldWind */
+
+/**
+ * The ClusteringLayer is a RenderableLayer that aggregates the placemarks that
+ * overlap on the screen into count badges (see PlacemarkCluster). Clustering is
+ * applied when the eye is above a minimum altitude; the clusters break apart as
+ * the user zooms in because the placemarks spread apart on the screen.
+ *
+ * @exports ClusteringLayer
+ */
+define(['model/globe/PlacemarkCluster',
+        'worldwind'],
+    function (PlacemarkCluster,
+              ww) {
+        "use strict";
+        /**
+         * Constructs a clustering layer.
+         * @constructor
+         * @param {Globe} globe The globe zoomed to a cluster's extent.
+         * @param {String} layerName
+         */
+        var ClusteringLayer = function (globe, layerName) {
+            WorldWind.RenderableLayer.call(this, layerName);
+
+            this.globe = globe;
+
+            /**
+             * Flag to aggregate the overlapping placemarks.
+             * @type {Boolean}
+             */
+            this.clusteringEnabled = true;
+
+            /**
+             * The screen distance in pixels within which placemarks are clustered.
+             * @type {Number}
+             */
+            this.clusterRadius = ClusteringLayer.DEFAULT_CLUSTER_RADIUS;
+
+            /**
+             * The eye altitude in meters below which placemarks are never clustered.
+             * @type {Number}
+             */
+            this.minClusterAltitude = ClusteringLayer.DEFAULT_MIN_CLUSTER_ALTITUDE;
+
+            // Internal. The clusters from the last frame keyed by their seed placemark;
+            // reused so that a selected cluster keeps its identity while the view is unchanged.
+            this.clusters = new Map();
+            // Internal. Scratch vectors.
+            this.modelPoint = new WorldWind.Vec3(0, 0, 0);
+            this.screenPoint = new WorldWind.Vec3(0, 0, 0);
+        };
+
+        // Inherit the RenderableLayer methods
+        ClusteringLayer.prototype = Object.create(WorldWind.RenderableLayer.prototype);
+
+        /**
+         * Renders the placemarks, drawing a badge in place of each group of overlapping placemarks.
+         * @param {DrawContext} dc The current draw context.
+         */
+        ClusteringLayer.prototype.doRender = function (dc) {
+            var numOrderedRenderablesAtStart = dc.orderedRenderables.length,
+                groups, i, len;
+
+            if (!this.clusteringEnabled || dc.eyePosition.altitude < this.minClusterAltitude) {
+                WorldWind.RenderableLayer.prototype.doRender.call(this, dc);
+                return;
+            }
+            groups = this.groupRenderables(dc);
+            for (i = 0, len = groups.length; i < len; i++) {
+                try {
+                    if (groups[i].length === 1) {
+                        groups[i][0].render(dc);
+                    } else {
+                        this.clusterFor(groups[i]).placemark.render(dc);
+                    }
+                } catch (e) {
+                    WorldWind.Logger.logMessage(WorldWind.Logger.LEVEL_SEVERE, "ClusteringLayer", "doRender",
+                        "Error while rendering shape " + groups[i][0].displayName + ".\n" + e.toString());
+                }
+            }
+            if (dc.orderedRenderables.length > numOrderedRenderablesAtStart) {
+                this.inCurrentFrame = true;
+            }
+        };
+
+        /**
+         * Groups the enabled renderables by screen proximity. Each visible placemark joins
+         * the first group whose seed (first placemark) is within the cluster radius.
+         * Renderables that aren't visible placemarks form their own groups.
+         * @param {DrawContext} dc
+         * @returns {Array[]} The groups of renderables; the first member is the seed.
+         */
+        ClusteringLayer.prototype.groupRenderables = function (dc) {
+            var groups = [],
+                seeds = [],
+                radiusSquared = this.clusterRadius * this.clusterRadius,
+                i, len, j, renderable, point, dx, dy, group;
+
+            for (i = 0, len = this.renderables.length; i < len; i++) {
+                renderable = this.renderables[i];
+                if (!renderable.enabled) {
+                    continue;
+                }
+                point = renderable.position ? this.projectPosition(dc, renderable.position) : null;
+                if (!point) {
+                    groups.push([renderable]);
+                    continue;
+                }
+                group = null;
+                for (j = 0; j < seeds.length; j++) {
+                    dx = seeds[j].x - point[0];
+                    dy = seeds[j].y - point[1];
+                    if (dx * dx + dy * dy <= radiusSquared) {
+                        group = seeds[j].group;
+                        break;
+                    }
+                }
+                if (group) {
+                    group.push(renderable);
+                } else {
+                    group = [renderable];
+                    seeds.push({x: point[0], y: point[1], group: group});
+                    groups.push(group);
+                }
+            }
+            return groups;
+        };
+
+        /**
+         * Computes the screen point of a position on the ground.
+         * @param {DrawContext} dc
+         * @param {WorldWind.Position} position
+         * @returns {WorldWind.Vec3} The screen point (shared scratch vector), or null if the
+         * position is outside the view or beyond the horizon.
+         */
+        ClusteringLayer.prototype.projectPosition = function (dc, position) {
+            var point = this.modelPoint,
+                eye = dc.navigatorState.eyePoint,
+                viewport = dc.navigatorState.viewport;
+
+            dc.globe.computePointFromPosition(Number(position.latitude), Number(position.longitude), 0, point);
+            // The point is beyond the horizon if it faces away from the eye
+            if (point.dot(point) - point.dot(eye) > 0) {
+                return null;
+            }
+            if (!dc.navigatorState.project(point, this.screenPoint)) {
+                return null;
+            }
+            if (!viewport.containsPoint(this.screenPoint)) {
+                return null;
+            }
+            return this.screenPoint;
+        };
+
+        // Internal. Gets the cluster for a group, reusing the last frame's cluster with the same seed.
+        ClusteringLayer.prototype.clusterFor = function (group) {
+            var cluster = this.clusters.get(group[0]);
+            if (!cluster) {
+                cluster = new PlacemarkCluster(this.globe);
+                // Bound the cache: discard the clusters of placemarks that were removed
+                if (this.clusters.size > this.renderables.length) {
+                    this.clusters.clear();
+                }
+                this.clusters.set(group[0], cluster);
+            }
+            cluster.setPlacemarks(group);
+            return cluster;
+        };
+
+        /** The default screen distance in pixels within which placemarks are clustered. */
+        ClusteringLayer.DEFAULT_CLUSTER_RADIUS = 40;
+
+        /** The default eye altitude in meters below which placemarks are never clustered. */
+        ClusteringLayer.DEFAULT_MIN_CLUSTER_ALTITUDE = 50000;
+
+        return ClusteringLayer;
+    }
+);
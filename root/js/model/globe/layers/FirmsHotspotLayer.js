@@ -0,0 +1,211 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/* global define, WorldWind */
+
+/**
+ * The FirmsHotspotLayer displays satellite active-fire detections (see FirmsParser).
+ * Each hotspot is a dot colored by its detection confidence and sized by its fire
+ * radiative power (FRP). The layer follows the globe's date/time: only the
+ * detections acquired within the time window preceding the globe's time are shown.
+ *
+ * @exports FirmsHotspotLayer
+ */
+define(['model/Constants',
+        'worldwind'],
+    function (constants,
+              ww) {
+        "use strict";
+        /**
+         * Constructs a hotspot layer linked to the globe's time.
+         * @constructor
+         * @param {Globe} globe The globe whose dateTime filters the detections.
+         * @param {String} layerName Optional; default is constants.LAYER_NAME_FIRMS_HOTSPOTS.
+         */
+        var FirmsHotspotLayer = function (globe, layerName) {
+            var self = this;
+
+            WorldWind.RenderableLayer.call(this, layerName || constants.LAYER_NAME_FIRMS_HOTSPOTS);
+
+            this.globe = globe;
+
+            /**
+             * The duration in milliseconds of the acquisition time window ending at the
+             * globe's time. Detections outside the window are hidden; a value of zero
+             * shows all the detections.
+             * @type {Number}
+             */
+            this.timeWindow = FirmsHotspotLayer.DEFAULT_TIME_WINDOW;
+
+            globe.dateTime.subscribe(function () {
+                self.applyTimeFilter();
+            });
+        };
+
+        // Inherit the RenderableLayer methods
+        FirmsHotspotLayer.prototype = Object.create(WorldWind.RenderableLayer.prototype);
+
+        /**
+         * Adds a placemark for each detection.
+         * @param {Object[]} detections The detections from FirmsParser.
+         */
+        FirmsHotspotLayer.prototype.addDetections = function (detections) {
+            var self = this;
+            detections.forEach(function (detection) {
+                self.addRenderable(FirmsHotspotLayer.createPlacemark(detection));
+            });
+            this.applyTimeFilter();
+        };
+
+        /**
+         * Sets the acquisition time window.
+         * @param {Number} milliseconds The window duration; zero shows all the detections.
+         */
+        FirmsHotspotLayer.prototype.setTimeWindow = function (milliseconds) {
+            this.timeWindow = milliseconds;
+            this.applyTimeFilter();
+        };
+
+        /**
+         * Gets the number of detections shown at the globe's current time.
+         * @returns {Number}
+         */
+        FirmsHotspotLayer.prototype.visibleCount = function () {
+            return this.renderables.filter(function (placemark) {
+                return placemark.enabled;
+            }).length;
+        };
+
+        /**
+         * Shows the detections acquired within the time window ending at the globe's time.
+         * Detections without an acquisition time are always shown.
+         */
+        FirmsHotspotLayer.prototype.applyTimeFilter = function () {
+            var end = this.globe.dateTime().getTime(),
+                start = end - this.timeWindow,
+                showAll = !this.timeWindow,
+                i, len, placemark, time;
+
+            for (i = 0, len = this.renderables.length; i < len; i++) {
+                placemark = this.renderables[i];
+                time = placemark.userProperties.detection.time;
+                placemark.enabled = showAll || !time || (time.getTime() > start && time.getTime() <= end);
+            }
+            this.globe.redraw();
+        };
+
+        /**
+         * Creates the placemark for a detection.
+         * @param {Object} detection
+         * @returns {WorldWind.Placemark}
+         */
+        FirmsHotspotLayer.createPlacemark = function (detection) {
+            var placemark = new WorldWind.Placemark(
+                    new WorldWind.Position(detection.latitude, detection.longitude, 0), false, null),
+                attributes = new WorldWind.PlacemarkAttributes(null),
+                highlightAttributes;
+
+            attributes.imageSource = new WorldWind.ImageSource(FirmsHotspotLayer.getDotImage(detection.confidence));
+            attributes.imageScale = FirmsHotspotLayer.frpScale(detection.frp);
+            attributes.imageOffset = new WorldWind.Offset(
+                WorldWind.OFFSET_FRACTION, 0.5,
+                WorldWind.OFFSET_FRACTION, 0.5);
+            attributes.depthTest = false;
+            highlightAttributes = new WorldWind.PlacemarkAttributes(attributes);
+            highlightAttributes.imageScale = attributes.imageScale * 1.5;
+
+            placemark.altitudeMode = WorldWind.CLAMP_TO_GROUND;
+            placemark.attributes = attributes;
+            placemark.highlightAttributes = highlightAttributes;
+            placemark.displayName = FirmsHotspotLayer.describe(detection);
+            placemark.userProperties.detection = detection;
+            return placemark;
+        };
+
+        /**
+         * Creates a one line description of a detection.
+         * @param {Object} detection
+         * @returns {String}
+         */
+        FirmsHotspotLayer.describe = function (detection) {
+            var parts = [detection.instrument || "Satellite", "hotspot"];
+            if (detection.time) {
+                parts.push(detection.time.toISOString().slice(0, 16).replace("T", " ") + " UTC");
+            }
+            if (detection.frp !== null) {
+                parts.push("FRP " + detection.frp + " MW");
+            }
+            parts.push(detection.confidence + " confidence");
+            return parts.join(", ");
+        };
+
+        /**
+         * Computes the image scale for a fire radiative power: the dots grow with the
+         * logarithm of the FRP.
+         * @param {Number} frp The fire radiative power in megawatts; may be null.
+         * @returns {Number}
+         */
+        FirmsHotspotLayer.frpScale = function (frp) {
+            if (!frp || frp <= 0) {
+                return FirmsHotspotLayer.MIN_SCALE;
+            }
+            return Math.min(FirmsHotspotLayer.MIN_SCALE + 0.25 * Math.log(1 + frp) / Math.LN10,
+                FirmsHotspotLayer.MAX_SCALE);
+        };
+
+        /**
+         * Gets the cached dot image for a confidence level.
+         * @param {String} confidence "low", "nominal" or "high".
+         * @returns {HTMLCanvasElement}
+         */
+        FirmsHotspotLayer.getDotImage = function (confidence) {
+            var color = FirmsHotspotLayer.CONFIDENCE_COLORS[confidence] || FirmsHotspotLayer.CONFIDENCE_COLORS.nominal,
+                canvas, context, size;
+
+            if (!FirmsHotspotLayer.dotImages[confidence]) {
+                size = FirmsHotspotLayer.DOT_SIZE;
+                canvas = document.createElement("canvas");
+                canvas.width = size;
+                canvas.height = size;
+                context = canvas.getContext("2d");
+                context.beginPath();
+                context.arc(size / 2, size / 2, size / 2 - 2, 0, 2 * Math.PI);
+                context.fillStyle = color;
+                context.fill();
+                context.lineWidth = 2;
+                context.strokeStyle = "#000000";
+                context.stroke();
+                FirmsHotspotLayer.dotImages[confidence] = canvas;
+            }
+            return FirmsHotspotLayer.dotImages[confidence];
+        };
+
+        // Internal. The dot images keyed by confidence.
+        FirmsHotspotLayer.dotImages = {};
+
+        /**
+         * The dot colors keyed by confidence.
+         * @type {Object}
+         */
+        FirmsHotspotLayer.CONFIDENCE_COLORS = {
+            low: "#ffff00",
+            nominal: "#ff8c00",
+            high: "#ff0000"
+        };
+
+        /** The dot image size in pixels. */
+        FirmsHotspotLayer.DOT_SIZE = 24;
+
+        /** The image scale of a detection without FRP. */
+        FirmsHotspotLayer.MIN_SCALE = 0.4;
+
+        /** The image scale of the most intense detections. */
+        FirmsHotspotLayer.MAX_SCALE = 1.5;
+
+        /** The default acquisition time window: 24 hours. */
+        FirmsHotspotLayer.DEFAULT_TIME_WINDOW = 24 * 3600000;
+
+        return FirmsHotspotLayer;
+    }
+);
@@ -0,0 +1,177 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/* global define, WorldWind */
+
+/**
+ * The HeatmapLayer displays the kernel density of a set of points as a colored
+ * surface image. The density is normalized to the densest cell and mapped
+ * through a color ramp; sparse areas are transparent. The surface is recomputed
+ * on the next frame after the points, radius or ramp change.
+ *
+ * @exports HeatmapLayer
+ */
+define(['model/Constants',
+        'model/util/KernelDensity',
+        'worldwind'],
+    function (constants,
+              kernelDensity,
+              ww) {
+        "use strict";
+        /**
+         * Constructs a heatmap layer.
+         * @constructor
+         * @param {String} layerName Optional; default is constants.LAYER_NAME_HEATMAP.
+         */
+        var HeatmapLayer = function (layerName) {
+            WorldWind.RenderableLayer.call(this, layerName || constants.LAYER_NAME_HEATMAP);
+
+            /**
+             * The kernel radius in meters.
+             * @type {Number}
+             */
+            this.radius = HeatmapLayer.DEFAULT_RADIUS;
+
+            /**
+             * The name of the color ramp; a key of HeatmapLayer.RAMPS.
+             * @type {String}
+             */
+            this.rampName = HeatmapLayer.DEFAULT_RAMP;
+
+            /**
+             * The points: {latitude, longitude, weight}.
+             * @type {Object[]}
+             */
+            this.points = [];
+
+            // Internal. Flag indicating the surface image must be recomputed.
+            this.isDirty = false;
+        };
+
+        // Inherit the RenderableLayer methods
+        HeatmapLayer.prototype = Object.create(WorldWind.RenderableLayer.prototype);
+
+        /**
+         * Replaces the points.
+         * @param {Object[]} points The points: {latitude, longitude, weight}; the weight is optional.
+         */
+        HeatmapLayer.prototype.setPoints = function (points) {
+            this.points = points;
+            this.isDirty = true;
+        };
+
+        /**
+         * Sets the kernel radius.
+         * @param {Number} meters
+         */
+        HeatmapLayer.prototype.setRadius = function (meters) {
+            if (meters > 0 && meters !== this.radius) {
+                this.radius = meters;
+                this.isDirty = true;
+            }
+        };
+
+        /**
+         * Sets the color ramp.
+         * @param {String} name A key of HeatmapLayer.RAMPS.
+         */
+        HeatmapLayer.prototype.setRamp = function (name) {
+            if (HeatmapLayer.RAMPS[name] && name !== this.rampName) {
+                this.rampName = name;
+                this.isDirty = true;
+            }
+        };
+
+        /**
+         * Recomputes the surface image if required, then renders it.
+         * @param {DrawContext} dc The current draw context.
+         */
+        HeatmapLayer.prototype.doRender = function (dc) {
+            if (this.isDirty) {
+                this.isDirty = false;
+                this.removeAllRenderables();
+                if (this.points.length > 0) {
+                    this.addRenderable(this.createSurfaceImage());
+                }
+            }
+            WorldWind.RenderableLayer.prototype.doRender.call(this, dc);
+        };
+
+        /**
+         * Creates the surface image depicting the density of the points.
+         * @returns {WorldWind.SurfaceImage}
+         */
+        HeatmapLayer.prototype.createSurfaceImage = function () {
+            var sector = kernelDensity.boundingSector(this.points, this.radius * kernelDensity.CUTOFF),
+                size = kernelDensity.gridSize(sector, HeatmapLayer.GRID_SIZE),
+                grid = kernelDensity.computeGrid(this.points, sector, size.width, size.height, this.radius),
+                colors = HeatmapLayer.createColorTable(HeatmapLayer.RAMPS[this.rampName]),
+                canvas = document.createElement("canvas"),
+                context, imageData, i, len, level;
+
+            canvas.width = size.width;
+            canvas.height = size.height;
+            context = canvas.getContext("2d");
+            imageData = context.createImageData(size.width, size.height);
+            for (i = 0, len = grid.values.length; i < len; i++) {
+                level = grid.max > 0 ? Math.round(255 * grid.values[i] / grid.max) : 0;
+                imageData.data.set(colors.subarray(level * 4, level * 4 + 4), i * 4);
+            }
+            context.putImageData(imageData, 0, 0);
+
+            return new WorldWind.SurfaceImage(
+                new WorldWind.Sector(sector.minLatitude, sector.maxLatitude, sector.minLongitude, sector.maxLongitude),
+                new WorldWind.ImageSource(canvas));
+        };
+
+        /**
+         * Interpolates a color ramp into a table of 256 RGBA colors.
+         * @param {Array[]} ramp The ramp's stops: [fraction, red, green, blue, alpha] in ascending order.
+         * @returns {Uint8ClampedArray}
+         */
+        HeatmapLayer.createColorTable = function (ramp) {
+            var table = new Uint8ClampedArray(256 * 4),
+                level, fraction, stop, lower, upper, t, channel;
+
+            for (level = 0; level < 256; level++) {
+                fraction = level / 255;
+                // Find the stops bracketing the fraction
+                stop = 1;
+                while (stop < ramp.length - 1 && ramp[stop][0] < fraction) {
+                    stop++;
+                }
+                lower = ramp[stop - 1];
+                upper = ramp[stop];
+                t = upper[0] > lower[0] ? Math.min(Math.max((fraction - lower[0]) / (upper[0] - lower[0]), 0), 1) : 1;
+                for (channel = 1; channel <= 4; channel++) {
+                    table[level * 4 + channel - 1] = lower[channel] + t * (upper[channel] - lower[channel]);
+                }
+            }
+            return table;
+        };
+
+        /**
+         * The color ramps keyed by name. Each stop is [fraction, red, green, blue, alpha];
+         * the lowest densities are transparent.
+         * @type {Object}
+         */
+        HeatmapLayer.RAMPS = {
+            Fire: [[0, 255, 255, 0, 0], [0.05, 255, 255, 0, 64], [0.4, 255, 165, 0, 160], [0.7, 255, 64, 0, 200], [1, 180, 0, 0, 230]],
+            Thermal: [[0, 0, 0, 255, 0], [0.05, 0, 0, 255, 64], [0.35, 0, 255, 255, 140], [0.6, 0, 255, 0, 180], [0.8, 255, 255, 0, 210], [1, 255, 0, 0, 230]],
+            Viridis: [[0, 68, 1, 84, 0], [0.05, 68, 1, 84, 64], [0.35, 59, 82, 139, 140], [0.6, 33, 145, 140, 180], [0.8, 94, 201, 98, 210], [1, 253, 231, 37, 230]],
+            Grayscale: [[0, 255, 255, 255, 0], [0.05, 255, 255, 255, 64], [1, 0, 0, 0, 230]]
+        };
+
+        /** The default color ramp. */
+        HeatmapLayer.DEFAULT_RAMP = "Fire";
+
+        /** The default kernel radius: 5 km. */
+        HeatmapLayer.DEFAULT_RADIUS = 5000;
+
+        /** The number of grid cells along the longer side of the surface image. */
+        HeatmapLayer.GRID_SIZE = 256;
+
+        return HeatmapLayer;
+    }
+);
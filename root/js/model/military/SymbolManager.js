@@ -28,6 +28,26 @@ define([
             this.layer = layer || globe.findLayer(constants.LAYER_NAME_TACTICAL_SYMBOLS);
             this.symbols = ko.observableArray();
             this.symbolCount = ko.observable(0);
+            /** The FireService that deletes and extinguishes the fire symbols; assigned by the FireService. */
+            this.fireService = null;
+            /** The FireDuplicateDetector that merges the duplicate fire reports; assigned by the detector. */
+            this.duplicateDetector = null;
+            /** The FireAttachments that stores the symbols' attachments; assigned by the FireAttachments. */
+            this.fireAttachments = null;
+            /** The FirePerimeterManager that draws and edits the fire perimeters; assigned by the manager. */
+            this.perimeterManager = null;
+            /** The FireFilter that narrows the listed and drawn symbols; assigned by the filter. */
+            this.fireFilter = null;
+            /** The symbols matching the fire filter, in the order of the symbols array. */
+            this.filteredSymbols = ko.pureComputed(function () {
+                return self.symbols().filter(function (symbol) {
+                    return symbol.isFilterMatch();
+                });
+            });
+            /** Flag indicating the user may edit, extinguish and delete the existing fires (see FireAuth). */
+            this.canEditFires = ko.pureComputed(function () {
+                return self.fireService ? self.fireService.canEdit() : true;
+            });
 
 
             // Subscribe to "arrayChange" events ...
@@ -77,6 +97,43 @@ define([
                 return null;
             };
 
+            /**
+             * Finds the symbol with the given fire id.
+             * @param {String|Number} fid The fire data source's id for the symbol.
+             * @returns {TacticalSymbol} The symbol object if found, else null.
+             */
+            this.findSymbolByFid = function (fid) {
+                var symbol, i, len;
+                for (i = 0, len = self.symbols().length; i < len; i += 1) {
+                    symbol = self.symbols()[i];
+                    // Loose comparison: ids may round trip as strings or numbers
+                    if (symbol.fid !== null && symbol.fid !== undefined && symbol.fid == fid) {
+                        return symbol;
+                    }
+                }
+                return null;
+            };
+
+            /**
+             * Extinguishes the fire of the given symbol. Invoked by the symbols list.
+             * @param {TacticalSymbol} symbol
+             */
+            this.extinguishSymbol = function (symbol) {
+                if (self.fireService) {
+                    self.fireService.extinguishFire(symbol);
+                }
+            };
+
+            /**
+             * Merges the given symbol and its likely duplicates into one fire. Invoked by the symbols list.
+             * @param {TacticalSymbol} symbol
+             */
+            this.mergeDuplicates = function (symbol) {
+                if (self.duplicateDetector) {
+                    self.duplicateDetector.mergeAll(symbol);
+                }
+            };
+
             /**
              * Removes the given symbol from the symbols array and from the symbol's renderable layer.
              * @param {TacticalSymbol} symbol The symbol to be removed
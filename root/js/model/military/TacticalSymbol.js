@@ -6,6 +6,9 @@
 /*global WorldWind*/
 
 define([
+    'model/fires/FireHistory',
+    'model/fires/FireIncident',
+    'model/fires/FirePerimeter',
     'model/military/TacticalSymbolPlacemark',
     'model/util/ContextSensitive',
     'model/util/Formatter',
@@ -17,9 +20,13 @@ define([
     'milsymbol',
     'knockout',
     'jquery',
+    'moment',
     'jquery-growl',
     'worldwind'],
     function (
+        fireHistory,
+        fireIncident,
+        firePerimeter,
         TacticalSymbolPlacemark,
         contextSensitive,
         formatter,
@@ -30,7 +37,8 @@ define([
         util,
         ms,
         ko,
-        $) {
+        $,
+        moment) {
         "use strict";
 
         /**
@@ -42,6 +50,10 @@ define([
          *      id: optional, must be unique, will be assigned if missing
          *      name: optional, will be assigned if missing
          *      isMovable: optional, will be set to true if missing
+         *      incident: optional incident attributes keyed by parameter name (see FireIncident)
+         *      perimeters: optional perimeter versions, oldest first (see FirePerimeter)
+         *      mergedReports: optional reports merged into this fire (see FireDuplicateDetector)
+         *      history: optional audit trail entries, oldest first (see FireHistory)
          *      editor: 
          *  }
          * @constructor
@@ -60,8 +72,14 @@ define([
             this.dbAlt = null;
             this.dbLon = null;
             this.dbLat = null;
+            this.dbIncident = null;
+            this.dbPerimeters = null;
+            this.dbMergedReports = null;
             
             if(!this.userCreated){
+                this.dbIncident = fireIncident.normalize(args['incident'] || {});
+                this.dbPerimeters = args['perimeters'] || [];
+                this.dbMergedReports = args['mergedReports'] || [];
                 this.dbTimeReported = args['timeReported'];
                 this.dbTimeExtinguished = args['timeExtinguished'];
                 this.dbIsVerified = args['verified'];
@@ -76,7 +94,22 @@ define([
            
 
             this.koIsVerified = ko.observable(this.dbIsVerified);
+
+            /**
+             * The incident attributes keyed by parameter name, e.g., incident.size and
+             * incident.containment (see FireIncident); each is an observable.
+             */
+            this.incident = {};
+            fireIncident.FIELDS.forEach(function (field) {
+                var value = (args['incident'] || {})[field.param];
+                self.incident[field.param] = ko.observable(value === undefined ? null : value);
+            });
             this.fid = args['fid'];
+
+            /** The fire data source synchronization state: "synced", "pending" or "failed" (see FireOutbox) */
+            this.syncState = ko.observable(args['syncState'] || "synced");
+            /** The message from the last failed synchronization attempt */
+            this.syncError = ko.observable(null);
             // ---------------------------
             // Add the mix-in capabilites
             // ---------------------------
@@ -110,7 +143,11 @@ define([
 
             // Make deletable via menu: adds the isRemovable member and the "remove" method
             removable.makeRemovable(this, function () {     // define the callback that "removes" this symbol
-                // TODO: Could ask for confirmation; return false if veto'd
+                if (manager.fireService) {
+                    // The fire service confirms the delete and removes the symbol
+                    manager.fireService.confirmDelete(self);
+                    return false;
+                }
                 manager.removeSymbol(self);     // Removes the symbol from the manager's observableArray
                 return true;    // return true to fire a EVENT_OBJECT_REMOVED
             });
@@ -149,6 +186,134 @@ define([
             this.symbolCode = ko.observable(args.symbolCode || "SUG------------"); // Default to  Warfighting. Unknown. Ground.
             this.modifiers = ko.observable({size: 30}); // Set the default size
 
+            /** Flag indicating the fire has been extinguished; extinguished fires are drawn in gray */
+            this.isExtinguished = ko.pureComputed(function () {
+                return !!self.koTimeExtinguished();
+            });
+
+            /** The fire's state depicted by its symbol: unverified, verified or extinguished (see TacticalSymbolPlacemark) */
+            this.fireState = ko.pureComputed(function () {
+                if (self.isExtinguished()) {
+                    return TacticalSymbolPlacemark.FIRE_STATE_EXTINGUISHED;
+                }
+                return self.koIsVerified() ? TacticalSymbolPlacemark.FIRE_STATE_VERIFIED : TacticalSymbolPlacemark.FIRE_STATE_UNVERIFIED;
+            });
+
+            /** The incident attribute values keyed by parameter name, normalized (see FireIncident) */
+            this.incidentValues = ko.pureComputed(function () {
+                return fireIncident.normalize(ko.toJS(self.incident));
+            });
+            this.modifiers(Object.assign({}, this.modifiers(), fireIncident.toModifiers(this.incidentValues())));
+            /** The estimated size text in hectares and acres */
+            this.sizeText = ko.pureComputed(function () {
+                var size = self.incidentValues().size;
+                return size === null ? "" : fireIncident.formatSize(size);
+            });
+
+            /** The fires that are likely duplicates of this report (see FireDuplicateDetector) */
+            this.possibleDuplicates = ko.observableArray();
+            /** The reports merged into this fire: {id, time, timeText} (see FireDuplicateDetector) */
+            this.mergedReports = ko.observableArray((args['mergedReports'] || []).slice());
+            /** The attached photos and files (see FireAttachments) */
+            this.attachments = ko.observableArray();
+
+            /** The perimeter versions, oldest first (see FirePerimeter) */
+            this.perimeters = ko.observableArray((args['perimeters'] || []).slice());
+            /** The current perimeter version, or null */
+            this.perimeter = ko.pureComputed(function () {
+                var perimeters = self.perimeters();
+                return perimeters.length > 0 ? perimeters[perimeters.length - 1] : null;
+            });
+            /** The current perimeter's area text in hectares and acres */
+            this.perimeterAreaText = ko.pureComputed(function () {
+                var perimeter = self.perimeter();
+                return perimeter ? firePerimeter.formatArea(firePerimeter.area(perimeter.geometry)) : "";
+            });
+            /** The current perimeter's length text in kilometers and miles */
+            this.perimeterLengthText = ko.pureComputed(function () {
+                var perimeter = self.perimeter();
+                return perimeter ? firePerimeter.formatLength(firePerimeter.length(perimeter.geometry)) : "";
+            });
+            /** The perimeter versions for the info view, newest first: {version, timeText, areaText} */
+            this.perimeterHistory = ko.pureComputed(function () {
+                return self.perimeters().slice().reverse().map(function (version) {
+                    return {
+                        version: version,
+                        timeText: moment(version.time).format("YYYY-MM-DD HH:mm"),
+                        areaText: firePerimeter.formatArea(firePerimeter.area(version.geometry))
+                    };
+                });
+            });
+            /** The audit trail of the fire's changes, oldest first (see FireHistory); assigned by the FireService */
+            this.history = ko.observableArray((args['history'] || []).slice());
+            /** The history for the info view's timeline, newest first: {entry, timeText, clientText, lines} */
+            this.historyTimeline = ko.pureComputed(function () {
+                var clientId = manager.fireService ? manager.fireService.clientId : null;
+                return self.history().slice().reverse().map(function (entry) {
+                    return {
+                        entry: entry,
+                        timeText: moment(entry.time).format("YYYY-MM-DD HH:mm:ss"),
+                        clientText: !entry.client ? "Unknown client" :
+                            entry.client === clientId ? "This browser" : "Client " + String(entry.client).slice(0, 8),
+                        lines: fireHistory.describe(entry)
+                    };
+                });
+            });
+            /** Flag indicating the fire is shown at the globe's time; assigned by the FireTimeFilter */
+            this.isShown = ko.observable(true);
+            /** Flag indicating the fire matches the fire filter; assigned by the FireFilter */
+            this.isFilterMatch = ko.observable(true);
+
+            /**
+             * Merges a likely duplicate with this fire, keeping the canonical one of the two.
+             * Invoked by the info view.
+             * @param {TacticalSymbol} duplicate
+             */
+            this.mergeDuplicate = function (duplicate) {
+                var detector = manager.duplicateDetector;
+                if (detector) {
+                    detector.mergePair(self, duplicate);
+                }
+            };
+
+            /**
+             * Starts drawing or editing this fire's perimeter on the globe. Invoked by the info view.
+             */
+            this.editPerimeter = function () {
+                if (manager.perimeterManager) {
+                    manager.perimeterManager.startEditing(self);
+                }
+            };
+
+            /**
+             * Makes a previous perimeter version the current perimeter. Invoked by the info view.
+             * @param {Object} version
+             */
+            this.restorePerimeter = function (version) {
+                if (manager.perimeterManager) {
+                    manager.perimeterManager.restoreVersion(self, version);
+                }
+            };
+
+            /**
+             * Reverts this fire to the state recorded in a history entry. Invoked by the info view.
+             * @param {Object} entry
+             */
+            this.revertTo = function (entry) {
+                if (manager.fireService) {
+                    manager.fireService.revertFire(self, entry);
+                }
+            };
+
+            /**
+             * Flag indicating the user may edit this fire (see FireService.canEdit).
+             */
+            this.isEditable = ko.pureComputed(function () {
+                // The sync state changes when a new report is sent, which ends its reporter's edits
+                self.syncState();
+                return manager.fireService ? manager.fireService.canEdit(self) : true;
+            });
+
             // ----------
             // Internals
             // ----------
@@ -157,12 +322,13 @@ define([
             /** DOM element id to display view when this symbol is selected. */
             this.viewTemplateName = 'tactical-symbol-view-template';
 
-            this.placemark = new TacticalSymbolPlacemark(position, this.symbolCode(), this.modifiers());
+            this.placemark = new TacticalSymbolPlacemark(position, this.symbolCode(), this.modifiers(), this.fireState());
 
 
             // Configure the placemark to return this symbol object when the placemark is picked, 
             // See: PickController
             this.placemark.pickDelegate = this;
+            this.placemark.globe = this.globe;
 
             // --------------
             // Event handlers
@@ -186,6 +352,21 @@ define([
                 self.placemark.position.altitude = newAlt;
             });
 
+            // Update the placemark when the modifiers change
+            this.modifiers.subscribe(function (newModifiers) {
+                self.placemark.updateSymbol(self.symbolCode(), newModifiers);
+                self.placemark.attributes = TacticalSymbolPlacemark.getPlacemarkAttributes(
+                    self.symbolCode(), newModifiers, self.placemark.lastLevelOfDetail, self.placemark.fireState);
+            });
+            this.fireState.subscribe(function (state) {
+                self.placemark.setFireState(state);
+                self.globe.redraw();
+            });
+            // Depict the incident attributes as text modifiers; they're drawn at the high level of detail
+            this.incidentValues.subscribe(function (incident) {
+                self.modifiers(Object.assign({}, self.modifiers(), fireIncident.toModifiers(incident)));
+            });
+
         };
 
 
@@ -15,16 +15,24 @@ define(['milsymbol', 'worldwind'],
          * @param {WorldWind.Position} position
          * @param {String} symbolCode
          * @param {Object} symbolModifiers
+         * @param {String} fireState Optional. One of the FIRE_STATE_* values; see setFireState.
          * @returns {TacticalSymbolPlacemark}
          */
-        var TacticalSymbolPlacemark = function (position, symbolCode, symbolModifiers) {
+        var TacticalSymbolPlacemark = function (position, symbolCode, symbolModifiers, fireState) {
 
             var normalAttributes = TacticalSymbolPlacemark.getPlacemarkAttributes(
-                symbolCode, symbolModifiers, TacticalSymbolPlacemark.LOW_LEVEL_OF_DETAIL);
+                symbolCode, symbolModifiers, TacticalSymbolPlacemark.LOW_LEVEL_OF_DETAIL, fireState);
 
             WorldWind.Placemark.call(this, position, true, normalAttributes);
             this.eyeDistanceScalingThreshold = 5000000;
             this.lastLevelOfDetail = TacticalSymbolPlacemark.LOW_LEVEL_OF_DETAIL;
+            this.fireState = fireState || null;
+
+            /**
+             * The globe redrawn to animate the attention pulse of an unverified fire; assigned by the owner.
+             * @type {Globe}
+             */
+            this.globe = null;
 
             this.updateSymbol(symbolCode, symbolModifiers);
         };
@@ -41,6 +49,8 @@ define(['milsymbol', 'worldwind'],
 
             this.symbolCode = that.symbolCode;
             this.symbolModifiers = that.symbolModifiers;
+            this.fireState = that.fireState;
+            this.globe = that.globe;
             this.lastLevelOfDetail = that.levelOfDetail;
             return this;
         };
@@ -85,6 +95,17 @@ define(['milsymbol', 'worldwind'],
             }
         };
 
+        /**
+         * Depicts the state of a fire: an unverified report, a verified fire or an extinguished
+         * fire. Unverified reports are enlarged, outlined and pulsing until they are verified.
+         * @param {String} fireState One of the FIRE_STATE_* values, or null for the plain symbol.
+         */
+        TacticalSymbolPlacemark.prototype.setFireState = function (fireState) {
+            this.fireState = fireState || null;
+            this.attributes = TacticalSymbolPlacemark.getPlacemarkAttributes(
+                this.symbolCode, this.symbolModifiers, this.lastLevelOfDetail, this.fireState);
+        };
+
         /**
          * Render this TacticalSymbol.
          * @param {DrawContext} dc The current draw context.
@@ -92,8 +113,26 @@ define(['milsymbol', 'worldwind'],
         TacticalSymbolPlacemark.prototype.render = function (dc) {
             this.selectLevelOfDetail(dc);
             WorldWind.Placemark.prototype.render.call(this, dc);
+
+            // Keep animating the attention pulse while the placemark is drawn
+            if (this.lastFrameTime === dc.timestamp && this.isPulsingState()) {
+                TacticalSymbolPlacemark.requestAttentionFrame(this.globe);
+            }
         };
 
+        /** The default pulse duration in milliseconds. */
+        TacticalSymbolPlacemark.PULSE_DURATION = 3000;
+        /** The time in milliseconds of one pulse. */
+        TacticalSymbolPlacemark.PULSE_PERIOD = 750;
+        /** The time in milliseconds of one attention pulse of an unverified fire. */
+        TacticalSymbolPlacemark.ATTENTION_PULSE_PERIOD = 1500;
+        /** The largest enlargement of an attention pulse, relative to the image scale. */
+        TacticalSymbolPlacemark.ATTENTION_PULSE_SCALE = 0.25;
+        /** The time in milliseconds between the frames requested to animate the attention pulses. */
+        TacticalSymbolPlacemark.ATTENTION_FRAME_INTERVAL = 100;
+        /** The opacity of a faded placemark. */
+        TacticalSymbolPlacemark.FADED_OPACITY = 0.4;
+
         TacticalSymbolPlacemark.HIGHEST_LEVEL_OF_DETAIL = 0;
         TacticalSymbolPlacemark.MEDIUM_LEVEL_OF_DETAIL = 1;
         TacticalSymbolPlacemark.LOW_LEVEL_OF_DETAIL = 2;
@@ -117,26 +156,31 @@ define(['milsymbol', 'worldwind'],
 
             var highlightChanged = this.lastHighlightState !== this.highlighted;
 
+            // Start from the attributes replaced by a pulse in the previous frame
+            if (this.pulseAttributes && this.attributes === this.pulseAttributes) {
+                this.attributes = this.unpulsedAttributes;
+            }
+
             // Determine the normal attributes based on the distance from the camera to the placemark
             if (this.eyeDistance > TacticalSymbolPlacemark.FAR_THRESHOLD) {
                 // Low-fidelity: use a simplified SIDC code (without status) and no modifiers
                 if (this.lastLevelOfDetail !== TacticalSymbolPlacemark.LOW_LEVEL_OF_DETAIL || highlightChanged) {
                     this.attributes = TacticalSymbolPlacemark.getPlacemarkAttributes(
-                        this.symbolCode, this.symbolModifiers, TacticalSymbolPlacemark.LOW_LEVEL_OF_DETAIL);
+                        this.symbolCode, this.symbolModifiers, TacticalSymbolPlacemark.LOW_LEVEL_OF_DETAIL, this.fireState);
                     this.lastLevelOfDetail = TacticalSymbolPlacemark.LOW_LEVEL_OF_DETAIL;
                 }
             } else if (this.eyeDistance > TacticalSymbolPlacemark.NEAR_THRESHOLD) {
                 // Medium-fidelity: use the regulation SIDC code but without modifiers
                 if (this.lastLevelOfDetail !== TacticalSymbolPlacemark.MEDIUM_LEVEL_OF_DETAIL || highlightChanged) {
                     this.attributes = TacticalSymbolPlacemark.getPlacemarkAttributes(
-                        this.symbolCode, this.symbolModifiers, TacticalSymbolPlacemark.MEDIUM_LEVEL_OF_DETAIL);
+                        this.symbolCode, this.symbolModifiers, TacticalSymbolPlacemark.MEDIUM_LEVEL_OF_DETAIL, this.fireState);
                     this.lastLevelOfDetail = TacticalSymbolPlacemark.MEDIUM_LEVEL_OF_DETAIL;
                 }
             } else {
                 // High-fidelity: use the regulation SIDC code and the modifiers
                 if (this.lastLevelOfDetail !== TacticalSymbolPlacemark.HIGHEST_LEVEL_OF_DETAIL || highlightChanged) {
                     this.attributes = TacticalSymbolPlacemark.getPlacemarkAttributes(
-                        this.symbolCode, this.symbolModifiers, TacticalSymbolPlacemark.HIGHEST_LEVEL_OF_DETAIL);
+                        this.symbolCode, this.symbolModifiers, TacticalSymbolPlacemark.HIGHEST_LEVEL_OF_DETAIL, this.fireState);
                     this.lastLevelOfDetail = TacticalSymbolPlacemark.HIGHEST_LEVEL_OF_DETAIL;
                 }
             }
@@ -151,23 +195,141 @@ define(['milsymbol', 'worldwind'],
                 }
             }
             this.lastHighlightState = this.highlighted;
+
+            // The faded color must be reapplied when the attributes are replaced
+            if (this.attributes.imageColor.alpha !== this.imageAlpha()) {
+                this.attributes.imageColor = new WorldWind.Color(1, 1, 1, this.imageAlpha());
+            }
+
+            this.applyPulse(dc);
+        };
+
+        /**
+         * Fades this placemark, e.g., to show a fire from the past.
+         * @param {Boolean} faded
+         */
+        TacticalSymbolPlacemark.prototype.setFaded = function (faded) {
+            this.faded = faded;
+        };
+
+        // Internal. The image color's alpha for the faded state.
+        TacticalSymbolPlacemark.prototype.imageAlpha = function () {
+            return this.faded ? TacticalSymbolPlacemark.FADED_OPACITY : 1;
+        };
+
+        /**
+         * Briefly pulses the size of this placemark to draw attention to it.
+         * @param {Number} duration Optional. The pulse duration in milliseconds.
+         */
+        TacticalSymbolPlacemark.prototype.pulse = function (duration) {
+            this.pulseStart = Date.now();
+            this.pulseDuration = duration || TacticalSymbolPlacemark.PULSE_DURATION;
+        };
+
+        /**
+         * Determines if this placemark's fire state pulses to draw attention to it.
+         * @returns {Boolean}
+         */
+        TacticalSymbolPlacemark.prototype.isPulsingState = function () {
+            var style = TacticalSymbolPlacemark.FIRE_STATE_STYLES[this.fireState];
+            return !!style && style.isPulsing;
+        };
+
+        // Internal. Scales a copy of the current attributes for a pulse or the attention pulse of
+        // an unverified fire. The copy is reused until the level of detail or highlighting replaces
+        // the attributes. A pulse requests every frame; the attention pulse's frames are requested
+        // at a throttled rate by render.
+        TacticalSymbolPlacemark.prototype.applyPulse = function (dc) {
+            var now = Date.now(),
+                scale = 1;
+
+            if (this.pulseStart && now - this.pulseStart >= this.pulseDuration) {
+                this.pulseStart = null;
+            }
+            if (!this.pulseStart && !this.isPulsingState()) {
+                this.pulseAttributes = null;
+                this.unpulsedAttributes = null;
+                return;
+            }
+            if (this.pulseStart) {
+                scale *= 1 + 0.5 * Math.abs(Math.sin(Math.PI * (now - this.pulseStart) / TacticalSymbolPlacemark.PULSE_PERIOD));
+                dc.redrawRequested = true;
+            }
+            if (this.isPulsingState()) {
+                scale *= TacticalSymbolPlacemark.attentionScale(now);
+            }
+            if (!this.pulseAttributes || this.unpulsedAttributes !== this.attributes) {
+                this.pulseAttributes = new WorldWind.PlacemarkAttributes(this.attributes);
+                this.unpulsedAttributes = this.attributes;
+            }
+            // Keep the faded color of the current attributes
+            this.pulseAttributes.imageColor = this.attributes.imageColor;
+            this.pulseAttributes.imageScale = this.attributes.imageScale * scale;
+            this.attributes = this.pulseAttributes;
         };
 
+        /**
+         * Computes the enlargement of the attention pulse at a time; all the unverified fires
+         * pulse in step.
+         * @param {Number} time The time in milliseconds.
+         * @returns {Number} The factor applied to the image scale, from 1 to 1 + ATTENTION_PULSE_SCALE.
+         */
+        TacticalSymbolPlacemark.attentionScale = function (time) {
+            var phase = 2 * Math.PI * (time % TacticalSymbolPlacemark.ATTENTION_PULSE_PERIOD) /
+                TacticalSymbolPlacemark.ATTENTION_PULSE_PERIOD;
+            return 1 + TacticalSymbolPlacemark.ATTENTION_PULSE_SCALE * (1 - Math.cos(phase)) / 2;
+        };
+
+        /**
+         * Requests the next frame of the attention pulses. The requests of all the pulsing
+         * placemarks share one timer, so the globe is redrawn at most once per ATTENTION_FRAME_INTERVAL.
+         * @param {Globe} globe The globe to redraw; ignored if null.
+         */
+        TacticalSymbolPlacemark.requestAttentionFrame = function (globe) {
+            if (!globe || TacticalSymbolPlacemark.attentionTimer) {
+                return;
+            }
+            TacticalSymbolPlacemark.attentionTimer = setTimeout(function () {
+                TacticalSymbolPlacemark.attentionTimer = null;
+                globe.redraw();
+            }, TacticalSymbolPlacemark.ATTENTION_FRAME_INTERVAL);
+        };
+
+        // Internal. The pending attention frame request.
+        TacticalSymbolPlacemark.attentionTimer = null;
+
 
         /**
          * Returns an attibutes bundle for the given symbol code and modifiers.
+         * A fire state replaces the symbol code's standard identity and status and adds the
+         * state's color modifiers (see FIRE_STATE_STYLES).
          * @param {String} symbolCode
          * @param {Object} symbolModifiers bundle
          * @param {Number} levelOfDetail
+         * @param {String} fireState Optional. One of the FIRE_STATE_* values.
          * @returns {WorldWind.PlacemarkAttributes}
          */
-        TacticalSymbolPlacemark.getPlacemarkAttributes = function (symbolCode, symbolModifiers, levelOfDetail) {
+        TacticalSymbolPlacemark.getPlacemarkAttributes = function (symbolCode, symbolModifiers, levelOfDetail, fireState) {
             var symbol,
-                basicModifiers = {size: symbolModifiers.size},
+                style = TacticalSymbolPlacemark.FIRE_STATE_STYLES[fireState],
+                basicModifiers,
                 attributes,
                 size,
                 anchor;
 
+            if (style) {
+                symbolCode = TacticalSymbolPlacemark.fireStateCode(symbolCode, fireState);
+                symbolModifiers = Object.assign({}, symbolModifiers, style.modifiers);
+            }
+            basicModifiers = {size: symbolModifiers.size};
+
+            // Carry the symbol's colors over to the lower levels of detail
+            TacticalSymbolPlacemark.COLOR_MODIFIERS.forEach(function (key) {
+                if (symbolModifiers[key] !== undefined) {
+                    basicModifiers[key] = symbolModifiers[key];
+                }
+            });
+
             // TODO create cache and retrieve from cache
 
             switch (levelOfDetail) {
@@ -204,7 +366,7 @@ define(['milsymbol', 'worldwind'],
             }
 
             attributes.depthTest = false;
-            attributes.imageScale = 1.0;
+            attributes.imageScale = style && style.imageScale ? style.imageScale : 1.0;
             attributes.imageColor = WorldWind.Color.WHITE;
 
             attributes.drawLeaderLine = true;
@@ -230,7 +392,107 @@ define(['milsymbol', 'worldwind'],
             return attributes;
         };
 
+        /**
+         * Applies a fire state's standard identity and status to a symbol code.
+         * @param {String} symbolCode A MIL-STD-2525C symbol code, e.g., "EHIPC-------".
+         * @param {String} fireState One of the FIRE_STATE_* values.
+         * @returns {String} The symbol code, unchanged if the state is unknown.
+         */
+        TacticalSymbolPlacemark.fireStateCode = function (symbolCode, fireState) {
+            var style = TacticalSymbolPlacemark.FIRE_STATE_STYLES[fireState];
+            if (!style || symbolCode.length < 4) {
+                return symbolCode;
+            }
+            return symbolCode.charAt(0) + style.identity + symbolCode.charAt(2) + style.status + symbolCode.slice(4);
+        };
+
+        /**
+         * Gets the legend of the fire states: the image and description of each state.
+         * @param {String} symbolCode Optional. The fire symbol code; default LEGEND_SYMBOL_CODE.
+         * @returns {Object[]} [{state, name, description, imageUrl}]
+         */
+        TacticalSymbolPlacemark.fireStateLegend = function (symbolCode) {
+            symbolCode = symbolCode || TacticalSymbolPlacemark.LEGEND_SYMBOL_CODE;
+            return Object.keys(TacticalSymbolPlacemark.FIRE_STATE_STYLES).map(function (state) {
+                var style = TacticalSymbolPlacemark.FIRE_STATE_STYLES[state],
+                    symbol = new ms.Symbol(TacticalSymbolPlacemark.fireStateCode(symbolCode, state),
+                        Object.assign({size: TacticalSymbolPlacemark.LEGEND_SYMBOL_SIZE}, style.modifiers));
+                return {
+                    state: state,
+                    name: style.name,
+                    description: style.description,
+                    imageUrl: symbol.asCanvas().toDataURL()
+                };
+            });
+        };
+
+        /** The milsymbol options that color or outline a symbol; they apply at every level of detail. */
+        TacticalSymbolPlacemark.COLOR_MODIFIERS = ["monoColor", "colorMode", "fillOpacity", "outlineColor", "outlineWidth"];
+
+        /** The state of a fire reported by the public that hasn't been verified by a responder. */
+        TacticalSymbolPlacemark.FIRE_STATE_UNVERIFIED = "unverified";
+        /** The state of a verified fire that is burning. */
+        TacticalSymbolPlacemark.FIRE_STATE_VERIFIED = "verified";
+        /** The state of an extinguished fire. */
+        TacticalSymbolPlacemark.FIRE_STATE_EXTINGUISHED = "extinguished";
+
+        /**
+         * The milsymbol fill colors of the fire states, keyed by standard identity.
+         */
+        TacticalSymbolPlacemark.FIRE_COLOR_MODE = {
+            Civilian: "rgb(255, 161, 255)",
+            Friend: "rgb(128, 224, 255)",
+            Hostile: "rgb(230, 40, 20)",
+            Neutral: "rgb(170, 255, 170)",
+            Unknown: "rgb(255, 210, 40)"
+        };
+
+        /**
+         * The depiction of each fire state: the standard identity and status characters of
+         * the symbol code, the milsymbol modifiers, the image scale and the legend text. An
+         * unverified report has the pending identity's yellow quatrefoil frame, dashed like an
+         * anticipated symbol, with a yellow outline and an enlarged, pulsing image; a verified fire is
+         * a solid red hostile diamond; an extinguished fire is an unfilled gray outline.
+         */
+        TacticalSymbolPlacemark.FIRE_STATE_STYLES = {
+            unverified: {
+                identity: "P",
+                status: "A",
+                modifiers: {
+                    colorMode: TacticalSymbolPlacemark.FIRE_COLOR_MODE,
+                    fillOpacity: 0.8,
+                    outlineColor: "rgb(255, 255, 0)",
+                    outlineWidth: 4
+                },
+                imageScale: 1.25,
+                isPulsing: true,
+                name: "Unverified report",
+                description: "Reported by the public; awaiting verification by a responder."
+            },
+            verified: {
+                identity: "H",
+                status: "P",
+                modifiers: {colorMode: TacticalSymbolPlacemark.FIRE_COLOR_MODE},
+                imageScale: 1.0,
+                isPulsing: false,
+                name: "Verified fire",
+                description: "Verified by a responder and burning."
+            },
+            extinguished: {
+                identity: "H",
+                status: "P",
+                modifiers: {monoColor: "#808080"},
+                imageScale: 1.0,
+                isPulsing: false,
+                name: "Extinguished fire",
+                description: "The fire is out."
+            }
+        };
 
+        /** The size of the legend's symbols. */
+        TacticalSymbolPlacemark.LEGEND_SYMBOL_SIZE = 20;
+        /** The symbol code drawn in the legend: a fire incident. */
+        TacticalSymbolPlacemark.LEGEND_SYMBOL_CODE = "EHIPC-------";
 
         return TacticalSymbolPlacemark;
     });
\ No newline at end of file
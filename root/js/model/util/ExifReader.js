@@ -0,0 +1,256 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define*/
+
+/**
+ * The ExifReader module extracts the GPS position and capture time from the EXIF
+ * metadata of a JPEG image: the APP1 segment containing a TIFF structure whose
+ * first image file directory (IFD) links to the Exif and GPS directories.
+ *
+ * @returns {ExifReader}
+ */
+define([],
+    function () {
+        "use strict";
+        var ExifReader = {
+            /**
+             * Reads the GPS position and capture time of a JPEG image.
+             * @param {ArrayBuffer} buffer The contents of the JPEG file.
+             * @returns {Object} {latitude, longitude, altitude, time}; the position values
+             * are null if the image isn't geotagged and the time is null if the image isn't
+             * dated. Returns null if the buffer isn't a JPEG with EXIF metadata.
+             */
+            read: function (buffer) {
+                var view = new DataView(buffer),
+                    tiff = ExifReader.findTiffHeader(view),
+                    littleEndian, ifd0, exif, gps;
+
+                if (tiff < 0) {
+                    return null;
+                }
+                littleEndian = view.getUint16(tiff) === 0x4949; // "II" (Intel) or "MM" (Motorola)
+                if (view.getUint16(tiff + 2, littleEndian) !== 42) {
+                    return null;
+                }
+                ifd0 = ExifReader.readDirectory(view, tiff, tiff + view.getUint32(tiff + 4, littleEndian), littleEndian);
+                exif = ifd0[ExifReader.TAG_EXIF_IFD] !== undefined ?
+                    ExifReader.readDirectory(view, tiff, tiff + ifd0[ExifReader.TAG_EXIF_IFD], littleEndian) : {};
+                gps = ifd0[ExifReader.TAG_GPS_IFD] !== undefined ?
+                    ExifReader.readDirectory(view, tiff, tiff + ifd0[ExifReader.TAG_GPS_IFD], littleEndian) : {};
+                return {
+                    latitude: ExifReader.toDegrees(gps[ExifReader.TAG_GPS_LATITUDE], gps[ExifReader.TAG_GPS_LATITUDE_REF], "S"),
+                    longitude: ExifReader.toDegrees(gps[ExifReader.TAG_GPS_LONGITUDE], gps[ExifReader.TAG_GPS_LONGITUDE_REF], "W"),
+                    altitude: ExifReader.toAltitude(gps[ExifReader.TAG_GPS_ALTITUDE], gps[ExifReader.TAG_GPS_ALTITUDE_REF]),
+                    time: ExifReader.toTime(exif[ExifReader.TAG_DATE_TIME_ORIGINAL] || ifd0[ExifReader.TAG_DATE_TIME],
+                        gps[ExifReader.TAG_GPS_DATE_STAMP], gps[ExifReader.TAG_GPS_TIME_STAMP])
+                };
+            },
+            /**
+             * Finds the TIFF header within the EXIF APP1 segment of a JPEG image.
+             * @param {DataView} view
+             * @returns {Number} The offset of the TIFF header, or -1 if not found.
+             */
+            findTiffHeader: function (view) {
+                var offset = 2,
+                    marker, length;
+
+                if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) {
+                    return -1;
+                }
+                while (offset + 4 <= view.byteLength) {
+                    marker = view.getUint16(offset);
+                    length = view.getUint16(offset + 2);
+                    if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) {
+                        // Not a marker, or the start of the image data: there's no metadata after it
+                        return -1;
+                    }
+                    if (marker === 0xFFE1 && offset + 10 <= view.byteLength &&
+                        view.getUint32(offset + 4) === 0x45786966 && view.getUint16(offset + 8) === 0) { // "Exif\0\0"
+                        return offset + 10;
+                    }
+                    offset += 2 + length;
+                }
+                return -1;
+            },
+            /**
+             * Reads the entries of an image file directory.
+             * @param {DataView} view
+             * @param {Number} tiff The offset of the TIFF header; value offsets are relative to it.
+             * @param {Number} offset The offset of the directory.
+             * @param {Boolean} littleEndian
+             * @returns {Object} The values keyed by tag number. Single numbers are returned as
+             * a number, ASCII strings as a string and the other values as arrays.
+             */
+            readDirectory: function (view, tiff, offset, littleEndian) {
+                var values = {},
+                    count, i, entry, type, size, n, valueOffset;
+
+                if (offset + 2 > view.byteLength) {
+                    return values;
+                }
+                count = view.getUint16(offset, littleEndian);
+                for (i = 0; i < count; i++) {
+                    entry = offset + 2 + i * 12;
+                    if (entry + 12 > view.byteLength) {
+                        break;
+                    }
+                    type = view.getUint16(entry + 2, littleEndian);
+                    size = ExifReader.TYPE_SIZES[type];
+                    if (!size) {
+                        continue;
+                    }
+                    n = view.getUint32(entry + 4, littleEndian);
+                    // Values of 4 bytes or less are stored in the entry itself
+                    valueOffset = size * n > 4 ? tiff + view.getUint32(entry + 8, littleEndian) : entry + 8;
+                    if (valueOffset + size * n > view.byteLength) {
+                        continue;
+                    }
+                    values[view.getUint16(entry, littleEndian)] = ExifReader.readValue(view, valueOffset, type, n, littleEndian);
+                }
+                return values;
+            },
+            /**
+             * Reads a directory entry's value.
+             * @param {DataView} view
+             * @param {Number} offset The offset of the value.
+             * @param {Number} type The TIFF field type.
+             * @param {Number} count The number of values.
+             * @param {Boolean} littleEndian
+             * @returns {Number|String|Number[]}
+             */
+            readValue: function (view, offset, type, count, littleEndian) {
+                var values = [],
+                    i, text;
+
+                if (type === ExifReader.TYPE_ASCII) {
+                    text = "";
+                    for (i = 0; i < count; i++) {
+                        text += String.fromCharCode(view.getUint8(offset + i));
+                    }
+                    return text.replace(/\0+$/, "");
+                }
+                for (i = 0; i < count; i++) {
+                    switch (type) {
+                        case ExifReader.TYPE_SHORT:
+                            values.push(view.getUint16(offset + i * 2, littleEndian));
+                            break;
+                        case ExifReader.TYPE_LONG:
+                            values.push(view.getUint32(offset + i * 4, littleEndian));
+                            break;
+                        case ExifReader.TYPE_SLONG:
+                            values.push(view.getInt32(offset + i * 4, littleEndian));
+                            break;
+                        case ExifReader.TYPE_RATIONAL:
+                            values.push(view.getUint32(offset + i * 8, littleEndian) / view.getUint32(offset + i * 8 + 4, littleEndian));
+                            break;
+                        case ExifReader.TYPE_SRATIONAL:
+                            values.push(view.getInt32(offset + i * 8, littleEndian) / view.getInt32(offset + i * 8 + 4, littleEndian));
+                            break;
+                        default: // BYTE and UNDEFINED
+                            values.push(view.getUint8(offset + i));
+                    }
+                }
+                return values.length === 1 ? values[0] : values;
+            },
+            /**
+             * Converts GPS degrees, minutes and seconds to signed decimal degrees.
+             * @param {Number[]} dms The degrees, minutes and seconds.
+             * @param {String} ref The hemisphere reference, e.g., "N" or "S".
+             * @param {String} negativeRef The reference of the negative hemisphere: "S" or "W".
+             * @returns {Number} The degrees, or null if undefined or invalid.
+             */
+            toDegrees: function (dms, ref, negativeRef) {
+                var degrees;
+
+                if (!Array.isArray(dms) || dms.length !== 3) {
+                    return null;
+                }
+                degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+                if (!isFinite(degrees)) {
+                    return null;
+                }
+                return ref === negativeRef ? -degrees : degrees;
+            },
+            /**
+             * Converts the GPS altitude to meters above sea level.
+             * @param {Number} altitude The altitude in meters.
+             * @param {Number} ref 1 if the altitude is below sea level.
+             * @returns {Number} The altitude, or null if undefined or invalid.
+             */
+            toAltitude: function (altitude, ref) {
+                if (typeof altitude !== "number" || !isFinite(altitude)) {
+                    return null;
+                }
+                return ref === 1 ? -altitude : altitude;
+            },
+            /**
+             * Determines the capture time. The GPS date and time stamps are UTC and
+             * preferred; the EXIF date/time is the camera's local time and is
+             * interpreted in the browser's time zone.
+             * @param {String} dateTime The EXIF date/time, e.g., "2018:10:20 14:30:00".
+             * @param {String} gpsDate The GPS date stamp, e.g., "2018:10:20".
+             * @param {Number[]} gpsTime The GPS hours, minutes and seconds.
+             * @returns {Date} The time, or null if undefined or invalid.
+             */
+            toTime: function (dateTime, gpsDate, gpsTime) {
+                var date = ExifReader.parseDate(gpsDate),
+                    match, time;
+
+                if (date && Array.isArray(gpsTime) && gpsTime.length === 3) {
+                    time = Date.UTC(date[0], date[1] - 1, date[2]) +
+                        ((gpsTime[0] * 60 + gpsTime[1]) * 60 + gpsTime[2]) * 1000;
+                    if (isFinite(time)) {
+                        return new Date(Math.round(time));
+                    }
+                }
+                match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(dateTime || "");
+                if (!match) {
+                    return null;
+                }
+                time = new Date(+match[1], match[2] - 1, +match[3], +match[4], +match[5], +match[6]);
+                return isNaN(time.getTime()) ? null : time;
+            },
+            /**
+             * Parses an EXIF date.
+             * @param {String} text E.g., "2018:10:20".
+             * @returns {Number[]} The year, month and day, or null if invalid.
+             */
+            parseDate: function (text) {
+                var match = /^(\d{4}):(\d{2}):(\d{2})/.exec(text || "");
+                return match ? [+match[1], +match[2], +match[3]] : null;
+            },
+            /** The tag of the EXIF date/time the image was last changed. */
+            TAG_DATE_TIME: 0x0132,
+            /** The tag of the pointer to the Exif IFD. */
+            TAG_EXIF_IFD: 0x8769,
+            /** The tag of the pointer to the GPS IFD. */
+            TAG_GPS_IFD: 0x8825,
+            /** The Exif IFD tag of the date/time the image was captured. */
+            TAG_DATE_TIME_ORIGINAL: 0x9003,
+            /** The GPS IFD tags. */
+            TAG_GPS_LATITUDE_REF: 0x01,
+            TAG_GPS_LATITUDE: 0x02,
+            TAG_GPS_LONGITUDE_REF: 0x03,
+            TAG_GPS_LONGITUDE: 0x04,
+            TAG_GPS_ALTITUDE_REF: 0x05,
+            TAG_GPS_ALTITUDE: 0x06,
+            TAG_GPS_TIME_STAMP: 0x07,
+            TAG_GPS_DATE_STAMP: 0x1D,
+            /** The TIFF field types. */
+            TYPE_BYTE: 1,
+            TYPE_ASCII: 2,
+            TYPE_SHORT: 3,
+            TYPE_LONG: 4,
+            TYPE_RATIONAL: 5,
+            TYPE_UNDEFINED: 7,
+            TYPE_SLONG: 9,
+            TYPE_SRATIONAL: 10,
+            /** The size in bytes of a value of each field type. */
+            TYPE_SIZES: {1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8}
+        };
+
+        return ExifReader;
+    }
+);
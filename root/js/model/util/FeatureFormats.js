@@ -0,0 +1,531 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define, DOMParser*/
+
+/**
+ * The FeatureFormats module converts the fires and markers exchanged with other
+ * tools to and from GeoJSON, KML, CSV and GPX text. A feature is a flat object:
+ * <pre>
+ *  {
+ *      type: "fire" or "marker",
+ *      name, latitude, longitude, altitude,
+ *      reported, extinguished: ISO 8601 times or null,
+ *      verified: Boolean or null,
+ *      fid: the fire's data source id or null,
+ *      size, containment, cause, fuel, structures, description: the incident attributes (see FireIncident),
+ *      symbolCode: the fire's MIL-STD-2525C symbol code or null,
+ *      image: the marker's image source or null
+ *  }
+ * </pre>
+ * Each format keeps every field so that an exported file imports back unchanged:
+ * GeoJSON in the feature properties, KML in the ExtendedData and GPX in the waypoint
+ * extensions. Reading KML and GPX requires the browser's DOMParser.
+ *
+ * @param {FireIncident} fireIncident
+ * @returns {FeatureFormats}
+ */
+define(['model/fires/FireIncident'],
+    function (fireIncident) {
+        "use strict";
+
+        var FeatureFormats = {
+            /**
+             * Converts features to the text of a format.
+             * @param {String} format One of the FORMATS keys.
+             * @param {Object[]} features
+             * @returns {String}
+             */
+            write: function (format, features) {
+                switch (format) {
+                    case "geojson":
+                        return FeatureFormats.writeGeoJson(features);
+                    case "kml":
+                        return FeatureFormats.writeKml(features);
+                    case "csv":
+                        return FeatureFormats.writeCsv(features);
+                    case "gpx":
+                        return FeatureFormats.writeGpx(features);
+                    default:
+                        throw new Error("Unknown format: " + format);
+                }
+            },
+
+            /**
+             * Reads the features in the text of a format. Features without a valid
+             * location are skipped.
+             * @param {String} format One of the FORMATS keys.
+             * @param {String} text
+             * @returns {Object[]} The features.
+             * @throws {Error} If the text isn't valid for the format.
+             */
+            read: function (format, text) {
+                var features;
+                switch (format) {
+                    case "geojson":
+                        features = FeatureFormats.readGeoJson(text);
+                        break;
+                    case "kml":
+                        features = FeatureFormats.readKml(text);
+                        break;
+                    case "csv":
+                        features = FeatureFormats.readCsv(text);
+                        break;
+                    case "gpx":
+                        features = FeatureFormats.readGpx(text);
+                        break;
+                    default:
+                        throw new Error("Unknown format: " + format);
+                }
+                return features.map(FeatureFormats.normalize).filter(function (feature) {
+                    return feature !== null;
+                });
+            },
+
+            /**
+             * Gets the format of a file from its name's extension.
+             * @param {String} fileName
+             * @returns {String} One of the FORMATS keys, or null if the extension isn't known.
+             */
+            formatOfFile: function (fileName) {
+                var extension = String(fileName).split(".").pop().toLowerCase();
+                if (extension === "json") {
+                    return "geojson";
+                }
+                return FeatureFormats.FORMATS[extension] ? extension : null;
+            },
+
+            /**
+             * Converts the field values read from a file to feature values: numbers and
+             * Booleans are parsed, empty values become null and the times become ISO 8601.
+             * @param {Object} values The field values keyed by field name.
+             * @returns {Object} The feature, or null if it doesn't have a valid location.
+             */
+            normalize: function (values) {
+                var feature = {},
+                    incident = fireIncident.normalize(values);
+
+                FeatureFormats.FIELDS.forEach(function (field) {
+                    var value = values[field];
+                    feature[field] = value === undefined || value === null || String(value).trim() === "" ?
+                        null : value;
+                });
+                if (feature.latitude === null || feature.longitude === null) {
+                    return null;
+                }
+                feature.type = feature.type === "marker" ? "marker" : "fire";
+                feature.name = feature.name === null ? null : String(feature.name);
+                feature.latitude = Number(feature.latitude);
+                feature.longitude = Number(feature.longitude);
+                feature.altitude = feature.altitude === null ? 0 : Number(feature.altitude) || 0;
+                feature.reported = FeatureFormats.toTime(feature.reported);
+                feature.extinguished = FeatureFormats.toTime(feature.extinguished);
+                feature.verified = feature.verified === null ? null :
+                    feature.verified === true || String(feature.verified).toLowerCase() === "true";
+                Object.assign(feature, incident);
+
+                if (!isFinite(feature.latitude) || !isFinite(feature.longitude) ||
+                    Math.abs(feature.latitude) > 90 || Math.abs(feature.longitude) > 180) {
+                    return null;
+                }
+                return feature;
+            },
+
+            /**
+             * Converts a time value to ISO 8601.
+             * @param {Date|String|Number} value The time; may be null.
+             * @returns {String} The ISO 8601 time, or null for null and invalid times.
+             */
+            toTime: function (value) {
+                var date;
+                if (value === null) {
+                    return null;
+                }
+                date = new Date(value);
+                return isNaN(date.getTime()) ? null : date.toISOString();
+            },
+
+            // Internal. Gets the fields of a feature other than its location, omitting the null values.
+            propertiesOf: function (feature) {
+                var properties = {};
+                FeatureFormats.FIELDS.forEach(function (field) {
+                    if (FeatureFormats.LOCATION_FIELDS.indexOf(field) < 0 &&
+                        feature[field] !== null && feature[field] !== undefined) {
+                        properties[field] = feature[field];
+                    }
+                });
+                return properties;
+            },
+
+            /**
+             * Writes a GeoJSON FeatureCollection of points.
+             * @param {Object[]} features
+             * @returns {String}
+             */
+            writeGeoJson: function (features) {
+                return JSON.stringify({
+                    type: "FeatureCollection",
+                    features: features.map(function (feature) {
+                        return {
+                            type: "Feature",
+                            geometry: {
+                                type: "Point",
+                                coordinates: [feature.longitude, feature.latitude, feature.altitude || 0]
+                            },
+                            properties: FeatureFormats.propertiesOf(feature)
+                        };
+                    })
+                }, null, 2);
+            },
+
+            /**
+             * Reads the points of a GeoJSON FeatureCollection, Feature or Point; other
+             * geometries are skipped.
+             * @param {String} text
+             * @returns {Object[]} The field values of the points.
+             */
+            readGeoJson: function (text) {
+                var json = JSON.parse(text),
+                    features;
+
+                if (json && json.type === "FeatureCollection" && Array.isArray(json.features)) {
+                    features = json.features;
+                } else if (json && json.type === "Feature") {
+                    features = [json];
+                } else if (json && json.type === "Point") {
+                    features = [{type: "Feature", geometry: json, properties: {}}];
+                } else {
+                    throw new Error("Not a GeoJSON feature collection");
+                }
+                return features.filter(function (feature) {
+                    return feature && feature.geometry && feature.geometry.type === "Point" &&
+                        Array.isArray(feature.geometry.coordinates);
+                }).map(function (feature) {
+                    var coordinates = feature.geometry.coordinates;
+                    return Object.assign({}, feature.properties, {
+                        longitude: coordinates[0],
+                        latitude: coordinates[1],
+                        altitude: coordinates[2]
+                    });
+                });
+            },
+
+            /**
+             * Writes a KML document with a Placemark per feature. The reported and
+             * extinguished times are the Placemark's TimeSpan; all the fields are in its
+             * ExtendedData.
+             * @param {Object[]} features
+             * @returns {String}
+             */
+            writeKml: function (features) {
+                var xml = FeatureFormats.escapeXml,
+                    lines = [
+                        '<?xml version="1.0" encoding="UTF-8"?>',
+                        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+                        '<Document>'];
+
+                features.forEach(function (feature) {
+                    var properties = FeatureFormats.propertiesOf(feature);
+                    lines.push('<Placemark>');
+                    if (feature.name) {
+                        lines.push('<name>' + xml(feature.name) + '</name>');
+                    }
+                    if (feature.description) {
+                        lines.push('<description>' + xml(feature.description) + '</description>');
+                    }
+                    if (feature.reported || feature.extinguished) {
+                        lines.push('<TimeSpan>' +
+                            (feature.reported ? '<begin>' + xml(feature.reported) + '</begin>' : '') +
+                            (feature.extinguished ? '<end>' + xml(feature.extinguished) + '</end>' : '') +
+                            '</TimeSpan>');
+                    }
+                    lines.push('<ExtendedData>');
+                    Object.keys(properties).forEach(function (field) {
+                        lines.push('<Data name="' + xml(field) + '"><value>' + xml(properties[field]) + '</value></Data>');
+                    });
+                    lines.push('</ExtendedData>');
+                    lines.push('<Point><coordinates>' + feature.longitude + ',' + feature.latitude + ',' +
+                        (feature.altitude || 0) + '</coordinates></Point>');
+                    lines.push('</Placemark>');
+                });
+                lines.push('</Document>', '</kml>');
+                return lines.join('\n');
+            },
+
+            /**
+             * Reads the point Placemarks of a KML document.
+             * @param {String} text
+             * @returns {Object[]} The field values of the points.
+             */
+            readKml: function (text) {
+                var doc = FeatureFormats.parseXml(text),
+                    placemarks = doc.getElementsByTagName("Placemark"),
+                    values = [],
+                    i, placemark, coordinates, data, j, span;
+
+                for (i = 0; i < placemarks.length; i++) {
+                    placemark = placemarks[i];
+                    coordinates = FeatureFormats.childText(placemark.getElementsByTagName("Point")[0], "coordinates");
+                    if (coordinates === null) {
+                        continue;
+                    }
+                    coordinates = coordinates.trim().split(",");
+                    values.push({
+                        name: FeatureFormats.childText(placemark, "name"),
+                        description: FeatureFormats.childText(placemark, "description"),
+                        longitude: coordinates[0],
+                        latitude: coordinates[1],
+                        altitude: coordinates[2]
+                    });
+                    span = placemark.getElementsByTagName("TimeSpan")[0];
+                    if (span) {
+                        values[values.length - 1].reported = FeatureFormats.childText(span, "begin");
+                        values[values.length - 1].extinguished = FeatureFormats.childText(span, "end");
+                    } else {
+                        values[values.length - 1].reported = FeatureFormats.childText(
+                            placemark.getElementsByTagName("TimeStamp")[0], "when");
+                    }
+                    data = placemark.getElementsByTagName("Data");
+                    for (j = 0; j < data.length; j++) {
+                        if (FeatureFormats.LOCATION_FIELDS.indexOf(data[j].getAttribute("name")) < 0) {
+                            values[values.length - 1][data[j].getAttribute("name")] = FeatureFormats.childText(data[j], "value");
+                        }
+                    }
+                }
+                return values;
+            },
+
+            /**
+             * Writes a CSV table with a header row of the FIELDS.
+             * @param {Object[]} features
+             * @returns {String}
+             */
+            writeCsv: function (features) {
+                var rows = [FeatureFormats.FIELDS.join(",")];
+                features.forEach(function (feature) {
+                    rows.push(FeatureFormats.FIELDS.map(function (field) {
+                        return FeatureFormats.escapeCsv(feature[field]);
+                    }).join(","));
+                });
+                return rows.join("\r\n") + "\r\n";
+            },
+
+            /**
+             * Reads a CSV table whose header row names the fields in any case. The location
+             * columns may also be named lat/lon/alt.
+             * @param {String} text
+             * @returns {Object[]} The field values of the rows.
+             */
+            readCsv: function (text) {
+                var rows = FeatureFormats.parseCsv(text),
+                    aliases = {lat: "latitude", lon: "longitude", lng: "longitude", alt: "altitude"},
+                    header;
+
+                if (rows.length === 0) {
+                    throw new Error("The CSV file is empty");
+                }
+                header = rows[0].map(function (name) {
+                    var lower = name.trim().toLowerCase();
+                    return aliases[lower] || FeatureFormats.FIELDS.find(function (field) {
+                        return field.toLowerCase() === lower;
+                    }) || name.trim();
+                });
+                if (header.indexOf("latitude") < 0 || header.indexOf("longitude") < 0) {
+                    throw new Error("The CSV file has no latitude and longitude columns");
+                }
+                return rows.slice(1).filter(function (row) {
+                    return row.length > 1 || row[0] !== "";
+                }).map(function (row) {
+                    var values = {};
+                    header.forEach(function (field, i) {
+                        values[field] = row[i];
+                    });
+                    return values;
+                });
+            },
+
+            /**
+             * Parses CSV text (RFC 4180): quoted fields may contain commas, quotes and line breaks.
+             * @param {String} text
+             * @returns {String[][]} The rows of fields.
+             */
+            parseCsv: function (text) {
+                var rows = [],
+                    row = [],
+                    field = "",
+                    isQuoted = false,
+                    i, c;
+
+                for (i = 0; i < text.length; i++) {
+                    c = text.charAt(i);
+                    if (isQuoted) {
+                        if (c === '"' && text.charAt(i + 1) === '"') {
+                            field += '"';
+                            i++;
+                        } else if (c === '"') {
+                            isQuoted = false;
+                        } else {
+                            field += c;
+                        }
+                    } else if (c === '"') {
+                        isQuoted = true;
+                    } else if (c === ",") {
+                        row.push(field);
+                        field = "";
+                    } else if (c === "\n" || c === "\r") {
+                        if (c === "\r" && text.charAt(i + 1) === "\n") {
+                            i++;
+                        }
+                        row.push(field);
+                        rows.push(row);
+                        row = [];
+                        field = "";
+                    } else {
+                        field += c;
+                    }
+                }
+                if (field !== "" || row.length > 0) {
+                    row.push(field);
+                    rows.push(row);
+                }
+                return rows;
+            },
+
+            /**
+             * Writes a GPX 1.1 document with a waypoint per feature. The reported time is
+             * the waypoint's time and the remaining fields are in its extensions.
+             * @param {Object[]} features
+             * @returns {String}
+             */
+            writeGpx: function (features) {
+                var xml = FeatureFormats.escapeXml,
+                    lines = [
+                        '<?xml version="1.0" encoding="UTF-8"?>',
+                        '<gpx version="1.1" creator="WorldWind Explorer" xmlns="http://www.topografix.com/GPX/1/1"' +
+                        ' xmlns:' + FeatureFormats.GPX_PREFIX + '="' + FeatureFormats.GPX_NAMESPACE + '">'];
+
+                features.forEach(function (feature) {
+                    var properties = FeatureFormats.propertiesOf(feature);
+                    lines.push('<wpt lat="' + feature.latitude + '" lon="' + feature.longitude + '">');
+                    lines.push('<ele>' + (feature.altitude || 0) + '</ele>');
+                    if (feature.reported) {
+                        lines.push('<time>' + xml(feature.reported) + '</time>');
+                    }
+                    if (feature.name) {
+                        lines.push('<name>' + xml(feature.name) + '</name>');
+                    }
+                    if (feature.description) {
+                        lines.push('<desc>' + xml(feature.description) + '</desc>');
+                    }
+                    lines.push('<type>' + xml(feature.type) + '</type>');
+                    lines.push('<extensions>');
+                    Object.keys(properties).forEach(function (field) {
+                        lines.push('<' + FeatureFormats.GPX_PREFIX + ':' + field + '>' + xml(properties[field]) +
+                            '</' + FeatureFormats.GPX_PREFIX + ':' + field + '>');
+                    });
+                    lines.push('</extensions>');
+                    lines.push('</wpt>');
+                });
+                lines.push('</gpx>');
+                return lines.join('\n');
+            },
+
+            /**
+             * Reads the waypoints of a GPX document.
+             * @param {String} text
+             * @returns {Object[]} The field values of the waypoints.
+             */
+            readGpx: function (text) {
+                var doc = FeatureFormats.parseXml(text),
+                    waypoints = doc.getElementsByTagName("wpt"),
+                    values = [],
+                    i, waypoint, extensions, j, element;
+
+                for (i = 0; i < waypoints.length; i++) {
+                    waypoint = waypoints[i];
+                    values.push({
+                        latitude: waypoint.getAttribute("lat"),
+                        longitude: waypoint.getAttribute("lon"),
+                        altitude: FeatureFormats.childText(waypoint, "ele"),
+                        reported: FeatureFormats.childText(waypoint, "time"),
+                        name: FeatureFormats.childText(waypoint, "name"),
+                        description: FeatureFormats.childText(waypoint, "desc"),
+                        type: FeatureFormats.childText(waypoint, "type")
+                    });
+                    extensions = waypoint.getElementsByTagNameNS(FeatureFormats.GPX_NAMESPACE, "*");
+                    for (j = 0; j < extensions.length; j++) {
+                        element = extensions[j];
+                        if (FeatureFormats.LOCATION_FIELDS.indexOf(element.localName) < 0) {
+                            values[values.length - 1][element.localName] = element.textContent;
+                        }
+                    }
+                }
+                return values;
+            },
+
+            // Internal. Parses XML text with the browser's DOMParser.
+            parseXml: function (text) {
+                var doc = new DOMParser().parseFromString(text, "application/xml");
+                if (doc.getElementsByTagName("parsererror").length > 0) {
+                    throw new Error("Not a valid XML document");
+                }
+                return doc;
+            },
+
+            // Internal. Gets the text of the first descendant element with the given tag name.
+            childText: function (element, tagName) {
+                var child = element ? element.getElementsByTagName(tagName)[0] : null;
+                return child ? child.textContent : null;
+            },
+
+            /**
+             * Escapes the XML special characters of a value.
+             * @param {*} value
+             * @returns {String}
+             */
+            escapeXml: function (value) {
+                return String(value)
+                    .replace(/&/g, "&amp;")
+                    .replace(/</g, "&lt;")
+                    .replace(/>/g, "&gt;")
+                    .replace(/"/g, "&quot;")
+                    .replace(/'/g, "&apos;");
+            },
+
+            /**
+             * Formats a value as a CSV field, quoting it if it contains a comma, quote or line break.
+             * @param {*} value
+             * @returns {String} An empty string for null values.
+             */
+            escapeCsv: function (value) {
+                var text = value === null || value === undefined ? "" : String(value);
+                return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+            },
+
+            /** The feature fields, in the CSV column order. */
+            FIELDS: ["type", "name", "latitude", "longitude", "altitude", "reported", "extinguished",
+                "verified", "fid"].concat(fireIncident.FIELDS.map(function (field) {
+                    return field.param;
+                }), ["symbolCode", "image"]),
+
+            /** The fields of a feature's location, which each format stores in its geometry. */
+            LOCATION_FIELDS: ["latitude", "longitude", "altitude"],
+
+            /** The supported formats: {name, extension, mimeType}, keyed by format. */
+            FORMATS: {
+                geojson: {name: "GeoJSON", extension: "geojson", mimeType: "application/geo+json"},
+                kml: {name: "KML", extension: "kml", mimeType: "application/vnd.google-earth.kml+xml"},
+                csv: {name: "CSV", extension: "csv", mimeType: "text/csv"},
+                gpx: {name: "GPX", extension: "gpx", mimeType: "application/gpx+xml"}
+            },
+
+            /** The namespace of the feature fields in the GPX waypoint extensions. */
+            GPX_NAMESPACE: "https://github.com/NASAWorldWindResearch/WorldWindExplorer/gpx/1",
+            /** The prefix of the GPX_NAMESPACE. */
+            GPX_PREFIX: "explorer"
+        };
+
+        return FeatureFormats;
+    }
+);
@@ -0,0 +1,96 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define*/
+
+/**
+ * The GeoRegion module tests geographic locations against regions drawn on the
+ * globe, polygons given by their vertices, and measures their distance to them. The edges are treated as straight lines
+ * in latitude/longitude, which is adequate for the areas of a few tens of
+ * kilometers drawn by the users; polygons crossing the antimeridian are not supported.
+ *
+ * @returns {GeoRegion}
+ */
+define([],
+    function () {
+        "use strict";
+        var GeoRegion = {
+            /**
+             * Determines if a location is inside a polygon with the even-odd rule.
+             * @param {Object[]} polygon The polygon's vertices: {latitude, longitude}; the ring
+             * is closed implicitly.
+             * @param {Number} latitude
+             * @param {Number} longitude
+             * @returns {Boolean} False if the polygon has fewer than three vertices.
+             */
+            containsLocation: function (polygon, latitude, longitude) {
+                var inside = false,
+                    i, j, len, a, b;
+
+                if (!polygon || polygon.length < 3) {
+                    return false;
+                }
+                for (i = 0, len = polygon.length, j = len - 1; i < len; j = i, i += 1) {
+                    a = polygon[i];
+                    b = polygon[j];
+                    if ((a.latitude > latitude) !== (b.latitude > latitude) &&
+                        longitude < (b.longitude - a.longitude) * (latitude - a.latitude) /
+                        (b.latitude - a.latitude) + a.longitude) {
+                        inside = !inside;
+                    }
+                }
+                return inside;
+            },
+
+            /**
+             * Computes the distance from a location to a polygon. The distance is measured on
+             * a plane tangent at the location, which is adequate within a few hundred kilometers.
+             * @param {Object[]} polygon The polygon's vertices: {latitude, longitude}.
+             * @param {Number} latitude
+             * @param {Number} longitude
+             * @returns {Number} The distance in meters to the nearest edge, or zero if the location
+             * is inside the polygon; Infinity if the polygon has no vertices.
+             */
+            distanceToPolygon: function (polygon, latitude, longitude) {
+                var metersPerDegree = GeoRegion.EARTH_RADIUS * Math.PI / 180,
+                    cosLat = Math.cos(latitude * Math.PI / 180),
+                    distance = Infinity,
+                    project = function (location) {
+                        return {
+                            x: (location.longitude - longitude) * metersPerDegree * cosLat,
+                            y: (location.latitude - latitude) * metersPerDegree
+                        };
+                    },
+                    i, len, a, b;
+
+                if (!polygon || polygon.length === 0) {
+                    return Infinity;
+                }
+                if (GeoRegion.containsLocation(polygon, latitude, longitude)) {
+                    return 0;
+                }
+                for (i = 0, len = polygon.length; i < len; i += 1) {
+                    a = project(polygon[i]);
+                    b = project(polygon[(i + 1) % len]);
+                    distance = Math.min(distance, GeoRegion.distanceToSegment(a, b));
+                }
+                return distance;
+            },
+
+            // Internal. Computes the distance from the origin to the segment between two planar points.
+            distanceToSegment: function (a, b) {
+                var dx = b.x - a.x,
+                    dy = b.y - a.y,
+                    lengthSquared = dx * dx + dy * dy,
+                    t = lengthSquared === 0 ? 0 :
+                        Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+                return Math.sqrt(Math.pow(a.x + t * dx, 2) + Math.pow(a.y + t * dy, 2));
+            },
+
+            /** The mean radius of the earth in meters. */
+            EARTH_RADIUS: 6371008.8
+        };
+        return GeoRegion;
+    }
+);
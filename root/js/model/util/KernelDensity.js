@@ -0,0 +1,123 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define*/
+
+/**
+ * The KernelDensity module estimates the density of a set of geographic points
+ * on a regular latitude/longitude grid using a Gaussian kernel. Distances are
+ * computed with an equirectangular approximation, which is adequate for the
+ * kernel radii of a few tens of kilometers used by the heatmaps.
+ *
+ * @returns {KernelDensity}
+ */
+define([],
+    function () {
+        "use strict";
+        var KernelDensity = {
+            /**
+             * Computes the sector enclosing the points, expanded by a margin.
+             * @param {Object[]} points The points: {latitude, longitude}.
+             * @param {Number} margin The margin in meters added on each side.
+             * @returns {Object} {minLatitude, maxLatitude, minLongitude, maxLongitude},
+             * or null if there are no points.
+             */
+            boundingSector: function (points, margin) {
+                var minLat = 90, maxLat = -90, minLon = 180, maxLon = -180,
+                    latMargin, lonMargin;
+
+                if (points.length === 0) {
+                    return null;
+                }
+                points.forEach(function (point) {
+                    minLat = Math.min(minLat, point.latitude);
+                    maxLat = Math.max(maxLat, point.latitude);
+                    minLon = Math.min(minLon, point.longitude);
+                    maxLon = Math.max(maxLon, point.longitude);
+                });
+                latMargin = margin / KernelDensity.METERS_PER_DEGREE;
+                lonMargin = latMargin / Math.max(Math.cos(KernelDensity.toRadians((minLat + maxLat) / 2)), 0.01);
+                return {
+                    minLatitude: Math.max(minLat - latMargin, -90),
+                    maxLatitude: Math.min(maxLat + latMargin, 90),
+                    minLongitude: Math.max(minLon - lonMargin, -180),
+                    maxLongitude: Math.min(maxLon + lonMargin, 180)
+                };
+            },
+            /**
+             * Computes the grid dimensions for a sector: the cells are roughly square on
+             * the ground and the longer side has the given number of cells.
+             * @param {Object} sector The sector from boundingSector.
+             * @param {Number} size The number of cells along the longer side.
+             * @returns {Object} {width, height}
+             */
+            gridSize: function (sector, size) {
+                var midLat = (sector.minLatitude + sector.maxLatitude) / 2,
+                    height = sector.maxLatitude - sector.minLatitude,
+                    width = (sector.maxLongitude - sector.minLongitude) * Math.cos(KernelDensity.toRadians(midLat));
+
+                if (width >= height) {
+                    return {width: size, height: Math.max(1, Math.round(size * height / width))};
+                }
+                return {width: Math.max(1, Math.round(size * width / height)), height: size};
+            },
+            /**
+             * Computes the kernel density at the center of each grid cell. Row 0 is the
+             * northern edge of the sector and column 0 the western edge.
+             * @param {Object[]} points The points: {latitude, longitude, weight}; the weight is optional.
+             * @param {Object} sector The grid extent from boundingSector.
+             * @param {Number} width The number of columns.
+             * @param {Number} height The number of rows.
+             * @param {Number} radius The kernel bandwidth (standard deviation) in meters.
+             * @returns {Object} {values: Float32Array of width * height densities in row order, max}
+             */
+            computeGrid: function (points, sector, width, height, radius) {
+                var values = new Float32Array(width * height),
+                    deltaLat = (sector.maxLatitude - sector.minLatitude) / height,
+                    deltaLon = (sector.maxLongitude - sector.minLongitude) / width,
+                    cutoff = radius * KernelDensity.CUTOFF,
+                    twoSigmaSquared = 2 * radius * radius,
+                    max = 0;
+
+                points.forEach(function (point) {
+                    var weight = point.weight === undefined ? 1 : point.weight,
+                        metersPerDegreeLon = KernelDensity.METERS_PER_DEGREE *
+                            Math.max(Math.cos(KernelDensity.toRadians(point.latitude)), 0.01),
+                        cutoffLat = cutoff / KernelDensity.METERS_PER_DEGREE,
+                        cutoffLon = cutoff / metersPerDegreeLon,
+                        rowMin = Math.max(0, Math.floor((sector.maxLatitude - point.latitude - cutoffLat) / deltaLat)),
+                        rowMax = Math.min(height - 1, Math.floor((sector.maxLatitude - point.latitude + cutoffLat) / deltaLat)),
+                        colMin = Math.max(0, Math.floor((point.longitude - sector.minLongitude - cutoffLon) / deltaLon)),
+                        colMax = Math.min(width - 1, Math.floor((point.longitude - sector.minLongitude + cutoffLon) / deltaLon)),
+                        row, col, dy, dx, index;
+
+                    for (row = rowMin; row <= rowMax; row++) {
+                        dy = (sector.maxLatitude - (row + 0.5) * deltaLat - point.latitude) * KernelDensity.METERS_PER_DEGREE;
+                        for (col = colMin; col <= colMax; col++) {
+                            dx = (sector.minLongitude + (col + 0.5) * deltaLon - point.longitude) * metersPerDegreeLon;
+                            index = row * width + col;
+                            values[index] += weight * Math.exp(-(dx * dx + dy * dy) / twoSigmaSquared);
+                            max = Math.max(max, values[index]);
+                        }
+                    }
+                });
+                return {values: values, max: max};
+            },
+            /**
+             * Converts degrees to radians.
+             * @param {Number} degrees
+             * @returns {Number}
+             */
+            toRadians: function (degrees) {
+                return degrees * Math.PI / 180;
+            },
+            /** The approximate length of a degree of latitude in meters. */
+            METERS_PER_DEGREE: 111320,
+            /** The distance, in kernel radii, beyond which a point's contribution is ignored. */
+            CUTOFF: 3
+        };
+
+        return KernelDensity;
+    }
+);
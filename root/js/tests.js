@@ -6,9 +6,19 @@
 require.config({
     baseUrl: 'js/',
     paths: {
-        'QUnit': 'libs/qunit/qunit-1.21.0'
+        'QUnit': 'libs/qunit/qunit-1.21.0',
+        'jquery': 'libs/jquery/jquery-2.1.3',
+        'jqueryui': 'libs/jquery-ui/jquery-ui-1.11.4',
+        'jquery-growl': 'libs/jquery-plugins/growl/jquery.growl',
+        'knockout': 'libs/knockout/knockout-3.4.0.debug',
+        'milsymbol': 'libs/milsymbol/1.3.3/milsymbol',
+        'moment': 'libs/moment/moment-2.14.1',
+        'worldwind': 'libs/webworldwind/v0.9.0/worldwind'
     },
     shim: {
+        'jquery-growl': {
+            deps: ['jquery']
+        },
         'QUnit': {
             exports: 'QUnit',
             init: function () {
@@ -22,10 +32,54 @@ require.config({
 // require the unit tests.
 require([
     'QUnit',
-    'tests/sun/SolarCalculatorTest'],
-        function (QUnit, SolarCalculatorTest) {
+    'tests/fires/FireAuthTest',
+    'tests/fires/FireBufferTest',
+    'tests/fires/FireDuplicateDetectorTest',
+    'tests/fires/FireFeedTest',
+    'tests/fires/FireIndexTest',
+    'tests/fires/FireOutboxTest',
+    'tests/fires/FireHistoryTest',
+    'tests/fires/FireRestAPITest',
+    'tests/fires/FireServiceTest',
+    'tests/fires/FireSchemaTest',
+    'tests/fires/FireTimeFilterTest',
+    'tests/fires/FirePerimeterTest',
+    'tests/fires/FirmsParserTest',
+    'tests/fires/GeoJsonFireDataSourceTest',
+    'tests/fires/SurfaceFireTest',
+    'tests/globe/ClusteringLayerTest',
+    'tests/globe/PlacemarkClusterTest',
+    'tests/military/TacticalSymbolPlacemarkTest',
+    'tests/sun/SolarCalculatorTest',
+    'tests/util/ExifReaderTest',
+    'tests/util/FeatureFormatsTest',
+    'tests/util/GeoRegionTest',
+    'tests/util/KernelDensityTest'],
+        function (QUnit, FireAuthTest, FireBufferTest, FireDuplicateDetectorTest, FireFeedTest, FireIndexTest, FireOutboxTest, FireHistoryTest, FireRestAPITest, FireServiceTest, FireSchemaTest, FireTimeFilterTest, FirePerimeterTest, FirmsParserTest, GeoJsonFireDataSourceTest, SurfaceFireTest, ClusteringLayerTest, PlacemarkClusterTest, TacticalSymbolPlacemarkTest, SolarCalculatorTest, ExifReaderTest, FeatureFormatsTest, GeoRegionTest, KernelDensityTest) {
             // Run the tests.
+            FireAuthTest.run();
+            FireBufferTest.run();
+            FireDuplicateDetectorTest.run();
+            FireFeedTest.run();
+            FireIndexTest.run();
+            FireOutboxTest.run();
+            FireHistoryTest.run();
+            FireRestAPITest.run();
+            FireServiceTest.run();
+            FireSchemaTest.run();
+            FireTimeFilterTest.run();
+            FirePerimeterTest.run();
+            FirmsParserTest.run();
+            GeoJsonFireDataSourceTest.run();
+            SurfaceFireTest.run();
+            ClusteringLayerTest.run();
+            PlacemarkClusterTest.run();
+            TacticalSymbolPlacemarkTest.run();
             SolarCalculatorTest.run();
+            ExifReaderTest.run();
+            FeatureFormatsTest.run();
+            GeoRegionTest.run();
+            KernelDensityTest.run();
             
             // Start QUnit.
             QUnit.load();
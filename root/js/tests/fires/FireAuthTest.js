@@ -0,0 +1,110 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+define(['model/fires/FireAuth', 'model/Constants', 'QUnit'],
+        function (FireAuth, constants, QUnit) {
+            "use strict";
+            var SESSION = {
+                    accessToken: "access",
+                    refreshToken: "refresh",
+                    expires: 0,
+                    user: {username: "chief", role: FireAuth.ROLE_RESPONDER}
+                },
+                // A data source supporting auth that records the restored sessions
+                stubDataSource = function () {
+                    return {
+                        supportsAuth: true,
+                        restored: [],
+                        restoreSession: function (session) {
+                            this.restored.push(session);
+                        },
+                        signIn: function (username, password) {
+                            return password === "secret" ?
+                                Promise.resolve(SESSION) : Promise.reject({status: 401, message: "Unauthorized"});
+                        }
+                    };
+                },
+                // Runs a test without disturbing the browser's saved session
+                withSavedSession = function (saved, testFn) {
+                    var previous = localStorage.getItem(constants.STORAGE_KEY_FIRE_SESSION);
+                    FireAuth.saveSession(saved);
+                    try {
+                        testFn();
+                    } finally {
+                        if (previous === null) {
+                            localStorage.removeItem(constants.STORAGE_KEY_FIRE_SESSION);
+                        } else {
+                            localStorage.setItem(constants.STORAGE_KEY_FIRE_SESSION, previous);
+                        }
+                    }
+                };
+
+            var run = function () {
+
+                test("a data source without auth treats the users as responders", function (assert) {
+                    var auth = new FireAuth({});
+
+                    assert.ok(!auth.isRequired, "not required");
+                    assert.equal(auth.role(), FireAuth.ROLE_RESPONDER, "role");
+                    assert.ok(auth.canEdit() && auth.canVerify(), "may edit and verify");
+                });
+
+                test("the role follows the signed-in user", function (assert) {
+                    withSavedSession(null, function () {
+                        var auth = new FireAuth(stubDataSource());
+
+                        assert.ok(auth.isRequired, "required");
+                        assert.ok(!auth.isSignedIn(), "signed out");
+                        assert.equal(auth.role(), FireAuth.ROLE_PUBLIC, "anonymous user is public");
+                        assert.ok(!auth.canEdit() && !auth.canVerify(), "anonymous user may not edit or verify");
+
+                        auth.dataSource.onSessionChanged({refreshToken: "r", user: {username: "jo", role: "public"}});
+                        assert.ok(auth.isSignedIn(), "signed in");
+                        assert.ok(!auth.canEdit(), "public user may not edit");
+
+                        auth.dataSource.onSessionChanged({refreshToken: "r", user: {username: "jo", role: "admin"}});
+                        assert.equal(auth.role(), FireAuth.ROLE_PUBLIC, "unknown role is public");
+
+                        auth.dataSource.onSessionChanged(SESSION);
+                        assert.ok(auth.canEdit() && auth.canVerify(), "responder may edit and verify");
+                        assert.deepEqual(FireAuth.loadSession(), SESSION, "session saved");
+
+                        auth.dataSource.onSessionChanged(null);
+                        assert.ok(!auth.isSignedIn() && !auth.canEdit(), "signed out");
+                        assert.equal(FireAuth.loadSession(), null, "saved session removed");
+                    });
+                });
+
+                test("the saved session is restored, unless it is invalid", function (assert) {
+                    withSavedSession(SESSION, function () {
+                        assert.deepEqual(new FireAuth(stubDataSource()).dataSource.restored, [SESSION], "restored");
+                    });
+                    withSavedSession({user: SESSION.user}, function () {
+                        assert.equal(new FireAuth(stubDataSource()).dataSource.restored.length, 0, "no refresh token");
+                    });
+                    withSavedSession(null, function () {
+                        localStorage.setItem(constants.STORAGE_KEY_FIRE_SESSION, "{");
+                        assert.equal(FireAuth.loadSession(), null, "malformed");
+                    });
+                });
+
+                test("signIn reports the failures for display", function (assert) {
+                    var done = assert.async(),
+                        auth = new FireAuth({supportsAuth: false, signIn: stubDataSource().signIn});
+
+                    auth.signIn("chief", "wrong").then(function () {
+                        assert.ok(false, "rejected");
+                        done();
+                    }, function (error) {
+                        assert.equal(error.message, "Invalid username or password.", "message");
+                        assert.ok(!auth.isSigningIn(), "no longer signing in");
+                        return auth.signIn("chief", "secret").then(function (user) {
+                            assert.equal(user, SESSION.user, "user");
+                            done();
+                        });
+                    });
+                });
+            };
+            return {run: run};
+        });
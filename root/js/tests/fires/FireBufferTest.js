@@ -0,0 +1,76 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+define(['model/fires/FireBuffer', 'model/fires/FirePerimeter', 'model/util/GeoRegion', 'QUnit'],
+        function (fireBuffer, firePerimeter, geoRegion, QUnit) {
+            "use strict";
+            var run = function () {
+
+                test("parseDistances sorts and drops invalid distances", function (assert) {
+                    assert.deepEqual(fireBuffer.parseDistances("10, 1;5 5 x -2 0"), [1, 5, 10], "distances");
+                    assert.deepEqual(fireBuffer.parseDistances(""), [], "empty");
+                });
+
+                test("circle vertices are at the radius, counterclockwise", function (assert) {
+                    var ring = fireBuffer.circle(34.2, -119.1, 5000, 36);
+
+                    assert.equal(ring.length, 36, "vertex count");
+                    assert.ok(ring.every(function (location) {
+                        return Math.abs(firePerimeter.distance(34.2, -119.1, location.latitude, location.longitude) - 5000) < 0.01;
+                    }), "geodesic radius");
+                    assert.ok(ring[0].latitude > 34.2 && Math.abs(ring[0].longitude + 119.1) < 1e-9, "starts north");
+                    assert.ok(fireBuffer.signedArea(ring) > 0, "counterclockwise");
+                });
+
+                test("union merges overlapping circles and keeps the others", function (assert) {
+                    var east = fireBuffer.destination(34.2, -119.1, 90, 1500),
+                        polygons = fireBuffer.union([
+                            {latitude: 34.2, longitude: -119.1, radius: 1000},
+                            {latitude: east.latitude, longitude: east.longitude, radius: 1000},
+                            {latitude: 35, longitude: -119.1, radius: 1000}]),
+                        merged = polygons.filter(function (polygon) {
+                            return polygon[0].length !== fireBuffer.CIRCLE_SEGMENTS;
+                        })[0],
+                        middle = fireBuffer.destination(34.2, -119.1, 90, 750),
+                        errors;
+
+                    assert.equal(polygons.length, 2, "one polygon for the overlapping pair, one for the lone circle");
+                    assert.equal(merged.length, 1, "no holes");
+                    assert.ok(geoRegion.containsLocation(merged[0], middle.latitude, middle.longitude), "covers the overlap");
+                    errors = merged[0].map(function (location) {
+                        return Math.abs(Math.min(
+                            firePerimeter.distance(34.2, -119.1, location.latitude, location.longitude),
+                            firePerimeter.distance(east.latitude, east.longitude, location.latitude, location.longitude)) - 1000);
+                    });
+                    assert.ok(Math.max.apply(null, errors) < 1000 / fireBuffer.CELLS_PER_RADIUS, "boundary at the radius");
+                    assert.ok(fireBuffer.signedArea(merged[0]) > 0, "outer ring counterclockwise");
+                });
+
+                test("union of a ring of circles has a hole", function (assert) {
+                    var circles = [0, 60, 120, 180, 240, 300].map(function (bearing) {
+                            var center = fireBuffer.destination(34.2, -119.1, bearing, 3000);
+                            return {latitude: center.latitude, longitude: center.longitude, radius: 1800};
+                        }),
+                        polygons = fireBuffer.union(circles);
+
+                    assert.equal(polygons.length, 1, "one polygon");
+                    assert.equal(polygons[0].length, 2, "outer ring and hole");
+                    assert.ok(geoRegion.containsLocation(polygons[0][1], 34.2, -119.1), "hole around the center");
+                    assert.ok(fireBuffer.signedArea(polygons[0][1]) < 0, "hole clockwise");
+                });
+
+                test("toGeoJson writes closed MultiPolygons by distance", function (assert) {
+                    var polygons = fireBuffer.union([{latitude: 34.2, longitude: -119.1, radius: 1000}]),
+                        json = fireBuffer.toGeoJson([{distance: 1, polygons: polygons}], {name: "Hazard"}),
+                        ring = json.features[0].geometry.coordinates[0][0];
+
+                    assert.equal(json.features[0].geometry.type, "MultiPolygon", "MultiPolygon");
+                    assert.deepEqual(ring[0], ring[ring.length - 1], "closed ring");
+                    assert.deepEqual(json.features[0].properties, {distance_km: 1, name: "Hazard"}, "properties");
+                });
+            };
+            return {
+                run: run
+            };
+        });
@@ -0,0 +1,107 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+define(['model/fires/FireDuplicateDetector', 'knockout', 'QUnit'],
+        function (FireDuplicateDetector, ko, QUnit) {
+            "use strict";
+            var stubSymbol = function (id, fid, latitude, longitude, timeReported) {
+                    return {
+                        fid: fid,
+                        id: ko.observable(id),
+                        name: ko.observable("Fire " + id),
+                        latitude: ko.observable(latitude),
+                        longitude: ko.observable(longitude),
+                        koTimeReported: ko.observable(timeReported),
+                        isExtinguished: ko.observable(false),
+                        possibleDuplicates: ko.observableArray(),
+                        mergedReports: ko.observableArray()
+                    };
+                },
+                stubSymbolManager = function () {
+                    return {
+                        symbols: ko.observableArray(),
+                        removeSymbol: function (symbol) {
+                            this.symbols.remove(symbol);
+                        }
+                    };
+                },
+                // Runs the callback after a moved fire is compared again
+                afterMove = function (callback) {
+                    window.setTimeout(callback, FireDuplicateDetector.MOVE_DELAY + 50);
+                };
+
+            var run = function () {
+
+                test("a moved fire is compared to the other fires again", function (assert) {
+                    var done = assert.async(),
+                        symbolManager = stubSymbolManager(),
+                        detector = new FireDuplicateDetector(symbolManager),
+                        a = stubSymbol("a", 1, 34, -119, "2018-10-20T10:00:00Z"),
+                        b = stubSymbol("b", 2, 35, -119, "2018-10-20T11:00:00Z");
+
+                    symbolManager.symbols.push(a);
+                    symbolManager.symbols.push(b);
+                    assert.equal(a.possibleDuplicates().length, 0, "far apart");
+
+                    b.latitude(34.001);
+                    afterMove(function () {
+                        assert.equal(a.possibleDuplicates()[0], b, "flagged after the move");
+                        assert.equal(b.possibleDuplicates()[0], a, "flagged both ways");
+
+                        b.latitude(35);
+                        afterMove(function () {
+                            assert.equal(a.possibleDuplicates().length, 0, "cleared after moving away");
+                            assert.equal(b.possibleDuplicates().length, 0, "cleared both ways");
+
+                            symbolManager.symbols.remove(b);
+                            assert.ok(!detector.locationSubscriptions.b, "removed fire no longer watched");
+                            done();
+                        });
+                    });
+                });
+
+                test("merge saves the merged reports on the canonical fire", function (assert) {
+                    var symbolManager = stubSymbolManager(),
+                        saved = [],
+                        deleted = [],
+                        detector = new FireDuplicateDetector(symbolManager, {
+                            checkCanEdit: function () {
+                                return true;
+                            },
+                            saveFire: function (symbol) {
+                                saved.push(symbol);
+                                return Promise.resolve();
+                            },
+                            deleteFire: function (symbol) {
+                                deleted.push(symbol);
+                                symbolManager.removeSymbol(symbol);
+                            }
+                        }),
+                        kept = stubSymbol("a", 1, 34, -119, "2018-10-20T11:00:00Z"),
+                        duplicate = stubSymbol("b", null, 34.001, -119, "2018-10-20T10:00:00Z");
+
+                    symbolManager.symbols.push(kept);
+                    symbolManager.symbols.push(duplicate);
+                    assert.equal(detector.mergePair(duplicate, kept), kept, "the saved fire is kept");
+                    assert.equal(saved[0], kept, "canonical fire saved");
+                    assert.equal(deleted[0], duplicate, "duplicate deleted");
+                    assert.deepEqual(FireDuplicateDetector.toParams(kept.mergedReports()),
+                        [{id: "b", time: "2018-10-20T10:00:00.000Z"}], "merged report params");
+                });
+
+                test("merged reports round trip thru the fire records", function (assert) {
+                    var reports = FireDuplicateDetector.fromRecord({
+                        fire_merged_reports: [{id: 5, time: "2018-10-20T10:00:00.000Z"}, {id: "s1", time: null}]
+                    });
+
+                    assert.equal(reports[1].timeText, "Unknown", "unknown time");
+                    assert.ok(FireDuplicateDetector.isEqual(reports, [{id: "5", time: "2018-10-20T10:00:00.000Z"},
+                        {id: "s1", time: null}]), "equal ids and times");
+                    assert.ok(!FireDuplicateDetector.isEqual(reports, reports.slice(1)), "different lengths");
+                    assert.ok(FireDuplicateDetector.isEqual(null, []), "missing is empty");
+                    assert.deepEqual(FireDuplicateDetector.fromRecord({}), [], "no merged reports");
+                });
+            };
+            return {run: run};
+        });
@@ -0,0 +1,62 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+define(['model/Constants', 'model/Events', 'model/fires/FireFeed', 'QUnit'],
+        function (constants, events, FireFeed, QUnit) {
+            "use strict";
+            var run = function () {
+
+                test("parseMessage accepts the event messages and the SSE named events", function (assert) {
+                    var fire = {fid: 1, fire_lat: 34, fire_lon: -119};
+
+                    assert.deepEqual(FireFeed.parseMessage(JSON.stringify({type: "created", fire: fire})),
+                        {type: "created", fire: fire}, "message text");
+                    assert.deepEqual(FireFeed.parseMessage({type: "deleted", fire: {fid: 1}}),
+                        {type: "deleted", fire: {fid: 1}}, "message object");
+                    assert.deepEqual(FireFeed.parseMessage(JSON.stringify(fire), "updated"),
+                        {type: "updated", fire: fire}, "named event");
+                });
+
+                test("parseMessage rejects invalid messages", function (assert) {
+                    assert.strictEqual(FireFeed.parseMessage("{not json"), null, "invalid JSON");
+                    assert.strictEqual(FireFeed.parseMessage("42"), null, "not an object");
+                    assert.strictEqual(FireFeed.parseMessage(JSON.stringify({type: "moved", fire: {fid: 1}})), null, "unknown type");
+                    assert.strictEqual(FireFeed.parseMessage(JSON.stringify({type: "created"})), null, "missing fire");
+                    assert.strictEqual(FireFeed.parseMessage(JSON.stringify("text"), "created"), null, "named event without a record");
+                });
+
+                test("receive publishes the valid messages", function (assert) {
+                    var feed = new FireFeed({type: constants.FIRE_FEED_LOCAL}),
+                        received = [];
+
+                    feed.on(events.EVENT_FIRE_FEED_RECEIVED, function (message) {
+                        received.push(message);
+                    });
+                    feed.receive(JSON.stringify({type: "created", fire: {fid: 1}}));
+                    feed.receive("{not json");
+                    feed.receive(JSON.stringify({fid: 2}), "deleted");
+
+                    assert.deepEqual(received, [{type: "created", fire: {fid: 1}}, {type: "deleted", fire: {fid: 2}}],
+                        "invalid message ignored");
+                });
+
+                test("disconnect closes the connection and stops reconnecting", function (assert) {
+                    var feed = new FireFeed({type: constants.FIRE_FEED_WEBSOCKET}),
+                        closed = false;
+
+                    feed.connection = {
+                        close: function () {
+                            closed = true;
+                        }
+                    };
+                    feed.isConnected(true);
+                    feed.disconnect();
+                    assert.ok(closed, "closed");
+                    assert.ok(feed.isClosing, "won't reconnect");
+                    assert.ok(!feed.isConnected(), "disconnected");
+                    assert.strictEqual(feed.connection, null, "connection released");
+                });
+            };
+            return {run: run};
+        });
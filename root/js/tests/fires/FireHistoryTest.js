@@ -0,0 +1,55 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+define(['model/fires/FireDataSource', 'model/fires/FireHistory', 'QUnit'],
+        function (FireDataSource, fireHistory, QUnit) {
+            "use strict";
+            var run = function () {
+
+                test("newRecord and applyParams record the changes", function (assert) {
+                    var record = FireDataSource.newRecord(1, {lat: 34.2, lon: -119.1, alt: 10, client: "a"}),
+                        history;
+
+                    FireDataSource.applyParams(record, {lat: 34.2, lon: -119.1, alt: 10, verified: true, size: 12, client: "b"});
+                    FireDataSource.applyParams(record, {lat: 34.2, lon: -119.1, alt: 10, verified: true, size: 12, client: "b"});
+                    history = record.fire_history;
+
+                    assert.equal(history.length, 2, "unchanged updates are not recorded");
+                    assert.equal(history[0].type, fireHistory.TYPE_CREATED, "created");
+                    assert.equal(history[0].client, "a", "creating client");
+                    assert.deepEqual(history[1].changes, [
+                        {field: "verified", from: false, to: true},
+                        {field: "size", from: null, to: 12}], "changed fields");
+                    assert.equal(history[1].client, "b", "updating client");
+                    assert.equal(history[1].state.size, 12, "state snapshot");
+                });
+
+                test("describe summarizes the changes", function (assert) {
+                    var record = FireDataSource.newRecord(1, {lat: 34.2, lon: -119.1, alt: 0});
+
+                    FireDataSource.applyParams(record, {lat: 34.25, exttime: "2018-10-21", cause: "Lightning"});
+
+                    assert.deepEqual(fireHistory.describe(record.fire_history[0]), ["Reported at 34.2000, -119.1000"], "created");
+                    assert.deepEqual(fireHistory.describe(record.fire_history[1]), [
+                        "Moved to 34.2500, -119.1000",
+                        "Extinguished 2018-10-21",
+                        "Cause: none → Lightning"], "updated");
+                });
+
+                test("validateEntries sorts and rejects invalid entries", function (assert) {
+                    var older = {time: "2018-10-20T10:00:00Z", client: null, type: "created", changes: [], state: {lat: 1, lon: 2}},
+                        newer = {time: "2018-10-21T10:00:00Z", client: null, type: "updated", changes: [], state: {lat: 1, lon: 3}},
+                        result = fireHistory.validateEntries(JSON.stringify([newer, older]));
+
+                    assert.strictEqual(result.reason, null, "valid");
+                    assert.equal(result.entries[0].type, "created", "oldest first");
+                    assert.deepEqual(fireHistory.validateEntries(null).entries, [], "empty history");
+                    assert.ok(fireHistory.validateEntries([{time: "2018-10-20", type: "moved", changes: [], state: {lat: 1, lon: 2}}]).reason,
+                        "unknown type");
+                });
+            };
+            return {
+                run: run
+            };
+        });
@@ -0,0 +1,65 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+define(['model/fires/FireIndex', 'model/fires/FirePerimeter', 'QUnit'],
+        function (FireIndex, firePerimeter, QUnit) {
+            "use strict";
+            var run = function () {
+
+                test("nearest matches a linear scan", function (assert) {
+                    var entries = [],
+                        seed = 7,
+                        random = function () {
+                            seed = (seed * 16807) % 2147483647;
+                            return seed / 2147483647;
+                        },
+                        index, expected, i;
+
+                    for (i = 0; i < 2000; i += 1) {
+                        entries.push({latitude: random() * 180 - 90, longitude: random() * 360 - 180, item: i});
+                    }
+                    index = new FireIndex(entries);
+                    [[34.2, -119.1], [-60, 179.9], [89, 0]].forEach(function (target) {
+                        expected = entries.map(function (entry) {
+                            return {item: entry.item, distance: firePerimeter.distance(target[0], target[1], entry.latitude, entry.longitude)};
+                        }).sort(function (a, b) {
+                            return a.distance - b.distance;
+                        }).slice(0, 5);
+                        assert.deepEqual(index.nearest(target[0], target[1], 5).map(function (result) {
+                            return result.item;
+                        }), expected.map(function (result) {
+                            return result.item;
+                        }), "nearest five to " + target);
+                    });
+                    assert.equal(index.size, 2000, "size");
+                });
+
+                test("nearest crosses the antimeridian and honors the limits", function (assert) {
+                    var index = new FireIndex([
+                            {latitude: 0, longitude: 179.99, item: "east"},
+                            {latitude: 0, longitude: 170, item: "far"},
+                            {latitude: NaN, longitude: 0, item: "invalid"}]),
+                        results = index.nearest(0, -179.99, 5);
+
+                    assert.deepEqual(results.map(function (result) {
+                        return result.item;
+                    }), ["east", "far"], "ordered, invalid ignored");
+                    assert.ok(Math.abs(results[0].distance - 2224) < 1, "distance across the antimeridian");
+                    assert.ok(Math.abs(results[0].bearing - 270) < 0.01, "bearing west");
+                    assert.equal(index.nearest(0, -179.99, 5, 10000).length, 1, "max distance");
+                    assert.equal(index.nearest(0, -179.99, 0).length, 0, "count");
+                    assert.equal(new FireIndex([]).nearest(0, 0, 3).length, 0, "empty index");
+                });
+
+                test("bearing and compassPoint", function (assert) {
+                    assert.ok(Math.abs(FireIndex.bearing(0, 0, 1, 0)) < 1e-9, "north");
+                    assert.ok(Math.abs(FireIndex.bearing(0, 0, 0, 1) - 90) < 1e-9, "east");
+                    assert.equal(FireIndex.compassPoint(0), "N", "N");
+                    assert.equal(FireIndex.compassPoint(22.5), "NNE", "NNE");
+                    assert.equal(FireIndex.compassPoint(200), "SSW", "SSW");
+                    assert.equal(FireIndex.compassPoint(355), "N", "wraps");
+                });
+            };
+            return {run: run};
+        });
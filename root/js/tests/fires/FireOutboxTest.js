@@ -0,0 +1,171 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+define(['model/Events', 'model/fires/FireOutbox', 'QUnit'],
+        function (events, FireOutbox, QUnit) {
+            "use strict";
+            var STORAGE_KEY = "test_fire_outbox",
+                // A data source whose operations settle when the test resolves or rejects them
+                stubDataSource = function () {
+                    var calls = [],
+                        call = function (type, fid, params, requestId) {
+                            return new Promise(function (resolve, reject) {
+                                calls.push({type: type, fid: fid, params: params, requestId: requestId,
+                                    resolve: resolve, reject: reject});
+                            });
+                        };
+                    return {
+                        calls: calls,
+                        createFire: function (params, requestId) {
+                            return call("create", null, params, requestId);
+                        },
+                        updateFire: function (fid, params) {
+                            return call("update", fid, params);
+                        },
+                        deleteFire: function (fid) {
+                            return call("delete", fid, null);
+                        }
+                    };
+                },
+                // Runs the callback after the pending promise callbacks
+                later = function (callback) {
+                    window.setTimeout(callback, 0);
+                },
+                createOutbox = function (dataSource, operations) {
+                    if (operations) {
+                        localStorage.setItem(STORAGE_KEY, JSON.stringify(operations));
+                    } else {
+                        localStorage.removeItem(STORAGE_KEY);
+                    }
+                    return new FireOutbox(dataSource, STORAGE_KEY);
+                },
+                cleanup = function (outbox) {
+                    window.clearTimeout(outbox.retryTimeout);
+                    localStorage.removeItem(STORAGE_KEY);
+                };
+
+            var run = function () {
+
+                test("enqueue coalesces updates and resolves the fid from the create", function (assert) {
+                    var done = assert.async(),
+                        dataSource = stubDataSource(),
+                        outbox = createOutbox(dataSource);
+
+                    outbox.enqueue("create", "s1", null, {lat: 34, lon: -119});
+                    outbox.enqueue("update", "s1", null, {lat: 35, lon: -119});
+                    outbox.enqueue("update", "s1", null, {lat: 36, lon: -119});
+
+                    assert.equal(dataSource.calls.length, 1, "one operation at a time");
+                    assert.equal(outbox.pendingCount(), 2, "the updates were coalesced");
+                    assert.ok(outbox.hasOperations("s1"), "hasOperations");
+                    assert.equal(JSON.parse(localStorage.getItem(STORAGE_KEY)).length, 2, "persisted");
+
+                    dataSource.calls[0].resolve({fid: 7});
+                    later(function () {
+                        assert.equal(dataSource.calls.length, 2, "the update follows the create");
+                        assert.equal(dataSource.calls[1].type, "update", "update");
+                        assert.equal(dataSource.calls[1].fid, 7, "with the created fid");
+                        assert.equal(dataSource.calls[1].params.lat, 36, "with the last params");
+                        dataSource.calls[1].resolve({fid: 7});
+                        later(function () {
+                            assert.equal(outbox.pendingCount(), 0, "queue emptied");
+                            assert.ok(!outbox.hasOperations("s1"), "no operations left");
+                            cleanup(outbox);
+                            done();
+                        });
+                    });
+                });
+
+                test("failed operations are retried unless the data source refuses them", function (assert) {
+                    var done = assert.async(),
+                        dataSource = stubDataSource(),
+                        outbox = createOutbox(dataSource),
+                        failures = [],
+                        refused = new Error("not found");
+
+                    outbox.on(events.EVENT_FIRE_OPERATION_FAILED, function (result) {
+                        failures.push(result);
+                    });
+                    outbox.enqueue("update", "s1", 3, {lat: 34, lon: -119});
+                    outbox.enqueue("update", "s2", 4, {lat: 35, lon: -119});
+                    dataSource.calls[0].reject(new Error("timeout"));
+                    later(function () {
+                        var operation = outbox.operations[0];
+                        assert.equal(failures.length, 1, "failure reported");
+                        assert.ok(!failures[0].discarded, "kept for retry");
+                        assert.equal(operation.attempts, 1, "attempt counted");
+                        assert.ok(operation.nextAttempt > Date.now(), "backoff scheduled");
+                        assert.equal(dataSource.calls.length, 1, "the queue waits for the retry");
+
+                        refused.retryable = false;
+                        outbox.replay();
+                        dataSource.calls[1].reject(refused);
+                        later(function () {
+                            assert.ok(failures[1].discarded, "refused operation discarded");
+                            assert.ok(!outbox.hasOperations("s1"), "removed from the queue");
+                            assert.equal(dataSource.calls[2].fid, 4, "the next operation proceeds");
+                            cleanup(outbox);
+                            done();
+                        });
+                    });
+                });
+
+                test("an operation that keeps failing is retried, not discarded", function (assert) {
+                    var done = assert.async(),
+                        dataSource = stubDataSource(),
+                        outbox = createOutbox(dataSource, [{
+                            id: "op1", type: "create", symbolId: "s1", fid: null, params: {},
+                            attempts: 100, nextAttempt: 0, lastError: "timeout"
+                        }]),
+                        failures = [];
+
+                    outbox.on(events.EVENT_FIRE_OPERATION_FAILED, function (result) {
+                        failures.push(result);
+                    });
+                    dataSource.calls[0].reject(new Error("timeout"));
+                    later(function () {
+                        assert.ok(!failures[0].discarded, "kept for retry");
+                        assert.equal(outbox.pendingCount(), 1, "still queued");
+                        assert.ok(outbox.operations[0].nextAttempt <= Date.now() + FireOutbox.MAX_RETRY_DELAY, "at the maximum delay");
+                        cleanup(outbox);
+                        done();
+                    });
+                });
+
+                test("operations restored from storage are sent at once", function (assert) {
+                    var dataSource = stubDataSource(),
+                        outbox = createOutbox(dataSource, [{
+                            id: "op1", type: "create", symbolId: "s1", fid: null, params: {lat: 34, lon: -119},
+                            attempts: 0, nextAttempt: 0, lastError: null
+                        }]);
+
+                    assert.equal(outbox.pendingCount(), 1, "restored");
+                    assert.equal(dataSource.calls.length, 1, "sent without waiting for an online event");
+                    assert.equal(dataSource.calls[0].type, "create", "create");
+                    assert.equal(dataSource.calls[0].requestId, "op1", "identified by the operation id");
+                    cleanup(outbox);
+                });
+
+                test("updates and deletes of a fire that was never created are dropped", function (assert) {
+                    var done = assert.async(),
+                        dataSource = stubDataSource(),
+                        outbox = createOutbox(dataSource);
+
+                    outbox.enqueue("delete", "s1", null, {});
+                    later(function () {
+                        assert.equal(dataSource.calls.length, 0, "nothing sent");
+                        assert.equal(outbox.pendingCount(), 0, "queue emptied");
+                        cleanup(outbox);
+                        done();
+                    });
+                });
+
+                test("retryDelay backs off exponentially up to the maximum", function (assert) {
+                    assert.equal(FireOutbox.retryDelay(1), FireOutbox.BASE_RETRY_DELAY, "first retry");
+                    assert.equal(FireOutbox.retryDelay(3), FireOutbox.BASE_RETRY_DELAY * 4, "third retry");
+                    assert.equal(FireOutbox.retryDelay(30), FireOutbox.MAX_RETRY_DELAY, "capped");
+                });
+            };
+            return {run: run};
+        });
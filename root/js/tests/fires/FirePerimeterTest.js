@@ -0,0 +1,65 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+define(['model/fires/FirePerimeter', 'QUnit'],
+        function (firePerimeter, QUnit) {
+            "use strict";
+            var square = [
+                    {latitude: 0, longitude: 0},
+                    {latitude: 0, longitude: 1},
+                    {latitude: 1, longitude: 1},
+                    {latitude: 1, longitude: 0}],
+                run = function () {
+
+                    test("toGeometry closes the ring counterclockwise", function (assert) {
+                        var geometry = firePerimeter.toGeometry(square.slice().reverse()),
+                            ring = geometry.coordinates[0];
+
+                        assert.equal(geometry.type, "Polygon", "GeoJSON Polygon");
+                        assert.equal(ring.length, 5, "closing position added");
+                        assert.deepEqual(ring[0], ring[4], "closed");
+                        assert.ok(firePerimeter.ringArea(ring) > 0, "counterclockwise");
+                        assert.ok(firePerimeter.isValidGeometry(geometry), "valid");
+                        assert.equal(firePerimeter.toLocations(geometry).length, 4, "vertices without the closing position");
+                    });
+
+                    test("area and length of a one degree square", function (assert) {
+                        var geometry = firePerimeter.toGeometry(square),
+                            radius = firePerimeter.EARTH_RADIUS,
+                            expectedArea = radius * radius * (Math.PI / 180) * Math.sin(Math.PI / 180),
+                            degree = radius * Math.PI / 180,
+                            topEdge = firePerimeter.distance(1, 0, 1, 1);
+
+                        assert.ok(Math.abs(firePerimeter.area(geometry) - expectedArea) / expectedArea < 1e-9, "spherical area");
+                        assert.ok(Math.abs(firePerimeter.length(geometry) - (3 * degree + topEdge)) < 1e-6, "perimeter length");
+                        assert.ok(topEdge < degree, "the northern edge is shorter");
+                    });
+
+                    test("validateVersions sorts and rejects invalid versions", function (assert) {
+                        var older = firePerimeter.createVersion(square, new Date("2018-10-20T10:00:00Z"), "a"),
+                            newer = firePerimeter.createVersion(square, new Date("2018-10-21T10:00:00Z"), "b"),
+                            result = firePerimeter.validateVersions(JSON.stringify([newer, older]));
+
+                        assert.strictEqual(result.reason, null, "valid");
+                        assert.deepEqual(result.versions.map(function (version) {
+                            return version.id;
+                        }), ["a", "b"], "oldest first");
+                        assert.deepEqual(firePerimeter.validateVersions(null).versions, [], "empty history");
+                        assert.ok(firePerimeter.validateVersions([{id: "c", time: "2018-10-20",
+                            geometry: {type: "Polygon", coordinates: [[[0, 0], [1, 0], [0, 0]]]}}]).reason, "too few positions");
+                        assert.ok(firePerimeter.validateVersions({}).reason, "not an array");
+                    });
+
+                    test("isEqual compares the version ids", function (assert) {
+                        var version = firePerimeter.createVersion(square, new Date(), "a");
+
+                        assert.ok(firePerimeter.isEqual(null, []), "null is an empty history");
+                        assert.ok(firePerimeter.isEqual([version], [Object.assign({}, version)]), "same ids");
+                        assert.ok(!firePerimeter.isEqual([version], []), "different lengths");
+                    });
+                };
+            return {
+                run: run
+            };
+        });
@@ -0,0 +1,193 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+define(['FireRestAPI', 'QUnit'],
+        function (FireRestAPI, QUnit) {
+            "use strict";
+            var URL = "http://localhost/api/fires/",
+                // An XMLHttpRequest whose response is set by the test
+                stubXHR = function (respond) {
+                    var xhr = {
+                        headers: {},
+                        open: function (method, url) {
+                            xhr.method = method;
+                            xhr.url = url;
+                        },
+                        setRequestHeader: function (name, value) {
+                            xhr.headers[name] = value;
+                        },
+                        send: function (body) {
+                            xhr.body = body;
+                            respond(xhr);
+                        }
+                    };
+                    return xhr;
+                },
+                respondWith = function (status, responseText) {
+                    return function (xhr) {
+                        xhr.status = status;
+                        xhr.statusText = "";
+                        xhr.responseText = responseText;
+                        xhr.onload();
+                    };
+                },
+                // An API whose sendXHR replies with the results in order and records the requests
+                scriptedAPI = function (results) {
+                    var api = new FireRestAPI(URL, {retryDelay: 0});
+                    api.requests = [];
+                    api.sendXHR = function (method, url, body, accessToken) {
+                        var result = results.shift();
+                        api.requests.push({method: method, url: url, body: body, accessToken: accessToken});
+                        return result instanceof Error ? Promise.reject(result) : Promise.resolve(result);
+                    };
+                    return api;
+                },
+                httpError = function (status) {
+                    return new FireRestAPI.RequestError(FireRestAPI.ERROR_HTTP, "failed", {status: status});
+                };
+
+            var run = function () {
+
+                test("sendXHR maps the responses to RequestErrors", function (assert) {
+                    var done = assert.async(),
+                        api = new FireRestAPI(URL),
+                        send = function (respond) {
+                            return api.sendXHR("GET", URL, null, "token", stubXHR(respond)).then(function (obj) {
+                                return obj;
+                            }, function (error) {
+                                return error;
+                            });
+                        };
+
+                    Promise.all([
+                        send(respondWith(200, '{"data": []}')),
+                        send(respondWith(204, "")),
+                        send(respondWith(503, "")),
+                        send(respondWith(404, "")),
+                        send(respondWith(200, "<html>")),
+                        send(function (xhr) {
+                            xhr.onerror();
+                        }),
+                        send(function (xhr) {
+                            xhr.ontimeout();
+                        })
+                    ]).then(function (results) {
+                        assert.deepEqual(results[0], {data: []}, "parsed");
+                        assert.strictEqual(results[1], null, "empty response");
+                        assert.ok(results[2] instanceof FireRestAPI.RequestError, "RequestError");
+                        assert.equal(results[2].type, FireRestAPI.ERROR_HTTP, "http type");
+                        assert.equal(results[2].status, 503, "status");
+                        assert.ok(results[2].retryable, "server error is retryable");
+                        assert.ok(!results[3].retryable, "not found isn't retryable");
+                        assert.equal(results[4].type, FireRestAPI.ERROR_SCHEMA, "invalid JSON");
+                        assert.ok(!results[4].retryable, "invalid JSON isn't retryable");
+                        assert.equal(results[5].type, FireRestAPI.ERROR_NETWORK, "network error");
+                        assert.ok(results[5].retryable, "network error is retryable");
+                        assert.equal(results[6].type, FireRestAPI.ERROR_TIMEOUT, "timeout");
+                        assert.ok(results[6].retryable, "timeout is retryable");
+                        done();
+                    });
+                });
+
+                test("RequestError retries rate limiting and server errors", function (assert) {
+                    assert.ok(httpError(408).retryable, "408");
+                    assert.ok(httpError(429).retryable, "429");
+                    assert.ok(httpError(500).retryable, "500");
+                    assert.ok(!httpError(400).retryable, "400");
+                    assert.ok(!httpError(401).retryable, "401");
+                    assert.ok(!new FireRestAPI.RequestError(FireRestAPI.ERROR_ARGUMENT, "missing").retryable, "argument");
+                    assert.ok(httpError(500) instanceof Error, "is an Error");
+                });
+
+                test("request retries the retryable failures of idempotent methods", function (assert) {
+                    var done = assert.async(),
+                        get = scriptedAPI([httpError(503), httpError(502), {data: []}]),
+                        post = scriptedAPI([httpError(503), {data: []}]),
+                        refused = scriptedAPI([httpError(400), {data: []}]);
+
+                    Promise.all([
+                        get.request("GET", URL),
+                        post.request("POST", URL, {}).catch(function (error) {
+                            return error;
+                        }),
+                        refused.request("PUT", URL, {}).catch(function (error) {
+                            return error;
+                        })
+                    ]).then(function (results) {
+                        assert.deepEqual(results[0], {data: []}, "GET succeeded after the retries");
+                        assert.equal(get.requests.length, 3, "GET retried twice");
+                        assert.equal(results[1].status, 503, "POST failed");
+                        assert.equal(post.requests.length, 1, "POST not retried");
+                        assert.equal(results[2].status, 400, "PUT refused");
+                        assert.equal(refused.requests.length, 1, "refused PUT not retried");
+                        done();
+                    });
+                });
+
+                test("retrieveFires returns the server's synced time with the rows", function (assert) {
+                    var done = assert.async(),
+                        since = new Date("2018-10-20T10:00:00Z"),
+                        api = scriptedAPI([{data: [{fid: 1}], synced: "2018-10-20T11:00:00.000Z"}, {data: []}]);
+
+                    api.retrieveFires(since).then(function (result) {
+                        assert.deepEqual(result, {data: [{fid: 1}], synced: "2018-10-20T11:00:00.000Z"}, "payload");
+                        assert.equal(api.requests[0].url, URL + "?since=" + encodeURIComponent(since.toISOString()), "since sent");
+                        return api.retrieveFires();
+                    }).then(function (result) {
+                        assert.strictEqual(result.synced, null, "not reported");
+                        done();
+                    });
+                });
+
+                test("createFire sends the request id", function (assert) {
+                    var done = assert.async(),
+                        api = scriptedAPI([{data: [{fid: 1}]}]);
+
+                    api.createFire({lat: 34, lon: -119, alt: 0}, "op1").then(function (record) {
+                        assert.equal(record.fid, 1, "record");
+                        assert.equal(api.requests[0].method, "POST", "method");
+                        assert.equal(api.requests[0].body.request_id, "op1", "request id");
+                        done();
+                    });
+                });
+
+                test("request refreshes the session once when the access token is rejected", function (assert) {
+                    var done = assert.async(),
+                        session = {accessToken: "new", refreshToken: "r2", expiresIn: 900, user: {username: "u", role: "responder"}},
+                        api = scriptedAPI([httpError(401), session, {data: []}]),
+                        expired = scriptedAPI([httpError(401), httpError(401)]);
+
+                    api.session = {accessToken: "old", refreshToken: "r1", expires: Date.now() + 600000, user: {username: "u"}};
+                    expired.session = {accessToken: "old", refreshToken: "r1", expires: Date.now() + 600000, user: {username: "u"}};
+                    Promise.all([
+                        api.request("PUT", URL + "1", {}),
+                        expired.request("PUT", URL + "1", {}).catch(function (error) {
+                            return error;
+                        })
+                    ]).then(function (results) {
+                        assert.deepEqual(results[0], {data: []}, "succeeded");
+                        assert.deepEqual(api.requests.map(function (request) {
+                            return request.accessToken;
+                        }), ["old", null, "new"], "refreshed and resent with the new token");
+                        assert.equal(api.requests[1].url, "http://localhost/api/auth/refresh", "refresh URL");
+                        assert.equal(results[1].status, 401, "rejected refresh fails the request");
+                        assert.strictEqual(expired.session, null, "session ended");
+                        done();
+                    });
+                });
+
+                test("formatExtinguishedTime keeps the compact date form", function (assert) {
+                    assert.equal(FireRestAPI.formatExtinguishedTime("2018-10-20"), "20181020", "date");
+                    assert.equal(FireRestAPI.formatExtinguishedTime(null), "", "null");
+                    assert.equal(FireRestAPI.formatExtinguishedTime(""), "", "empty");
+                });
+
+                test("formatExtinguishedTime sends the time in UTC", function (assert) {
+                    assert.equal(FireRestAPI.formatExtinguishedTime("2018-10-20T15:30:00-07:00"), "2018-10-20T22:30:00.000Z", "offset");
+                    assert.equal(FireRestAPI.formatExtinguishedTime(new Date(Date.UTC(2018, 9, 20, 22, 30))), "2018-10-20T22:30:00.000Z", "Date");
+                    assert.equal(FireRestAPI.formatExtinguishedTime("unknown"), "unknown", "unparsable text is passed through");
+                });
+            };
+            return {run: run};
+        });
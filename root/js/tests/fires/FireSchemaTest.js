@@ -0,0 +1,105 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+define(['model/fires/FireSchema', 'QUnit'],
+        function (fireSchema, QUnit) {
+            "use strict";
+            var run = function () {
+
+                test("validateRecords coerces numeric strings", function (assert) {
+                    var result = fireSchema.validateRecords([
+                        {fid: 1, fire_lat: "34.5", fire_lon: "-119.25", fire_alt: "120", fire_verified: "true",
+                            reportedtimemark: "2018-10-20", fire_extinguished: ""}]),
+                        record = result.records[0];
+
+                    assert.equal(result.rejected.length, 0, "no rejected rows");
+                    assert.strictEqual(record.fire_lat, 34.5, "fire_lat");
+                    assert.strictEqual(record.fire_lon, -119.25, "fire_lon");
+                    assert.strictEqual(record.fire_alt, 120, "fire_alt");
+                    assert.strictEqual(record.fire_verified, true, "fire_verified");
+                    assert.strictEqual(record.fire_extinguished, null, "empty fire_extinguished is null");
+                });
+
+                test("validateRecords loads the valid rows", function (assert) {
+                    var result = fireSchema.validateRecords([
+                        {fid: 1, fire_lat: 34, fire_lon: -119},
+                        {fire_lat: 34, fire_lon: -119},
+                        {fid: 3, fire_lat: 91, fire_lon: -119},
+                        {fid: 4, fire_lat: 34, fire_lon: "west"},
+                        null,
+                        {fid: 6, fire_lat: -34, fire_lon: 181},
+                        {fid: 7, fire_lat: 0, fire_lon: 0}]);
+
+                    assert.deepEqual(result.records.map(function (r) {
+                        return r.fid;
+                    }), [1, 7], "valid fids");
+                    assert.deepEqual(result.rejected.map(function (r) {
+                        return r.index;
+                    }), [1, 2, 3, 4, 5], "rejected indices");
+                    assert.equal(result.rejected[0].reasons[0], "missing fid", "missing fid reason");
+                    assert.strictEqual(result.records[0].fire_alt, 0, "missing fire_alt defaults to 0");
+                });
+
+                test("validateRecords accepts deleted tombstones", function (assert) {
+                    var result = fireSchema.validateRecords([{fid: "abc", deleted: true}]);
+
+                    assert.equal(result.records.length, 1, "tombstone loaded");
+                    assert.strictEqual(result.records[0].deleted, true, "deleted flag");
+                });
+
+                test("validateRecords rejects a non-array payload", function (assert) {
+                    var result = fireSchema.validateRecords({data: []});
+
+                    assert.equal(result.records.length, 0, "no records");
+                    assert.equal(result.rejected.length, 1, "payload rejected");
+                });
+
+                test("validateRecords coerces the incident attributes", function (assert) {
+                    var result = fireSchema.validateRecords([
+                        {fid: 1, fire_lat: 34, fire_lon: -119, fire_size: "120.5", fire_containment: 40,
+                            fire_cause: "Lightning", fire_structures: "", fire_description: "Ridge fire"},
+                        {fid: 2, fire_lat: 34, fire_lon: -119, fire_containment: 140},
+                        {fid: 3, fire_lat: 34, fire_lon: -119, fire_size: "large"}]),
+                        record = result.records[0];
+
+                    assert.equal(result.records.length, 1, "valid record loaded");
+                    assert.strictEqual(record.fire_size, 120.5, "fire_size");
+                    assert.strictEqual(record.fire_containment, 40, "fire_containment");
+                    assert.equal(record.fire_cause, "Lightning", "fire_cause");
+                    assert.strictEqual(record.fire_fuel, null, "missing fire_fuel is null");
+                    assert.strictEqual(record.fire_structures, null, "empty fire_structures is null");
+                    assert.equal(result.rejected[0].fid, 2, "containment out of range");
+                    assert.equal(result.rejected[1].fid, 3, "size is not a number");
+                });
+
+                test("validateRecords parses the perimeter history", function (assert) {
+                    var version = {id: "p1", time: "2018-10-20T10:00:00Z",
+                            geometry: {type: "Polygon", coordinates: [[[-119, 34], [-118.9, 34], [-118.9, 34.1], [-119, 34]]]}},
+                        result = fireSchema.validateRecords([
+                            {fid: 1, fire_lat: 34, fire_lon: -119, fire_perimeters: JSON.stringify([version])},
+                            {fid: 2, fire_lat: 34, fire_lon: -119},
+                            {fid: 3, fire_lat: 34, fire_lon: -119, fire_perimeters: [{id: "p2", time: "2018-10-20",
+                                geometry: {type: "Point", coordinates: [-119, 34]}}]}]);
+
+                    assert.equal(result.records.length, 2, "valid records loaded");
+                    assert.deepEqual(result.records[0].fire_perimeters, [version], "JSON text parsed");
+                    assert.deepEqual(result.records[1].fire_perimeters, [], "missing history is empty");
+                    assert.equal(result.rejected[0].fid, 3, "geometry is not a polygon");
+                });
+
+                test("validateRecords parses the merged reports", function (assert) {
+                    var reports = [{id: "s1", time: "2018-10-20T10:00:00.000Z"}, {id: 4, time: null}],
+                        result = fireSchema.validateRecords([
+                            {fid: 1, fire_lat: 34, fire_lon: -119, fire_merged_reports: JSON.stringify(reports)},
+                            {fid: 2, fire_lat: 34, fire_lon: -119},
+                            {fid: 3, fire_lat: 34, fire_lon: -119, fire_merged_reports: [{id: "s2", time: "yesterday"}]}]);
+
+                    assert.equal(result.records.length, 2, "valid records loaded");
+                    assert.deepEqual(result.records[0].fire_merged_reports, reports, "JSON text parsed");
+                    assert.deepEqual(result.records[1].fire_merged_reports, [], "missing reports are empty");
+                    assert.equal(result.rejected[0].fid, 3, "invalid time");
+                });
+            };
+            return {run: run};
+        });
@@ -0,0 +1,378 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+define(['model/fires/FireOutbox', 'model/fires/FireService', 'model/fires/FireTimeFilter', 'knockout', 'jquery', 'QUnit'],
+        function (FireOutbox, FireService, FireTimeFilter, ko, $, QUnit) {
+            "use strict";
+            var STORAGE_KEY = "test_fire_service_outbox",
+                // A fire symbol with the members used by the FireService
+                stubSymbol = function (id, fid) {
+                    var symbol = {
+                        fid: fid,
+                        id: ko.observable(id),
+                        name: ko.observable("Fire " + id),
+                        koTimeReported: ko.observable(null),
+                        koTimeExtinguished: ko.observable(null),
+                        location: ko.observable("34.000, -119.000"),
+                        pulses: 0,
+                        globe: {
+                            redraw: function () {}
+                        }
+                    };
+                    symbol.placemark = {
+                        pulse: function () {
+                            symbol.pulses += 1;
+                        }
+                    };
+                    return symbol;
+                },
+                stubSymbolManager = function (symbols) {
+                    return {
+                        symbols: ko.observableArray(symbols),
+                        findSymbolByFid: function (fid) {
+                            return this.symbols().find(function (symbol) {
+                                return symbol.fid == fid;
+                            }) || null;
+                        },
+                        addSymbol: function (symbol) {
+                            this.symbols.push(symbol);
+                        },
+                        removeSymbol: function (symbol) {
+                            this.symbols.remove(symbol);
+                        }
+                    };
+                },
+                // A data source whose operations never complete, so the outbox keeps them queued
+                pendingDataSource = {
+                    createFire: function () {
+                        return new Promise(function () {});
+                    },
+                    updateFire: function () {
+                        return new Promise(function () {});
+                    },
+                    deleteFire: function () {
+                        return new Promise(function () {});
+                    }
+                },
+                // Creates a service without the constructor's timers, DOM handlers and persisted outbox
+                createService = function (symbols) {
+                    var service = Object.create(FireService.prototype);
+                    localStorage.removeItem(STORAGE_KEY);
+                    service.symbolManager = stubSymbolManager(symbols);
+                    service.outbox = new FireOutbox(pendingDataSource, STORAGE_KEY);
+                    service.pendingDeletes = {};
+                    service.rejectedCount = ko.observable(0);
+                    service.rejections = {};
+                    service.rejectedKey = "";
+                    service.auth = {
+                        canEdit: function () {
+                            return true;
+                        }
+                    };
+                    return service;
+                };
+
+            var run = function () {
+
+                test("applyRecords adds, updates and removes the symbols", function (assert) {
+                    var updated = [],
+                        s1 = stubSymbol("s1", 1),
+                        s2 = stubSymbol("s2", 2),
+                        unsaved = stubSymbol("s3", null),
+                        queued = stubSymbol("s4", 4),
+                        service = createService([s1, s2, unsaved, queued]),
+                        fids = function () {
+                            return service.symbolManager.symbols().map(function (symbol) {
+                                return symbol.fid;
+                            });
+                        };
+
+                    service.createSymbol = function (record) {
+                        return stubSymbol("new" + record.fid, record.fid);
+                    };
+                    service.updateSymbol = function (symbol, record) {
+                        updated.push([symbol, record.fid]);
+                    };
+                    service.outbox.enqueue("update", "s4", 4, {lat: 34});
+
+                    service.applyRecords([{fid: 1, fire_lat: 34, fire_lon: -119}, {fid: 5, fire_lat: 35, fire_lon: -119}], true);
+                    assert.deepEqual(updated, [[s1, 1]], "existing fire updated");
+                    assert.deepEqual(fids(), [1, null, 4, 5], "new fire added, missing fire removed, unsaved and queued kept");
+
+                    service.applyRecords([{fid: 1, deleted: true}], false);
+                    assert.deepEqual(fids(), [null, 4, 5], "deleted fire removed");
+
+                    service.deleteWithUndo(service.symbolManager.findSymbolByFid(5));
+                    service.applyRecords([{fid: 5, fire_lat: 35, fire_lon: -119}], false);
+                    assert.deepEqual(fids(), [null, 4], "fire with a pending delete not restored");
+                    service.undoDelete("new5");
+                    localStorage.removeItem(STORAGE_KEY);
+                });
+
+                test("syncFires sends the data source's sync time back as since", function (assert) {
+                    var done = assert.async(),
+                        serverTime = new Date("2018-10-20T10:00:00Z"),
+                        service = createService([]),
+                        dataSource = {
+                            supportsSince: true,
+                            syncToken: null,
+                            since: [],
+                            listFires: function (since) {
+                                this.since.push(since);
+                                this.syncToken = serverTime;
+                                return Promise.resolve([]);
+                            }
+                        };
+
+                    service.dataSource = dataSource;
+                    service.isSyncing = ko.observable(false);
+                    service.lastSynced = ko.observable(null);
+                    service.syncedSince = null;
+                    service.syncFires().then(function () {
+                        return service.syncFires();
+                    }).then(function () {
+                        assert.deepEqual(dataSource.since, [null, serverTime], "full load, then since the server's time");
+                        assert.ok(service.lastSynced() > serverTime, "last synced by the client's clock");
+                        localStorage.removeItem(STORAGE_KEY);
+                        done();
+                    });
+                });
+
+                test("onFeedReceived applies the live fire events", function (assert) {
+                    var s1 = stubSymbol("s1", 1),
+                        queued = stubSymbol("s2", 2),
+                        service = createService([s1, queued]),
+                        fids = function () {
+                            return service.symbolManager.symbols().map(function (symbol) {
+                                return symbol.fid;
+                            });
+                        };
+
+                    service.createSymbol = function (record) {
+                        return stubSymbol("new" + record.fid, record.fid);
+                    };
+                    service.updateSymbol = function () {};
+                    service.outbox.enqueue("update", "s2", 2, {lat: 34});
+
+                    service.onFeedReceived({type: "created", fire: {fid: 3, fire_lat: 35, fire_lon: -119}});
+                    assert.deepEqual(fids(), [1, 2, 3], "created fire added");
+                    assert.equal(service.symbolManager.findSymbolByFid(3).pulses, 1, "new fire highlighted");
+
+                    service.onFeedReceived({type: "updated", fire: {fid: 1, fire_lat: 34, fire_lon: -119}});
+                    assert.equal(s1.pulses, 1, "updated fire highlighted");
+
+                    service.onFeedReceived({type: "created", fire: {fid: 4, fire_lat: 91, fire_lon: -119}});
+                    assert.deepEqual(fids(), [1, 2, 3], "invalid record ignored");
+
+                    service.onFeedReceived({type: "deleted", fire: {fid: 1}});
+                    service.onFeedReceived({type: "deleted", fire: {fid: 2}});
+                    assert.deepEqual(fids(), [2, 3], "deleted fire removed, unless it has queued edits");
+                    localStorage.removeItem(STORAGE_KEY);
+                });
+
+                test("findUnsyncedSymbol matches a queued create by location", function (assert) {
+                    var updated = [],
+                        symbol = stubSymbol("s1", null),
+                        service = createService([symbol]);
+
+                    service.updateSymbol = function (symbol, record) {
+                        updated.push(symbol);
+                    };
+                    service.outbox.enqueue("create", "s1", null, {lat: 34.5, lon: -119.25});
+
+                    assert.equal(service.findUnsyncedSymbol({fid: 8, fire_lat: "34.6", fire_lon: "-119.25"}), null, "other location");
+                    assert.equal(symbol.fid, null, "fid not assigned");
+
+                    service.applyRecords([{fid: 9, fire_lat: "34.5", fire_lon: "-119.25"}], true);
+                    assert.equal(symbol.fid, 9, "fid assigned");
+                    assert.equal(updated[0], symbol, "symbol updated");
+                    assert.equal(service.symbolManager.symbols().length, 1, "no duplicate symbol");
+                    assert.equal(service.findUnsyncedSymbol({fid: 10, fire_lat: 34.5, fire_lon: -119.25}), null,
+                        "a synced symbol isn't matched again");
+                    localStorage.removeItem(STORAGE_KEY);
+                });
+
+                test("extinguishFire records the current time", function (assert) {
+                    var done = assert.async(),
+                        symbol = stubSymbol("s1", 1),
+                        service = createService([symbol]),
+                        reported = new Date(Date.now() - 3600000),
+                        before = Date.now();
+
+                    symbol.koTimeReported(reported.toISOString());
+                    service.saveFire = function () {
+                        return Promise.resolve();
+                    };
+                    service.extinguishFire(symbol).then(function (extinguished) {
+                        var time = new Date(symbol.koTimeExtinguished()).getTime();
+                        assert.ok(extinguished, "confirmed");
+                        assert.ok(time >= before && time <= Date.now(), "now, not midnight");
+                        assert.equal(FireTimeFilter.stateAt(symbol.koTimeReported(), symbol.koTimeExtinguished(),
+                            reported.getTime() + 1000), FireTimeFilter.STATE_ACTIVE, "active between report and extinguishment");
+                        localStorage.removeItem(STORAGE_KEY);
+                        done();
+                    });
+                });
+
+                test("validateRecords reports the rejected rows when they change", function (assert) {
+                    var service = createService([]),
+                        warning = $.growl.warning,
+                        warnings = 0,
+                        valid = {fid: 1, fire_lat: 34, fire_lon: -119},
+                        invalid = {fid: 2, fire_lat: 91, fire_lon: -119};
+
+                    $.growl.warning = function () {
+                        warnings += 1;
+                    };
+                    try {
+                        assert.equal(service.validateRecords([valid, invalid]).length, 1, "valid records");
+                        assert.equal(service.rejectedCount(), 1, "rejected count");
+                        assert.equal(warnings, 1, "reported");
+
+                        service.validateRecords([valid, invalid]);
+                        assert.equal(warnings, 1, "not reported again");
+                        assert.equal(service.rejectedCount(), 1, "still counted");
+
+                        service.validateRecords([valid, invalid, {fid: 3}]);
+                        assert.equal(warnings, 2, "reported when another row is rejected");
+
+                        service.validateRecords([valid]);
+                        assert.equal(service.rejectedCount(), 0, "none rejected");
+                        service.validateRecords([valid, invalid]);
+                        assert.equal(warnings, 3, "reported when rejected again");
+                    } finally {
+                        $.growl.warning = warning;
+                        localStorage.removeItem(STORAGE_KEY);
+                    }
+                });
+
+                test("incremental syncs keep the rejected rows of the full load", function (assert) {
+                    var service = createService([]),
+                        warning = $.growl.warning,
+                        warnings = 0,
+                        invalid = {fid: 2, fire_lat: 91, fire_lon: -119};
+
+                    $.growl.warning = function () {
+                        warnings += 1;
+                    };
+                    try {
+                        service.validateRecords([{fid: 1, fire_lat: 34, fire_lon: -119}, invalid], false);
+                        assert.equal(service.rejectedCount(), 1, "rejected by the full load");
+
+                        service.validateRecords([], true);
+                        service.validateRecords([{fid: 1, fire_lat: 35, fire_lon: -119}], true);
+                        assert.equal(service.rejectedCount(), 1, "still missing after the incremental syncs");
+
+                        service.validateRecords([{fid: 3, fire_lat: 34, fire_lon: 181}], true);
+                        assert.equal(service.rejectedCount(), 2, "added by an incremental sync");
+                        assert.equal(warnings, 2, "new rejection reported");
+
+                        service.validateRecords([{fid: 2, fire_lat: 34, fire_lon: -119}, {fid: 3, deleted: true}], true);
+                        assert.equal(service.rejectedCount(), 0, "fixed and deleted fires no longer rejected");
+
+                        service.validateRecords([invalid], false);
+                        assert.equal(service.rejectedCount(), 1, "a full load replaces the rejected rows");
+                    } finally {
+                        $.growl.warning = warning;
+                        localStorage.removeItem(STORAGE_KEY);
+                    }
+                });
+
+                test("deleteWithUndo removes the fire and undoDelete restores it", function (assert) {
+                    var symbol = stubSymbol("s1", 5),
+                        service = createService([symbol]);
+
+                    service.deleteWithUndo(symbol);
+                    assert.equal(service.symbolManager.symbols().length, 0, "removed from the globe");
+                    assert.ok(service.isDeletePending(5), "delete pending during the undo window");
+                    assert.equal(service.outbox.pendingCount(), 0, "not sent yet");
+
+                    assert.ok(service.undoDelete("s1"), "undone");
+                    assert.equal(service.symbolManager.symbols()[0], symbol, "restored");
+                    assert.ok(!service.isDeletePending(5), "no longer pending");
+                    assert.ok(!service.undoDelete("s1"), "undo only once");
+                    localStorage.removeItem(STORAGE_KEY);
+                });
+
+                test("symbolParams and isModified include the merged reports", function (assert) {
+                    var symbol = {
+                        latitude: ko.observable(34),
+                        longitude: ko.observable(-119),
+                        altitude: ko.observable(0),
+                        koIsVerified: ko.observable(true),
+                        koTimeExtinguished: ko.observable(null),
+                        perimeters: ko.observableArray(),
+                        incidentValues: ko.observable({}),
+                        mergedReports: ko.observableArray(),
+                        dbLat: 34, dbLon: -119, dbAlt: 0, dbIsVerified: true, dbTimeExtinguished: null,
+                        dbIncident: {}, dbPerimeters: [], dbMergedReports: []
+                    };
+
+                    assert.ok(!FireService.isModified(symbol), "unmodified");
+                    symbol.mergedReports.push({id: "s2", time: null, timeText: "Unknown"});
+                    assert.ok(FireService.isModified(symbol), "modified by a merge");
+                    assert.deepEqual(FireService.symbolParams(symbol).merged_reports, [{id: "s2", time: null}], "params");
+                });
+
+                test("the public may only submit new, unverified reports", function (assert) {
+                    var report = stubSymbol("s1", null),
+                        existing = stubSymbol("s2", 2),
+                        service = createService([report, existing]),
+                        warning = $.growl.warning,
+                        warnings = 0;
+
+                    Object.assign(report, {
+                        userCreated: true,
+                        latitude: ko.observable(34),
+                        longitude: ko.observable(-119),
+                        altitude: ko.observable(0),
+                        koIsVerified: ko.observable(true),
+                        perimeters: ko.observableArray([{}]),
+                        incidentValues: ko.observable({}),
+                        mergedReports: ko.observableArray(),
+                        syncState: ko.observable()
+                    });
+                    report.koTimeExtinguished("2018-10-20T10:00:00Z");
+                    service.auth.canEdit = function () {
+                        return false;
+                    };
+                    $.growl.warning = function () {
+                        warnings += 1;
+                    };
+                    try {
+                        assert.ok(service.canEdit(report), "may edit a new report");
+                        assert.ok(!service.canEdit(existing) && !service.canEdit(), "may not edit the existing fires");
+                        assert.ok(!service.checkCanEdit(existing), "existing fire refused");
+                        assert.equal(warnings, 1, "warned");
+
+                        service.saveFire(report);
+                        assert.ok(!report.koIsVerified() && report.koTimeExtinguished() === null, "unverified and active");
+                        assert.deepEqual(service.outbox.operations.map(function (operation) {
+                            return operation.type;
+                        }), ["create"], "create queued without a follow-up update");
+                        assert.ok(!service.canEdit(report), "may not edit the report once sent");
+                    } finally {
+                        $.growl.warning = warning;
+                        localStorage.removeItem(STORAGE_KEY);
+                    }
+                });
+
+                test("deleteFire queues the delete, or drops a create that was never sent", function (assert) {
+                    var sent = stubSymbol("s1", 5),
+                        unsent = stubSymbol("s2", null),
+                        service = createService([sent, unsent]);
+
+                    service.outbox.enqueue("update", "s1", 5, {lat: 1});   // Being sent
+                    service.outbox.enqueue("create", "s2", null, {lat: 2});
+                    service.deleteFire(unsent);
+                    assert.ok(!service.outbox.hasOperations("s2"), "unsent create dropped");
+
+                    service.deleteFire(sent);
+                    assert.ok(service.isDeletePending(5), "delete queued");
+                    assert.equal(service.symbolManager.symbols().length, 0, "both removed");
+                    localStorage.removeItem(STORAGE_KEY);
+                });
+            };
+            return {run: run};
+        });
@@ -0,0 +1,124 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+define(['model/fires/FireTimeFilter', 'knockout', 'QUnit'],
+        function (FireTimeFilter, ko, QUnit) {
+            "use strict";
+            var REPORTED = "2018-10-20T10:00:00Z",
+                EXTINGUISHED = "2018-10-21T10:00:00Z",
+                // A fire symbol with the members used by the filter
+                stubSymbol = function (reported, extinguished) {
+                    return {
+                        koTimeReported: ko.observable(reported),
+                        koTimeExtinguished: ko.observable(extinguished),
+                        isFilterMatch: ko.observable(true),
+                        isShown: ko.observable(true),
+                        placemark: {
+                            enabled: true,
+                            faded: false,
+                            setFaded: function (faded) {
+                                this.faded = faded;
+                            }
+                        }
+                    };
+                },
+                stubGlobe = function (time) {
+                    return {
+                        dateTime: ko.observable(new Date(time)),
+                        redraw: function () {}
+                    };
+                };
+
+            var run = function () {
+
+                test("stateAt compares the time to the report and extinguished times", function (assert) {
+                    assert.equal(FireTimeFilter.stateAt(REPORTED, EXTINGUISHED, Date.parse("2018-10-20T09:59:59Z")),
+                        FireTimeFilter.STATE_UNREPORTED, "before the report");
+                    assert.equal(FireTimeFilter.stateAt(REPORTED, EXTINGUISHED, Date.parse(REPORTED)),
+                        FireTimeFilter.STATE_ACTIVE, "at the report");
+                    assert.equal(FireTimeFilter.stateAt(REPORTED, EXTINGUISHED, Date.parse(EXTINGUISHED)),
+                        FireTimeFilter.STATE_EXTINGUISHED, "at the extinguishment");
+                    assert.equal(FireTimeFilter.stateAt(REPORTED, null, Date.parse("2030-01-01T00:00:00Z")),
+                        FireTimeFilter.STATE_ACTIVE, "still burning");
+                    assert.equal(FireTimeFilter.stateAt(null, null, 0), FireTimeFilter.STATE_ACTIVE, "unknown report time");
+                });
+
+                test("toTime converts the symbols' time values", function (assert) {
+                    assert.strictEqual(FireTimeFilter.toTime(REPORTED), Date.parse(REPORTED), "ISO text");
+                    assert.strictEqual(FireTimeFilter.toTime(new Date(Date.parse(REPORTED))), Date.parse(REPORTED), "Date");
+                    assert.strictEqual(FireTimeFilter.toTime(1540029600000), 1540029600000, "milliseconds");
+                    assert.strictEqual(FireTimeFilter.toTime("2018-10-20"), new Date(2018, 9, 20).getTime(), "date is local midnight");
+                    assert.strictEqual(FireTimeFilter.toTime(""), null, "empty");
+                    assert.strictEqual(FireTimeFilter.toTime(null), null, "null");
+                });
+
+                test("apply shows the fires active at the globe's time", function (assert) {
+                    var unreported = stubSymbol("2018-10-22T10:00:00Z", null),
+                        active = stubSymbol(REPORTED, null),
+                        extinguished = stubSymbol("2018-10-19T10:00:00Z", "2018-10-20T09:00:00Z"),
+                        unmatched = stubSymbol(REPORTED, null),
+                        globe = stubGlobe("2018-10-20T12:00:00Z"),
+                        filter;
+
+                    unmatched.isFilterMatch(false);
+                    filter = new FireTimeFilter({symbols: ko.observableArray([unreported, active, extinguished, unmatched])}, globe);
+
+                    assert.ok(!unreported.placemark.enabled, "not reported yet");
+                    assert.ok(active.placemark.enabled, "active");
+                    assert.ok(extinguished.placemark.enabled && extinguished.placemark.faded, "extinguished drawn faded by default");
+                    assert.ok(!active.placemark.faded, "active fire not faded");
+                    assert.ok(!unmatched.placemark.enabled, "not matching the FireFilter");
+                    assert.equal(filter.activeCount(), 2, "active count");
+                    assert.ok(active.isShown() && !unreported.isShown(), "isShown follows the placemark");
+
+                    filter.showHistory(false);
+                    assert.ok(!extinguished.placemark.enabled, "extinguished hidden without the history");
+                    filter.showHistory(true);
+
+                    globe.dateTime(new Date("2018-10-23T00:00:00Z"));
+                    assert.ok(unreported.placemark.enabled, "reported when the time advances");
+
+                    filter.isEnabled(false);
+                    assert.ok(extinguished.placemark.enabled && !extinguished.placemark.faded, "disabled filter draws all");
+                    assert.ok(!unmatched.placemark.enabled, "still not matching the FireFilter");
+                    filter.dispose();
+                });
+
+                test("apply treats the fires reported since the live globe's time as active", function (assert) {
+                    var recent = stubSymbol(new Date(Date.now() - 1000).toISOString(), null),
+                        globe = stubGlobe(Date.now() - 60000),
+                        filter = new FireTimeFilter({symbols: ko.observableArray([recent])}, globe, ko.observable(true));
+
+                    assert.ok(recent.placemark.enabled, "shown");
+                    filter.dispose();
+                });
+
+                test("a fire extinguished now remains drawn", function (assert) {
+                    var symbol = stubSymbol(REPORTED, null),
+                        globe = stubGlobe(Date.now()),
+                        filter = new FireTimeFilter({symbols: ko.observableArray([symbol])}, globe, ko.observable(true));
+
+                    symbol.koTimeExtinguished(new Date().toISOString());
+                    assert.ok(symbol.placemark.enabled, "shown");
+                    assert.ok(symbol.placemark.faded, "faded");
+                    filter.dispose();
+                });
+
+                test("the live filter is reapplied as the clock advances", function (assert) {
+                    var upcoming = stubSymbol(new Date(Date.now() + 30000).toISOString(), null),
+                        globe = stubGlobe(Date.now()),
+                        isLive = ko.observable(true),
+                        filter = new FireTimeFilter({symbols: ko.observableArray([upcoming])}, globe, isLive);
+
+                    assert.ok(!upcoming.placemark.enabled, "not reported yet");
+                    filter.clock(Date.now() + FireTimeFilter.CLOCK_INTERVAL);
+                    assert.ok(upcoming.placemark.enabled, "reported when the clock reaches it");
+
+                    isLive(false);
+                    assert.ok(!upcoming.placemark.enabled, "the globe's time applies when not live");
+                    filter.dispose();
+                });
+            };
+            return {run: run};
+        });
@@ -0,0 +1,135 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+define(['model/fires/FirmsParser', 'QUnit'],
+        function (firmsParser, QUnit) {
+            "use strict";
+            var run = function () {
+
+                test("parseCsv reads MODIS rows", function (assert) {
+                    var result = firmsParser.parseCsv(
+                        "latitude,longitude,brightness,scan,track,acq_date,acq_time,satellite,confidence,version,bright_t31,frp,daynight\n" +
+                        "34.512,-119.301,330.5,1.1,1,2018-10-20,0135,Terra,85,6.1NRT,290.1,25.3,N\n" +
+                        "34.6,-119.2,310.2,1.1,1,2018-10-20,2140,Aqua,20,6.1NRT,288.4,5.1,D\n"),
+                        detection = result.detections[0];
+
+                    assert.equal(result.rejected.length, 0, "no rejected rows");
+                    assert.equal(result.detections.length, 2, "detections");
+                    assert.strictEqual(detection.latitude, 34.512, "latitude");
+                    assert.strictEqual(detection.longitude, -119.301, "longitude");
+                    assert.strictEqual(detection.brightness, 330.5, "brightness");
+                    assert.strictEqual(detection.frp, 25.3, "frp");
+                    assert.equal(detection.confidence, "high", "85% is high confidence");
+                    assert.equal(detection.satellite, "Terra", "satellite");
+                    assert.equal(detection.time.toISOString(), "2018-10-20T01:35:00.000Z", "acquisition time is UTC");
+                    assert.equal(result.detections[1].confidence, "low", "20% is low confidence");
+                });
+
+                test("parseCsv reads VIIRS rows", function (assert) {
+                    var result = firmsParser.parseCsv(
+                        "latitude,longitude,bright_ti4,scan,track,acq_date,acq_time,satellite,instrument,confidence,version,bright_ti5,frp,daynight\r\n" +
+                        "34.5,-119.3,367,0.39,0.36,2018-10-20,958,N,VIIRS,n,1.0NRT,294.2,12.9,N\r\n" +
+                        "34.5,-119.4,340,0.39,0.36,2018-10-20,958,N,VIIRS,h,1.0NRT,294.2,40.1,N\r\n"),
+                        detection = result.detections[0];
+
+                    assert.strictEqual(detection.brightness, 367, "bright_ti4 is the brightness");
+                    assert.equal(detection.instrument, "VIIRS", "instrument");
+                    assert.equal(detection.confidence, "nominal", "n is nominal confidence");
+                    assert.equal(detection.confidenceText, "n", "confidence text");
+                    assert.equal(detection.time.toISOString(), "2018-10-20T09:58:00.000Z", "3 digit acq_time");
+                    assert.equal(result.detections[1].confidence, "high", "h is high confidence");
+                });
+
+                test("parseCsv rejects rows without valid coordinates", function (assert) {
+                    var result = firmsParser.parseCsv(
+                        "latitude,longitude,acq_date\n" +
+                        "34.5,-119.3,2018-10-20\n" +
+                        ",-119.3,2018-10-20\n" +
+                        "95,-119.3,2018-10-20\n" +
+                        "34.5,east,2018-10-20\n");
+
+                    assert.equal(result.detections.length, 1, "valid rows");
+                    assert.deepEqual(result.rejected.map(function (r) {
+                        return r.index;
+                    }), [1, 2, 3], "rejected indices");
+                    assert.equal(firmsParser.parseCsv("").rejected[0].reasons[0], "file is empty", "empty file");
+                });
+
+                test("toDetection ignores the field name case", function (assert) {
+                    var result = firmsParser.toDetection({LATITUDE: "10", LONGITUDE: "20", ACQ_DATE: "20181020", ACQ_TIME: "1200"});
+
+                    assert.equal(result.reasons.length, 0, "valid");
+                    assert.strictEqual(result.detection.latitude, 10, "latitude");
+                    assert.equal(result.detection.time.toISOString(), "2018-10-20T12:00:00.000Z", "time");
+                    assert.strictEqual(result.detection.frp, null, "missing frp is null");
+                    assert.equal(result.detection.confidence, "nominal", "missing confidence is nominal");
+                });
+
+                test("splitCsvLine honors quoted values", function (assert) {
+                    assert.deepEqual(firmsParser.splitCsvLine('1, "a, b" ,"say ""hi"""'), ["1", "a, b", 'say "hi"'], "values");
+                });
+
+                test("parseShapefile pairs the records with their shapes around deleted records", function (assert) {
+                    var shp = new ArrayBuffer(100 + 3 * 28),
+                        shpView = new DataView(shp),
+                        fields = [{name: "BRIGHTNESS", length: 6}, {name: "ACQ_DATE", length: 10}],
+                        recordLength = 1 + 6 + 10,
+                        headerLength = 32 + fields.length * 32 + 1,
+                        dbf = new ArrayBuffer(headerLength + 3 * recordLength),
+                        dbfView = new DataView(dbf),
+                        dbfBytes = new Uint8Array(dbf),
+                        write = function (text, offset) {
+                            text.split("").forEach(function (c, i) {
+                                dbfBytes[offset + i] = c.charCodeAt(0);
+                            });
+                        },
+                        result, i;
+
+                    for (i = 0; i < 3; i++) {
+                        shpView.setInt32(100 + i * 28 + 4, 10, false);  // 20 bytes in 16-bit words
+                        shpView.setInt32(100 + i * 28 + 8, firmsParser.SHAPE_POINT, true);
+                        shpView.setFloat64(100 + i * 28 + 12, -119 - i, true);
+                        shpView.setFloat64(100 + i * 28 + 20, 34 + i, true);
+                    }
+                    dbfView.setUint32(4, 3, true);
+                    dbfView.setUint16(8, headerLength, true);
+                    dbfView.setUint16(10, recordLength, true);
+                    fields.forEach(function (field, i) {
+                        write(field.name, 32 + i * 32);
+                        dbfBytes[32 + i * 32 + 16] = field.length;
+                    });
+                    dbfBytes[headerLength - 1] = 0x0D;
+                    // The deletion flag, then the fields
+                    [" 300.1", "*301.2", " 302.3"].forEach(function (record, i) {
+                        var offset = headerLength + i * recordLength;
+                        write(record, offset);
+                        write("2018-08-01", offset + 7);
+                    });
+
+                    result = firmsParser.parseShapefile(shp, dbf);
+                    assert.equal(result.detections.length, 2, "deleted record dropped");
+                    assert.deepEqual(result.detections.map(function (d) {
+                        return [d.brightness, d.latitude, d.longitude];
+                    }), [[300.1, 34, -119], [302.3, 36, -121]], "attributes paired with their own points");
+                });
+
+                test("readShpPoints stops at a corrupt content length", function (assert) {
+                    var shp = new ArrayBuffer(100 + 2 * 28),
+                        view = new DataView(shp);
+
+                    view.setInt32(100 + 4, 10, false);
+                    view.setInt32(100 + 8, firmsParser.SHAPE_POINT, true);
+                    view.setInt32(128 + 4, -8, false);
+                    assert.equal(firmsParser.readShpPoints(shp).length, 1, "terminates after the valid record");
+                });
+
+                test("leadingValue strips the units", function (assert) {
+                    assert.equal(firmsParser.leadingValue(" 330.5 K"), "330.5", "kelvin");
+                    assert.equal(firmsParser.leadingValue("12.3 MW"), "12.3", "megawatts");
+                    assert.equal(firmsParser.leadingValue("80%"), "80", "percent");
+                    assert.equal(firmsParser.leadingValue("Terra"), "Terra", "text");
+                });
+            };
+            return {run: run};
+        });
@@ -0,0 +1,66 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+define(['model/fires/FireSchema', 'model/fires/GeoJsonFireDataSource', 'QUnit'],
+        function (fireSchema, GeoJsonFireDataSource, QUnit) {
+            "use strict";
+            var point = function (fid, coordinates) {
+                return {
+                    type: "Feature",
+                    properties: {fid: fid},
+                    geometry: {type: "Point", coordinates: coordinates}
+                };
+            };
+
+            var run = function () {
+
+                test("featuresToRecords reads the fire records of the points", function (assert) {
+                    var records = GeoJsonFireDataSource.featuresToRecords({
+                        type: "FeatureCollection",
+                        features: [
+                            point(1, [-119, 34, 120]),
+                            point(2, [-118, 35]),
+                            {type: "Feature", properties: {fid: 3}, geometry: {type: "LineString", coordinates: [[0, 0], [1, 1]]}}
+                        ]
+                    });
+
+                    assert.equal(records.length, 2, "points only");
+                    assert.deepEqual([records[0].fid, records[0].fire_lat, records[0].fire_lon, records[0].fire_alt],
+                        [1, 34, -119, 120], "first point");
+                    assert.equal(records[1].fire_alt, 0, "default altitude");
+                });
+
+                test("points without valid coordinates are rejected, not thrown", function (assert) {
+                    var records = GeoJsonFireDataSource.featuresToRecords({
+                            type: "FeatureCollection",
+                            features: [
+                                point(1, [-119, 34]),
+                                point(2, undefined),
+                                point(3, [-119]),
+                                point(4, ["-119", "34"]),
+                                point(5, [NaN, 34]),
+                                point(6, {lat: 34, lon: -119})
+                            ]
+                        }),
+                        result = fireSchema.validateRecords(records);
+
+                    assert.equal(records.length, 6, "every point converted");
+                    assert.deepEqual(result.records.map(function (record) {
+                        return record.fid;
+                    }), [1], "valid records");
+                    assert.deepEqual(result.rejected.map(function (rejection) {
+                        return rejection.fid;
+                    }), [2, 3, 4, 5, 6], "rejected records");
+                });
+
+                test("isPosition requires two finite numbers", function (assert) {
+                    assert.ok(GeoJsonFireDataSource.isPosition([-119, 34]), "lon, lat");
+                    assert.ok(GeoJsonFireDataSource.isPosition([-119, 34, 100]), "with altitude");
+                    assert.ok(!GeoJsonFireDataSource.isPosition(null), "null");
+                    assert.ok(!GeoJsonFireDataSource.isPosition([-119, Infinity]), "infinite");
+                    assert.ok(!GeoJsonFireDataSource.isPosition([-119, "34"]), "text");
+                });
+            };
+            return {run: run};
+        });
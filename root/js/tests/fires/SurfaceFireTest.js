@@ -0,0 +1,69 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+define(['model/fires/SurfaceFire', 'QUnit'],
+        function (surfaceFire, QUnit) {
+            "use strict";
+            var moisture = {dead1h: 6, dead10h: 7, dead100h: 8, live: 60},
+                conditions = function (overrides) {
+                    var result = {fuelModel: 1, moisture: moisture, windSpeed: 0, windDirection: 0, slope: 0, aspect: 0},
+                        key;
+                    for (key in overrides) {
+                        if (overrides.hasOwnProperty(key)) {
+                            result[key] = overrides[key];
+                        }
+                    }
+                    return result;
+                },
+                run = function () {
+
+                    test("calculate without wind or slope spreads in a circle", function (assert) {
+                        var result = surfaceFire.calculate(conditions({}));
+
+                        assert.ok(result.rateOfSpread > 0, "spreads");
+                        assert.equal(result.lengthToWidth, 1, "circular");
+                        assert.ok(Math.abs(result.backingRate - result.rateOfSpread) < 1e-9, "backs at the head rate");
+                    });
+
+                    test("calculate follows the wind and the upslope direction", function (assert) {
+                        var calm = surfaceFire.calculate(conditions({})),
+                            windy = surfaceFire.calculate(conditions({windSpeed: 8, windDirection: 270})),
+                            steep = surfaceFire.calculate(conditions({slope: 30, aspect: 90})),
+                            damp = surfaceFire.calculate(conditions({windSpeed: 8, windDirection: 270,
+                                moisture: {dead1h: 10, dead10h: 11, dead100h: 12, live: 60}}));
+
+                        assert.ok(windy.rateOfSpread > 10 * calm.rateOfSpread, "wind accelerates the head");
+                        assert.ok(Math.abs(windy.direction - 90) < 1e-9, "downwind");
+                        assert.ok(Math.abs(windy.effectiveWindSpeed - 8) < 1e-6, "effective wind is the wind");
+                        assert.ok(windy.lengthToWidth > 1 && windy.backingRate < calm.rateOfSpread, "elongated");
+                        assert.ok(Math.abs(steep.direction - 270) < 1e-9, "upslope");
+                        assert.ok(steep.rateOfSpread > calm.rateOfSpread, "slope accelerates the head");
+                        assert.ok(damp.rateOfSpread < windy.rateOfSpread, "moisture slows the spread");
+                    });
+
+                    test("calculate stops at the moisture of extinction", function (assert) {
+                        var result = surfaceFire.calculate(conditions({windSpeed: 8,
+                            moisture: {dead1h: 12, dead10h: 12, dead100h: 12, live: 60}}));
+
+                        assert.equal(result.rateOfSpread, 0, "no spread");
+                        assert.equal(result.flameLength, 0, "no flame");
+                    });
+
+                    test("ellipse grows from the ignition point", function (assert) {
+                        var behavior = surfaceFire.calculate(conditions({windSpeed: 8, windDirection: 180})),
+                            locations = surfaceFire.ellipse(behavior, 40, -120, 60, 4),
+                            metersPerDegree = surfaceFire.EARTH_RADIUS * Math.PI / 180;
+
+                        assert.equal(locations.length, 4, "vertex count");
+                        assert.ok(Math.abs((locations[0].latitude - 40) * metersPerDegree - behavior.rateOfSpread * 60) < 1e-6,
+                            "the head is north of the ignition point");
+                        assert.ok(Math.abs((40 - locations[2].latitude) * metersPerDegree - behavior.backingRate * 60) < 1e-6,
+                            "the rear is south of the ignition point");
+                        assert.deepEqual(surfaceFire.ellipse(behavior, 40, -120, 0), [], "not grown");
+                    });
+                };
+            return {
+                run: run
+            };
+        });
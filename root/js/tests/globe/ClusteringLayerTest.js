@@ -0,0 +1,65 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+define(['model/globe/layers/ClusteringLayer', 'QUnit', 'worldwind'],
+        function (ClusteringLayer, QUnit) {
+            "use strict";
+            // A placemark whose screen point is given by its position
+            var stubPlacemark = function (x, y, name) {
+                    return {
+                        position: {latitude: y, longitude: x},
+                        enabled: true,
+                        displayName: name
+                    };
+                },
+                // A layer that projects the positions directly to screen points
+                createLayer = function (renderables) {
+                    var layer = new ClusteringLayer({}, "Test");
+                    layer.renderables = renderables;
+                    layer.projectPosition = function (dc, position) {
+                        return position.latitude === null ? null : [position.longitude, position.latitude];
+                    };
+                    return layer;
+                };
+
+            var run = function () {
+
+                test("groupRenderables clusters the placemarks within the radius of a seed", function (assert) {
+                    var a = stubPlacemark(0, 0, "a"),
+                        b = stubPlacemark(30, 0, "b"),
+                        c = stubPlacemark(60, 0, "c"),
+                        d = stubPlacemark(0, 39, "d"),
+                        layer = createLayer([a, b, c, d]);
+
+                    assert.deepEqual(layer.groupRenderables({}), [[a, b, d], [c]], "joined to the first seed in range");
+
+                    layer.clusterRadius = 20;
+                    assert.deepEqual(layer.groupRenderables({}), [[a], [b], [c], [d]], "smaller radius");
+                });
+
+                test("groupRenderables skips the disabled renderables and keeps the others apart", function (assert) {
+                    var a = stubPlacemark(0, 0, "a"),
+                        hidden = stubPlacemark(1, 0, "hidden"),
+                        offscreen = stubPlacemark(2, null, "offscreen"),
+                        shape = {enabled: true},
+                        layer = createLayer([a, hidden, offscreen, shape]);
+
+                    hidden.enabled = false;
+                    assert.deepEqual(layer.groupRenderables({}), [[a], [offscreen], [shape]], "groups");
+                });
+
+                test("clusterFor reuses the cluster with the same seed", function (assert) {
+                    var a = stubPlacemark(0, 0, "a"),
+                        b = stubPlacemark(10, 0, "b"),
+                        c = stubPlacemark(20, 0, "c"),
+                        layer = createLayer([a, b, c]),
+                        cluster = layer.clusterFor([a, b]);
+
+                    assert.equal(layer.clusterFor([a, b, c]), cluster, "same seed");
+                    assert.deepEqual(cluster.placemarks, [a, b, c], "members replaced");
+                    assert.notEqual(layer.clusterFor([b, c]), cluster, "other seed");
+                });
+            };
+            return {run: run};
+        });
@@ -0,0 +1,81 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+define(['model/globe/PlacemarkCluster', 'knockout', 'QUnit', 'worldwind'],
+        function (PlacemarkCluster, ko, QUnit) {
+            "use strict";
+            var stubPlacemark = function (latitude, longitude, label) {
+                    return {
+                        position: {latitude: latitude, longitude: longitude},
+                        label: label
+                    };
+                },
+                // A globe that records the goto requests
+                stubGlobe = function () {
+                    return {
+                        gotos: [],
+                        goto: function (latitude, longitude, range) {
+                            this.gotos.push([latitude, longitude, range]);
+                        }
+                    };
+                };
+
+            var run = function () {
+
+                test("setPlacemarks centers the badge on the members", function (assert) {
+                    var cluster = new PlacemarkCluster(stubGlobe()),
+                        attributes;
+
+                    cluster.setPlacemarks([stubPlacemark(34, -119), stubPlacemark("35", "-118")]);
+                    assert.equal(cluster.placemark.position.latitude, 34.5, "latitude");
+                    assert.equal(cluster.placemark.position.longitude, -118.5, "longitude");
+                    assert.equal(cluster.name(), "2 items", "name");
+                    attributes = cluster.placemark.attributes;
+
+                    cluster.setPlacemarks([stubPlacemark(36, -120), stubPlacemark(34, -118)]);
+                    assert.equal(cluster.placemark.attributes, attributes, "badge kept for the same count");
+                    assert.equal(cluster.placemark.position.latitude, 35, "moved");
+
+                    cluster.setPlacemarks([stubPlacemark(34, -119), stubPlacemark(35, -118), stubPlacemark(36, -117)]);
+                    assert.notEqual(cluster.placemark.attributes, attributes, "badge replaced for another count");
+                    assert.equal(cluster.name(), "3 items", "name updated");
+                });
+
+                test("zoomToExtent shows all the members", function (assert) {
+                    var globe = stubGlobe(),
+                        cluster = new PlacemarkCluster(globe);
+
+                    cluster.setPlacemarks([stubPlacemark(34, -119), stubPlacemark(34.0001, -119.0001)]);
+                    cluster.zoomToExtent();
+                    assert.deepEqual(globe.gotos[0], [34.00005, -119.00005, PlacemarkCluster.MIN_EXTENT_RANGE],
+                        "minimum range for a small extent");
+
+                    cluster.setPlacemarks([stubPlacemark(34, -119), stubPlacemark(36, -119)]);
+                    cluster.zoomToExtent();
+                    assert.equal(globe.gotos[1][0], 35, "center latitude");
+                    assert.ok(globe.gotos[1][2] > 2 * 200000, "range spans the extent");
+                });
+
+                test("describeMember names the member by its pick delegate or label", function (assert) {
+                    var symbol = stubPlacemark(34, -119, "label");
+
+                    assert.deepEqual(PlacemarkCluster.describeMember(stubPlacemark("34", "-119", "Marker")),
+                        {name: "Marker", latitude: 34, longitude: -119}, "label");
+                    symbol.pickDelegate = {name: ko.observable("Fire")};
+                    assert.equal(PlacemarkCluster.describeMember(symbol).name, "Fire", "delegate name");
+                });
+
+                test("selecting the cluster captures its members", function (assert) {
+                    var cluster = new PlacemarkCluster(stubGlobe());
+
+                    cluster.setPlacemarks([stubPlacemark(34, -119, "a"), stubPlacemark(35, -118, "b")]);
+                    assert.equal(cluster.members().length, 0, "not captured before selection");
+                    cluster.selectMe({selected: true});
+                    assert.deepEqual(cluster.members().map(function (member) {
+                        return member.name;
+                    }), ["a", "b"], "members");
+                });
+            };
+            return {run: run};
+        });
@@ -0,0 +1,120 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+define(['model/military/TacticalSymbolPlacemark', 'QUnit'],
+        function (TacticalSymbolPlacemark, QUnit) {
+            "use strict";
+            var dc = {redrawRequested: false},
+                // A far placemark with current low detail attributes, so they aren't regenerated
+                createPlacemark = function () {
+                    var placemark = Object.create(TacticalSymbolPlacemark.prototype);
+                    placemark.eyeDistance = TacticalSymbolPlacemark.FAR_THRESHOLD + 1;
+                    placemark.lastLevelOfDetail = TacticalSymbolPlacemark.LOW_LEVEL_OF_DETAIL;
+                    placemark.highlighted = false;
+                    placemark.lastHighlightState = false;
+                    placemark.attributes = {imageScale: 1.25, imageColor: new WorldWind.Color(1, 1, 1, 1)};
+                    return placemark;
+                };
+
+            var run = function () {
+
+                test("fireStateCode applies the state's identity and status", function (assert) {
+                    assert.equal(TacticalSymbolPlacemark.fireStateCode("EHIPC-------", TacticalSymbolPlacemark.FIRE_STATE_UNVERIFIED),
+                        "EPIAC-------", "unverified");
+                    assert.equal(TacticalSymbolPlacemark.fireStateCode("EHIPC-------", TacticalSymbolPlacemark.FIRE_STATE_EXTINGUISHED),
+                        "EHIPC-------", "extinguished");
+                    assert.equal(TacticalSymbolPlacemark.fireStateCode("EHIPC-------", "unknown"), "EHIPC-------", "unknown state");
+                });
+
+                test("a pulse reuses one attributes bundle and ends with the original attributes", function (assert) {
+                    var placemark = createPlacemark(),
+                        original = placemark.attributes,
+                        pulseAttributes;
+
+                    placemark.pulse(60000);
+                    placemark.selectLevelOfDetail(dc);
+                    pulseAttributes = placemark.attributes;
+                    assert.notEqual(pulseAttributes, original, "scaled copy");
+                    assert.ok(pulseAttributes.imageScale >= original.imageScale, "not shrunk");
+                    assert.ok(dc.redrawRequested, "next frame requested");
+
+                    placemark.selectLevelOfDetail(dc);
+                    assert.equal(placemark.attributes, pulseAttributes, "reused in the next frame");
+
+                    placemark.pulseStart = Date.now() - 60000;
+                    dc.redrawRequested = false;
+                    placemark.selectLevelOfDetail(dc);
+                    assert.equal(placemark.attributes, original, "restored");
+                    assert.ok(!dc.redrawRequested, "no more frames requested");
+                });
+
+                test("an unverified placemark pulses and a verified one does not", function (assert) {
+                    var unverified = createPlacemark(),
+                        verified = createPlacemark(),
+                        original = verified.attributes,
+                        scale;
+
+                    unverified.fireState = TacticalSymbolPlacemark.FIRE_STATE_UNVERIFIED;
+                    verified.fireState = TacticalSymbolPlacemark.FIRE_STATE_VERIFIED;
+                    dc.redrawRequested = false;
+
+                    unverified.selectLevelOfDetail(dc);
+                    scale = unverified.attributes.imageScale / 1.25;
+                    assert.ok(unverified.isPulsingState(), "unverified pulses");
+                    assert.ok(scale >= 1 && scale <= 1 + TacticalSymbolPlacemark.ATTENTION_PULSE_SCALE, "scaled by the attention pulse");
+                    assert.ok(!dc.redrawRequested, "frames not requested every frame");
+
+                    verified.selectLevelOfDetail(dc);
+                    assert.ok(!verified.isPulsingState(), "verified doesn't pulse");
+                    assert.equal(verified.attributes, original, "verified attributes unchanged");
+
+                    unverified.fireState = TacticalSymbolPlacemark.FIRE_STATE_VERIFIED;
+                    unverified.selectLevelOfDetail(dc);
+                    assert.equal(unverified.attributes.imageScale, 1.25, "pulse ends when verified");
+                });
+
+                test("attentionScale cycles between the image scale and its enlargement", function (assert) {
+                    var period = TacticalSymbolPlacemark.ATTENTION_PULSE_PERIOD;
+
+                    assert.equal(TacticalSymbolPlacemark.attentionScale(0), 1, "start");
+                    assert.equal(TacticalSymbolPlacemark.attentionScale(period / 2), 1 + TacticalSymbolPlacemark.ATTENTION_PULSE_SCALE, "peak");
+                    assert.equal(TacticalSymbolPlacemark.attentionScale(period), 1, "next period");
+                });
+
+                test("requestAttentionFrame redraws the globe once per interval", function (assert) {
+                    var done = assert.async(),
+                        redraws = 0,
+                        globe = {
+                            redraw: function () {
+                                redraws += 1;
+                            }
+                        };
+
+                    TacticalSymbolPlacemark.requestAttentionFrame(null);
+                    assert.equal(TacticalSymbolPlacemark.attentionTimer, null, "no globe to redraw");
+                    TacticalSymbolPlacemark.requestAttentionFrame(globe);
+                    TacticalSymbolPlacemark.requestAttentionFrame(globe);
+                    assert.equal(redraws, 0, "throttled");
+                    setTimeout(function () {
+                        assert.equal(redraws, 1, "one redraw for both requests");
+                        done();
+                    }, TacticalSymbolPlacemark.ATTENTION_FRAME_INTERVAL + 100);
+                });
+
+                test("a pulsing placemark keeps its faded color", function (assert) {
+                    var placemark = createPlacemark();
+
+                    placemark.pulse(60000);
+                    placemark.selectLevelOfDetail(dc);
+                    placemark.setFaded(true);
+                    placemark.selectLevelOfDetail(dc);
+                    assert.equal(placemark.attributes.imageColor.alpha, TacticalSymbolPlacemark.FADED_OPACITY, "faded while pulsing");
+
+                    placemark.pulseStart = Date.now() - 60000;
+                    placemark.selectLevelOfDetail(dc);
+                    assert.equal(placemark.attributes.imageColor.alpha, TacticalSymbolPlacemark.FADED_OPACITY, "faded after the pulse");
+                });
+            };
+            return {run: run};
+        });
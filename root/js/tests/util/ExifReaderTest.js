@@ -0,0 +1,132 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+define(['model/util/ExifReader', 'QUnit'],
+        function (exifReader, QUnit) {
+            "use strict";
+            var
+                /**
+                 * Builds a JPEG containing an EXIF APP1 segment.
+                 * @param {Boolean} littleEndian The TIFF byte order.
+                 * @param {Object[]} ifd0 The IFD0 entries: {tag, type, values}.
+                 * @param {Object[]} gps The GPS IFD entries, or null.
+                 * @returns {ArrayBuffer}
+                 */
+                createJpeg = function (littleEndian, ifd0, gps) {
+                    var size = function (entries) {
+                            return 2 + entries.length * 12 + 4 + entries.reduce(function (sum, entry) {
+                                var length = exifReader.TYPE_SIZES[entry.type] * entry.values.length;
+                                return sum + (length > 4 ? length : 0);
+                            }, 0);
+                        },
+                        entries0 = gps ? ifd0.concat([{tag: exifReader.TAG_GPS_IFD, type: exifReader.TYPE_LONG, values: [0]}]) : ifd0,
+                        tiffLength = 8 + size(entries0) + (gps ? size(gps) : 0),
+                        buffer = new ArrayBuffer(2 + 2 + 2 + 6 + tiffLength + 2),
+                        view = new DataView(buffer),
+                        tiff = 12,
+                        writeDirectory = function (offset, entries) {
+                            var data = offset + 2 + entries.length * 12 + 4;
+                            view.setUint16(tiff + offset, entries.length, littleEndian);
+                            entries.forEach(function (entry, i) {
+                                var entryOffset = tiff + offset + 2 + i * 12,
+                                    length = exifReader.TYPE_SIZES[entry.type] * entry.values.length,
+                                    valueOffset = length > 4 ? tiff + data : entryOffset + 8;
+                                view.setUint16(entryOffset, entry.tag, littleEndian);
+                                view.setUint16(entryOffset + 2, entry.type, littleEndian);
+                                view.setUint32(entryOffset + 4, entry.values.length, littleEndian);
+                                if (length > 4) {
+                                    view.setUint32(entryOffset + 8, data, littleEndian);
+                                    data += length;
+                                }
+                                entry.values.forEach(function (value, j) {
+                                    if (entry.type === exifReader.TYPE_RATIONAL) {
+                                        view.setUint32(valueOffset + j * 8, value[0], littleEndian);
+                                        view.setUint32(valueOffset + j * 8 + 4, value[1], littleEndian);
+                                    } else if (entry.type === exifReader.TYPE_LONG) {
+                                        view.setUint32(valueOffset + j * 4, value, littleEndian);
+                                    } else if (entry.type === exifReader.TYPE_ASCII) {
+                                        view.setUint8(valueOffset + j, value.charCodeAt(0));
+                                    } else {
+                                        view.setUint8(valueOffset + j, value);
+                                    }
+                                });
+                            });
+                        };
+
+                    view.setUint16(0, 0xFFD8);
+                    view.setUint16(2, 0xFFE1);
+                    view.setUint16(4, 2 + 6 + tiffLength);
+                    view.setUint32(6, 0x45786966);
+                    view.setUint16(tiff, littleEndian ? 0x4949 : 0x4D4D);
+                    view.setUint16(tiff + 2, 42, littleEndian);
+                    view.setUint32(tiff + 4, 8, littleEndian);
+                    if (gps) {
+                        entries0[entries0.length - 1].values = [8 + size(entries0)];
+                        writeDirectory(8 + size(entries0), gps);
+                    }
+                    writeDirectory(8, entries0);
+                    view.setUint16(buffer.byteLength - 2, 0xFFD9);
+                    return buffer;
+                },
+                ascii = function (text) {
+                    return (text + "\0").split("");
+                },
+                gpsEntries = function () {
+                    return [
+                        {tag: exifReader.TAG_GPS_LATITUDE_REF, type: exifReader.TYPE_ASCII, values: ascii("N")},
+                        {tag: exifReader.TAG_GPS_LATITUDE, type: exifReader.TYPE_RATIONAL, values: [[34, 1], [30, 1], [3600, 100]]},
+                        {tag: exifReader.TAG_GPS_LONGITUDE_REF, type: exifReader.TYPE_ASCII, values: ascii("W")},
+                        {tag: exifReader.TAG_GPS_LONGITUDE, type: exifReader.TYPE_RATIONAL, values: [[119, 1], [15, 1], [0, 1]]},
+                        {tag: exifReader.TAG_GPS_ALTITUDE_REF, type: exifReader.TYPE_BYTE, values: [0]},
+                        {tag: exifReader.TAG_GPS_ALTITUDE, type: exifReader.TYPE_RATIONAL, values: [[2505, 10]]},
+                        {tag: exifReader.TAG_GPS_TIME_STAMP, type: exifReader.TYPE_RATIONAL, values: [[21, 1], [30, 1], [15, 1]]},
+                        {tag: exifReader.TAG_GPS_DATE_STAMP, type: exifReader.TYPE_ASCII, values: ascii("2018:10:20")}
+                    ];
+                },
+                run = function () {
+
+                    test("read extracts the GPS position and UTC time", function (assert) {
+                        [true, false].forEach(function (littleEndian) {
+                            var exif = exifReader.read(createJpeg(littleEndian, [], gpsEntries())),
+                                order = littleEndian ? "little endian: " : "big endian: ";
+
+                            assert.ok(Math.abs(exif.latitude - 34.51) < 1e-9, order + "latitude");
+                            assert.ok(Math.abs(exif.longitude + 119.25) < 1e-9, order + "western longitude is negative");
+                            assert.ok(Math.abs(exif.altitude - 250.5) < 1e-9, order + "altitude");
+                            assert.equal(exif.time.toISOString(), "2018-10-20T21:30:15.000Z", order + "GPS time");
+                        });
+                    });
+
+                    test("read falls back to the local EXIF date/time", function (assert) {
+                        var exif = exifReader.read(createJpeg(true, [
+                            {tag: exifReader.TAG_DATE_TIME, type: exifReader.TYPE_ASCII, values: ascii("2018:10:20 14:05:30")}
+                        ], null));
+
+                        assert.strictEqual(exif.latitude, null, "not geotagged");
+                        assert.strictEqual(exif.longitude, null, "not geotagged");
+                        assert.equal(exif.time.getFullYear(), 2018, "year");
+                        assert.equal(exif.time.getMonth(), 9, "month");
+                        assert.equal(exif.time.getDate(), 20, "day");
+                        assert.equal(exif.time.getHours(), 14, "local hours");
+                        assert.equal(exif.time.getMinutes(), 5, "minutes");
+                    });
+
+                    test("read rejects images without EXIF metadata", function (assert) {
+                        var png = new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+                            jpeg = new Uint8Array([0xFF, 0xD8, 0xFF, 0xDA, 0x00, 0x02, 0xFF, 0xD9]);
+
+                        assert.strictEqual(exifReader.read(png.buffer), null, "not a JPEG");
+                        assert.strictEqual(exifReader.read(jpeg.buffer), null, "no APP1 segment");
+                    });
+
+                    test("toDegrees applies the hemisphere", function (assert) {
+                        assert.equal(exifReader.toDegrees([10, 30, 0], "S", "S"), -10.5, "southern latitude");
+                        assert.equal(exifReader.toDegrees([10, 30, 0], "E", "W"), 10.5, "eastern longitude");
+                        assert.strictEqual(exifReader.toDegrees(undefined, "N", "S"), null, "missing");
+                    });
+                };
+            return {
+                run: run
+            };
+        });
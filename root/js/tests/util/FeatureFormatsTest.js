@@ -0,0 +1,68 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+define(['model/util/FeatureFormats', 'QUnit'],
+        function (featureFormats, QUnit) {
+            "use strict";
+            var run = function () {
+                var fire = {
+                        type: "fire", name: "Ridge \"North\", 2", latitude: 34.2, longitude: -119.1, altitude: 120,
+                        reported: "2018-10-20T10:00:00.000Z", extinguished: null, verified: true, fid: "17",
+                        size: 12.5, containment: 40, cause: "Lightning", fuel: null, structures: 3,
+                        description: "Spotting,\nnorth flank", symbolCode: "EHIPC-------", image: null},
+                    marker = {
+                        type: "marker", name: "ICP", latitude: 34.25, longitude: -119.05, altitude: 0,
+                        reported: null, extinguished: null, verified: null, fid: null,
+                        size: null, containment: null, cause: null, fuel: null, structures: null,
+                        description: null, symbolCode: null, image: "images/markers/castshadow-red.png"};
+
+                test("GeoJSON round trip", function (assert) {
+                    var text = featureFormats.write("geojson", [fire, marker]),
+                        json = JSON.parse(text);
+
+                    assert.deepEqual(json.features[0].geometry.coordinates, [-119.1, 34.2, 120], "point geometry");
+                    assert.ok(!json.features[1].properties.hasOwnProperty("fid"), "null fields omitted");
+                    assert.deepEqual(featureFormats.read("geojson", text), [fire, marker], "features read back");
+                });
+
+                test("CSV round trip quotes the fields", function (assert) {
+                    var text = featureFormats.write("csv", [fire, marker]);
+
+                    assert.equal(text.split("\r\n")[0], featureFormats.FIELDS.join(","), "header row");
+                    assert.ok(text.indexOf('"Ridge ""North"", 2"') > 0, "quoted name");
+                    assert.deepEqual(featureFormats.read("csv", text), [fire, marker], "features read back");
+                });
+
+                test("CSV accepts location aliases and skips invalid rows", function (assert) {
+                    var features = featureFormats.read("csv", "Name,LAT,Lon\nA,34.5,-118\nB,,-118\nC,95,-118\n");
+
+                    assert.equal(features.length, 1, "rows without a valid location skipped");
+                    assert.equal(features[0].name, "A", "name");
+                    assert.equal(features[0].type, "fire", "default type");
+                    assert.equal(features[0].latitude, 34.5, "latitude");
+                    assert.equal(features[0].altitude, 0, "default altitude");
+                });
+
+                test("KML and GPX escape the XML text", function (assert) {
+                    var special = Object.assign({}, marker, {name: "A & <B>"}),
+                        kml = featureFormats.write("kml", [fire, special]),
+                        gpx = featureFormats.write("gpx", [fire, special]);
+
+                    assert.ok(kml.indexOf("<name>A &amp; &lt;B&gt;</name>") > 0, "KML name");
+                    assert.ok(kml.indexOf("<TimeSpan><begin>2018-10-20T10:00:00.000Z</begin></TimeSpan>") > 0, "KML time span");
+                    assert.ok(kml.indexOf("<coordinates>-119.1,34.2,120</coordinates>") > 0, "KML coordinates");
+                    assert.ok(gpx.indexOf('<wpt lat="34.2" lon="-119.1">') > 0, "GPX waypoint");
+                    assert.ok(gpx.indexOf("<explorer:verified>true</explorer:verified>") > 0, "GPX extension");
+                });
+
+                test("formatOfFile", function (assert) {
+                    assert.equal(featureFormats.formatOfFile("fires.KML"), "kml", "extension case");
+                    assert.equal(featureFormats.formatOfFile("fires.json"), "geojson", "json");
+                    assert.strictEqual(featureFormats.formatOfFile("fires.shp"), null, "unknown");
+                });
+            };
+            return {
+                run: run
+            };
+        });
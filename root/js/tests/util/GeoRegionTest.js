@@ -0,0 +1,48 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+define(['model/util/GeoRegion', 'QUnit'],
+        function (geoRegion, QUnit) {
+            "use strict";
+            var run = function () {
+
+                test("containsLocation tests a concave polygon", function (assert) {
+                    // A "U" shape open to the north
+                    var polygon = [
+                        {latitude: 0, longitude: 0},
+                        {latitude: 0, longitude: 3},
+                        {latitude: 3, longitude: 3},
+                        {latitude: 3, longitude: 2},
+                        {latitude: 1, longitude: 2},
+                        {latitude: 1, longitude: 1},
+                        {latitude: 3, longitude: 1},
+                        {latitude: 3, longitude: 0}];
+
+                    assert.ok(geoRegion.containsLocation(polygon, 0.5, 1.5), "in the base");
+                    assert.ok(geoRegion.containsLocation(polygon, 2, 0.5), "in the left arm");
+                    assert.ok(!geoRegion.containsLocation(polygon, 2, 1.5), "between the arms");
+                    assert.ok(!geoRegion.containsLocation(polygon, -1, 1.5), "south of the polygon");
+                    assert.ok(!geoRegion.containsLocation(polygon.slice(0, 2), 0, 1), "not a polygon");
+                });
+
+                test("distanceToPolygon measures to the nearest edge", function (assert) {
+                    var square = [
+                            {latitude: 0, longitude: 0},
+                            {latitude: 0, longitude: 1},
+                            {latitude: 1, longitude: 1},
+                            {latitude: 1, longitude: 0}],
+                        degree = geoRegion.EARTH_RADIUS * Math.PI / 180;
+
+                    assert.strictEqual(geoRegion.distanceToPolygon(square, 0.5, 0.5), 0, "inside");
+                    assert.ok(Math.abs(geoRegion.distanceToPolygon(square, -0.1, 0.5) - 0.1 * degree) < 1, "south of an edge");
+                    assert.ok(Math.abs(geoRegion.distanceToPolygon(square, 1.03, 1.04) - 0.05 * degree) < 10, "off a corner");
+                    assert.ok(Math.abs(geoRegion.distanceToPolygon([{latitude: 0, longitude: 0}], 0, 0.01) - 0.01 * degree) < 1,
+                        "single vertex");
+                    assert.strictEqual(geoRegion.distanceToPolygon([], 0, 0), Infinity, "no vertices");
+                });
+            };
+            return {
+                run: run
+            };
+        });
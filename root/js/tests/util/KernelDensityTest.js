@@ -0,0 +1,53 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+define(['model/util/KernelDensity', 'QUnit'],
+        function (kernelDensity, QUnit) {
+            "use strict";
+            var run = function () {
+
+                test("boundingSector encloses the points plus the margin", function (assert) {
+                    var sector = kernelDensity.boundingSector([
+                        {latitude: 34, longitude: -119},
+                        {latitude: 35, longitude: -118}], kernelDensity.METERS_PER_DEGREE);
+
+                    assert.equal(sector.minLatitude, 33, "min latitude");
+                    assert.equal(sector.maxLatitude, 36, "max latitude");
+                    assert.ok(sector.minLongitude < -120, "longitude margin widens with latitude");
+                    assert.ok(sector.maxLongitude > -117, "longitude margin widens with latitude");
+                    assert.strictEqual(kernelDensity.boundingSector([], 1000), null, "no points");
+                });
+
+                test("gridSize keeps the cells roughly square", function (assert) {
+                    var size = kernelDensity.gridSize({minLatitude: 0, maxLatitude: 1, minLongitude: 0, maxLongitude: 2}, 100);
+
+                    assert.equal(size.width, 100, "the longer side has the requested cells");
+                    assert.equal(size.height, 50, "the shorter side is proportional");
+                });
+
+                test("computeGrid peaks at the point and falls off symmetrically", function (assert) {
+                    var sector = {minLatitude: -0.5, maxLatitude: 0.5, minLongitude: -0.5, maxLongitude: 0.5},
+                        grid = kernelDensity.computeGrid([{latitude: 0, longitude: 0}], sector, 11, 11, 10000),
+                        center = grid.values[5 * 11 + 5];
+
+                    assert.equal(center, grid.max, "the densest cell contains the point");
+                    assert.ok(Math.abs(center - 1) < 1e-6, "unit weight at the center");
+                    assert.ok(Math.abs(grid.values[5 * 11 + 4] - grid.values[5 * 11 + 6]) < 1e-6, "symmetric east-west");
+                    assert.ok(Math.abs(grid.values[4 * 11 + 5] - grid.values[6 * 11 + 5]) < 1e-6, "symmetric north-south");
+                    assert.equal(grid.values[0], 0, "no density beyond the cutoff");
+                });
+
+                test("computeGrid sums the weighted points", function (assert) {
+                    var sector = {minLatitude: -0.5, maxLatitude: 0.5, minLongitude: -0.5, maxLongitude: 0.5},
+                        single = kernelDensity.computeGrid([{latitude: 0, longitude: 0}], sector, 11, 11, 10000),
+                        double = kernelDensity.computeGrid([
+                            {latitude: 0, longitude: 0},
+                            {latitude: 0, longitude: 0, weight: 2}], sector, 11, 11, 10000);
+
+                    assert.ok(Math.abs(double.max - 3 * single.max) < 1e-5, "weights add");
+                });
+
+            };
+            return {run: run};
+        });
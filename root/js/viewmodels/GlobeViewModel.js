@@ -54,6 +54,7 @@ define([
             // TODO: This is fragile; find a better way to inject managers
             this.markerManager = params.markerManager;
             this.symbolManager = params.symbolManager;
+            this.fireAttachments = params.fireAttachments || null;
 
             // Save a reference to the auto-update time observable for the view view
             this.autoUpdateTime = explorer.autoUpdateTimeEnabled;
@@ -88,6 +89,17 @@ define([
                 self.handleDropClick(event);
             });
 
+            // Accept photos dragged onto the globe; see handleFileDrop
+            this.globe.wwd.canvas.addEventListener("dragover", function (event) {
+                if (self.fireAttachments && GlobeViewModel.hasFiles(event)) {
+                    event.preventDefault();
+                    event.dataTransfer.dropEffect = "copy";
+                }
+            });
+            this.globe.wwd.canvas.addEventListener("drop", function (event) {
+                self.handleFileDrop(event);
+            });
+
 
             // Bind the view to this view model
             ko.applyBindings(this, this.view);
@@ -184,6 +196,13 @@ define([
             var newSymbol = new TacticalSymbol(this.symbolManager, position, { symbolCode: symbolTemplate.symbolCode, timeReported: new Date(), timeExtinguished: null, isMoveable: true, user: true, verified: false, fid: null });
             
             this.symbolManager.addSymbol(newSymbol);
+            if (newSymbol.possibleDuplicates().length > 0) {
+                // Flagged by the FireDuplicateDetector when the symbol was added
+                alert("This fire may already be reported: " + newSymbol.possibleDuplicates().length +
+                    " fire(s) were reported nearby. Select your new placemark to review and merge the reports," +
+                    " or double click on it and click 'Save' to report the fire.");
+                return;
+            }
             alert("Double click on your new placemark and click 'Save' to report the fire.");
         };
 
@@ -226,6 +245,42 @@ define([
             event.stopImmediatePropagation();
         };
 
+        /**
+         * Handles files dropped on the WorldWindow: each JPEG photo creates a new fire
+         * report located from its EXIF GPS position, or at the drop point if the photo
+         * isn't geotagged.
+         */
+        GlobeViewModel.prototype.handleFileDrop = function (event) {
+            var self = this,
+                files, pickList, terrain;
+
+            if (!this.fireAttachments || !GlobeViewModel.hasFiles(event)) {
+                return;
+            }
+            event.preventDefault();
+            files = Array.prototype.filter.call(event.dataTransfer.files, function (file) {
+                return file.type === "image/jpeg";
+            });
+            if (files.length === 0) {
+                alert("Drop a JPEG photo on the globe to report a fire at the photo's location.");
+                return;
+            }
+            pickList = this.globe.wwd.pickTerrain(this.globe.wwd.canvasCoordinates(event.clientX, event.clientY));
+            terrain = pickList.terrainObject();
+            files.forEach(function (file) {
+                self.fireAttachments.createReportFromPhoto(file, terrain ? terrain.position : null);
+            });
+        };
+
+        /**
+         * Determines if a drag event carries files.
+         * @param {DragEvent} event
+         * @returns {Boolean}
+         */
+        GlobeViewModel.hasFiles = function (event) {
+            return !!event.dataTransfer && Array.prototype.indexOf.call(event.dataTransfer.types, "Files") >= 0;
+        };
+
         GlobeViewModel.prototype.onTimeReset = function () {
             this.explorer.autoUpdateTimeEnabled(true);   // reset enables the auto time adjustment
             this.globe.updateDateTime(new Date());
@@ -245,10 +300,8 @@ define([
         };
 
         GlobeViewModel.prototype.sliderValueToTime = function (value) {
-            var time = this.globe.dateTime(),
-                minutes = time.getMinutes();
-            time.setTime(time.getTime() + (value * 60000));
-            return time;
+            // Return a new Date: modifying the observable's Date would bypass its subscribers
+            return new Date(this.globe.dateTime().getTime() + (value * 60000));
         };
 
         GlobeViewModel.prototype.sliderValueToMinutes = function (value) {
@@ -26,9 +26,10 @@ define([
          * @param {Globe} globe
          * @param {String} viewFragment HTML
          * @param {String} appendToId View element parent id
+         * @param {NearestFires} nearestFires The fires closest to the crosshairs or cursor
          * @returns {InfoViewModel}
          */
-        function InfoViewModel(globe, viewFragment, appendToId) {
+        function InfoViewModel(globe, viewFragment, appendToId, nearestFires) {
             var self = this,
                 domNodes = $.parseHTML(viewFragment);
 
@@ -38,6 +39,7 @@ define([
 
             this.globe = globe;
             this.formatter = formatter;
+            this.nearestFires = nearestFires;
             
             // Get a reference to the SelectController's selectedItem observable
             this.selectedItem = this.globe.selectController.lastSelectedItem;
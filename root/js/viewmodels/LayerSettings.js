@@ -8,12 +8,13 @@
  * presents controls for a single layer.
  * 
  * @param {Constants} constants 
+ * @param {HeatmapLayer} HeatmapLayer
  * @param {Knockout} ko
  * @param {JQuery} $
  * @returns {LayerSettings}
  */
-define(['model/Constants', 'knockout', 'jquery'],
-    function (constants, ko, $) {
+define(['model/Constants', 'model/globe/layers/HeatmapLayer', 'knockout', 'jquery'],
+    function (constants, HeatmapLayer, ko, $) {
         "use strict";
         /**
          * Constructs a LayerSettings view model and binds it to the given
@@ -118,6 +119,32 @@ define(['model/Constants', 'knockout', 'jquery'],
             this.legendUrl = ko.observable('');
             this.opacity = ko.observable(0);
 
+            /**
+             * Is this layer a heatmap?
+             * @type {boolean} observable
+             */
+            this.isHeatmap = ko.pureComputed(function () {
+                var layer = self.currentLayer();
+                return layer ? layer.wwLayer instanceof HeatmapLayer : false;
+            });
+
+            /**
+             * The heatmap's kernel radius in kilometers.
+             * @type {Number} observable
+             */
+            this.heatmapRadius = ko.observable(HeatmapLayer.DEFAULT_RADIUS / 1000);
+
+            /**
+             * The heatmap's color ramp name.
+             * @type {String} observable
+             */
+            this.heatmapRamp = ko.observable(HeatmapLayer.DEFAULT_RAMP);
+
+            /**
+             * The color ramp choices presented in the view.
+             */
+            this.heatmapRamps = Object.keys(HeatmapLayer.RAMPS);
+
             // Forward changes from observable(s) to the the layer object
             this.opacity.subscribe(function (newValue) {
                 if (this.currentLayer()) {
@@ -125,6 +152,20 @@ define(['model/Constants', 'knockout', 'jquery'],
                 }
             }, this);
 
+            this.heatmapRadius.subscribe(function (newValue) {
+                if (this.isHeatmap()) {
+                    this.currentLayer().wwLayer.setRadius(newValue * 1000);
+                    this.globe.redraw();
+                }
+            }, this);
+
+            this.heatmapRamp.subscribe(function (newValue) {
+                if (this.isHeatmap()) {
+                    this.currentLayer().wwLayer.setRamp(newValue);
+                    this.globe.redraw();
+                }
+            }, this);
+
             this.currentTime.subscribe(function (newValue) {
                 console.log("New current time: " + newValue);
                 if (this.currentLayer() && newValue) {
@@ -160,6 +201,10 @@ define(['model/Constants', 'knockout', 'jquery'],
             this.timeSequence(layer.wwLayer.timeSequence);
             this.legendUrl(layer.legendUrl());
             this.opacity(layer.opacity());
+            if (this.isHeatmap()) {
+                this.heatmapRadius(layer.wwLayer.radius / 1000);
+                this.heatmapRamp(layer.wwLayer.rampName);
+            }
 
             // Get the view element and wrap it in a JQuery dialog
             var $view = $(this.view);
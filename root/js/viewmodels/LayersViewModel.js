@@ -15,6 +15,7 @@
  * 
  * @param {Constants} constants
  * @param {Log} log
+ * @param {TacticalSymbolPlacemark} TacticalSymbolPlacemark
  * @param {Dragula} dragula
  * @param {Knockout} ko 
  * @param {JQeury} $
@@ -23,12 +24,13 @@
 define([
     'model/Constants',
     'model/util/Log',
+    'model/military/TacticalSymbolPlacemark',
     'dragula',
     'knockout',
     'jquery',
     'jqueryui',
     'bootstrap'],
-    function (constants, log, dragula, ko, $) {
+    function (constants, log, TacticalSymbolPlacemark, dragula, ko, $) {
         "use strict";
         /**
          * The view model for the Layers panel.
@@ -54,6 +56,9 @@ define([
             this.effectsLayers = layerManager.effectsLayers;
             this.widgetLayers = layerManager.widgetLayers;
             this.selectedLayer = ko.observable();
+
+            // The depictions of the fire states for the legend
+            this.fireLegend = TacticalSymbolPlacemark.fireStateLegend();
             // Layer type options
             this.optionValues = ["WMS Layer", "WMTS Layer", "KML file", "Shapefile"];
             this.selectedOptionValue = ko.observable(self.optionValues[0]);
@@ -7,17 +7,19 @@
 /**
  * Settings content module
  *
+ * @param {Config} config
  * @param {Constants} constants
  * @param {Knockout} ko
  * @param {JQuery} $
  * @param {Moment} moment
  * @returns {SettingsViewModel}
  */
-define(['model/Constants',
+define(['model/Config',
+    'model/Constants',
     'knockout',
     'jquery',
     'moment'],
-    function (constants, ko, $, moment) {
+    function (config, constants, ko, $, moment) {
 
         /**
          * The view model for the Settings panel.
@@ -32,7 +34,7 @@ define(['model/Constants',
             var self = this,
                 domNodes = $.parseHTML(viewFragment),
                 skyLayer, starsLayer, atmosphereLayer, timeZoneLayer, viewControls, widgets, crosshairs,
-                tessellation, frameStatistics;
+                tessellation, frameStatistics, clusteredLayers;
 
             // Load the view html into the specified DOM element
             $("#" + appendToId).append(domNodes);
@@ -51,6 +53,9 @@ define(['model/Constants',
             crosshairs = this.layerManager.findLayer(constants.LAYER_NAME_RETICLE);
             tessellation = this.layerManager.findLayer("Show Tessellation");
             frameStatistics = this.layerManager.findLayer("Frame Statistics");
+            clusteredLayers = [
+                this.layerManager.findLayer(constants.LAYER_NAME_MARKERS),
+                this.layerManager.findLayer(constants.LAYER_NAME_TACTICAL_SYMBOLS)];
 
             //
             // Observables
@@ -111,6 +116,20 @@ define(['model/Constants',
             this.tessellationEnabled = tessellation ? tessellation.enabled : ko.observable();
             this.frameStatisticsEnabled = frameStatistics ? frameStatistics.enabled : ko.observable();
 
+            /**
+             * The clustering state of the markers and symbols layers (settable).
+             */
+            this.clusteringEnabled = ko.observable(config.clusterPlacemarks !== false);
+            this.clusteringEnabled.subscribe(function (newValue) {
+                clusteredLayers.forEach(function (layer) {
+                    if (layer) {
+                        layer.wwLayer.clusteringEnabled = newValue;
+                    }
+                });
+                self.globe.redraw();
+            });
+            this.clusteringEnabled.valueHasMutated();   // Apply the initial state to the layers
+
             /**
              * Background color selection handler
              * @param {String} newValue background color 
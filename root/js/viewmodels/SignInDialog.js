@@ -0,0 +1,90 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define*/
+
+/**
+ * SignInDialog presents a dialog that signs the user in to the fire data source.
+ *
+ * @param {Knockout} ko
+ * @param {JQuery} $
+ * @returns {SignInDialog}
+ */
+define(['knockout', 'jquery', 'jqueryui', 'jquery-growl'],
+    function (ko, $) {
+        "use strict";
+        /**
+         * @constructor
+         * @param {FireAuth} auth The signed-in user of the fire data source.
+         * @param {Object} viewFragment
+         * @returns {SignInDialog}
+         */
+        function SignInDialog(auth, viewFragment) {
+            var self = this;
+            this.auth = auth;
+            this.username = ko.observable("");
+            this.password = ko.observable("");
+            this.errorMessage = ko.observable("");
+
+            // Load the view fragment into the DOM's body.
+            // Wrap the view in a hidden div for use in a JQuery UI dialog.
+            var $view = $('<div style="display: none"></div>')
+                .append(viewFragment)
+                .appendTo($('body'));
+            this.view = $view.children().first().get(0);
+
+            /**
+             * Opens the sign in dialog.
+             */
+            this.open = function () {
+                var $view = $(self.view);
+                self.password("");
+                self.errorMessage("");
+                $view.dialog({
+                    autoOpen: false,
+                    title: "Sign In",
+                    modal: true,
+                    buttons: {
+                        "Sign In": function () {
+                            self.onSubmit();
+                        },
+                        Cancel: function () {
+                            $(this).dialog("close");
+                        }
+                    }
+                });
+                $view.dialog("open");
+            };
+
+            /**
+             * Signs in with the entered credentials and closes the dialog when signed in.
+             * Invoked by the Sign In button and the form's submit.
+             */
+            this.onSubmit = function () {
+                if (self.auth.isSigningIn()) {
+                    return;
+                }
+                if (!self.username() || !self.password()) {
+                    self.errorMessage("Enter your username and password.");
+                    return;
+                }
+                self.errorMessage("");
+                self.auth.signIn(self.username(), self.password()).then(function (user) {
+                    self.password("");
+                    $(self.view).dialog("close");
+                    $.growl.notice({
+                        title: "Signed In",
+                        message: "Welcome, " + $("<div></div>").text(user.username).html() + "."});
+                }).catch(function (error) {
+                    self.errorMessage(error.message);
+                });
+            };
+
+            // Bind the view to this view model
+            ko.applyBindings(this, this.view);
+        }
+
+        return SignInDialog;
+    }
+);
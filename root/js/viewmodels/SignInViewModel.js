@@ -0,0 +1,77 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/*global define*/
+
+/**
+ * The SignInViewModel shows the user signed in to the fire data source in the navbar
+ * and opens a dialog to sign in or out. It is hidden if the data source doesn't
+ * require signing in.
+ *
+ * @param {FireAuth} FireAuth module
+ * @param {SignInDialog} SignInDialog module
+ * @param {Object} signInDialogHtml HTML view fragment
+ * @param {Knockout} ko
+ * @param {JQuery} $
+ * @returns {SignInViewModel}
+ */
+define([
+    'model/fires/FireAuth',
+    'viewmodels/SignInDialog',
+    'text!views/sign-in-dialog.html',
+    'knockout',
+    'jquery',
+    'jquery-growl'],
+    function (FireAuth, SignInDialog, signInDialogHtml, ko, $) {
+        "use strict";
+        /**
+         * @constructor
+         * @param {FireAuth} auth The signed-in user of the fire data source.
+         * @param {String} viewFragment HTML
+         * @param {String} appendToId The ID of the element to which the view fragment is appended
+         * @returns SignInViewModel
+         */
+        function SignInViewModel(auth, viewFragment, appendToId) {
+            var self = this,
+                domNodes = $.parseHTML(viewFragment);
+
+            // Load the view html into the specified DOM element
+            $("#" + appendToId).append(domNodes);
+            this.view = domNodes[0];
+
+            this.auth = auth;
+
+            // Create a sign in dialog object
+            this.dialog = new SignInDialog(auth, signInDialogHtml);
+
+            /**
+             * The signed-in user's role for the menu header.
+             */
+            this.roleText = ko.pureComputed(function () {
+                return self.auth.role() === FireAuth.ROLE_RESPONDER ? "Responder" : "Public";
+            });
+
+            /**
+             * Opens the sign in dialog.
+             */
+            this.onSignIn = function () {
+                self.dialog.open();
+            };
+
+            /**
+             * Signs out of the fire data source.
+             */
+            this.onSignOut = function () {
+                self.auth.signOut().then(function () {
+                    $.growl.notice({title: "Signed Out", message: "You are signed out."});
+                });
+            };
+
+            // Binds the view to this view model.
+            ko.applyBindings(this, this.view);
+        }
+
+        return SignInViewModel;
+    }
+);
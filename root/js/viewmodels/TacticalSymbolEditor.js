@@ -10,26 +10,29 @@ define([
     //'text!libs/milsymbol/2525C signals-intelligence.json',
     //'text!libs/milsymbol/2525C stability-operations.json',
     'text!libs/milsymbol/2525C emergency-managment.json',
-    '../FireRestAPI',
+    'model/fires/FireIncident',
     'knockout',
     'jquery',
     'jqueryui',
+    'jquery-growl',
     'text'],
     function (
         //warfighting2525c,
         //signalsIntel2525c,
         //stabilityOps2525c,
         emergencyMgmt2525c,
-        FireRestAPI,
+        fireIncident,
         ko,
         $) {
         "use strict";
         /**
          * @constructor
          * @param {String} viewFragment HTML
+         * @param {FireService} fireService Sends the edits to the fire data source
+         * @param {FireAttachments} fireAttachments Optional; stores the attached photos and files
          * @returns {TacticalSymbolEditor}
          */
-        function TacticalSymbolEditor(viewFragment) {
+        function TacticalSymbolEditor(viewFragment, fireService, fireAttachments) {
             var self = this,
                 //warfighting = JSON.parse(warfighting2525c),
                 //signals = JSON.parse(signalsIntel2525c),
@@ -46,6 +49,22 @@ define([
             // The symbol object to be edited 
             this.symbol = ko.observable({});
 
+            // The service that persists the edited fire
+            this.fireService = fireService;
+
+            // The signed-in user's role determines the edits they may make
+            this.auth = fireService.auth;
+
+            /**
+             * Flag indicating the user may view but not change the symbol (see FireService.canEdit).
+             */
+            this.isReadOnly = ko.pureComputed(function () {
+                var symbol = self.symbol();
+                return symbol.isEditable ? !symbol.isEditable() : false;
+            });
+
+            // The store of the attached photos and files
+            this.fireAttachments = fireAttachments || null;
 
 
             // Operational status name/value pairs for dropdown lists
@@ -107,6 +126,41 @@ define([
             this.longitude = ko.observable();
             this.altitude = ko.observable();
 
+            // Incident attribute choices for dropdown lists
+            this.causeOptions = fireIncident.CAUSES;
+            this.fuelOptions = fireIncident.FUEL_TYPES;
+            this.sizeUnitOptions = [
+                {value: "hectares", name: "Hectares"},
+                {value: "acres", name: "Acres"}];
+            this.sizeUnit = ko.observable("hectares");
+
+            /**
+             * The symbol's estimated size in the selected unit; the symbol stores hectares.
+             */
+            this.sizeInUnit = ko.pureComputed({
+                read: function () {
+                    var incident = self.symbol().incident,
+                        hectares = incident ? incident.size() : null;
+                    if (hectares === null || hectares === undefined || hectares === "" || isNaN(hectares)) {
+                        return "";
+                    }
+                    return fireIncident.round(self.sizeUnit() === "acres" ?
+                        hectares * fireIncident.ACRES_PER_HECTARE : Number(hectares), 2);
+                },
+                write: function (value) {
+                    var incident = self.symbol().incident,
+                        number = parseFloat(value);
+                    if (!incident) {
+                        return;
+                    }
+                    if (isNaN(number)) {
+                        incident.size(null);
+                    } else {
+                        incident.size(self.sizeUnit() === "acres" ? number / fireIncident.ACRES_PER_HECTARE : number);
+                    }
+                }
+            });
+
             /**
              * Builds the dimension options when the selected symbology scheme changes.
              * @param {Object} scheme 
@@ -251,8 +305,9 @@ define([
             });
 
             /**
-             * Updates symbol code in the current symbol object.
+             * Updates symbol code in the current symbol object and saves the fire.
              * Invoked by the dialog Save button.
+             * @returns {Promise} Resolves when the fire data source confirms the save.
              */
             this.onSave = function () {
                 var icon = self.selectedFunction() ? self.selectedFunction().function : null,
@@ -277,27 +332,31 @@ define([
                 console.log(symbolCode);
                 self.symbol().symbolCode(symbolCode);
                 
-                if (self.symbol().userCreated && self.symbol().dbLat == null){
-                    // If a user created symbol doesn't  have a dbLat it hasn't been pushed to the database yet. need to create the DB entry and update the db params of the symbol
-                    var createFireQueryURL = "http://nasaspaceappschallenge2018.ddns.net:8081/api/fires/";
-                    var CreateFireQuery = new FireRestAPI(createFireQueryURL);
-                    var params = {lat: parseFloat(self.symbol().latitude()), lon: parseFloat(self.symbol().longitude()), alt: parseFloat(self.symbol().altitude())};
-                    CreateFireQuery.createFire(self.symbol().manager, params);
-                    self.symbol().dbLat = parseFloat(self.symbol().latitude());
-                    self.symbol().dbLon = parseFloat(self.symbol().longitude());
-                    self.symbol().dbAlt = parseFloat(self.symbol().altitude());
-                } else if ((self.symbol().dbLat != parseFloat(self.symbol().latitude()) || 
-                    self.symbol().dbLon != parseFloat(self.symbol().longitude()) || 
-                    self.symbol().dbAlt != parseFloat(self.symbol().altitude())) || 
-                    self.symbol().dbTimeExtinguished != self.symbol().koTimeExtinguished() ||
-                    self.symbol().dbIsVerified != self.symbol().koIsVerified()) {
-                    // process any change thru api
-                    var updateFireQueryURL = "http://nasaspaceappschallenge2018.ddns.net:8081/api/fires/" + self.symbol().fid;
-                    //var updateFireQueryURL = "http://localhost:4000/api/fires/" + self.symbol().fid;
-                    var updateFireQuery = new FireRestAPI(updateFireQueryURL);
-                    var params = {lat: parseFloat(self.symbol().latitude()), lon: parseFloat(self.symbol().longitude()), alt: parseFloat(self.symbol().altitude()),
-                                 verified: self.symbol().koIsVerified(), exttime: self.symbol().koTimeExtinguished()};
-                    updateFireQuery.updateFire(self.symbol().manager, params);
+                // Process any change thru the fire data source
+                return self.fireService.saveFire(self.symbol());
+            };
+
+            /**
+             * Attaches the files chosen in the file input to the symbol. The attachments
+             * are stored immediately; they don't wait for the Save button.
+             * @param {Object} data The binding context's data
+             * @param {Event} event The file input's change event
+             */
+            this.onAttachFiles = function (data, event) {
+                var input = event.target;
+                if (self.fireAttachments && input.files.length > 0) {
+                    self.fireAttachments.attachFiles(self.symbol(), input.files);
+                }
+                input.value = "";   // allow the same file to be chosen again
+            };
+
+            /**
+             * Removes an attachment from the symbol. Invoked by the attachment's remove button.
+             * @param {Object} attachment
+             */
+            this.onRemoveAttachment = function (attachment) {
+                if (self.fireAttachments) {
+                    self.fireAttachments.removeAttachment(self.symbol(), attachment);
                 }
             };
 
@@ -347,19 +406,39 @@ define([
                 this.locationChanged = false;
                 this.extTimeChanged = false;
                 // Open the dialog
-                var $symbolEditor = $(self.view);
+                var $symbolEditor = $(self.view),
+                    buttons = {};
+                // Offer only the changes the user's role allows
+                if (!self.isReadOnly()) {
+                    buttons.Save = function () {
+                        var $dialog = $(this);
+                        // Keep the dialog open until the save is confirmed
+                        self.onSave().then(function () {
+                            $dialog.dialog("close");
+                        }).catch(function (error) {
+                            $.growl.error({
+                                title: "Fire Not Saved",
+                                message: error.message});
+                        });
+                    };
+                }
+                if (self.auth.canEdit()) {
+                    buttons.Extinguish = function () {
+                        var $dialog = $(this);
+                        self.fireService.extinguishFire(self.symbol()).then(function (confirmed) {
+                            if (confirmed) {
+                                $dialog.dialog("close");
+                            }
+                        });
+                    };
+                }
+                buttons[self.isReadOnly() ? "Close" : "Cancel"] = function () {
+                    $(this).dialog("close");
+                };
                 $symbolEditor.dialog({
                     autoOpen: false,
-                    title: "Edit Fire Emergency Symbol",
-                    buttons: {
-                        "Save": function () {
-                            self.onSave();
-                            $(this).dialog("close");
-                        },
-                        Cancel: function () {
-                            $(this).dialog("close");
-                        }
-                    }
+                    title: self.isReadOnly() ? "Fire Emergency Symbol" : "Edit Fire Emergency Symbol",
+                    buttons: buttons
                 });
                 $symbolEditor.dialog("open");
             };
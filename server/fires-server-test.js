@@ -0,0 +1,229 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/**
+ * Tests of the fires REST API reference server. Starts the server with temporary
+ * data and users files and exercises it over HTTP.
+ *
+ * Usage: node server/fires-server-test.js
+ */
+
+"use strict";
+
+var assert = require("assert"),
+    childProcess = require("child_process"),
+    fs = require("fs"),
+    http = require("http"),
+    net = require("net"),
+    os = require("os"),
+    path = require("path");
+
+var SERVER = path.join(__dirname, "fires-server.js"),
+    STARTUP_TIMEOUT = 10000,
+    USERNAME = "chief",
+    PASSWORD = "secret",
+    tests = [];
+
+/**
+ * Registers a test.
+ * @param {String} name
+ * @param {Function} fn Receives the server's {port}; returns a promise.
+ */
+function test(name, fn) {
+    tests.push({name: name, fn: fn});
+}
+
+// Finds a free port by binding to an ephemeral one.
+function freePort() {
+    return new Promise(function (resolve, reject) {
+        var probe = net.createServer();
+        probe.on("error", reject);
+        probe.listen(0, function () {
+            var port = probe.address().port;
+            probe.close(function () {
+                resolve(port);
+            });
+        });
+    });
+}
+
+// Starts the server in a child process; resolves with {port, process} once it listens.
+function startServer(dir) {
+    var hash = childProcess.execFileSync(process.execPath, [SERVER, "hash-password", PASSWORD]).toString().trim();
+
+    fs.writeFileSync(path.join(dir, "users.json"), JSON.stringify([{username: USERNAME, role: "responder", password: hash}]));
+    return freePort().then(function (port) {
+        return new Promise(function (resolve, reject) {
+            var child = childProcess.spawn(process.execPath, [SERVER], {
+                    env: Object.assign({}, process.env, {
+                        PORT: String(port),
+                        FIRES_DB: path.join(dir, "fires.json"),
+                        FIRES_ATTACHMENTS: path.join(dir, "attachments"),
+                        FIRES_USERS: path.join(dir, "users.json")
+                    })
+                }),
+                timer = setTimeout(function () {
+                    child.kill();
+                    reject(new Error("The server didn't start"));
+                }, STARTUP_TIMEOUT);
+
+            child.stdout.on("data", function (data) {
+                if (String(data).indexOf("listening") >= 0) {
+                    clearTimeout(timer);
+                    resolve({port: port, process: child});
+                }
+            });
+            child.on("exit", function (code) {
+                clearTimeout(timer);
+                reject(new Error("The server exited with code " + code));
+            });
+        });
+    });
+}
+
+/**
+ * Sends a request to the server.
+ * @param {Object} server {port}
+ * @param {String} method
+ * @param {String} pathname
+ * @param {Object} body Optional JSON body.
+ * @param {String} accessToken Optional.
+ * @returns {Promise} Resolves with {status, body}.
+ */
+function request(server, method, pathname, body, accessToken) {
+    return new Promise(function (resolve, reject) {
+        var payload = body === undefined ? null : JSON.stringify(body),
+            headers = {"Content-Type": "application/json"},
+            req;
+
+        if (accessToken) {
+            headers.Authorization = "Bearer " + accessToken;
+        }
+        req = http.request({host: "localhost", port: server.port, method: method, path: pathname, headers: headers},
+            function (res) {
+                var text = "";
+                res.setEncoding("utf8");
+                res.on("data", function (chunk) {
+                    text += chunk;
+                });
+                res.on("end", function () {
+                    resolve({status: res.statusCode, body: text ? JSON.parse(text) : null});
+                });
+            });
+        req.on("error", reject);
+        req.end(payload);
+    });
+}
+
+// Signs in as the responder; resolves with the access token.
+function signIn(server) {
+    return request(server, "POST", "/api/auth/login", {username: USERNAME, password: PASSWORD}).then(function (res) {
+        assert.strictEqual(res.status, 200, "signed in");
+        return res.body.accessToken;
+    });
+}
+
+test("a repeated create returns the fire created by the first request", function (server) {
+    var params = {lat: 34, lon: -119, request_id: "op-1"},
+        first;
+
+    return request(server, "POST", "/api/fires", params).then(function (res) {
+        assert.strictEqual(res.status, 200);
+        first = res.body.data[0];
+        return request(server, "POST", "/api/fires", params);
+    }).then(function (res) {
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.data[0].fid, first.fid, "same fire");
+        return request(server, "POST", "/api/fires", {lat: 34, lon: -119, request_id: "op-2"});
+    }).then(function (res) {
+        assert.notStrictEqual(res.body.data[0].fid, first.fid, "another request creates another fire");
+        return request(server, "GET", "/api/fires");
+    }).then(function (res) {
+        assert.strictEqual(res.body.data.filter(function (fire) {
+            return fire.fid === first.fid;
+        }).length, 1, "not duplicated");
+        assert.strictEqual(res.body.data[0].request_id, undefined, "request id not listed");
+        return request(server, "POST", "/api/fires", {lat: 34, lon: -119, request_id: 7});
+    }).then(function (res) {
+        assert.strictEqual(res.status, 400, "invalid request id");
+    });
+});
+
+test("the list reports the synced time of the latest change", function (server) {
+    var synced;
+
+    return request(server, "GET", "/api/fires").then(function (res) {
+        synced = res.body.synced;
+        assert.ok(!isNaN(new Date(synced).getTime()), "ISO time");
+        return request(server, "POST", "/api/fires", {lat: 35, lon: -118});
+    }).then(function () {
+        return request(server, "GET", "/api/fires?since=" + encodeURIComponent(synced));
+    }).then(function (res) {
+        assert.strictEqual(res.body.data.length, 1, "the change since the synced time");
+        assert.ok(res.body.synced > synced, "synced time advanced");
+        return request(server, "GET", "/api/fires?since=" + encodeURIComponent(res.body.synced));
+    }).then(function (res) {
+        assert.strictEqual(res.body.data.length, 0, "no changes since the latest");
+    });
+});
+
+test("an update can't clear a fire's coordinates", function (server) {
+    var fid, accessToken;
+
+    return request(server, "POST", "/api/fires", {lat: 34, lon: -119}).then(function (res) {
+        fid = res.body.data[0].fid;
+        return signIn(server);
+    }).then(function (token) {
+        accessToken = token;
+        return request(server, "PUT", "/api/fires/" + fid, {lat: null}, accessToken);
+    }).then(function (res) {
+        assert.strictEqual(res.status, 400, "null lat refused");
+        assert.strictEqual(res.body.error, "lat must be a number");
+        return request(server, "PUT", "/api/fires/" + fid, {lon: null}, accessToken);
+    }).then(function (res) {
+        assert.strictEqual(res.status, 400, "null lon refused");
+        return request(server, "PUT", "/api/fires/" + fid, {alt: null, verified: true}, accessToken);
+    }).then(function (res) {
+        assert.strictEqual(res.status, 200, "other fields updated without the coordinates");
+        return request(server, "GET", "/api/fires/" + fid);
+    }).then(function (res) {
+        assert.strictEqual(res.body.data[0].fire_lat, 34, "lat kept");
+        assert.strictEqual(res.body.data[0].fire_lon, -119, "lon kept");
+    });
+});
+
+// Runs the tests in order against one server.
+function run() {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "fires-server-test-")),
+        failures = 0,
+        server = null;
+
+    return startServer(dir).then(function (started) {
+        server = started;
+        return tests.reduce(function (previous, entry) {
+            return previous.then(function () {
+                return entry.fn(server);
+            }).then(function () {
+                console.log("ok " + entry.name);
+            }, function (error) {
+                failures += 1;
+                console.log("not ok " + entry.name + " - " + error.message);
+            });
+        }, Promise.resolve());
+    }).then(function () {
+        return failures;
+    }, function (error) {
+        console.log("not ok " + error.message);
+        return 1;
+    }).then(function (count) {
+        if (server) {
+            server.process.removeAllListeners("exit");
+            server.process.kill();
+        }
+        fs.rmSync(dir, {recursive: true, force: true});
+        process.exitCode = count > 0 ? 1 : 0;
+    });
+}
+
+run();
@@ -0,0 +1,949 @@
+/*
+ * The MIT License - http://www.opensource.org/licenses/mit-license
+ */
+
+/**
+ * Reference implementation of the fires REST API used by FireRestAPI and
+ * RestFireDataSource. It has no dependencies beyond Node.js and persists the
+ * fires in a JSON file.
+ *
+ *  GET    /api/fires              {data: [fire, ...], synced: ISO}
+ *  GET    /api/fires?since=ISO    {data: [fire, ...], synced: ISO} changed since the time, including
+ *                                 deleted fires as {fid, deleted: true}
+ *  GET    /api/fires/stream       Server-Sent Events: "created", "updated" and "deleted"
+ *                                 events whose data is the fire (see FireFeed)
+ *  GET    /api/fires/:fid         {data: [fire]}
+ *  POST   /api/fires              {lat, lon, alt, client, request_id} and the incident attributes
+ *                                 => {data: [fire]}
+ *  PUT    /api/fires/:fid         {lat, lon, alt, verified, exttime, size, containment, cause,
+ *                                 fuel, structures, description, perimeters, merged_reports, client}
+ *                                 => {data: [fire]}
+ *  DELETE /api/fires/:fid         {data: []}
+ *  GET    /api/fires/:fid/attachments       {data: [attachment, ...]}
+ *  PUT    /api/fires/:fid/attachments/:id   {name, type, data: data URL, created} => {data: [attachment]}
+ *  GET    /api/fires/:fid/attachments/:id   The attachment's contents
+ *  POST   /api/auth/login         {username, password} => session
+ *  POST   /api/auth/refresh       {refreshToken} => session
+ *  POST   /api/auth/logout        {refreshToken} => {}
+ *
+ * where fire is {fid, fire_lat, fire_lon, fire_alt, reportedtimemark, fire_extinguished, fire_verified,
+ * fire_size, fire_containment, fire_cause, fire_fuel, fire_structures, fire_description, fire_perimeters,
+ * fire_merged_reports, fire_history}.
+ * The synced time is the time of the latest change by the server's clock; clients send
+ * it back as "since" so that their clocks don't affect which changes they fetch. Each
+ * change is stamped later than the previous one, so no change shares the synced time.
+ * The incident attributes (size in hectares, containment percentage, cause, fuel type,
+ * structures threatened and description) are optional and null when unknown. The
+ * perimeters are the fire's perimeter history, oldest first: [{id, time, geometry}]
+ * where geometry is a GeoJSON Polygon; an update replaces the whole history.
+ * The merged reports are the duplicate reports merged into the fire: [{id, time}] where
+ * id is the merged fire's id and time is its report time or null; an update replaces them.
+ * The history is the fire's audit trail, oldest first: the server appends an entry
+ * {time, client, type: "created"|"updated", changes: [{field, from, to}], state} each
+ * time the fire is created or changed, where client is the optional client id sent with
+ * the request and state is {lat, lon, alt, verified, exttime, perimeter: the current
+ * perimeter id} and the incident attributes.
+ * The optional request_id identifies a create: repeating it, e.g., after a timeout, returns
+ * the fire created by the first request instead of creating a duplicate.
+ * An attachment is {id, name, type, size, created}; the id is assigned by the client
+ * so that uploads can be retried.
+ *
+ * Anyone may read the fires and submit new reports, which are always unverified, and
+ * their attachments. Updating and deleting fires requires the "responder" role: the
+ * request's "Authorization: Bearer <accessToken>" header must carry the access token of a
+ * signed-in responder. A session is {accessToken, refreshToken, expiresIn: seconds,
+ * user: {username, role}}; refreshing replaces both tokens. The users are read from the
+ * users file: [{username, role: "responder"|"public", password: hash}] where the hash is
+ * printed by "node server/fires-server.js hash-password <password>".
+ *
+ * Usage: node server/fires-server.js
+ * Environment: PORT (default 8081), FIRES_DB (default server/fires.json),
+ * FIRES_ATTACHMENTS (default server/attachments), FIRES_USERS (default server/users.json),
+ * ACCESS_TOKEN_TTL (seconds, default 900), REFRESH_TOKEN_TTL (seconds, default 604800),
+ * CORS_ORIGIN (default *).
+ */
+
+"use strict";
+
+var crypto = require("crypto"),
+    fs = require("fs"),
+    http = require("http"),
+    path = require("path"),
+    url = require("url");
+
+var PORT = parseInt(process.env.PORT, 10) || 8081,
+    DB_FILE = process.env.FIRES_DB || path.join(__dirname, "fires.json"),
+    ATTACHMENTS_DIR = process.env.FIRES_ATTACHMENTS || path.join(__dirname, "attachments"),
+    MAX_ATTACHMENT_SIZE = 5 * 1024 * 1024,
+    MAX_BODY_SIZE = 8 * 1024 * 1024,    // A base64 encoded attachment with its metadata
+    MAX_HISTORY_ENTRIES = 200,
+    USERS_FILE = process.env.FIRES_USERS || path.join(__dirname, "users.json"),
+    ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL, 10) || 900,
+    REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL, 10) || 7 * 24 * 3600,
+    CORS_ORIGIN = process.env.CORS_ORIGIN || "*",
+    BASE_PATH = "/api/fires",
+    AUTH_PATH = "/api/auth",
+    ROLE_RESPONDER = "responder",
+    ROLE_PUBLIC = "public";
+
+/**
+ * The optional incident attributes: the update parameter and the fire column.
+ * The numeric attributes have a valid range; the others are text.
+ */
+var INCIDENT_FIELDS = [
+    {param: "size", column: "fire_size", min: 0, max: 1e8},
+    {param: "containment", column: "fire_containment", min: 0, max: 100},
+    {param: "cause", column: "fire_cause"},
+    {param: "fuel", column: "fire_fuel"},
+    {param: "structures", column: "fire_structures", min: 0, max: 1e6},
+    {param: "description", column: "fire_description"}
+];
+
+/**
+ * Constructs the fire store backed by a JSON file. Deleted fires are kept as
+ * tombstones so that incremental ("since") requests can report them.
+ * @constructor
+ * @param {String} file The JSON file path.
+ */
+function FireStore(file) {
+    this.file = file;
+    this.state = {nextFid: 1, fires: []};
+    if (fs.existsSync(file)) {
+        this.state = JSON.parse(fs.readFileSync(file, "utf8"));
+    }
+    // The time in milliseconds of the latest change
+    this.lastModified = this.state.fires.reduce(function (latest, fire) {
+        var time = new Date(fire.modified).getTime();
+        return isNaN(time) ? latest : Math.max(latest, time);
+    }, 0);
+}
+
+/**
+ * Returns the fires, excluding the deleted ones unless since is given.
+ * @param {Date} since Optional. Only return the fires changed after this time.
+ * @returns {Object[]}
+ */
+FireStore.prototype.list = function (since) {
+    return this.state.fires.filter(function (fire) {
+        return since ? new Date(fire.modified) > since : !fire.deleted;
+    }).map(FireStore.toRow);
+};
+
+/**
+ * Gets the time of the latest change, to be sent back as the "since" of the next list.
+ * @returns {String} The ISO time; the epoch if nothing has changed.
+ */
+FireStore.prototype.syncedTime = function () {
+    return new Date(this.lastModified).toISOString();
+};
+
+/**
+ * Stamps a change, later than every previous change even if the clock stands still or
+ * steps back.
+ * @returns {String} The ISO modification time.
+ */
+FireStore.prototype.nextModified = function () {
+    this.lastModified = Math.max(Date.now(), this.lastModified + 1);
+    return new Date(this.lastModified).toISOString();
+};
+
+/**
+ * Finds a fire that hasn't been deleted.
+ * @param {String} fid
+ * @returns {Object} The stored fire or null.
+ */
+FireStore.prototype.find = function (fid) {
+    return this.state.fires.find(function (fire) {
+        return String(fire.fid) === String(fid) && !fire.deleted;
+    }) || null;
+};
+
+/**
+ * Finds the fire created by a request, including a deleted one.
+ * @param {String} requestId The request_id of the create.
+ * @returns {Object} The stored fire or null.
+ */
+FireStore.prototype.findByRequestId = function (requestId) {
+    return this.state.fires.find(function (fire) {
+        return fire.request_id === requestId;
+    }) || null;
+};
+
+/**
+ * Creates an unverified fire.
+ * @param {Object} params {lat, lon, alt, request_id} and the incident attributes
+ * @returns {Object} The stored fire.
+ */
+FireStore.prototype.create = function (params) {
+    var now = this.nextModified(),
+        fire = {
+            fid: this.state.nextFid,
+            fire_lat: params.lat,
+            fire_lon: params.lon,
+            fire_alt: params.alt || 0,
+            reportedtimemark: now,
+            fire_extinguished: null,
+            fire_verified: false,
+            modified: now
+        };
+    if (params.request_id) {
+        fire.request_id = params.request_id;
+    }
+    INCIDENT_FIELDS.forEach(function (field) {
+        fire[field.column] = params[field.param] === undefined || params[field.param] === "" ?
+            null : params[field.param];
+    });
+    FireStore.recordHistory(fire, "created", params.client);
+    this.state.nextFid += 1;
+    this.state.fires.push(fire);
+    this.save();
+    return fire;
+};
+
+/**
+ * Updates a fire.
+ * @param {Object} fire The stored fire.
+ * @param {Object} params {lat, lon, alt, verified, exttime} and the incident attributes
+ * @returns {Object} The stored fire.
+ */
+FireStore.prototype.update = function (fire, params) {
+    if (params.lat !== undefined) {
+        fire.fire_lat = params.lat;
+    }
+    if (params.lon !== undefined) {
+        fire.fire_lon = params.lon;
+    }
+    if (params.alt !== undefined) {
+        fire.fire_alt = params.alt;
+    }
+    if (params.verified !== undefined) {
+        fire.fire_verified = !!params.verified;
+    }
+    if (params.exttime !== undefined) {
+        fire.fire_extinguished = FireStore.parseExtinguishedTime(params.exttime);
+    }
+    INCIDENT_FIELDS.forEach(function (field) {
+        if (params[field.param] !== undefined) {
+            fire[field.column] = params[field.param] === "" ? null : params[field.param];
+        }
+    });
+    if (params.perimeters !== undefined) {
+        fire.fire_perimeters = params.perimeters || [];
+    }
+    if (params.merged_reports !== undefined) {
+        fire.fire_merged_reports = params.merged_reports || [];
+    }
+    FireStore.recordHistory(fire, "updated", params.client);
+    fire.modified = this.nextModified();
+    this.save();
+    return fire;
+};
+
+/**
+ * Stores an attachment, replacing one with the same id.
+ * @param {Object} fire The stored fire.
+ * @param {String} id The attachment id.
+ * @param {Object} params {name, type, created}
+ * @param {Buffer} contents
+ * @returns {Object} The attachment's metadata.
+ */
+FireStore.prototype.attach = function (fire, id, params, contents) {
+    var attachment = {
+        id: id,
+        name: params.name,
+        type: params.type,
+        size: contents.length,
+        created: params.created || new Date().toISOString()
+    };
+    if (!fs.existsSync(ATTACHMENTS_DIR)) {
+        fs.mkdirSync(ATTACHMENTS_DIR);
+    }
+    fs.writeFileSync(FireStore.attachmentFile(fire, id), contents);
+    fire.attachments = (fire.attachments || []).filter(function (other) {
+        return other.id !== id;
+    }).concat([attachment]);
+    this.save();
+    return attachment;
+};
+
+/**
+ * Deletes a fire, leaving a tombstone.
+ * @param {Object} fire The stored fire.
+ */
+FireStore.prototype.remove = function (fire) {
+    fire.deleted = true;
+    fire.modified = this.nextModified();
+    this.save();
+};
+
+// Writes the store to its file via a temporary file so a crash can't truncate it.
+FireStore.prototype.save = function () {
+    var temp = this.file + ".tmp";
+    fs.writeFileSync(temp, JSON.stringify(this.state, null, 2));
+    fs.renameSync(temp, this.file);
+};
+
+/**
+ * Converts a stored fire to the API row schema.
+ * @param {Object} fire
+ * @returns {Object}
+ */
+FireStore.toRow = function (fire) {
+    var row;
+    if (fire.deleted) {
+        return {fid: fire.fid, deleted: true};
+    }
+    row = {
+        fid: fire.fid,
+        fire_lat: fire.fire_lat,
+        fire_lon: fire.fire_lon,
+        fire_alt: fire.fire_alt,
+        reportedtimemark: fire.reportedtimemark,
+        fire_extinguished: fire.fire_extinguished,
+        fire_verified: fire.fire_verified
+    };
+    INCIDENT_FIELDS.forEach(function (field) {
+        row[field.column] = fire[field.column] === undefined ? null : fire[field.column];
+    });
+    row.fire_perimeters = fire.fire_perimeters || [];
+    row.fire_merged_reports = fire.fire_merged_reports || [];
+    row.fire_history = fire.fire_history || [];
+    return row;
+};
+
+/**
+ * Appends an entry for the current state of a fire to its history. An update
+ * that doesn't change the state isn't recorded.
+ * @param {Object} fire The stored fire.
+ * @param {String} type "created" or "updated".
+ * @param {String} client The id of the client making the change, or undefined.
+ */
+FireStore.recordHistory = function (fire, type, client) {
+    var history = fire.fire_history || [],
+        previous = history.length > 0 ? history[history.length - 1].state : null,
+        perimeters = fire.fire_perimeters || [],
+        state = {
+            lat: fire.fire_lat,
+            lon: fire.fire_lon,
+            alt: fire.fire_alt,
+            verified: !!fire.fire_verified,
+            exttime: fire.fire_extinguished || null,
+            perimeter: perimeters.length > 0 ? perimeters[perimeters.length - 1].id : null
+        },
+        changes;
+
+    INCIDENT_FIELDS.forEach(function (field) {
+        state[field.param] = fire[field.column] === undefined ? null : fire[field.column];
+    });
+    changes = Object.keys(state).filter(function (field) {
+        return previous ? previous[field] !== state[field] : state[field] !== null && state[field] !== false;
+    }).map(function (field) {
+        return {field: field, from: previous ? previous[field] : null, to: state[field]};
+    });
+    if (type === "updated" && changes.length === 0) {
+        return;
+    }
+    fire.fire_history = history.concat([{
+        time: new Date().toISOString(),
+        client: client || null,
+        type: type,
+        changes: changes,
+        state: state
+    }]).slice(-MAX_HISTORY_ENTRIES);
+};
+
+/**
+ * Gets the file holding an attachment's contents.
+ * @param {Object} fire
+ * @param {String} id The attachment id.
+ * @returns {String}
+ */
+FireStore.attachmentFile = function (fire, id) {
+    return path.join(ATTACHMENTS_DIR, fire.fid + "-" + id);
+};
+
+/**
+ * Normalizes the extinguished time sent by FireRestAPI: the date "20181020" becomes
+ * "2018-10-20" and a time becomes ISO 8601 UTC.
+ * @param {String} exttime
+ * @returns {String} The time, or null if empty.
+ */
+FireStore.parseExtinguishedTime = function (exttime) {
+    var text = exttime === null || exttime === undefined ? "" : String(exttime).trim(),
+        time;
+    if (/^\d{8}$/.test(text)) {
+        return text.slice(0, 4) + "-" + text.slice(4, 6) + "-" + text.slice(6, 8);
+    }
+    time = new Date(text);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text) || isNaN(time.getTime())) {
+        return text || null;
+    }
+    return time.toISOString();
+};
+
+/**
+ * Validates the optional incident attributes of the update parameters.
+ * @param {Object} params
+ * @returns {String} The reason the attributes are invalid, or null.
+ */
+function validateIncident(params) {
+    var i, field, value;
+    for (i = 0; i < INCIDENT_FIELDS.length; i++) {
+        field = INCIDENT_FIELDS[i];
+        value = params[field.param];
+        if (value === undefined || value === null) {
+            continue;
+        }
+        if (field.min === undefined) {
+            if (typeof value !== "string") {
+                return field.param + " must be a string";
+            }
+        } else if (typeof value !== "number" || !isFinite(value) || value < field.min || value > field.max) {
+            return field.param + " must be a number between " + field.min + " and " + field.max;
+        }
+    }
+    return null;
+}
+
+/**
+ * Validates the perimeter history of the update parameters.
+ * @param {Object} params
+ * @returns {String} The reason the perimeters are invalid, or null.
+ */
+function validatePerimeters(params) {
+    var perimeters = params.perimeters,
+        isPosition = function (position) {
+            return Array.isArray(position) && position.length >= 2 &&
+                typeof position[0] === "number" && Math.abs(position[0]) <= 180 &&
+                typeof position[1] === "number" && Math.abs(position[1]) <= 90;
+        },
+        isRing = function (ring) {
+            return Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition) &&
+                ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1];
+        };
+    if (perimeters === undefined || perimeters === null) {
+        return null;
+    }
+    if (!Array.isArray(perimeters) || !perimeters.every(function (version) {
+        return version && (typeof version.id === "string" || typeof version.id === "number") &&
+            !isNaN(new Date(version.time).getTime()) && version.geometry && version.geometry.type === "Polygon" &&
+            Array.isArray(version.geometry.coordinates) && version.geometry.coordinates.length > 0 &&
+            version.geometry.coordinates.every(isRing);
+    })) {
+        return "perimeters must be an array of {id, time, geometry: GeoJSON Polygon}";
+    }
+    return null;
+}
+
+/**
+ * Validates the merged reports of the update parameters.
+ * @param {Object} params
+ * @returns {String} The reason the merged reports are invalid, or null.
+ */
+function validateMergedReports(params) {
+    var reports = params.merged_reports;
+    if (reports === undefined || reports === null) {
+        return null;
+    }
+    if (!Array.isArray(reports) || !reports.every(function (report) {
+        return report && (typeof report.id === "string" || typeof report.id === "number") &&
+            (report.time === null || (typeof report.time === "string" && !isNaN(new Date(report.time).getTime())));
+    })) {
+        return "merged_reports must be an array of {id, time}";
+    }
+    return null;
+}
+
+/**
+ * Validates create/update parameters.
+ * @param {Object} params
+ * @param {Boolean} isCreate True if lat and lon are required; an update may omit them but not clear them.
+ * @returns {String} The reason the parameters are invalid, or null.
+ */
+function validateParams(params, isCreate) {
+    var checkNumber = function (name, min, max) {
+        var value = params[name];
+        if (value === undefined || (value === null && name === "alt")) {
+            return isCreate && name !== "alt" ? name + " is required" : null;
+        }
+        if (value === null) {
+            // A fire can't lose its coordinates
+            return isCreate ? name + " is required" : name + " must be a number";
+        }
+        if (typeof value !== "number" || !isFinite(value)) {
+            return name + " must be a number";
+        }
+        if (value < min || value > max) {
+            return name + " must be between " + min + " and " + max;
+        }
+        return null;
+    };
+    if (!params || typeof params !== "object") {
+        return "body must be a JSON object";
+    }
+    return checkNumber("lat", -90, 90) || checkNumber("lon", -180, 180) || checkNumber("alt", -1e6, 1e6) ||
+        validateIncident(params) || validatePerimeters(params) || validateMergedReports(params) ||
+        (params.client !== undefined && params.client !== null && typeof params.client !== "string" ?
+            "client must be a string" : null) ||
+        (params.request_id !== undefined && params.request_id !== null &&
+            (typeof params.request_id !== "string" || params.request_id.length > 100) ?
+            "request_id must be a string of up to 100 characters" : null);
+}
+
+/**
+ * Decodes the data URL of an uploaded attachment.
+ * @param {Object} params {name, type, data}
+ * @returns {Buffer} The contents, or null if the upload is invalid.
+ */
+function decodeAttachment(params) {
+    var match = params && typeof params.data === "string" ? /^data:[^,]*;base64,(.*)$/.exec(params.data) : null,
+        contents;
+    if (!match || typeof params.name !== "string" || typeof params.type !== "string") {
+        return null;
+    }
+    contents = Buffer.from(match[1], "base64");
+    return contents.length > 0 && contents.length <= MAX_ATTACHMENT_SIZE ? contents : null;
+}
+
+/**
+ * Constructs the authenticator of the users listed in a JSON file. The sessions are
+ * kept in memory, so restarting the server signs everyone out.
+ * @constructor
+ * @param {String} file The users file path; no one can sign in if it doesn't exist.
+ */
+function Authenticator(file) {
+    this.users = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : [];
+    // The sessions keyed by access token and by refresh token
+    this.accessTokens = {};
+    this.refreshTokens = {};
+}
+
+/**
+ * Signs a user in.
+ * @param {String} username
+ * @param {String} password
+ * @returns {Object} The new session, or null if the credentials are invalid.
+ */
+Authenticator.prototype.login = function (username, password) {
+    var user = this.users.find(function (other) {
+        return other.username === username;
+    });
+    if (!user || typeof password !== "string" || !Authenticator.verifyPassword(password, user.password)) {
+        return null;
+    }
+    return this.createSession({username: user.username, role: user.role === ROLE_RESPONDER ? ROLE_RESPONDER : ROLE_PUBLIC});
+};
+
+/**
+ * Replaces a session's tokens.
+ * @param {String} refreshToken
+ * @returns {Object} The new session, or null if the refresh token is invalid or expired.
+ */
+Authenticator.prototype.refresh = function (refreshToken) {
+    var session = this.findSession(this.refreshTokens, refreshToken, "refreshExpires");
+    if (!session) {
+        return null;
+    }
+    this.revoke(session);
+    return this.createSession(session.user);
+};
+
+/**
+ * Signs a session out.
+ * @param {String} refreshToken
+ */
+Authenticator.prototype.logout = function (refreshToken) {
+    var session = this.findSession(this.refreshTokens, refreshToken, "refreshExpires");
+    if (session) {
+        this.revoke(session);
+    }
+};
+
+/**
+ * Authenticates a request by its bearer token.
+ * @param {http.IncomingMessage} request
+ * @returns {Object} {user: {username, role} or null, isInvalid: true if a token was sent but isn't valid}
+ */
+Authenticator.prototype.authenticate = function (request) {
+    var match = /^Bearer\s+(\S+)$/i.exec(request.headers.authorization || ""),
+        session = match ? this.findSession(this.accessTokens, match[1], "accessExpires") : null;
+    return {user: session ? session.user : null, isInvalid: !!match && !session};
+};
+
+// Creates a session and its tokens.
+Authenticator.prototype.createSession = function (user) {
+    var now = Date.now(),
+        session = {
+            user: user,
+            accessToken: crypto.randomBytes(32).toString("hex"),
+            refreshToken: crypto.randomBytes(32).toString("hex"),
+            accessExpires: now + ACCESS_TOKEN_TTL * 1000,
+            refreshExpires: now + REFRESH_TOKEN_TTL * 1000
+        };
+    this.accessTokens[session.accessToken] = session;
+    this.refreshTokens[session.refreshToken] = session;
+    return session;
+};
+
+// Finds an unexpired session by token; expired sessions are revoked.
+Authenticator.prototype.findSession = function (sessions, token, expiresProperty) {
+    var session = typeof token === "string" && Object.prototype.hasOwnProperty.call(sessions, token) ?
+        sessions[token] : null;
+    if (session && session[expiresProperty] <= Date.now()) {
+        if (expiresProperty === "refreshExpires") {
+            this.revoke(session);
+        }
+        return null;
+    }
+    return session;
+};
+
+// Removes a session's tokens.
+Authenticator.prototype.revoke = function (session) {
+    delete this.accessTokens[session.accessToken];
+    delete this.refreshTokens[session.refreshToken];
+};
+
+/**
+ * Converts a session to the response sent to the client.
+ * @param {Object} session
+ * @returns {Object} {accessToken, refreshToken, expiresIn, user}
+ */
+Authenticator.toResponse = function (session) {
+    return {
+        accessToken: session.accessToken,
+        refreshToken: session.refreshToken,
+        expiresIn: Math.round((session.accessExpires - Date.now()) / 1000),
+        user: session.user
+    };
+};
+
+/**
+ * Hashes a password for the users file.
+ * @param {String} password
+ * @returns {String} "scrypt$salt$hash"
+ */
+Authenticator.hashPassword = function (password) {
+    var salt = crypto.randomBytes(16).toString("hex");
+    return "scrypt$" + salt + "$" + crypto.scryptSync(password, salt, 64).toString("hex");
+};
+
+/**
+ * Checks a password against its hash.
+ * @param {String} password
+ * @param {String} hash See hashPassword.
+ * @returns {Boolean}
+ */
+Authenticator.verifyPassword = function (password, hash) {
+    var parts = String(hash).split("$"),
+        expected, actual;
+    if (parts.length !== 3 || parts[0] !== "scrypt") {
+        return false;
+    }
+    expected = Buffer.from(parts[2], "hex");
+    actual = crypto.scryptSync(password, parts[1], expected.length);
+    return expected.length > 0 && crypto.timingSafeEqual(expected, actual);
+};
+
+var store = new FireStore(DB_FILE),
+    authenticator = new Authenticator(USERS_FILE),
+    streams = [];
+
+// Sends a JSON response with the CORS headers.
+function send(response, status, body) {
+    response.writeHead(status, {
+        "Access-Control-Allow-Origin": CORS_ORIGIN,
+        "Content-Type": "application/json"
+    });
+    response.end(JSON.stringify(body));
+}
+
+// Sends a fire event to the Server-Sent Events subscribers.
+function broadcast(type, fire) {
+    var message = "event: " + type + "\ndata: " + JSON.stringify(FireStore.toRow(fire)) + "\n\n";
+    streams.forEach(function (stream) {
+        stream.write(message);
+    });
+}
+
+// Reads and parses a JSON request body. Answers 413 itself, without invoking the
+// callback, if the body is larger than MAX_BODY_SIZE.
+function readBody(request, response, callback) {
+    var chunks = [],
+        size = 0;
+    request.on("data", function (chunk) {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+            if (chunks !== null) {
+                chunks = null;
+                send(response, 413, {error: "The request body exceeds " + MAX_BODY_SIZE + " bytes"});
+                request.resume();   // Discard the rest of the body
+            }
+            return;
+        }
+        chunks.push(chunk);
+    });
+    request.on("end", function () {
+        var text;
+        if (chunks === null) {
+            return;
+        }
+        text = Buffer.concat(chunks).toString("utf8");
+        try {
+            callback(null, text ? JSON.parse(text) : {});
+        } catch (e) {
+            callback(e);
+        }
+    });
+}
+
+// Opens a Server-Sent Events stream.
+function openStream(request, response) {
+    response.writeHead(200, {
+        "Access-Control-Allow-Origin": CORS_ORIGIN,
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive"
+    });
+    response.write(": connected\n\n");
+    streams.push(response);
+    request.on("close", function () {
+        streams.splice(streams.indexOf(response), 1);
+    });
+}
+
+// Handles the requests for a fire's attachments.
+function handleAttachments(request, response, fire, id) {
+    var attachment;
+
+    if (!id) {
+        if (request.method !== "GET") {
+            send(response, 405, {error: "Method not allowed"});
+            return;
+        }
+        send(response, 200, {data: fire.attachments || []});
+        return;
+    }
+    if (!/^[\w-]+$/.test(id)) {
+        send(response, 400, {error: "invalid attachment id"});
+        return;
+    }
+    switch (request.method) {
+        case "GET":
+            attachment = (fire.attachments || []).find(function (other) {
+                return other.id === id;
+            });
+            if (!attachment) {
+                send(response, 404, {error: "Attachment " + id + " not found"});
+                return;
+            }
+            fs.readFile(FireStore.attachmentFile(fire, id), function (error, contents) {
+                if (error) {
+                    console.error("Error reading attachment " + id + " of fire " + fire.fid + ": " + error.message);
+                    send(response, error.code === "ENOENT" ? 404 : 500,
+                        {error: error.code === "ENOENT" ? "Attachment " + id + " file not found" : "Unable to read attachment " + id});
+                    return;
+                }
+                response.writeHead(200, {
+                    "Access-Control-Allow-Origin": CORS_ORIGIN,
+                    "Content-Type": attachment.type
+                });
+                response.end(contents);
+            });
+            return;
+        case "PUT":
+            readBody(request, response, function (error, params) {
+                var contents = error ? null : decodeAttachment(params);
+                if (!contents) {
+                    send(response, 400, {error: "name, type and a base64 data URL of at most " +
+                        MAX_ATTACHMENT_SIZE + " bytes are required"});
+                    return;
+                }
+                send(response, 200, {data: [store.attach(fire, id, params, contents)]});
+            });
+            return;
+        default:
+            send(response, 405, {error: "Method not allowed"});
+    }
+}
+
+// Handles the sign in, token refresh and sign out requests.
+function handleAuth(request, response, action) {
+    if (request.method !== "POST") {
+        send(response, 405, {error: "Method not allowed"});
+        return;
+    }
+    readBody(request, response, function (error, params) {
+        var session;
+        if (error || !params || typeof params !== "object") {
+            send(response, 400, {error: "invalid JSON"});
+            return;
+        }
+        switch (action) {
+            case "login":
+                session = authenticator.login(params.username, params.password);
+                if (!session) {
+                    send(response, 401, {error: "Invalid username or password"});
+                    return;
+                }
+                send(response, 200, Authenticator.toResponse(session));
+                return;
+            case "refresh":
+                session = authenticator.refresh(params.refreshToken);
+                if (!session) {
+                    send(response, 401, {error: "Invalid or expired refresh token"});
+                    return;
+                }
+                send(response, 200, Authenticator.toResponse(session));
+                return;
+            case "logout":
+                authenticator.logout(params.refreshToken);
+                send(response, 200, {});
+                return;
+            default:
+                send(response, 404, {error: "Not found"});
+        }
+    });
+}
+
+// Rejects a request that sent an invalid token, or that requires a responder.
+// Returns true if the request was rejected.
+function rejectUnauthorized(request, response, requiresResponder) {
+    var auth = authenticator.authenticate(request);
+    if (auth.isInvalid || (requiresResponder && !auth.user)) {
+        send(response, 401, {error: auth.isInvalid ? "Invalid or expired access token" : "Sign in required"});
+        return true;
+    }
+    if (requiresResponder && auth.user.role !== ROLE_RESPONDER) {
+        send(response, 403, {error: "The " + ROLE_RESPONDER + " role is required"});
+        return true;
+    }
+    return false;
+}
+
+// Handles the requests for the fires collection and individual fires.
+function handleRequest(request, response) {
+    var parsed = url.parse(request.url, true),
+        pathname = parsed.pathname.replace(/\/+$/, ""),
+        segments = [],
+        fid, since, fire;
+
+    if (pathname.indexOf(BASE_PATH + "/") === 0) {
+        try {
+            segments = pathname.slice(BASE_PATH.length + 1).split("/").map(decodeURIComponent);
+        } catch (e) {
+            send(response, 400, {error: "Invalid URL encoding"});
+            return;
+        }
+    }
+    fid = segments.length > 0 ? segments[0] : null;
+
+    if (request.method === "OPTIONS") {
+        response.writeHead(204, {
+            "Access-Control-Allow-Origin": CORS_ORIGIN,
+            "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+            "Access-Control-Allow-Headers": "Content-Type, Authorization",
+            "Access-Control-Max-Age": "86400"
+        });
+        response.end();
+        return;
+    }
+    if (pathname.indexOf(AUTH_PATH + "/") === 0) {
+        handleAuth(request, response, pathname.slice(AUTH_PATH.length + 1));
+        return;
+    }
+    if (request.method !== "GET" && rejectUnauthorized(request, response,
+        request.method !== "POST" && !(segments.length > 1 && request.method === "PUT"))) {
+        return;
+    }
+    if ((pathname !== BASE_PATH && fid === null) || segments.length > 3 ||
+        (segments.length > 1 && segments[1] !== "attachments")) {
+        send(response, 404, {error: "Not found"});
+        return;
+    }
+    if (fid === "stream" && request.method === "GET") {
+        openStream(request, response);
+        return;
+    }
+
+    if (fid === null) {
+        switch (request.method) {
+            case "GET":
+                since = parsed.query.since ? new Date(parsed.query.since) : null;
+                if (since && isNaN(since.getTime())) {
+                    send(response, 400, {error: "since must be an ISO date"});
+                    return;
+                }
+                send(response, 200, {data: store.list(since), synced: store.syncedTime()});
+                return;
+            case "POST":
+                readBody(request, response, function (error, params) {
+                    var reason = error ? "invalid JSON" : validateParams(params, true);
+                    if (reason) {
+                        send(response, 400, {error: reason});
+                        return;
+                    }
+                    // A repeated request returns the fire created by the first one
+                    fire = params.request_id ? store.findByRequestId(params.request_id) : null;
+                    if (fire) {
+                        send(response, 200, {data: [FireStore.toRow(fire)]});
+                        return;
+                    }
+                    fire = store.create(params);
+                    broadcast("created", fire);
+                    send(response, 200, {data: [FireStore.toRow(fire)]});
+                });
+                return;
+            default:
+                send(response, 405, {error: "Method not allowed"});
+                return;
+        }
+    }
+
+    fire = store.find(fid);
+    if (!fire) {
+        send(response, 404, {error: "Fire " + fid + " not found"});
+        return;
+    }
+    if (segments.length > 1) {
+        handleAttachments(request, response, fire, segments[2]);
+        return;
+    }
+    switch (request.method) {
+        case "GET":
+            send(response, 200, {data: [FireStore.toRow(fire)]});
+            return;
+        case "PUT":
+            readBody(request, response, function (error, params) {
+                var reason = error ? "invalid JSON" : validateParams(params, false);
+                if (reason) {
+                    send(response, 400, {error: reason});
+                    return;
+                }
+                store.update(fire, params);
+                broadcast("updated", fire);
+                send(response, 200, {data: [FireStore.toRow(fire)]});
+            });
+            return;
+        case "DELETE":
+            store.remove(fire);
+            broadcast("deleted", fire);
+            send(response, 200, {data: []});
+            return;
+        default:
+            send(response, 405, {error: "Method not allowed"});
+    }
+}
+
+if (process.argv[2] === "hash-password") {
+    if (!process.argv[3]) {
+        console.error("Usage: node server/fires-server.js hash-password <password>");
+        process.exit(1);
+    }
+    console.log(Authenticator.hashPassword(process.argv[3]));
+    process.exit(0);
+}
+
+http.createServer(handleRequest).listen(PORT, function () {
+    console.log("Fires API listening on http://localhost:" + PORT + BASE_PATH + " (data file: " + DB_FILE + ")");
+});